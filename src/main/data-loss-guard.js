@@ -17,9 +17,11 @@ const fs = require('fs').promises;
 const path = require('upath');
 const cheerio = require('cheerio');
 const { liveSync } = require('livesync-hyperclay');
+const { channelFor } = require('./utils/live-channels');
 const core = require('./data-loss-core.cjs');
 const { extractViaTag } = require('./utils/data-extractor');
 const { compareNewestFirst } = require('./utils/prune-versions');
+const { readVersionFile } = require('./utils/version-store');
 const { canonicalizeBase, rebaseOntoCanonical, assertRealDirChain } = require('./utils/real-dir-chain');
 
 const {
@@ -54,9 +56,9 @@ function loadEngine() {
 }
 
 // --- extraction (async). { api: data } | null; throws on version skew. ---
+const islandOf = (data) => (data === null || data === undefined ? null : { [RULES_NAME]: data });
 async function extractIsland(html) {
-  const data = await extractViaTag(html, RULES_NAME);
-  return data === null || data === undefined ? null : { [RULES_NAME]: data };
+  return islandOf(await extractViaTag(html, RULES_NAME));
 }
 async function safeExtractIsland(html) {
   try {
@@ -179,12 +181,13 @@ async function newestVersionPath(baseDir, name) {
 // newHtml       : the bytes just written
 // prevContent   : pre-write body (string) or null (raw watcher has only a hash)
 // prov          : 'external' | 'ui-background' | 'ui-gestured'
+// newData       : newHtml's api data when the caller already extracted it
 //
 // Returns the client-safe event when a loss is raised, else null. Never throws.
 // ---------------------------------------------------------------------------
-async function runDataLossGuard({ baseDir, name, newHtml, prevContent, prov }) {
+async function runDataLossGuard({ baseDir, name, newHtml, prevContent, prov, newData }) {
   try {
-    const inc = await safeExtractIsland(newHtml);
+    const inc = newData !== undefined ? { ok: true, island: islandOf(newData) } : await safeExtractIsland(newHtml);
     if (!inc.ok) return null; // parse/version skew -> fail open
 
     let raised = null;
@@ -274,12 +277,12 @@ async function runDataLossGuard({ baseDir, name, newHtml, prevContent, prov }) {
     });
 
     if (autoResolvedId) {
-      notifyResolved(name, autoResolvedId);
+      notifyResolved(baseDir, name, autoResolvedId);
       return null;
     }
     if (raised) {
       const clientEvent = await toClientEvent(raised, newHtml);
-      notifyRaised(name, clientEvent);
+      notifyRaised(baseDir, name, clientEvent);
       return clientEvent;
     }
     return null;
@@ -311,7 +314,7 @@ async function captureRecoverPath(baseDir, name, prevContent) {
     const versionPath = await newestVersionPath(baseDir, name);
     if (versionPath == null) return null;
     try {
-      body = await fs.readFile(versionPath, 'utf8');
+      body = (await readVersionFile(baseDir, versionPath)).toString('utf8');
     } catch (e) {
       console.error('[data-guard] captureRecoverPath read failed:', e && e.message ? e.message : e);
       return null;
@@ -355,18 +358,18 @@ function provenanceForLocalSave(userDriven) {
 }
 
 // ---------------------------------------------------------------------------
-// Live transport.
+// Live transport. On the document's channel in ITS folder (live-channels.js).
 // ---------------------------------------------------------------------------
-function notifyRaised(name, clientEvent) {
+function notifyRaised(baseDir, name, clientEvent) {
   try {
-    liveSync.notify(name, { msgType: 'data-loss', action: 'raised', msg: 'Saved data overwritten', data: clientEvent });
+    liveSync.notify(channelFor(baseDir, name), { msgType: 'data-loss', action: 'raised', msg: 'Saved data overwritten', data: clientEvent });
   } catch (e) {
     console.error('[data-guard] notifyRaised failed:', e && e.message ? e.message : e);
   }
 }
-function notifyResolved(name, eventId) {
+function notifyResolved(baseDir, name, eventId) {
   try {
-    liveSync.notify(name, { msgType: 'data-loss', action: 'resolved', msg: 'Data guard resolved', data: { id: eventId } });
+    liveSync.notify(channelFor(baseDir, name), { msgType: 'data-loss', action: 'resolved', msg: 'Data guard resolved', data: { id: eventId } });
   } catch (e) {
     console.error('[data-guard] notifyResolved failed:', e && e.message ? e.message : e);
   }
@@ -495,7 +498,7 @@ async function getGuardEvent(baseDir, name, currentHtml) {
       if (cur.ok && cur.island && lossUndone(classify(guard.event.recoverableData, cur.island))) {
         const resolvedId = guard.event.id;
         await clearEvent(baseDir, name, cur.island, 'restored');
-        notifyResolved(name, resolvedId);
+        notifyResolved(baseDir, name, resolvedId);
         return null;
       }
       return await toClientEvent(guard.event, currentHtml != null ? currentHtml : '');
@@ -535,7 +538,7 @@ async function resolveGuard({ baseDir, name, id, choice, currentHtml, writeBack
     // forceBaseline: Dismiss accepts current even when the clobber emptied the
     // island, else the old baseline stays and the next write re-fires.
     await clearEvent(baseDir, name, cur.ok ? cur.island : null, 'dismissed', true);
-    notifyResolved(name, event.id);
+    notifyResolved(baseDir, name, event.id);
     // rider 1: return the control payload so server.js can nudge the platform
     // (and thence the owner's other devices). resolveGuard stays transport-pure.
     return {
@@ -550,7 +553,7 @@ async function resolveGuard({ baseDir, name, id, choice, currentHtml, writeBack
     await writeBack(merged.html);
     const after = await safeExtractIsland(merged.html);
     await clearEvent(baseDir, name, after.ok ? after.island : event.recoverableData, 'restored');
-    notifyResolved(name, event.id);
+    notifyResolved(baseDir, name, event.id);
     return { ok: true, choice, status: 'restored' };
   }
 
@@ -572,7 +575,7 @@ async function resolveGuard({ baseDir, name, id, choice, currentHtml, writeBack
     await writeBack(html);
     const after = await safeExtractIsland(html);
     await clearEvent(baseDir, name, after.ok ? after.island : null, 'reverted');
-    notifyResolved(name, event.id);
+    notifyResolved(baseDir, name, event.id);
     return { ok: true, choice, status: 'reverted' };
   }
 
@@ -632,7 +635,7 @@ async function applyRemoteResolution({ baseDir, name, recoverableDataHash }) {
       try { cur = await safeExtractIsland(await fs.readFile(path.join(baseDir, name), 'utf8')); } catch {}
       await clearEventLocked(baseDir, name, cur.ok ? cur.island : null, 'dismissed', true); // NO nested withLock
     });
-    if (resolvedId) notifyResolved(name, resolvedId);
+    if (resolvedId) notifyResolved(baseDir, name, resolvedId);
     return resolvedId != null;
   } catch (e) {
     console.error('[data-guard] applyRemoteResolution failed (non-fatal):', e && e.message ? e.message : e);
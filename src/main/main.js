@@ -3,14 +3,25 @@ const path = require('upath');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const crypto = require('crypto');
-const { startServer, stopServer, getServerPort, isServerRunning } = require('./server');
+const QRCode = require('qrcode');
+const {
+  startServer, stopServer, getServerPort, getServerOrigin, isServerRunning,
+  startLanSharing, stopLanSharing, getLanSharing, issuePairingLink, revokeLanDevice
+} = require('./server');
 const { startPlugins, stopPlugins } = require('./plugins');
 const syncEngine = require('../sync-engine');
 const syncLogger = require('../sync-engine/logger');
 const errorLogger = require('./error-logger');
 const { getServerBaseUrl } = require('./utils/utils');
 const { makeIsKnownPath } = require('./utils/known-path');
+const { setRetentionPolicy } = require('./utils/retention-policy');
+const { setVersionStore, readableVersionsDir } = require('./utils/version-store');
+const { snapshotAll } = require('./utils/version-history');
+const { getConsentRegistry } = require('./utils/path-resolver');
+const { listTemplates, createFromTemplate } = require('./utils/page-templates');
+const { exportFolderCsv } = require('./utils/data-export');
 const popover = require('./popover');
+const { CA_CERT } = require('./utils/local-ca');
 
 const isKnownPath = makeIsKnownPath(syncEngine, fs);
 
@@ -67,6 +78,8 @@ let availableUpdate = null;
 
 const userData = app.getPath('userData');
 const settingsPath = path.join(userData, 'settings.json');
+const lanDevicesPath = path.join(userData, 'lan-devices.json');
+const certificatesPath = path.join(userData, 'certificates');
 const debugStickyFlagPath = path.join(userData, 'debug-popover-sticky.flag');
 
 function readDebugSticky() {
@@ -333,22 +346,48 @@ function getTrayMenuTemplate() {
       enabled: !!selectedFolder,
       click: async () => {
         if (!selectedFolder) return;
-        const backupsPath = path.join(selectedFolder, 'sites-versions');
+        let backupsPath = path.join(selectedFolder, 'sites-versions');
         try {
           await fsPromises.mkdir(backupsPath, { recursive: true });
         } catch {}
+        // Older versions may be chunk manifests; show them whole.
+        try {
+          backupsPath = await readableVersionsDir(selectedFolder);
+        } catch (error) {
+          console.error('[BACKUP] Could not prepare the backups folder (non-fatal):', error && error.message ? error.message : error);
+        }
         shell.openPath(backupsPath);
       }
     },
+    {
+      label: 'New Page from Template...',
+      enabled: !!selectedFolder,
+      click: () => showNewPageForm()
+    },
+    {
+      label: 'Tag Current Versions...',
+      enabled: !!selectedFolder,
+      click: () => showSnapshotForm()
+    },
+    {
+      label: 'Export Data as CSV...',
+      enabled: !!selectedFolder,
+      click: () => handleExportData()
+    },
     {
       label: 'Open Browser',
       enabled: serverRunning,
       click: () => {
         if (serverRunning) {
-          shell.openExternal(`http://localhost:${getServerPort()}`);
+          shell.openExternal(getServerOrigin());
         }
       }
     },
+    // The CA to trust, once, so the browser accepts https://localhost.
+    ...(settings.https === true ? [{
+      label: 'Show HTTPS Certificate',
+      click: () => shell.showItemInFolder(path.join(certificatesPath, CA_CERT))
+    }] : []),
     { type: 'separator' },
     {
       label: 'View Sync Logs',
@@ -411,12 +450,44 @@ function sendToPopover(channel, data) {
   }
 }
 
+// Where the server should listen, which extra folders it mounts beside the
+// selected one, whether its apps get origins of their own, which documents
+// answer for SPA routes, whether pages answer without their extension, which
+// folders serve their index page instead of a listing, and whether it speaks
+// HTTPS. startServer falls back to the next free port when this one is
+// taken; getServerPort() reports the one it got.
+function serverOptions() {
+  return {
+    port: settings.serverPort,
+    host: settings.serverHost,
+    mounts: settings.mounts,
+    isolateOrigins: settings.isolateOrigins,
+    spaFallbacks: settings.spaFallbacks,
+    cleanUrls: settings.cleanUrls,
+    indexPages: settings.indexPages,
+    https: settings.https === true ? certificatesPath : null
+  };
+}
+
+// The label prompt lives in the popover; a tray click has to open it first.
+function showSnapshotForm() {
+  if (tray) popover.showPopover(tray.getBounds());
+  sendToPopover('show-snapshot', {});
+}
+
+function showNewPageForm() {
+  if (tray) popover.showPopover(tray.getBounds());
+  sendToPopover('show-new-page', {});
+}
+
 function updateUI() {
   const syncStatus = syncEngine.getStatus();
   const statePayload = {
     selectedFolder,
     serverRunning,
     serverPort: getServerPort(),
+    serverUrl: getServerOrigin(),
+    lanSharing: getLanSharing(),
     syncEnabled: settings.syncEnabled,
     syncStatus: syncStatus,
     syncStats: syncStatus.stats,
@@ -518,6 +589,35 @@ async function handleSelectFolder(event) {
   return { success: false };
 }
 
+// Bulk export: one CSV of `/_/api` data per document in the folder, written
+// where the user chooses (utils/data-export.js).
+async function handleExportData(parentWin = null) {
+  if (!selectedFolder) return;
+  const result = await dialog.showOpenDialog(parentWin, {
+    properties: ['openDirectory', 'createDirectory'],
+    title: 'Choose where to save the CSV files'
+  });
+  if (result.canceled || !result.filePaths.length) return;
+  const destDir = result.filePaths[0];
+
+  try {
+    const { written, skipped } = await exportFolderCsv(selectedFolder, destDir);
+    const lines = [`${written.length} ${written.length === 1 ? 'file' : 'files'} written to ${destDir}.`];
+    if (skipped.length) lines.push('', 'Not exported:', ...skipped.map(({ path: name, error }) => `${name}: ${error}`));
+    await dialog.showMessageBox(parentWin, {
+      type: skipped.length ? 'warning' : 'info',
+      title: 'Export Data',
+      message: written.length ? 'Data exported' : 'No page has data to export',
+      detail: lines.join('\n'),
+      buttons: ['OK']
+    });
+    if (written.length) shell.openPath(destDir);
+  } catch (error) {
+    errorLogger.error('App', 'Data export failed', error);
+    dialog.showErrorBox('Export Failed', `Could not export the data: ${error.message}`);
+  }
+}
+
 async function handleStartServer() {
   if (!selectedFolder) {
     await handleSelectFolder();
@@ -525,7 +625,7 @@ async function handleStartServer() {
   }
 
   try {
-    await startServer(selectedFolder, getDevHooks(), isKnownPath);
+    await startServer(selectedFolder, getDevHooks(), isKnownPath, serverOptions());
     serverRunning = isServerRunning();
     startPlugins({ baseDir: selectedFolder, settings });
 
@@ -678,12 +778,49 @@ ipcMain.handle('get-state', () => ({
   selectedFolder,
   serverRunning,
   serverPort: getServerPort(),
+  serverUrl: getServerOrigin(),
+  lanSharing: getLanSharing(),
   syncEnabled: settings.syncEnabled,
   syncStatus: syncEngine.getStatus(),
   availableUpdate,
   appVersion: app.getVersion()
 }));
 
+// LAN sharing is deliberately not remembered in settings: it starts off on
+// every launch, and stops with the server.
+ipcMain.handle('lan-start', async () => {
+  try {
+    await startLanSharing(lanDevicesPath);
+    updateUI();
+    return { success: true };
+  } catch (error) {
+    console.error('[LAN] Could not start sharing:', error);
+    return { error: error.code === 'EADDRINUSE' ? 'That port is taken on the network address' : error.message };
+  }
+});
+
+ipcMain.handle('lan-stop', async () => {
+  await stopLanSharing();
+  updateUI();
+  return { success: true };
+});
+
+ipcMain.handle('lan-pairing-link', async (event, access) => {
+  try {
+    const link = issuePairingLink(access === 'view' ? 'view' : 'edit');
+    const qr = await QRCode.toDataURL(link.url, { margin: 1, width: 220 });
+    return { success: true, ...link, qr };
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('lan-revoke', (event, id) => {
+  const revoked = revokeLanDevice(id);
+  updateUI();
+  return { success: revoked };
+});
+
 ipcMain.handle('copy-text', (event, text) => {
   clipboard.writeText(String(text ?? ''));
 });
@@ -711,7 +848,7 @@ ipcMain.handle('open-browser', (event, url) => {
   if (url) {
     shell.openExternal(url);
   } else if (serverRunning) {
-    shell.openExternal(`http://localhost:${getServerPort()}`);
+    shell.openExternal(getServerOrigin());
   }
 });
 
@@ -761,6 +898,43 @@ ipcMain.handle('get-sync-stats', () => {
   return status.stats || null;
 });
 
+// Snapshot and new page IPC handlers
+
+// Tag the current state of every document in the folder with one label, so it
+// survives pruning and can be found again from /_/versions.
+ipcMain.handle('tag-snapshot', async (event, label) => {
+  if (!selectedFolder) return { error: 'No folder selected' };
+  try {
+    const { tagged, failed } = await snapshotAll(selectedFolder, label);
+    return { success: true, tagged: tagged.length, failed: failed.length };
+  } catch (error) {
+    console.error('[BACKUP] Snapshot failed:', error);
+    return { error: error.status ? error.message : 'Could not tag the current versions' };
+  }
+});
+
+// A new page in the top of the folder from one of its templates, opened in
+// the browser when the server is running.
+ipcMain.handle('list-templates', async () => {
+  if (!selectedFolder) return [];
+  return (await listTemplates(selectedFolder)).map(({ id, name, builtIn }) => ({ id, name, builtIn }));
+});
+
+ipcMain.handle('create-page', async (event, { template, name, title }) => {
+  if (!selectedFolder) return { error: 'No folder selected' };
+  try {
+    const relPath = await createFromTemplate(getConsentRegistry(selectedFolder), selectedFolder, { template, name, title }, { engine: syncEngine });
+    console.log(`[SERVER] New page from the ${template} template: ${relPath}`);
+    if (serverRunning) {
+      shell.openExternal(`${getServerOrigin()}/${relPath.split('/').map(encodeURIComponent).join('/')}`);
+    }
+    return { success: true, path: relPath };
+  } catch (error) {
+    if (!error.status) console.error('[SERVER] Could not create the page:', error);
+    return { error: error.status ? error.message : 'Could not create the page' };
+  }
+});
+
 // API key management IPC handlers
 ipcMain.handle('set-api-key', async (event, key, serverUrl) => {
   try {
@@ -881,9 +1055,24 @@ ipcMain.handle('show-options-menu', (event) => {
       label: 'Open in Browser',
       enabled: serverRunning,
       click: () => {
-        if (serverRunning) shell.openExternal(`http://localhost:${getServerPort()}`);
+        if (serverRunning) shell.openExternal(getServerOrigin());
       }
     },
+    {
+      label: 'New Page from Template...',
+      enabled: !!selectedFolder,
+      click: () => sendToPopover('show-new-page', {})
+    },
+    {
+      label: 'Tag Current Versions...',
+      enabled: !!selectedFolder,
+      click: () => sendToPopover('show-snapshot', {})
+    },
+    {
+      label: 'Export Data as CSV...',
+      enabled: !!selectedFolder,
+      click: () => handleExportData(win)
+    },
     { type: 'separator' },
     {
       label: 'AI Editing',
@@ -993,6 +1182,8 @@ app.whenReady().then(async () => {
 
   settings = loadSettings();
   selectedFolder = settings.selectedFolder || null;
+  setRetentionPolicy(settings.versionRetention);
+  setVersionStore(settings.versionStore);
 
   if (!isDev) {
     app.setLoginItemSettings({ openAtLogin: settings.autoStartEnabled || false });
@@ -1051,7 +1242,7 @@ app.whenReady().then(async () => {
       console.log('[APP] Auto-restarting server from previous session...');
       try {
         selectedFolder = settings.serverFolder;
-        await startServer(selectedFolder, getDevHooks(), isKnownPath);
+        await startServer(selectedFolder, getDevHooks(), isKnownPath, serverOptions());
         serverRunning = isServerRunning();
         startPlugins({ baseDir: selectedFolder, settings });
         updateTrayMenu();
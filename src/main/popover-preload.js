@@ -20,6 +20,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   toggleSync: (enabled) => ipcRenderer.invoke('toggle-sync', enabled),
   getSyncStats: () => ipcRenderer.invoke('get-sync-stats'),
 
+  tagSnapshot: (label) => ipcRenderer.invoke('tag-snapshot', label),
+  listTemplates: () => ipcRenderer.invoke('list-templates'),
+  createPage: (template, name, title) => ipcRenderer.invoke('create-page', { template, name, title }),
+
+  lanStart: () => ipcRenderer.invoke('lan-start'),
+  lanStop: () => ipcRenderer.invoke('lan-stop'),
+  lanPairingLink: (access) => ipcRenderer.invoke('lan-pairing-link', access),
+  lanRevoke: (id) => ipcRenderer.invoke('lan-revoke', id),
+
   showOptionsMenu: () => ipcRenderer.invoke('show-options-menu'),
   quitApp: () => ipcRenderer.invoke('quit-app'),
 
@@ -63,6 +72,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('show-credentials', (_event) => callback());
   },
 
+  onShowSnapshot: (callback) => {
+    ipcRenderer.on('show-snapshot', (_event) => callback());
+  },
+
+  onShowNewPage: (callback) => {
+    ipcRenderer.on('show-new-page', (_event) => callback());
+  },
+
   removeAllListeners: (channel) => {
     ipcRenderer.removeAllListeners(channel);
   }
@@ -1,5 +1,7 @@
 const express = require('express');
 const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
 const path = require('upath');
 const { Eta } = require('eta');
 const { createBackup } = require('./utils/backup.js');
@@ -21,17 +23,56 @@ const {
   compileTailwind,
   getTailwindCssName
 } = require('tailwind-hyperclay');
-const { liveSync } = require('livesync-hyperclay');
+const { setChannelNamespace, liveSyncFor } = require('./utils/live-channels');
+const { normalizeMounts, subdomainOf, splitPrefix, rewriteDocumentUrl } = require('./utils/mounts');
+const { appOfDocument, appAt, appLabels, toMainPath, hostFor } = require('./utils/app-origins');
+const { liveCertificates } = require('./utils/local-ca');
+const {
+  errorMessage,
+  errorPageCandidates,
+  renderErrorPage,
+  normalizeSpaFallbacks,
+  spaFallbackFor,
+  spaFallbacksForMount
+} = require('./utils/error-pages');
+const { createRouteRules } = require('./utils/route-rules');
+const { cleanUrlCandidates } = require('./utils/clean-urls');
+const { normalizeIndexPages, indexPageCandidates, indexPagesForMount } = require('./utils/index-pages');
+const { lanAddress, createLanAccess, lanGate } = require('./utils/lan-access');
 const { messageBus, isValidChannel } = require('@panphora/hyper-wire');
 const errorLogger = require('./error-logger');
 const formatHtml = require('./format-html');
 const { hasHtmlRoot } = formatHtml;
-const { serveSiteApiLocal, extractSiteDataLocal } = require('./utils/data-api');
+const { checkPageData, schemaForPage, summarizeViolations } = require('./utils/api-schema');
+const { setValidators, setFileValidators } = require('./utils/etags');
+const { FORMATS: TABLE_FORMATS, CSV_BOM, tableFromData, toCsv, toNdjson } = require('./utils/data-export');
+const { serveSiteApiLocal, patchSiteApiLocal, extractSiteDataLocal, serveCollectionApiLocal } = require('./utils/data-api');
 const { writeApiSidecar } = require('./utils/api-sidecar');
+const { refreshDerivedArtifacts } = require('./utils/derived-artifacts');
+const { searchDocuments, indexDocument, flushSearchIndexes } = require('./utils/search-index');
+const {
+  listVersions,
+  countVersions,
+  readVersion,
+  listTags,
+  tagVersion,
+  untagVersion,
+  versionAt,
+  planFolderRestore
+} = require('./utils/version-history');
+const { diffLines, toHunks, toSplitRows, formatUnified } = require('./utils/line-diff');
 const dataGuard = require('./data-loss-guard');
 const syncEngine = require('../sync-engine');
+const { makeSyncStatusOf } = require('./utils/sync-status');
+const { createPage, duplicateFile, relocate, trashEntry } = require('./utils/file-actions');
+const { TRASH_DAYS, listTrash, restoreFromTrash, purgeExpiredTrash } = require('./utils/trash');
+const { listTemplates, renderTemplate, createFromTemplate } = require('./utils/page-templates');
+const { canonicalizeBase } = require('./utils/real-dir-chain');
 const { buildEnvelope } = require('../sync-engine/control-lane-core.cjs');
 
+// The listing's per-file sync status, read from the engine on each request.
+const syncStatusOf = makeSyncStatusOf(syncEngine);
+
 // Initialize Eta
 const eta = new Eta({
   views: path.join(__dirname, 'templates'),
@@ -52,6 +93,7 @@ function isJsonContentType(contentType) {
 // the other, so both are optional and neither lane clears the other's.
 const pendingSnapshots = new Map();
 let snapshotCleanupTimer = null;
+let trashExpiryTimer = null;
 
 /**
  * Get and clear what a file owes the platform: the live-sync snapshot, the save's
@@ -75,9 +117,23 @@ function getAndClearSnapshot(filename) {
 
 let server = null;
 let app = null;
-const PORT = 4321;
+// Where the server listens unless settings.json says otherwise (`serverPort`,
+// `serverHost`). When the port is taken the next ones are tried in turn, so
+// `port` holds whatever was actually bound.
+const DEFAULT_PORT = 4321;
+const DEFAULT_HOST = 'localhost';
+const PORT_ATTEMPTS = 20;
+let port = DEFAULT_PORT;
+let protocol = 'http';
+// The `{ key, cert }` the server speaks HTTPS with, or null; LAN sharing uses it too.
+let serverTls = null;
 let connections = new Set();
 
+// LAN sharing: a second listener on the LAN address (see utils/lan-access.js).
+let lanServer = null;
+let lanAccess = null;
+let lanConnections = new Set();
+
 // Local file-serving validation. Deliberately NOT the sync engine's
 // validateFileName (sync-engine/validation.js), which enforces a lowercase-ASCII
 // *site-name* policy for cloud sync. A file on your own disk may contain spaces,
@@ -116,26 +172,55 @@ async function resolveWriteTarget(paths, name) {
 }
 
 // Serve the file's ORIGINAL BYTES. Reading as utf8 and re-encoding on the way
-// out silently rewrites any file that is not valid UTF-8.
+// out silently rewrites any file that is not valid UTF-8. The validators are
+// of those bytes, so a tab that polls its own page gets a 304 until it changes.
 async function serveHtml(res, filePath) {
-  const html = await fs.readFile(filePath);
+  const [html, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+  await setValidators(res, html, { lastModified: stats.mtime });
   res.set('Content-Type', 'text/html');
   return res.send(html);
 }
 
 // Translate a data-api result object ({ status, headers?, json?, raw? }) into a
 // response. `raw` is a JSON string sent verbatim (res.json would double-encode it);
-// `json` is an object sent via res.json.
-function sendApiResult(res, result) {
+// `json` is an object sent via res.json. Data carries validators, so a
+// dashboard polling it gets a 304 while it is unchanged.
+async function sendApiResult(res, result) {
   if (result.headers) {
     for (const [key, value] of Object.entries(result.headers)) res.setHeader(key, value);
   }
+  if (result.status === 200) {
+    const body = result.raw !== undefined ? result.raw : JSON.stringify(result.json);
+    await setValidators(res, body);
+    return res.status(200).type('application/json').send(body);
+  }
   if (result.raw !== undefined) {
     return res.status(result.status).type('application/json').send(result.raw);
   }
   return res.status(result.status).json(result.json);
 }
 
+// A 200 data-API result as CSV or NDJSON (utils/data-export.js). The CSV is a
+// download named after the page.
+async function sendDataTable(res, name, result, { format, rows, columns }) {
+  const data = result.raw !== undefined ? JSON.parse(result.raw) : result.json;
+  let table;
+  try {
+    table = tableFromData(data, { rows: typeof rows === 'string' ? rows : undefined, columns });
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: 'Invalid table', message: error.message });
+  }
+  if (format === 'ndjson') {
+    const body = toNdjson(table);
+    await setValidators(res, body);
+    return res.type('application/x-ndjson').send(body);
+  }
+  const body = CSV_BOM + toCsv(table);
+  await setValidators(res, body);
+  res.attachment(`${path.basename(name).replace(/\.(html|htmlclay)$/, '')}.csv`);
+  return res.type('text/csv; charset=utf-8').send(body);
+}
+
 function resolveResourceFromHref(href) {
   let pathname;
   try {
@@ -281,18 +366,21 @@ function stripSystemRouteMarker(url) {
 
 // Known `/_/` system routes on this host. Anything else under the marker is reserved
 // and 404s, so `/_/foo.html` can never reach the static catch-all and serve a document.
-const SYSTEM_ROUTES = new Set(['save', 'live-sync', 'sync', 'bus', 'data-loss', 'api', 'meta', 'upload']);
+const SYSTEM_ROUTES = new Set(['save', 'live-sync', 'sync', 'bus', 'data-loss', 'api', 'meta', 'upload', 'versions', 'files', 'new', 'search']);
 
 // True when a hostname (already parsed out of a URL or a Host header) names this
 // machine's loopback interface. The whole 127/8 block counts, as does every
 // spelling of IPv6 loopback — `new URL` normalizes `[0:0:0:0:0:0:0:1]` to `[::1]`,
-// and the brackets are stripped before comparison.
+// and the brackets are stripped before comparison. So does every name under
+// `.localhost`, which browsers resolve to loopback themselves and no DNS server
+// can answer for (RFC 6761); subdomain mounts are addressed that way.
 function isLoopbackHostname(hostname) {
   if (typeof hostname !== 'string' || hostname.length === 0) return false;
   const bare = hostname.startsWith('[') && hostname.endsWith(']')
     ? hostname.slice(1, -1)
     : hostname;
   return bare === 'localhost' ||
+         /^(?:[a-z0-9-]+\.)+localhost$/i.test(bare) ||
          bare === '::1' ||
          bare === '0:0:0:0:0:0:0:1' ||
          /^127\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(bare);
@@ -324,10 +412,44 @@ function isLoopbackHostHeader(hostHeader) {
   }
 }
 
+// A request from a device paired over LAN sharing, addressing the LAN listener
+// by its own address. lanGate sets both marks, and only on that listener, so a
+// request on the loopback server can never carry them.
+function isLanPeer(req) {
+  return Boolean(req.lanDevice) && req.headers.host === req.lanHost;
+}
+
+// An Origin this server accepts writes from: loopback, or a paired LAN
+// device's page on the LAN address.
+function isAllowedOrigin(req, origin) {
+  return isLoopbackOrigin(origin) || (isLanPeer(req) && origin === req.lanOrigin);
+}
+
 // Build and return the configured Express app without listening. Split out of
 // startServer so tests can drive the real route wiring (ordering + the marker gate)
-// via supertest against an ephemeral port instead of the hardcoded 4321.
-function createApp(baseDir, devHooks = null, isKnownPath = null) {
+// via supertest against an ephemeral port instead of the configured one.
+//
+// `mount` is set for an extra folder served beside the main one (see
+// utils/mounts.js): `{ prefix, namespace }`. Such an app emits its links under
+// `/<prefix>` and publishes on its own liveSync channels. Only the main app
+// gets devHooks and isKnownPath, since both speak for the synced folder.
+//
+// `isolateOrigins` gives the main folder's apps origins of their own (see
+// utils/app-origins.js); `takenLabels` are the top-level names that can not be
+// one, because the server or a mount already answers there. `spaFallbacks`
+// maps folders to the document that answers for their missing routes (see
+// utils/error-pages.js), `cleanUrls` serves documents without their
+// extension (see utils/clean-urls.js), and `indexPages` holds the folders
+// that answer with their index page instead of a listing (see
+// utils/index-pages.js).
+function createApp(baseDir, devHooks = null, isKnownPath = null, {
+  mount = null,
+  isolateOrigins = false,
+  takenLabels = new Set(),
+  spaFallbacks = new Map(),
+  cleanUrls = false,
+  indexPages = new Set()
+} = {}) {
   // The map describes what the CURRENTLY served folder owes the platform, but it is
   // module state keyed by a path relative to that folder's root, so it would
   // otherwise outlive a folder switch. Two folders each holding an index.html then
@@ -335,7 +457,26 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
   // platform broadcasts it verbatim into B's edit-mode tabs, where hyper-morph
   // merges A's document into B's page. The five-minute sweep in startServer is not
   // a substitute, since it is not even running while the server is stopped.
-  pendingSnapshots.clear();
+  //
+  // A mount gets a map of its own for the same reason. Nothing reads it, since
+  // the sync engine only uploads the main folder, and it holds at most one entry
+  // per document.
+  const snapshots = mount ? new Map() : pendingSnapshots;
+  if (!mount) pendingSnapshots.clear();
+
+  // Links this app writes into its pages: '' at the root, `/tools` under a prefix.
+  const base = mount && mount.prefix ? `/${mount.prefix}` : '';
+  setChannelNamespace(baseDir, mount ? mount.namespace : '');
+  const live = liveSyncFor(baseDir);
+
+  // Listing links for HTML documents: on their app's origin when isolated. A
+  // LAN device can not resolve `*.localhost`, so it keeps plain paths.
+  const appLinker = (req) => isolateOrigins && !req.lanDevice ? (relPath, hasFolder) => {
+    const app = appOfDocument(relPath, hasFolder, takenLabels);
+    return app && `${req.protocol}://${hostFor(req.headers.host, app.label)}/${encodePathSegments(app.rest.slice(1))}`;
+  } : null;
+  // Only the main folder is synced, so only its listing has a sync status.
+  const listingOptions = (req) => ({ base, linkApp: appLinker(req), syncStatusOf: mount ? null : syncStatusOf });
 
     const app = express();
 
@@ -358,8 +499,11 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
     // localhost does not help: a rebound hostname resolves to 127.0.0.1 and the
     // request arrives here carrying the attacker's Host header. A loopback Host
     // is the only legitimate way to address this server.
+    //
+    // The one exception is a device paired over LAN sharing, which addresses the
+    // LAN listener by its exact address (utils/lan-access.js has checked both).
     app.use((req, res, next) => {
-      if (!isLoopbackHostHeader(req.headers.host)) {
+      if (!isLoopbackHostHeader(req.headers.host) && !isLanPeer(req)) {
         return res.status(403).send('Invalid Host header');
       }
       next();
@@ -385,10 +529,12 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
     //     send Origin on POST, including form submissions.
     //   - `Origin: null` is refused. It means a sandboxed document, a data: URL
     //     or a redirect chain, it is forgeable, and this host mints no tokens, so
-    //     nothing here can carry authority in place of an origin. Local serves no
-    //     document sandboxed (it sets no CSP), so no legitimate save is null.
+    //     nothing here can carry authority in place of an origin. The only
+    //     documents Local serves sandboxed are saved versions under /_/versions,
+    //     and a save from one of those is exactly what must not land.
     //   - Any other Origin must be loopback. Any port: the served port varies,
     //     and code on another loopback port is already running on this machine.
+    //     A paired LAN device's own pages are the one other origin allowed.
     //   - Sec-Fetch-Site is checked when present, as a second signal that costs
     //     nothing and does not depend on Origin being sent.
     const UNSAFE_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
@@ -402,7 +548,7 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
 
       const origin = req.headers.origin;
       if (origin === undefined) return next();
-      if (origin !== 'null' && isLoopbackOrigin(origin)) return next();
+      if (origin !== 'null' && isAllowedOrigin(req, origin)) return next();
       return res.status(403).json({ msg: 'Cross-origin requests are not allowed.', msgType: 'error' });
     });
 
@@ -436,13 +582,111 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
       sameSite: 'lax'
     };
 
-    // Set admin and login cookies for all requests since local user owns all files
+    // Set admin and login cookies for all requests since local user owns all files.
+    // A device paired view-only is the exception: its pages open in view mode.
     app.use((req, res, next) => {
-      res.cookie('isAdminOfCurrentResource', 'true', cookieOptions);
+      const canEdit = !req.lanDevice || req.lanDevice.access === 'edit';
+      res.cookie('isAdminOfCurrentResource', canEdit ? 'true' : 'false', cookieOptions);
       res.cookie('isLoggedIn', 'true', cookieOptions);
       next();
     });
 
+    // A file the site serves in its own name: a rewrite's or clean URL's
+    // target, an SPA fallback, an error page. Each candidate goes through the
+    // same phases as any read, so none of them can be a way out of the folder.
+    // Null when there is no such file.
+    const readablePage = async (relPath) => {
+      try {
+        validateSegments(relPath);
+        const realPath = await resolveReadPath(paths, relPath);
+        return (await fs.stat(realPath)).isFile() ? realPath : null;
+      } catch {
+        return null;
+      }
+    };
+
+    // Redirect and rewrite rules from the folder's routes.json or _redirects
+    // (utils/route-rules.js). A rule only applies where nothing exists on disk,
+    // unless it is forced. With clean URLs on, a path no rule claims may still
+    // name a document without its extension.
+    const routes = createRouteRules(baseDir);
+    const existsOnDisk = async (decodedPath) => {
+      try {
+        const relPath = decodedPath.replace(/^\/+/, '');
+        if (!relPath) return true;
+        validateSegments(relPath);
+        await fs.stat(await resolveReadPath(paths, relPath));
+        return true;
+      } catch {
+        return false;
+      }
+    };
+    const cleanDocumentFor = async (decodedPath) => {
+      const relPath = decodedPath.replace(/^\/+/, '');
+      const candidates = cleanUrls ? cleanUrlCandidates(relPath) : [];
+      if (!candidates.length || await readablePage(relPath)) return null;
+      for (const candidate of candidates) {
+        if (await readablePage(candidate)) return candidate;
+      }
+      return null;
+    };
+    const rewriteFor = async (decodedPath) => {
+      const route = await routes.lookup(decodedPath);
+      if (route && (route.force || !await existsOnDisk(decodedPath))) return route;
+      const document = await cleanDocumentFor(decodedPath);
+      return document ? { status: 200, to: `/${document}`, force: false } : null;
+    };
+    // `/about us?x=1` -> `/about%20us?x=1`, keeping a query already in `to`.
+    const encodeTarget = (to, search) => {
+      const [pathPart, query = ''] = to.split(/\?(.*)/s);
+      const joined = [query, search.replace(/^\?/, '')].filter(Boolean).join('&');
+      return `/${encodePathSegments(pathPart.replace(/^\//, ''))}${joined ? `?${joined}` : ''}`;
+    };
+    // A page address with its path mapped through a rewrite or clean URL, or
+    // as it was.
+    const rewritePageAddress = async (href) => {
+      try {
+        const absolute = /^[a-z][a-z0-9+.-]*:/i.test(href);
+        const url = new URL(href, 'http://localhost');
+        const route = await rewriteFor(decodeURIComponent(url.pathname));
+        if (!route || route.status !== 200) return href;
+        const target = new URL(encodeTarget(route.to, ''), url);
+        url.pathname = target.pathname;
+        return absolute ? url.href : `${url.pathname}${url.search}${url.hash}`;
+      } catch {
+        return href;
+      }
+    };
+
+    app.use(async (req, res, next) => {
+      try {
+        await paths.ready();
+
+        // A page served through a rewrite reports its own address in Page-URL
+        // and Document-URL, so the system routes (bare or under `/_/`) see the
+        // address mapped the same way, and a save from `/about` lands in
+        // about.html.
+        for (const field of DOCUMENT_URL_FIELDS) {
+          if (typeof req.headers[field] === 'string') req.headers[field] = await rewritePageAddress(req.headers[field]);
+          if (typeof req.query[field] === 'string') req.query[field] = await rewritePageAddress(req.query[field]);
+        }
+        if (req.fromSystemRoute || (req.method !== 'GET' && req.method !== 'HEAD')) return next();
+
+        const route = await rewriteFor(decodeOnce(req.path));
+        if (!route) return next();
+        const queryAt = req.url.indexOf('?');
+        const search = queryAt === -1 ? '' : req.url.slice(queryAt);
+        if (route.status === 200) {
+          req.url = encodeTarget(route.to, search);
+          return next();
+        }
+        const external = /^[a-z][a-z0-9+.-]*:/i.test(route.to);
+        return res.redirect(route.status, external ? route.to : `${base}${encodeTarget(route.to, search)}`);
+      } catch (error) {
+        return next(error);
+      }
+    });
+
     // Serve favicon (ico → legacy, svg → theme-adaptive, png → fallback)
     const assetsDir = path.join(__dirname, '../../assets');
     app.get('/favicon.ico', (req, res) => {
@@ -506,7 +750,7 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
       res.flushHeaders();
 
       // Register client (channel key = full path with extension, e.g. "blog/post.html")
-      liveSync.subscribe(file, res, { lane });
+      live.subscribe(file, res, { lane });
       console.log(`[LiveSync] Client connected: ${file} (lane=${lane})`);
 
       // Keep-alive ping every 30 seconds
@@ -521,7 +765,7 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
       // Cleanup on disconnect
       req.on('close', () => {
         clearInterval(keepAlive);
-        liveSync.unsubscribe(file, res);
+        live.unsubscribe(file, res);
         console.log(`[LiveSync] Client disconnected: ${file}`);
       });
 
@@ -555,11 +799,11 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
         // Preserve any userDriven bit a prior /save cached for this file: the peer
         // live-sync body doesn't carry it, so overwriting blindly would drop the
         // human-gesture provenance and make a clean save read as ui-unknown.
-        const prevSnap = pendingSnapshots.get(file);
-        pendingSnapshots.set(file, { html, userDriven: prevSnap ? prevSnap.userDriven : undefined, timestamp: Date.now() });
+        const prevSnap = snapshots.get(file);
+        snapshots.set(file, { html, userDriven: prevSnap ? prevSnap.userDriven : undefined, timestamp: Date.now() });
 
         // Broadcast to other local browsers on the same channel as /live-sync/stream
-        liveSync.broadcast(file, { html, sender });
+        live.broadcast(file, { html, sender });
 
         console.log(`[LiveSync] Broadcast: ${file} (from: ${sender})`);
 
@@ -587,7 +831,7 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
     // as the bus's own explicit, JSON-shaped statement of the same rule.)
     app.use('/bus', (req, res, next) => {
       if (!req.originalUrl.startsWith('/_/bus/')) return next();
-      if (!isLoopbackHostHeader(req.headers.host)) {
+      if (!isLoopbackHostHeader(req.headers.host) && !isLanPeer(req)) {
         return res.status(403).json({ error: 'Bus is localhost-only' });
       }
       next();
@@ -650,7 +894,7 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
       // (which we never approve) for cross-origin browser senders; this check
       // is defense in depth.
       const requestOrigin = req.headers.origin;
-      if (requestOrigin && !isLoopbackOrigin(requestOrigin)) {
+      if (requestOrigin && !isAllowedOrigin(req, requestOrigin)) {
         return res.status(403).json({ error: 'Cross-origin senders are not allowed' });
       }
       const body = req.body;
@@ -678,6 +922,28 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
     // Disk sync is handled by polling + /sync/download (stripped content).
     console.log(`[LiveSync] Ready for browser-to-browser sync (no file watcher broadcast)`);
 
+    // A save whose `/_/api` data no longer fits the page's schema
+    // (utils/api-schema.js) is told so on the page's channel. Only when what is
+    // wrong changes, so an autosave every few seconds does not repeat the same
+    // warning, and once more when it is put right. Checks run unawaited, so one
+    // can finish after a later save's: only the latest check for a name reports.
+    const schemaWarnings = new Map();
+    const schemaChecks = new Map();
+    async function reportSchemaViolations(name, html, data) {
+      const check = (schemaChecks.get(name) || 0) + 1;
+      schemaChecks.set(name, check);
+      const result = await checkPageData(html, data);
+      if (schemaChecks.get(name) !== check) return;
+      const violations = result ? result.violations : [];
+      const summary = summarizeViolations(violations, Infinity);
+      const previous = schemaWarnings.get(name) || '';
+      if (summary === previous) return;
+      if (summary) schemaWarnings.set(name, summary); else schemaWarnings.delete(name);
+      live.notify(name, violations.length
+        ? { msgType: 'warning', msg: `Saved, but the page's data does not fit its schema: ${summarizeViolations(violations)}` }
+        : { msgType: 'success', msg: 'The page\'s data fits its schema again' });
+    }
+
     // Spec §3: /_/save takes the document as text, and this route has exactly one
     // body shape. Everything else about the save travels in a header: the
     // provenance bit is `Save-Trigger`, and an unstripped snapshot goes to
@@ -812,28 +1078,39 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
 
         // Mark as browser save so file watcher doesn't send redundant notification.
         // Key is full path with extension so it matches engine-watcher's wasBrowserSave check.
-        liveSync.markBrowserSave(name);
+        live.markBrowserSave(name);
 
         // Morph view-mode tabs with the persisted on-disk HTML. Edit-mode tabs
         // are untouched — they sync via /live-sync/save on the live lane.
-        liveSync.broadcast(name, { html: content, sender: 'server-save' }, { lane: 'saved' });
+        live.broadcast(name, { html: content, sender: 'server-save' }, { lane: 'saved' });
 
         // Refresh the per-site API data sidecar BEFORE the fallible Tailwind compile,
         // so a Tailwind failure can't skip it and leave stale API data on disk
         // (mirrors the platform ordering in node-content.js). Non-fatal: a sidecar
-        // error must never fail the save.
+        // error must never fail the save. The data it extracts serves the search
+        // index, the schema check and the data-loss guard below too, so a save
+        // extracts it once.
+        let apiData;
         try {
-          await writeApiSidecar(baseDir, name, content);
+          apiData = await writeApiSidecar(baseDir, name, content);
         } catch (e) {
           console.error('writeApiSidecar failed (non-fatal):', e && e.message ? e.message : e);
         }
 
+        // The search index takes the new text too (non-fatal, like the sidecar).
+        await indexDocument(baseDir, name, content, apiData);
+
+        // Tell the page when its data stops fitting its schema (non-blocking,
+        // non-fatal, like the guard below).
+        reportSchemaViolations(name, content, apiData)
+          .catch(err => console.error('[schema] /save check error:', err && err.message ? err.message : err));
+
         // Data-clobber guard (non-blocking, non-fatal). A browser /save is always
         // a UI save, split by the userDriven bit into ui-gestured / ui-background.
         {
           const dataLossProv = dataGuard.provenanceForLocalSave(userDriven);
           dataGuard.runDataLossGuard({
-            baseDir, name, newHtml: content, prevContent: dataLossPrev, prov: dataLossProv,
+            baseDir, name, newHtml: content, prevContent: dataLossPrev, prov: dataLossProv, newData: apiData,
           }).catch(err => console.error('[data-guard] /save guard error:', err && err.message ? err.message : err));
         }
 
@@ -865,8 +1142,8 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
         // /live-sync/save, which is why this merges rather than replaces: the two
         // lanes contribute different halves of the same entry.
         {
-          const prev = pendingSnapshots.get(name);
-          pendingSnapshots.set(name, {
+          const prev = snapshots.get(name);
+          snapshots.set(name, {
             html: prev ? prev.html : null,
             userDriven,
             timestamp: Date.now()
@@ -933,6 +1210,15 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
               maxBytes: SAVE_MAX_BYTES,
               upload: { allowed: true, maxBytes: UPLOAD_MAX_BYTES }
             };
+            // A page with `/_/api` data also says whether it fits its schema.
+            const checked = await checkPageData(await fs.readFile(filePath, 'utf8')).catch(() => null);
+            if (checked) {
+              body.document.data = {
+                schema: checked.explicit ? 'explicit' : 'inferred',
+                valid: !checked.violations.length,
+                violations: checked.violations
+              };
+            }
           }
         } catch { /* omission, never a different answer */ }
       }
@@ -991,6 +1277,146 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
       }
     });
 
+    // File management for the directory listing (utils/file-actions.js), JSON
+    // in and out. Only under `/_/`, like /upload, so a folder named `files`
+    // keeps its URLs:
+    //
+    //   POST /_/files/new        { folder, name }
+    //   POST /_/files/duplicate  { path, name? }
+    //   POST /_/files/rename     { path, name }
+    //   POST /_/files/move       { path, folder }
+    //   POST /_/files/delete     { path }
+    //   POST /_/files/restore    { batch, path? }
+    //
+    // Each answers with the entry's new path and its URL; a restore, with the
+    // paths it put back. Only the main folder is synced, so only its renames
+    // and moves are told to the platform. `GET /_/files/trash` is the trash
+    // page, or with `?format=json` its batches (utils/trash.js).
+    const fileEngine = mount ? null : syncEngine;
+    app.use('/files', express.json({ limit: '64kb' }));
+    app.get('/files/trash', async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/files/')) return next();
+      try {
+        const batches = await listTrash(paths.baseReal);
+        if (req.query.format === 'json') return res.json({ days: TRASH_DAYS, batches });
+        return serveTrashPage(res, base, batches);
+      } catch (error) {
+        console.error('Error reading the trash:', error);
+        return res.status(500).json({ msg: 'Could not read the trash', msgType: 'error' });
+      }
+    });
+    app.post('/files/:action', async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/files/')) return next();
+      const body = req.body || {};
+      const relPath = typeof body.path === 'string' ? body.path.replace(/^\/+|\/+$/g, '') : '';
+      const folderOf = (name) => (path.dirname(name) === '.' ? '' : path.dirname(name));
+      const joinName = (folder, name) => (folder ? `${folder}/${name}` : name);
+      try {
+        let result;
+        switch (req.params.action) {
+          case 'new':
+            result = await createPage(paths, body.folder, body.name, await renderTemplate(baseDir, 'blank', String(body.name || '')), { engine: fileEngine });
+            break;
+          case 'duplicate':
+            result = await duplicateFile(paths, relPath, body.name || null, { engine: fileEngine });
+            break;
+          case 'rename':
+            result = await relocate(paths, relPath, joinName(folderOf(relPath), String(body.name || '')), { engine: fileEngine });
+            break;
+          case 'move': {
+            const folder = typeof body.folder === 'string' ? body.folder.replace(/^\/+|\/+$/g, '') : '';
+            result = await relocate(paths, relPath, joinName(folder, path.basename(relPath)), { engine: fileEngine });
+            break;
+          }
+          case 'delete':
+            await trashEntry(paths, relPath);
+            console.log(`Moved to the trash: ${relPath}`);
+            return res.json({ msg: 'Moved to the trash', msgType: 'success', path: relPath });
+          case 'restore': {
+            const restored = await restoreFromTrash(paths.baseReal, body.batch, relPath || null);
+            console.log(`Restored from the trash: ${restored.join(', ')}`);
+            return res.json({ msg: 'Restored', msgType: 'success', paths: restored });
+          }
+          default:
+            return next();
+        }
+        console.log(`File ${req.params.action}: ${relPath || result}${relPath && relPath !== result ? ` → ${result}` : ''}`);
+        return res.json({ msg: 'Done', msgType: 'success', path: result, href: `${base}/${encodePathSegments(result)}` });
+      } catch (error) {
+        if (!error.status) console.error(`Error in file ${req.params.action} for ${relPath}:`, error);
+        return res.status(error.status || 500).json({ msg: error.message, msgType: 'error' });
+      }
+    });
+
+    // New pages from templates (utils/page-templates.js), only under `/_/`:
+    //
+    //   GET  /_/new?folder=           the gallery, or its list with ?format=json
+    //   GET  /_/new/template/:id      a template filled in, for the preview
+    //   POST /_/new  { template, name, folder?, title? }
+    //
+    // The POST answers like /_/files/new, with the page's path and its URL.
+    app.use('/new', express.json({ limit: '64kb' }));
+    app.get(/^\/new\/?$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/new')) return next();
+      try {
+        const templates = (await listTemplates(baseDir)).map(({ id, name, builtIn }) => ({ id, name, builtIn }));
+        if (req.query.format === 'json') return res.json({ templates });
+        const folder = typeof req.query.folder === 'string' ? req.query.folder.replace(/^\/+|\/+$/g, '') : '';
+        return serveNewPagePage(res, base, folder, templates);
+      } catch (error) {
+        console.error('Error listing page templates:', error);
+        return res.status(500).send('Error listing page templates');
+      }
+    });
+
+    app.get('/new/template/:id', async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/new/')) return next();
+      try {
+        const html = await renderTemplate(baseDir, req.params.id, `${req.params.id}.html`);
+        // Previewed in a sandboxed frame; its scripts never run against this host.
+        res.setHeader('Content-Security-Policy', 'sandbox');
+        return res.type('html').send(html);
+      } catch (error) {
+        if (!error.status) console.error(`Error previewing template ${req.params.id}:`, error);
+        return res.status(error.status || 500).send(error.status ? error.message : 'Error previewing the template');
+      }
+    });
+
+    app.post(/^\/new\/?$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/new')) return next();
+      const body = req.body || {};
+      try {
+        const result = await createFromTemplate(paths, baseDir, {
+          template: typeof body.template === 'string' ? body.template : 'blank',
+          name: body.name,
+          folder: body.folder,
+          title: body.title
+        }, { engine: fileEngine });
+        console.log(`New page from the ${body.template || 'blank'} template: ${result}`);
+        return res.json({ msg: 'Created', msgType: 'success', path: result, href: `${base}/${encodePathSegments(result)}` });
+      } catch (error) {
+        if (!error.status) console.error(`Error creating a page from template ${body.template}:`, error);
+        return res.status(error.status || 500).json({ msg: error.message, msgType: 'error' });
+      }
+    });
+
+    // Full-text search over the folder's documents (utils/search-index.js),
+    // only under `/_/`: `/_/search?q=` is the results page, and with
+    // `&format=json` the same results as data.
+    app.get(/^\/search\/?$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/search')) return next();
+      const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      try {
+        const { total, results } = await searchDocuments(baseDir, query);
+        const found = results.map((result) => ({ ...result, href: `${base}/${encodePathSegments(result.path)}` }));
+        if (req.query.format === 'json') return res.json({ query, total, results: found });
+        return serveSearchPage(res, base, query, total, found);
+      } catch (error) {
+        console.error('Error searching documents:', error);
+        return res.status(500).send('Error searching documents');
+      }
+    });
+
     app.get('/data-loss', async (req, res) => {
       const resolved = await resolveGuardFile(req);
       if (!resolved) return res.json({ event: null });
@@ -1017,9 +1443,9 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
         // Resolving the guard writes through this app, not an external editor.
         // Mark it so the file watcher doesn't treat the revert/restore as a fresh
         // change and re-run the guard (which would raise a spurious new event).
-        liveSync.markBrowserSave(resolved.name);
+        live.markBrowserSave(resolved.name);
         // Revert/restore changed the on-disk file — morph view-mode tabs.
-        liveSync.broadcast(resolved.name, { html: formatted, sender: 'server-save' }, { lane: 'saved' });
+        live.broadcast(resolved.name, { html: formatted, sender: 'server-save' }, { lane: 'saved' });
         try { await writeApiSidecar(baseDir, resolved.name, formatted); } catch {}
         const tailwindName = getTailwindCssName(formatted);
         if (tailwindName) {
@@ -1080,10 +1506,14 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
       }
 
       // Cache hit: a pure read, so it needs no queue slot.
+      let cached = null;
       try {
-        const css = await fs.readFile(cssPath, 'utf8');
-        return res.send(css);
+        cached = await fs.readFile(cssPath, 'utf8');
       } catch {}
+      if (cached !== null) {
+        await setValidators(res, cached);
+        return res.send(cached);
+      }
 
       // Cache miss: this is a read-modify-write of a derived artifact, so it
       // belongs in the SOURCE file's critical section like every other derived
@@ -1103,6 +1533,7 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
           console.log(`Auto-generated Tailwind CSS: tailwindcss/${name}.css`);
           return compiled;
         });
+        await setValidators(res, css);
         return res.send(css);
       } catch {
         return res.send('');
@@ -1126,26 +1557,541 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
       } catch (error) {
         return res.status(error.status || 400).json({ error: error.message });
       }
+      // `?schema`: the JSON Schema of that data instead, the page's own or the
+      // one its rules imply.
+      if (req.query.schema !== undefined) {
+        let html;
+        try {
+          html = await fs.readFile(sourcePath, 'utf8');
+        } catch {
+          return res.status(404).json({ error: 'Site content not found', message: 'The site exists but has no content' });
+        }
+        try {
+          const found = await schemaForPage(html);
+          if (!found) {
+            return res.status(400).json({ error: 'No api rules tag', message: 'This page has no rules tag with data-rules-name~="api".' });
+          }
+          res.setHeader('X-Schema-Source', found.explicit ? 'explicit' : 'inferred');
+          return res.json(found.schema);
+        } catch (error) {
+          return res.status(400).json({ error: 'Malformed schema', message: error.message });
+        }
+      }
+      // `?format=csv` or `ndjson`: the data as a table, see sendDataTable.
+      const { format } = req.query;
+      if (format !== undefined && format !== 'json' && !TABLE_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'Unknown format', message: `format is json, ${TABLE_FORMATS.join(' or ')}.` });
+      }
       try {
-        return sendApiResult(res, await serveSiteApiLocal(baseDir, name, { sourcePath }));
+        const result = await serveSiteApiLocal(baseDir, name, { sourcePath });
+        if (TABLE_FORMATS.includes(format) && result.status === 200) return await sendDataTable(res, name, result, req.query);
+        return await sendApiResult(res, result);
       } catch (error) {
         console.error('Site API endpoint error:', error);
         return res.status(500).json({ error: 'Internal server error', message: 'An unexpected error occurred' });
       }
     });
 
-    // `/_/api` or `/_/api/` with no file → index.html's data (parity nicety).
+    // PATCH `/_/api/<name>.html` — write-back: the JSON body laid onto the page
+    // through its api rules (patchSiteApiLocal), then saved the way /save saves,
+    // in the same critical section. Answers with the page's full new data.
+    app.patch(/^\/api\/(.+)\.(html|htmlclay)$/, express.json({ limit: SAVE_MAX_BYTES }), async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/api/')) return next();
+      const name = `${req.params[0]}.${req.params[1]}`;
+      let filePath;
+      try {
+        filePath = await resolveWriteTarget(paths, name);
+      } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+      }
+      if (isKnownPath && !isKnownPath(name, filePath)) {
+        return res.status(409).json({ error: 'This file has been moved or deleted.' });
+      }
+      if (!isJsonContentType(req.headers['content-type'])) {
+        return res.status(415).json({ error: 'Unsupported media type', message: 'Send the data as application/json.' });
+      }
+      try {
+        const result = await withFileLock(filePath, async () => {
+          let html;
+          try {
+            html = await fs.readFile(filePath, 'utf8');
+          } catch {
+            return { status: 404, json: { error: 'Site content not found', message: 'The site exists but has no content' } };
+          }
+          const patched = await patchSiteApiLocal(html, req.body);
+          if (patched.status) return patched;
+          const content = formatHtml(scopeTailwindLink(name, patched.html));
+          // As on a first /save, the page as it was is kept as a version too.
+          const backupName = name.replace(/\.(html|htmlclay)$/, '');
+          const versions = await fs.readdir(path.join(baseDir, 'sites-versions', backupName)).catch(() => []);
+          if (!versions.length) await createBackup(baseDir, backupName, html);
+          await publishDocument(name, filePath, content, 'This page\'s data was updated');
+          console.log(`Updated data: ${name}`);
+          return { status: 200, json: patched.data };
+        });
+        return await sendApiResult(res, result);
+      } catch (error) {
+        console.error('Site API write error:', error);
+        errorLogger.error('Server', `Data API write error: ${name}`, error);
+        return res.status(500).json({ error: 'Internal server error', message: 'An unexpected error occurred' });
+      }
+    });
+
+    // `/_/api` or `/_/api/` with no file → index.html's data (parity nicety),
+    // or with `?match=<glob>` the data of every document it names
+    // (serveCollectionApiLocal in utils/data-api.js).
     app.get(/^\/api\/?$/, async (req, res, next) => {
       if (!req.originalUrl.startsWith('/_/api')) return next();
       try {
+        if (req.query.match !== undefined) {
+          const result = await serveCollectionApiLocal(baseDir, req.query, { resolve: (name) => resolveWriteTarget(paths, name) });
+          if (result.status === 200) {
+            result.json.documents = result.json.documents.map(({ path: name, data }) => ({ path: name, href: `${base}/${encodePathSegments(name)}`, data }));
+          }
+          return await sendApiResult(res, result);
+        }
         const sourcePath = await resolveWriteTarget(paths, 'index.html');
-        return sendApiResult(res, await serveSiteApiLocal(baseDir, 'index.html', { sourcePath }));
+        return await sendApiResult(res, await serveSiteApiLocal(baseDir, 'index.html', { sourcePath }));
       } catch (error) {
         console.error('Site API endpoint error:', error);
         return res.status(500).json({ error: 'Internal server error', message: 'An unexpected error occurred' });
       }
     });
 
+    // `/_/versions/<name>.html` — the document's saved versions from
+    // sites-versions/, which validateSegments keeps off every other lane. Gated on
+    // req.originalUrl like /_/api, so a user's real `versions/` folder is still
+    // served on the bare path. The listing works for a document that no longer
+    // exists, since getting a deleted file back is half of what it is for.
+    const versionUrl = (name, version) =>
+      `${base}/_/versions/${encodePathSegments(name)}${version ? `/${encodeURIComponent(version)}` : ''}`;
+
+    app.use('/versions', express.json({ limit: '64kb' }));
+
+    // `/_/versions/<name>.html/tags` — named tags on saved versions. GET lists
+    // them; POST `{label, version}` points a label at a version, moving it if it
+    // already names another. `/tags/<label>` finds a version by its label: GET
+    // redirects to it, DELETE removes the label. Registered before the
+    // single-version route, which would take `tags` as a version name.
+    app.get(/^\/versions\/(.+?\.(?:html|htmlclay))\/tags\/?$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      const name = req.params[0];
+      try {
+        await resolveWriteTarget(paths, name);
+        const tags = await listTags(baseDir, name);
+        return res.json({
+          file: name,
+          tags: tags.map((tag) => ({ ...tag, url: versionUrl(name, tag.version) }))
+        });
+      } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    app.post(/^\/versions\/(.+?\.(?:html|htmlclay))\/tags\/?$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      const name = req.params[0];
+      const { label, version } = req.body || {};
+      try {
+        await resolveWriteTarget(paths, name);
+        const tag = await tagVersion(baseDir, name, version, label);
+        console.log(`Tagged: ${name} ${tag.version} as "${tag.label}"`);
+        return res.json({ msg: 'Tagged', msgType: 'success', ...tag, url: versionUrl(name, tag.version) });
+      } catch (error) {
+        if (!error.status) console.error(`Error tagging ${name}:`, error);
+        return res.status(error.status || 500).json({ msg: error.message, msgType: 'error' });
+      }
+    });
+
+    app.get(/^\/versions\/(.+?\.(?:html|htmlclay))\/tags\/([^/]+)$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      const name = req.params[0];
+      try {
+        await resolveWriteTarget(paths, name);
+        const tag = (await listTags(baseDir, name)).find((entry) => entry.label === req.params[1]);
+        if (!tag) throw new PathError(404, 'Tag not found');
+        return res.redirect(302, versionUrl(name, tag.version));
+      } catch (error) {
+        return next(error);
+      }
+    });
+
+    app.delete(/^\/versions\/(.+?\.(?:html|htmlclay))\/tags\/([^/]+)$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      const name = req.params[0];
+      try {
+        await resolveWriteTarget(paths, name);
+        if (!(await untagVersion(baseDir, name, req.params[1]))) throw new PathError(404, 'Tag not found');
+        return res.json({ msg: 'Tag removed', msgType: 'success', label: req.params[1] });
+      } catch (error) {
+        if (!error.status) console.error(`Error untagging ${name}:`, error);
+        return res.status(error.status || 500).json({ msg: error.message, msgType: 'error' });
+      }
+    });
+
+    // `/_/versions/<name>.html/diff?from=&to=` — a line diff between two saves,
+    // or a save and the live file. Each side is a version name or `current`.
+    // `to` defaults to `current`; `from` defaults to the save just before `to`,
+    // or the newest save when `to` is the live file, so following the link from
+    // one row of the history answers "what did this save change".
+    // `format=json` returns the hunks, `format=patch` a unified diff as text.
+    // Registered before the single-version route, which would take `diff` as a
+    // version name and 404 it.
+    app.get(/^\/versions\/(.+?\.(?:html|htmlclay))\/diff$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      const wantsJson = req.query.format === 'json';
+      const name = req.params[0];
+      try {
+        await resolveWriteTarget(paths, name);
+        const to = typeof req.query.to === 'string' && req.query.to ? req.query.to : 'current';
+        let from = typeof req.query.from === 'string' && req.query.from ? req.query.from : null;
+        if (!from) {
+          const versions = await listVersions(baseDir, name);
+          const index = to === 'current' ? -1 : versions.findIndex((entry) => entry.name === to);
+          if (to !== 'current' && index === -1) throw new PathError(404, 'Version not found');
+          const previous = versions[index + 1];
+          if (!previous) throw new PathError(404, 'No earlier version to compare with');
+          from = previous.name;
+        }
+
+        const readSide = async (side) => {
+          if (side === 'current') {
+            validateSegments(name);
+            return (await fs.readFile(await resolveReadPath(paths, name))).toString('utf8');
+          }
+          return (await readVersion(baseDir, name, side)).toString('utf8');
+        };
+        const diff = diffLines(await readSide(from), await readSide(to));
+        const hunks = toHunks(diff.ops);
+
+        if (req.query.format === 'patch') {
+          res.set('Content-Type', 'text/plain; charset=utf-8');
+          return res.send(formatUnified(hunks, `${name}@${from}`, `${name}@${to}`));
+        }
+        if (wantsJson) {
+          return res.json({
+            file: name,
+            from,
+            to,
+            added: diff.added,
+            removed: diff.removed,
+            approximate: diff.approximate,
+            hunks
+          });
+        }
+        return serveDiffPage(res, {
+          name,
+          from,
+          to,
+          diff,
+          hunks,
+          view: req.query.view === 'split' ? 'split' : 'unified',
+          historyUrl: versionUrl(name),
+          diffUrl: `${versionUrl(name)}/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`
+        });
+      } catch (error) {
+        if (wantsJson && error.status) return res.status(error.status).json({ error: error.message });
+        return next(error);
+      }
+    });
+
+    // One version, read-only. Registered before the listing because version
+    // names end in `.html` too, and the listing's pattern would swallow them.
+    // `sandbox` with no allow-scripts means the old document renders but none of
+    // its code runs, and its origin is opaque, so even a page that tried to save
+    // itself would send `Origin: null` and be refused by the gate above rather
+    // than overwrite the live file.
+    app.get(/^\/versions\/(.+?\.(?:html|htmlclay))\/([^/]+)$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      try {
+        const name = req.params[0];
+        await resolveWriteTarget(paths, name);
+        const bytes = await readVersion(baseDir, name, req.params[1]);
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.set('Content-Security-Policy', 'sandbox');
+        res.set('X-Content-Type-Options', 'nosniff');
+        return res.send(bytes);
+      } catch (error) {
+        return next(error);
+      }
+    });
+
+    app.get(/^\/versions\/(.+?\.(?:html|htmlclay))\/?$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      const wantsJson = req.query.format === 'json';
+      const name = req.params[0];
+      let versions;
+      const tagsByVersion = new Map();
+      try {
+        // Name check + containment only; the document need not exist.
+        await resolveWriteTarget(paths, name);
+        versions = await listVersions(baseDir, name);
+        try {
+          for (const tag of await listTags(baseDir, name)) {
+            if (!tagsByVersion.has(tag.version)) tagsByVersion.set(tag.version, []);
+            tagsByVersion.get(tag.version).push(tag.label);
+          }
+        } catch (error) {
+          // An unreadable tags file still leaves the history browsable.
+          console.error(`[BACKUP] Could not read tags for ${name}:`, error.message);
+        }
+      } catch (error) {
+        if (wantsJson && error.status) return res.status(error.status).json({ error: error.message });
+        return next(error);
+      }
+
+      // Tagged versions are listed first, then the rest; newest first within
+      // each. Neighbours for the "changes" link are taken before reordering.
+      const rows = versions.map((entry, index) => ({
+        entry,
+        newest: index === 0,
+        previous: versions[index + 1] || null,
+        tags: tagsByVersion.get(entry.name) || []
+      }));
+      rows.sort((a, b) => (b.tags.length > 0) - (a.tags.length > 0));
+
+      if (wantsJson) {
+        return res.json({
+          file: name,
+          versions: rows.map(({ entry, tags }) => ({
+            name: entry.name,
+            at: new Date(entry.at).toISOString(),
+            bytes: entry.bytes,
+            tags,
+            url: versionUrl(name, entry.name)
+          }))
+        });
+      }
+      return serveVersionsPage(res, base, name, rows.map(({ entry, newest, previous, tags }) => ({
+        name: entry.name,
+        when: new Date(entry.at).toLocaleString(),
+        bytes: entry.bytes,
+        newest,
+        tags: tags.map((label) => ({ label, url: `${versionUrl(name)}/tags/${encodeURIComponent(label)}` })),
+        url: versionUrl(name, entry.name),
+        // The oldest save has nothing before it to show changes against.
+        changesUrl: previous
+          ? `${versionUrl(name)}/diff?to=${encodeURIComponent(entry.name)}`
+          : null,
+        compareUrl: `${versionUrl(name)}/diff?from=${encodeURIComponent(entry.name)}&to=current`
+      })), `${versionUrl(name)}/tags`);
+    });
+
+    // Put bytes the server made (a restored version, a data API write) back as
+    // the live file. The same publication steps as /save: the bytes become the
+    // newest version, the derived artifacts follow them, and open tabs hear about
+    // it, `msg` telling edit-mode tabs why, unless the bytes did not change. The
+    // caller holds filePath's lock.
+    //
+    // The file watcher still sees the write and queues it, so with sync on a
+    // restore uploads like any other local edit; the mark below only stops the
+    // watcher repeating the notifications sent here.
+    async function publishDocument(name, filePath, content, msg) {
+      let prevContent = null;
+      try { prevContent = await fs.readFile(filePath, 'utf8'); } catch {}
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await createBackup(baseDir, name.replace(/\.(html|htmlclay)$/, ''), content);
+      await atomicWriteFile(filePath, content);
+
+      live.markBrowserSave(name);
+      if (content !== prevContent) {
+        live.broadcast(name, { html: content, sender: 'server-save' }, { lane: 'saved' });
+        // The mark above also silences the watcher's "changed on disk" toast,
+        // and edit-mode tabs ignore the saved lane, so tell them directly: an
+        // edit tab left open would otherwise save its old body straight back.
+        live.notify(name, {
+          msgType: 'warning',
+          msg,
+          action: 'reload',
+          persistent: true
+        });
+      }
+
+      const apiData = await refreshDerivedArtifacts(baseDir, name, content);
+      reportSchemaViolations(name, content, apiData)
+        .catch(err => console.error('[schema] publish check error:', err && err.message ? err.message : err));
+
+      // Choosing a version, or writing a page's data through its API, is a
+      // deliberate act, so it is a gestured UI save as far as the guard and the
+      // platform are concerned.
+      dataGuard.runDataLossGuard({
+        baseDir, name, newHtml: content, prevContent, prov: dataGuard.provenanceForLocalSave(true), newData: apiData,
+      }).catch(err => console.error('[data-guard] restore guard error:', err && err.message ? err.message : err));
+
+      // Unlike /save this REPLACES the entry: a live-sync snapshot cached
+      // before the write describes the body that was just replaced.
+      snapshots.set(name, { html: null, userDriven: true, timestamp: Date.now() });
+    }
+
+    // Restore one version over the live file, in the same critical section /save
+    // uses.
+    app.post(/^\/versions\/(.+?\.(?:html|htmlclay))\/([^/]+)\/restore$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      const name = req.params[0];
+      const version = req.params[1];
+
+      let filePath;
+      try {
+        filePath = await resolveWriteTarget(paths, name);
+      } catch (error) {
+        return res.status(error.status || 400).json({ msg: error.message, msgType: 'error' });
+      }
+
+      if (isKnownPath && !isKnownPath(name, filePath)) {
+        return res.status(409).json({
+          msg: 'This file has been moved or deleted. Please refresh the page.',
+          msgType: 'error'
+        });
+      }
+
+      try {
+        await withFileLock(filePath, async () => {
+          // Read inside the lock, so the bytes published are the bytes checked.
+          const content = (await readVersion(baseDir, name, version)).toString('utf8');
+          await publishDocument(name, filePath, content, 'An earlier version was restored');
+        });
+      } catch (error) {
+        if (!error.status) {
+          console.error(`Error restoring ${name} to ${version}:`, error);
+          errorLogger.error('Server', `Restore error: ${name}`, error);
+        }
+        return res.status(error.status || 500).json({ msg: error.message, msgType: 'error' });
+      }
+
+      console.log(`Restored: ${name} from ${version}`);
+      return res.json({ msg: 'Restored', msgType: 'success', version });
+    });
+
+    // `/_/versions/restore-folder?folder=&at=` — roll every document under a
+    // folder back to its newest version at or before one instant. GET only ever
+    // previews (JSON with format=json, otherwise the page that asks for the
+    // instant); POST previews too unless the body says `dryRun: false`. `folder`
+    // is '' or absent for the whole tree; `at` is anything Date.parse reads, or
+    // epoch ms. Neither pattern can name a document, so this does not shadow
+    // the per-document routes.
+    const parseFolderRestore = (source) => {
+      const folder = String(source.folder || '').replace(/^\/+|\/+$/g, '');
+      if (folder) validateSegments(folder);
+      if (source.at === undefined || source.at === '') return { folder, at: null };
+      const at = typeof source.at === 'number' ? source.at : Date.parse(source.at);
+      if (!Number.isFinite(at)) throw new PathError(400, 'at must be a date and time');
+      return { folder, at };
+    };
+    // Why a restore must leave `file` alone, or null: the same answer the
+    // per-document restore gives. The preview marks such rows `blocked` and
+    // the restore asks again per row, so a row the preview offers is one the
+    // restore writes.
+    const restoreRefusal = async (file) => {
+      let filePath;
+      try {
+        filePath = await resolveWriteTarget(paths, file);
+      } catch (error) {
+        if (!error.status) throw error;
+        return { filePath: null, reason: error.message };
+      }
+      if (isKnownPath && !isKnownPath(file, filePath)) return { filePath, reason: 'This file has been moved or deleted' };
+      return { filePath, reason: null };
+    };
+    const screenPlan = async (plan) => {
+      for (const row of plan) {
+        if (row.action === 'none') continue;
+        const { reason } = await restoreRefusal(row.file);
+        if (reason) Object.assign(row, { action: 'blocked', reason });
+      }
+      return plan;
+    };
+    const describePlan = (folder, at, plan) => ({
+      folder,
+      at: new Date(at).toISOString(),
+      documents: plan.map((row) => ({
+        ...row,
+        versionAt: row.versionAt === null ? null : new Date(row.versionAt).toISOString(),
+        url: row.version ? versionUrl(row.file, row.version) : null
+      }))
+    });
+
+    app.get(/^\/versions\/restore-folder\/?$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      const wantsJson = req.query.format === 'json';
+      try {
+        const { folder, at } = parseFolderRestore(req.query);
+        if (wantsJson && at === null) throw new PathError(400, 'at is required');
+        const plan = at === null ? null : describePlan(folder, at, await screenPlan(await planFolderRestore(baseDir, folder, at)));
+        if (wantsJson) return res.json(plan);
+        return serveFolderRestorePage(res, base, folder, req.query.at || '', plan);
+      } catch (error) {
+        if (wantsJson && error.status) return res.status(error.status).json({ error: error.message });
+        return next(error);
+      }
+    });
+
+    app.post(/^\/versions\/restore-folder\/?$/, async (req, res, next) => {
+      if (!req.originalUrl.startsWith('/_/versions/')) return next();
+      let folder;
+      let at;
+      try {
+        ({ folder, at } = parseFolderRestore(req.body || {}));
+        if (at === null) throw new PathError(400, 'at is required');
+      } catch (error) {
+        return res.status(error.status || 400).json({ msg: error.message, msgType: 'error' });
+      }
+
+      let plan;
+      try {
+        plan = await screenPlan(await planFolderRestore(baseDir, folder, at));
+      } catch (error) {
+        return next(error);
+      }
+      if (!req.body || req.body.dryRun !== false) {
+        return res.json({ dryRun: true, ...describePlan(folder, at, plan) });
+      }
+
+      const restored = [];
+      const unchanged = [];
+      const failed = [];
+      for (const row of plan) {
+        if (row.action === 'none') continue;
+        try {
+          const { filePath, reason } = await restoreRefusal(row.file);
+          if (reason) throw new PathError(409, reason);
+          // Each document under its own lock, choosing its version again inside
+          // it: the preview may be stale by the time this runs.
+          const outcome = await withFileLock(filePath, async () => {
+            const entry = await versionAt(baseDir, row.file, at);
+            if (!entry) return null;
+            const content = await readVersion(baseDir, row.file, entry.name);
+            let live = null;
+            try { live = await fs.readFile(filePath); } catch {}
+            if (live && live.equals(content)) return { version: entry.name, changed: false };
+            await publishDocument(row.file, filePath, content.toString('utf8'), 'An earlier version was restored');
+            return { version: entry.name, changed: true };
+          });
+          if (!outcome) continue;
+          (outcome.changed ? restored : unchanged).push({ file: row.file, version: outcome.version });
+        } catch (error) {
+          if (!error.status) {
+            console.error(`Error restoring ${row.file}:`, error);
+            errorLogger.error('Server', `Folder restore error: ${row.file}`, error);
+          }
+          failed.push({ file: row.file, error: error.message });
+        }
+      }
+
+      console.log(`Restored ${restored.length} document(s) under /${folder} to ${new Date(at).toISOString()}`);
+      return res.status(failed.length && !restored.length ? 500 : 200).json({
+        msg: failed.length
+          ? `Restored ${restored.length} document(s); ${failed.length} failed`
+          : `Restored ${restored.length} document(s)`,
+        msgType: failed.length ? 'warning' : 'success',
+        folder,
+        at: new Date(at).toISOString(),
+        restored,
+        unchanged,
+        failed
+      });
+    });
+
     // `<name>.html?data={...}` — query-driven extraction (parity with
     // extractSiteData). Intercepts a GET that carries ?data= before the static
     // catch-all serves the raw HTML; a no-data GET passes straight through.
@@ -1168,7 +2114,7 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
         return res.status(error.status || 400).json({ error: error.message });
       }
       try {
-        return sendApiResult(res, await extractSiteDataLocal(baseDir, name, req.query.data, { sourcePath }));
+        return await sendApiResult(res, await extractSiteDataLocal(baseDir, name, req.query.data, { sourcePath }));
       } catch (error) {
         console.error('Data endpoint error:', error);
         return res.status(500).json({ error: 'Internal server error', message: 'An unexpected error occurred' });
@@ -1201,6 +2147,52 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
     // Static file serving with SPA routing support
     // URLs with .html/.htmlclay extension: everything after the extension is a SPA route
     // e.g. /blog/app.htmlclay/dashboard → serves blog/app.htmlclay, SPA route: /dashboard
+    // Where a document on the root origin lives on its app's origin, or null.
+    // A document's origin has nothing below its `/`, so a SPA route keeps it
+    // on the root origin.
+    const appOriginUrl = async (req, name, spaRoute) => {
+      const app = appOfDocument(name, () => false, takenLabels);
+      if (!app || (app.kind === 'document' && spaRoute)) return null;
+      const at = await appAt(paths.baseReal, app.label, takenLabels);
+      if (!at || at.kind !== app.kind) return null;
+      const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      const rest = `${app.rest}${spaRoute || ''}`.slice(1);
+      return `${req.protocol}://${hostFor(req.headers.host, app.label)}/${encodePathSegments(rest)}${search}`;
+    };
+
+    // A page opened on the root origin moves to its app's own, or it would
+    // run with the storage every other app shares. Only a browser navigation
+    // moves: a script fetching the raw HTML gets it here.
+    const serveDocument = async (req, res, name, realPath, spaRoute) => {
+      if (isolateOrigins && !req.appOrigin && !req.lanDevice && req.method === 'GET' && /text\/html/.test(req.headers.accept || '')) {
+        const moved = await appOriginUrl(req, name, spaRoute);
+        if (moved) return res.redirect(302, moved);
+      }
+      return await serveHtml(res, realPath);
+    };
+
+    // The folder's index page in place of its listing, when index pages are on
+    // for it and neither `?listing` nor `?format=json` asked for the listing.
+    // False otherwise.
+    const serveIndexPage = async (req, res, urlPath) => {
+      if (Object.prototype.hasOwnProperty.call(req.query, 'listing') || req.query.format === 'json') return false;
+      for (const candidate of indexPageCandidates(indexPages, urlPath.slice(1))) {
+        const realPath = await readablePage(candidate);
+        if (!realPath) continue;
+        // `/blog` moves to `/blog/`, so the page's relative links resolve
+        // inside its folder. Relative, so it holds under a prefix or on an
+        // app origin alike.
+        if (!urlPath.endsWith('/')) {
+          const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+          res.redirect(302, `${encodeURIComponent(path.basename(urlPath))}/${search}`);
+          return true;
+        }
+        await serveDocument(req, res, candidate, realPath);
+        return true;
+      }
+      return false;
+    };
+
     app.use(async (req, res, next) => {
       try {
         // A request that arrived under the reserved `/_/` marker and reached the static
@@ -1217,9 +2209,10 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
         // A malformed `%` throws URIError, which decodeOnce turns into a 400.
         const urlPath = decodeOnce(req.path);
 
-        // Root always shows directory listing
+        // The root shows the directory listing, unless it has an index page.
         if (urlPath === '/') {
-          return await serveDirListing(res, paths.baseReal, paths.baseReal);
+          if (await serveIndexPage(req, res, urlPath)) return;
+          return await serveDirListing(req, res, paths.baseReal, paths.baseReal, listingOptions(req));
         }
 
         const requestedPath = urlPath.substring(1);
@@ -1235,7 +2228,7 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
           const realPath = await resolveReadPath(paths, htmlMatch[1]);
           const stats = await fs.stat(realPath);
           if (stats.isDirectory()) throw new PathError(404, 'File not found');
-          return await serveHtml(res, realPath);
+          return await serveDocument(req, res, htmlMatch[1], realPath, htmlMatch[2]);
         }
 
         // No HTML extension in URL — serve static files or directory listings.
@@ -1244,7 +2237,12 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
         const realPath = await resolveReadPath(paths, requestedPath);
         const stats = await fs.stat(realPath);
         if (stats.isDirectory()) {
-          return await serveDirListing(res, realPath, paths.baseReal);
+          if (await serveIndexPage(req, res, urlPath)) return;
+          // Listings are a tool of the root origin, like the versions pages.
+          if (req.appOrigin) {
+            return res.redirect(302, `${req.protocol}://${hostFor(req.headers.host, null)}${req.originalUrl}`);
+          }
+          return await serveDirListing(req, res, realPath, paths.baseReal, listingOptions(req));
         }
         // An SVG is a document: it can carry <script>, and served inline from
         // this origin it runs with the same authority as the page beside it.
@@ -1257,16 +2255,51 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
           res.setHeader('Content-Disposition', 'attachment');
           res.setHeader('X-Content-Type-Options', 'nosniff');
         }
+        // An upload or any other file: sendFile answers a conditional request
+        // from these validators itself.
+        await setFileValidators(res, realPath, stats);
         return res.sendFile(realPath);
       } catch (error) {
         return next(error);
       }
     });
 
+    // A site page that answers for an error: the SPA fallback for a missing
+    // route, else the nearest 404.html or _error.html. False when the site has
+    // none.
+    const sendSitePage = async (req, res, status) => {
+      let relPath = '';
+      try {
+        relPath = decodeOnce(req.path).slice(1);
+      } catch {
+        // A malformed path still gets the root's _error.html.
+      }
+
+      const fallback = status === 404 && spaFallbackFor(spaFallbacks, relPath);
+      const fallbackPath = fallback && await readablePage(fallback);
+      if (fallbackPath) {
+        await serveHtml(res, fallbackPath);
+        return true;
+      }
+
+      for (const candidate of errorPageCandidates(relPath, status)) {
+        const realPath = await readablePage(candidate);
+        if (!realPath) continue;
+        const html = renderErrorPage(await fs.readFile(realPath, 'utf8'), {
+          status,
+          path: `${base}/${relPath}`,
+          message: errorMessage(status)
+        });
+        res.status(status).type('html').send(html);
+        return true;
+      }
+      return false;
+    };
+
     // A4: honor err.status and res.headersSent. This used to force a 500 on
     // every failure, including a client-aborted sendFile, where it then threw
     // again setting headers on an already-sent response.
-    app.use((err, req, res, next) => {
+    app.use(async (err, req, res, next) => {
       const status = err.status || err.statusCode ||
         (err.code === 'ENOENT' || err.code === 'ENOTDIR' ? 404 : 500);
 
@@ -1278,71 +2311,302 @@ function createApp(baseDir, devHooks = null, isKnownPath = null) {
         errorLogger.error('Server', `Unhandled error: ${req.method} ${req.path}`, err);
       }
 
-      const body = status === 404 ? 'File not found'
-        : status === 403 ? 'Access denied'
-        : status === 400 ? 'Bad request'
-        : 'Internal server error';
-      res.status(status).send(body);
+      // Pages, not the system routes: a script calling /_/save wants the
+      // plain answer it has always had.
+      const isPageRequest = (req.method === 'GET' || req.method === 'HEAD') &&
+        !req.fromSystemRoute && !req.originalUrl.startsWith('/_/');
+      if (isPageRequest) {
+        try {
+          if (await sendSitePage(req, res, status)) return;
+        } catch (pageError) {
+          console.error('[Server] Could not serve the site error page (non-fatal):', pageError.message);
+          if (res.headersSent) return;
+        }
+      }
+
+      res.status(status).send(errorMessage(status));
     });
 
   return app;
 }
 
-function startServer(baseDir, devHooks = null, isKnownPath = null) {
-  return new Promise((resolve, reject) => {
-    if (server) {
-      return reject(new Error('Server is already running'));
+// The request handler when extra folders are mounted beside the main one (see
+// utils/mounts.js). Each folder is a whole createApp; this only decides which
+// one a request is for and hands it over with the URL that app would have seen
+// had it been served alone. In order:
+//
+//   - a `<name>.localhost` Host is that subdomain mount, or nothing;
+//   - a path under `/<prefix>/` is that prefix mount, with the prefix removed;
+//   - a root-absolute request whose page lives under a prefix (Document-URL or
+//     Page-URL, as a header or in the query, or failing those the Referer of a
+//     `/_/` request) is that mount, with the page address made mount-relative;
+//   - anything else is the main folder.
+//
+// With `isolateOrigins`, a `<name>.localhost` Host that is no mount may be one
+// of the main folder's apps (utils/app-origins.js): its URLs are mapped onto
+// the main folder's paths and it goes to the main app.
+function createMountedApp(baseDir, mounts, devHooks = null, isKnownPath = null, { isolateOrigins = false, spaFallbacks = new Map(), cleanUrls = false, indexPages = new Set() } = {}) {
+  const takenLabels = new Set([...RESERVED_ROOT_SEGMENTS, ...mounts.map((mount) => mount.namespace)]);
+  const main = createApp(baseDir, devHooks, isKnownPath, { isolateOrigins, takenLabels, spaFallbacks, cleanUrls, indexPages });
+  const apps = new Map(mounts.map((mount) => [mount, createApp(mount.folder, null, null, {
+    mount,
+    cleanUrls,
+    spaFallbacks: spaFallbacksForMount(spaFallbacks, mount),
+    indexPages: indexPagesForMount(indexPages, mount)
+  })]));
+
+  return async (req, res) => {
+    const queryAt = req.url.indexOf('?');
+    const pathname = queryAt === -1 ? req.url : req.url.slice(0, queryAt);
+    const search = queryAt === -1 ? '' : req.url.slice(queryAt);
+
+    const subdomain = subdomainOf(req.headers.host);
+    if (subdomain !== null) {
+      const mount = mounts.find((candidate) => candidate.subdomain === subdomain);
+      if (mount) return apps.get(mount)(req, res);
+      const app = isolateOrigins ? await appAt(baseDir, subdomain, takenLabels) : null;
+      if (!app) {
+        res.statusCode = 404;
+        return res.end('File not found');
+      }
+      enterAppOrigin(app, req, pathname, search);
+      return main(req, res);
     }
 
-    if (!snapshotCleanupTimer) {
-      snapshotCleanupTimer = setInterval(() => {
-        const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
-        for (const [key, entry] of pendingSnapshots) {
-          if (entry.timestamp < fiveMinutesAgo) pendingSnapshots.delete(key);
-        }
-      }, 60 * 1000);
+    const split = splitPrefix(mounts, pathname);
+    if (split) {
+      if (!split.rest) {
+        res.writeHead(302, { Location: `${pathname}/${search}` });
+        return res.end();
+      }
+      req.url = `${split.rest}${search}`;
+      return apps.get(split.mount)(req, res);
     }
 
-    app = createApp(baseDir, devHooks, isKnownPath);
+    const mount = routeByDocument(mounts, req, pathname, search);
+    return mount ? apps.get(mount)(req, res) : main(req, res);
+  };
+}
 
-    // Start the server
-    server = app.listen(PORT, 'localhost', (err) => {
-      if (err) {
-        server = null;
-        return reject(err);
-      }
-      console.log(`Hyperclay Local Server running on http://localhost:${PORT}`);
-      console.log(`Serving files from: ${baseDir}`);
+const DOCUMENT_URL_FIELDS = ['document-url', 'page-url'];
+
+// Rewrite a request on an app's origin to what the main app would see on the
+// root one: the path, the `/_/api` path that names a document, and every page
+// address the routes read. Other `/_/` routes carry no document path, and the
+// tool pages (versions, listings) are linked on the root origin.
+function enterAppOrigin(app, req, pathname, search) {
+  let target = pathname;
+  if (/^\/_\/api\/?$/.test(pathname)) {
+    target = `/_/api${toMainPath(app, app.kind === 'folder' ? '/index.html' : '/')}`;
+  } else if (pathname.startsWith('/_/api/')) {
+    target = `/_/api${toMainPath(app, pathname.slice('/_/api'.length))}`;
+  } else if (!pathname.startsWith('/_/')) {
+    target = toMainPath(app, pathname);
+  }
 
-      // A5: one retention sweep at startup, so a folder that has been accumulating
-      // versions for months gets trimmed even if nothing is saved this session.
-      pruneAllVersions(baseDir)
-        .then(({ sites, deleted }) => {
-          if (deleted) console.log(`[BACKUP] Startup prune: removed ${deleted} version(s) across ${sites} site(s)`);
-        })
-        .catch(err => console.error('[BACKUP] Startup prune failed (non-fatal):', err && err.message ? err.message : err));
+  const toMain = (href) => {
+    try {
+      const url = new URL(href, `http://${req.headers.host}`);
+      url.pathname = toMainPath(app, url.pathname);
+      return /^[a-z][a-z0-9+.-]*:/i.test(href) ? url.href : `${url.pathname}${url.search}${url.hash}`;
+    } catch {
+      return href;
+    }
+  };
+  const query = new URLSearchParams(search);
+  for (const field of DOCUMENT_URL_FIELDS) {
+    if (typeof req.headers[field] === 'string') req.headers[field] = toMain(req.headers[field]);
+    if (query.has(field)) query.set(field, toMain(query.get(field)));
+  }
+  const addressed = DOCUMENT_URL_FIELDS.some((field) => query.has(field));
+  req.url = `${target}${addressed ? `?${query}` : search}`;
+  req.appOrigin = app.label;
+}
 
-      resolve();
-    });
+// The prefix mount a root-absolute request's page lives under, or null. Every
+// page address naming that mount is rewritten in place, headers and query
+// alike, since the routes resolve the document from whichever one they read.
+function routeByDocument(mounts, req, pathname, search) {
+  const query = new URLSearchParams(search);
+  const addresses = [
+    ...DOCUMENT_URL_FIELDS.map((field) => ({ value: req.headers[field], set: (href) => { req.headers[field] = href; } })),
+    ...DOCUMENT_URL_FIELDS.map((field) => ({ value: query.get(field), set: (href) => query.set(field, href) }))
+  ];
+
+  let mount = null;
+  for (const address of addresses) {
+    if (typeof address.value !== 'string') continue;
+    const rewritten = rewriteDocumentUrl(mounts, address.value);
+    if (!rewritten || (mount && rewritten.mount !== mount)) continue;
+    mount = rewritten.mount;
+    address.set(rewritten.href);
+  }
+  if (mount) {
+    if (DOCUMENT_URL_FIELDS.some((field) => query.has(field))) req.url = `${pathname}?${query}`;
+    return mount;
+  }
 
-    // Track connections for proper cleanup
-    server.on('connection', (connection) => {
-      connections.add(connection);
-      connection.on('close', () => {
-        connections.delete(connection);
-      });
+  if (pathname.startsWith('/_/') && typeof req.headers.referer === 'string') {
+    const fromReferer = rewriteDocumentUrl(mounts, req.headers.referer);
+    if (fromReferer) return fromReferer.mount;
+  }
+  return null;
+}
+
+// The port and address to listen on, from settings. Anything unusable falls
+// back to the default with a log line rather than failing the start. The
+// address must be a loopback one: every route trusts that only this machine
+// can reach it, and the Host check would refuse anyone else anyway.
+function resolveListenOptions({ port: wantedPort, host } = {}) {
+  let resolvedPort = DEFAULT_PORT;
+  if (wantedPort !== undefined && wantedPort !== null) {
+    if (Number.isInteger(wantedPort) && wantedPort >= 0 && wantedPort <= 65535) {
+      resolvedPort = wantedPort;
+    } else {
+      console.warn(`[SERVER] Ignoring serverPort ${JSON.stringify(wantedPort)}: not a port number`);
+    }
+  }
+  let resolvedHost = DEFAULT_HOST;
+  if (host !== undefined && host !== null) {
+    if (isLoopbackHostname(host) && !/\.localhost$/i.test(host)) {
+      resolvedHost = host.replace(/^\[(.*)\]$/, '$1');
+    } else {
+      console.warn(`[SERVER] Ignoring serverHost ${JSON.stringify(host)}: only loopback addresses are supported`);
+    }
+  }
+  return { port: resolvedPort, host: resolvedHost };
+}
+
+// `tls` is `{ key, cert }` to serve HTTPS, or null for plain http.
+function listenOnce(app, candidatePort, host, tls = null) {
+  return new Promise((resolve, reject) => {
+    const candidate = (tls ? https.createServer(tls, app) : http.createServer(app)).listen(candidatePort, host);
+    const onError = (err) => reject(err);
+    candidate.once('error', onError);
+    candidate.once('listening', () => {
+      candidate.removeListener('error', onError);
+      resolve(candidate);
     });
+  });
+}
 
-    server.on('error', (err) => {
-      errorLogger.error('Server', 'Server error', err);
-      server = null;
-      connections.clear();
-      reject(err);
+// Bind the configured port, or the first free one after it. Only "in use"
+// moves on; any other failure (a privileged port, a bad address) is the
+// answer. Port 0 asks the OS for any free port, so there is nothing to retry.
+async function listenWithFallback(app, { port: firstPort, host }, tls = null) {
+  const attempts = firstPort === 0 ? 1 : Math.min(PORT_ATTEMPTS, 65536 - firstPort);
+  for (let i = 0; ; i++) {
+    try {
+      return await listenOnce(app, firstPort + i, host, tls);
+    } catch (err) {
+      if (err.code !== 'EADDRINUSE' || i + 1 >= attempts) throw err;
+      console.warn(`[SERVER] Port ${firstPort + i} is in use, trying ${firstPort + i + 1}`);
+    }
+  }
+}
+
+// `options` holds `port`, `host`, `mounts`, `isolateOrigins`, `spaFallbacks`,
+// `cleanUrls` and `indexPages`, as they appear in settings.json, and `https`:
+// the folder to keep certificates in (utils/local-ca.js) to serve over HTTPS,
+// or null for plain http.
+async function startServer(baseDir, devHooks = null, isKnownPath = null, options = {}) {
+  if (server || app) {
+    throw new Error('Server is already running');
+  }
+
+  if (!snapshotCleanupTimer) {
+    snapshotCleanupTimer = setInterval(() => {
+      const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
+      for (const [key, entry] of pendingSnapshots) {
+        if (entry.timestamp < fiveMinutesAgo) pendingSnapshots.delete(key);
+      }
+    }, 60 * 1000);
+  }
+
+  const mounts = normalizeMounts(options.mounts, baseDir, new Set([...SYSTEM_ROUTES, ...RESERVED_ROOT_SEGMENTS]));
+  const isolateOrigins = options.isolateOrigins === true;
+  const spaFallbacks = normalizeSpaFallbacks(options.spaFallbacks);
+  const cleanUrls = options.cleanUrls === true;
+  const indexPages = normalizeIndexPages(options.indexPages);
+  app = mounts.length || isolateOrigins
+    ? createMountedApp(baseDir, mounts, devHooks, isKnownPath, { isolateOrigins, spaFallbacks, cleanUrls, indexPages })
+    : createApp(baseDir, devHooks, isKnownPath, { spaFallbacks, cleanUrls, indexPages });
+
+  const listen = resolveListenOptions(options);
+  try {
+    let tls = null;
+    if (options.https) {
+      // Every `*.localhost` name served goes on the certificate, including an
+      // app folder made while the server runs.
+      tls = await liveCertificates(options.https, async () => [
+        ...mounts.filter((mount) => mount.subdomain).map((mount) => mount.subdomain),
+        ...(isolateOrigins ? await appLabels(baseDir, new Set([...RESERVED_ROOT_SEGMENTS, ...mounts.map((mount) => mount.namespace)])) : [])
+      ].map((label) => `${label}.localhost`));
+    }
+    server = await listenWithFallback(app, listen, tls);
+    serverTls = tls;
+    protocol = tls ? 'https' : 'http';
+  } catch (err) {
+    errorLogger.error('Server', 'Server error', err);
+    app = null;
+    throw err;
+  }
+
+  port = server.address().port;
+  if (listen.port !== 0 && port !== listen.port) {
+    console.log(`[SERVER] Port ${listen.port} was taken; using ${port} instead`);
+  }
+  console.log(`Hyperclay Local Server running on ${getServerOrigin()}`);
+  console.log(`Serving files from: ${baseDir}`);
+  for (const mount of mounts) {
+    const at = mount.prefix ? `${getServerOrigin()}/${mount.prefix}/` : `${protocol}://${mount.subdomain}.localhost:${port}/`;
+    console.log(`Serving files from: ${mount.folder} at ${at}`);
+  }
+
+  // Track connections for proper cleanup
+  server.on('connection', (connection) => {
+    connections.add(connection);
+    connection.on('close', () => {
+      connections.delete(connection);
     });
   });
+
+  server.on('error', (err) => {
+    errorLogger.error('Server', 'Server error', err);
+    server = null;
+    app = null;
+    connections.clear();
+  });
+
+  // A5: one retention sweep at startup, so a folder that has been accumulating
+  // versions for months gets trimmed even if nothing is saved this session.
+  for (const folder of [baseDir, ...mounts.map((mount) => mount.folder)]) {
+    pruneAllVersions(folder)
+      .then(({ sites, deleted }) => {
+        if (deleted) console.log(`[BACKUP] Startup prune: removed ${deleted} version(s) across ${sites} site(s) in ${folder}`);
+      })
+      .catch(err => console.error('[BACKUP] Startup prune failed (non-fatal):', err && err.message ? err.message : err));
+  }
+
+  // Trash older than TRASH_DAYS goes at startup and then once a day.
+  const expireTrash = () => {
+    for (const folder of [baseDir, ...mounts.map((mount) => mount.folder)]) {
+      canonicalizeBase(folder)
+        .then((folderReal) => purgeExpiredTrash(folderReal))
+        .then((removed) => {
+          if (removed) console.log(`[SERVER] Emptied ${removed} day(s) of trash older than ${TRASH_DAYS} days in ${folder}`);
+        })
+        .catch(err => console.error('[SERVER] Trash expiry failed (non-fatal):', err && err.message ? err.message : err));
+    }
+  };
+  expireTrash();
+  trashExpiryTimer = setInterval(expireTrash, 24 * 60 * 60 * 1000);
+
+  return port;
 }
 
 function stopServer() {
+  stopLanSharing();
   return new Promise((resolve) => {
     if (server) {
       console.log('Stopping server...');
@@ -1351,6 +2615,11 @@ function stopServer() {
         clearInterval(snapshotCleanupTimer);
         snapshotCleanupTimer = null;
       }
+      if (trashExpiryTimer) {
+        clearInterval(trashExpiryTimer);
+        trashExpiryTimer = null;
+      }
+      flushSearchIndexes().catch(() => {});
 
       // Force close all active connections
       for (const connection of connections) {
@@ -1375,8 +2644,67 @@ function stopServer() {
   });
 }
 
+// Share the running server on the LAN address, on the same port, with every
+// request gated on a paired device. `storePath` is where paired devices are
+// kept; the registry is loaded once and outlives sharing being turned off, so
+// devices can still be listed and revoked.
+async function startLanSharing(storePath = null) {
+  if (!server || !app) throw new Error('Start the server first');
+  if (!lanAccess) lanAccess = createLanAccess(storePath);
+  if (lanServer) return getLanSharing();
+
+  const address = lanAddress();
+  if (!address) throw new Error('No local network connection found');
+  const lanHost = `${address}:${port}`;
+  // Over HTTPS whenever the loopback server is, so a device's cookie never
+  // crosses the network in the clear. The certificate names only localhost
+  // (the CA may sign nothing else), so a device warns once before going on.
+  lanServer = await listenOnce(lanGate(lanAccess, lanHost, app, { secure: Boolean(serverTls) }), port, address, serverTls);
+  lanServer.on('connection', (connection) => {
+    lanConnections.add(connection);
+    connection.on('close', () => lanConnections.delete(connection));
+  });
+  console.log(`[LAN] Sharing on ${protocol}://${lanHost}`);
+  return getLanSharing();
+}
+
+function stopLanSharing() {
+  if (!lanServer) return Promise.resolve();
+  const closing = lanServer;
+  lanServer = null;
+  for (const connection of lanConnections) connection.destroy();
+  lanConnections.clear();
+  console.log('[LAN] Sharing stopped');
+  return new Promise((resolve) => closing.close(() => resolve()));
+}
+
+// `{ url, devices }` while sharing, or null.
+function getLanSharing() {
+  if (!lanServer) return null;
+  const { address, port: lanPort } = lanServer.address();
+  return { url: `${protocol}://${address}:${lanPort}`, devices: lanAccess.devices() };
+}
+
+// A one-time link that pairs one device, with `access` 'edit' or 'view'.
+function issuePairingLink(access = 'edit') {
+  const sharing = getLanSharing();
+  if (!sharing) throw new Error('LAN sharing is off');
+  const { code, expiresAt } = lanAccess.issuePairingCode(access);
+  return { url: `${sharing.url}/_/pair?code=${code}`, access, expiresAt };
+}
+
+function revokeLanDevice(id) {
+  return lanAccess ? lanAccess.revoke(id) : false;
+}
+
+// `https://localhost:4321`, or http, as the server is running now.
+function getServerOrigin() {
+  return `${protocol}://localhost:${port}`;
+}
+
+// The port the server is bound to, or last was; the default before any start.
 function getServerPort() {
-  return PORT;
+  return port;
 }
 
 function isServerRunning() {
@@ -1427,39 +2755,97 @@ function addWordBreaks(name) {
   return result;
 }
 
-async function serveDirListing(res, dirPath, baseDir) {
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+}
+
+// What the listing shows for `dirPath`, as plain data: the page renders it
+// and `?format=json` returns it, so other tools see exactly what the page
+// does. Folders come first, then files, each by name; the page re-sorts on
+// the client.
+//
+// `linkApp(relPath, hasFolder)` gives an HTML document's link on its app's
+// origin, or null for the usual one (see createApp's appLinker).
+// `syncStatusOf(relPath)` is where a file stands with the platform (see
+// utils/sync-status.js), or null for a folder that is not synced.
+async function listingData(dirPath, baseDir, { base = '', linkApp = null, syncStatusOf = null } = {}) {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  const displayPath = path.relative(baseDir, dirPath);
+
+  // `sites-versions` is an internal backup store, not user content — the
+  // listing must not advertise it any more than the catch-all will serve it.
+  const isVisible = (entry) =>
+    !entry.name.startsWith('.') &&
+    !(displayPath === '' && RESERVED_ROOT_SEGMENTS.has(entry.name));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  // A name that vanished between readdir and stat is left out.
+  const describe = async (entry) => {
+    const relPath = displayPath ? `${displayPath}/${entry.name}` : entry.name;
+    let stats;
+    try {
+      stats = await fs.lstat(path.join(dirPath, entry.name));
+    } catch {
+      return null;
+    }
+    return {
+      name: entry.name,
+      path: relPath,
+      url: encodePathSegments(relPath),
+      modifiedAt: stats.mtime.toISOString(),
+      size: stats.size,
+      syncStatus: syncStatusOf ? syncStatusOf(relPath) : null
+    };
+  };
+
+  const folders = (await Promise.all(entries
+    .filter((entry) => entry.isDirectory() && isVisible(entry))
+    .map(describe)))
+    .filter(Boolean)
+    .sort(byName)
+    .map(({ size, url, ...folder }) => ({ ...folder, url, href: `${base}/${url}` }));
+
+  const folderNames = new Set(folders.map((folder) => folder.name));
+  const files = (await Promise.all(entries
+    .filter((entry) => entry.isFile() && isVisible(entry))
+    .map(async (entry) => {
+      const file = await describe(entry);
+      if (!file) return null;
+      const isHtml = /\.html(?:clay)?$/.test(entry.name);
+      return {
+        ...file,
+        isHtml,
+        href: (isHtml && linkApp && linkApp(file.path, (name) => folderNames.has(name))) || `${base}/${file.url}`,
+        versions: isHtml ? await countVersions(baseDir, file.path) : null,
+        versionsUrl: isHtml ? `${base}/_/versions/${file.url}` : null
+      };
+    })))
+    .filter(Boolean)
+    .sort(byName);
+
+  return { path: displayPath, folders, files };
+}
+
+// The listing page, or its data with `?format=json`. `options` is
+// listingData's.
+async function serveDirListing(req, res, dirPath, baseDir, options = {}) {
+  const base = options.base || '';
   try {
-    const entries = await fs.readdir(dirPath, { withFileTypes: true });
-
-    // Get relative path for display
-    const relPath = path.relative(baseDir, dirPath);
-    const displayPath = relPath === '' ? '' : relPath;
-
-    // Sort entries: directories first, then files. `sites-versions` is an
-    // internal backup store, not user content — the listing must not advertise
-    // it any more than the catch-all will serve it.
-    const isVisible = (entry) =>
-      !entry.name.startsWith('.') &&
-      !(displayPath === '' && RESERVED_ROOT_SEGMENTS.has(entry.name));
-
-    const dirs = entries
-      .filter(entry => entry.isDirectory() && isVisible(entry))
-      .map(entry => ({
-        name: entry.name,
-        displayName: addWordBreaks(escapeHtml(entry.name)),
-        path: displayPath ? `${displayPath}/${entry.name}` : entry.name,
-        url: encodePathSegments(displayPath ? `${displayPath}/${entry.name}` : entry.name)
-      }));
+    const listing = await listingData(dirPath, baseDir, options);
+    if (req.query.format === 'json') return res.json(listing);
 
-    const files = entries
-      .filter(entry => entry.isFile() && isVisible(entry))
-      .map(entry => ({
-        name: entry.name,
-        displayName: addWordBreaks(escapeHtml(entry.name)),
-        path: displayPath ? `${displayPath}/${entry.name}` : entry.name,
-        url: encodePathSegments(displayPath ? `${displayPath}/${entry.name}` : entry.name),
-        isHtml: entry.name.endsWith('.html') || entry.name.endsWith('.htmlclay')
-      }));
+    const displayPath = listing.path;
+    const withDisplayName = (entry) => ({ ...entry, displayName: addWordBreaks(escapeHtml(entry.name)) });
+    const dirs = listing.folders.map(withDisplayName);
+    const files = listing.files.map((file) => ({ ...withDisplayName(file), sizeLabel: formatBytes(file.size) }));
 
     // Build breadcrumbs array
     const breadcrumbs = [];
@@ -1471,16 +2857,21 @@ async function serveDirListing(res, dirPath, baseDir) {
         breadcrumbs.push({
           name: part,
           path: '/' + currentPath,
-          url: '/' + encodePathSegments(currentPath)
+          url: `${base}/${encodePathSegments(currentPath)}`
         });
       }
     }
 
     const html = eta.render('directory-listing', {
+      base,
       displayPath,
       dirs,
       files,
-      breadcrumbs
+      breadcrumbs,
+      restoreUrl: `${base}/_/versions/restore-folder?folder=${encodeURIComponent(displayPath)}`,
+      trashUrl: `${base}/_/files/trash`,
+      newPageUrl: `${base}/_/new${displayPath ? `?folder=${encodeURIComponent(displayPath)}` : ''}`,
+      searchUrl: `${base}/_/search`
     });
 
     res.setHeader('Content-Type', 'text/html');
@@ -1492,14 +2883,129 @@ async function serveDirListing(res, dirPath, baseDir) {
   }
 }
 
+// The diff viewer. Unified shows each hunk top to bottom; split pairs removed
+// and added lines side by side.
+function serveDiffPage(res, { name, from, to, diff, hunks, view, historyUrl, diffUrl }) {
+  const html = eta.render('version-diff', {
+    name,
+    from,
+    to,
+    added: diff.added,
+    removed: diff.removed,
+    approximate: diff.approximate,
+    view,
+    historyUrl,
+    unifiedUrl: diffUrl,
+    splitUrl: `${diffUrl}&view=split`,
+    hunks: hunks.map((hunk) => ({
+      header: `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+      lines: hunk.lines,
+      rows: view === 'split' ? toSplitRows(hunk) : null
+    }))
+  });
+  res.setHeader('Content-Type', 'text/html');
+  res.send(html);
+}
+
+// The point-in-time restore page for a folder. `plan` is null until an instant
+// has been chosen; then it is the preview the Apply button commits.
+function serveFolderRestorePage(res, base, folder, atInput, plan) {
+  const html = eta.render('restore-folder', {
+    folder,
+    folderUrl: `${base}/${folder ? encodePathSegments(folder) : ''}`,
+    restoreUrl: `${base}/_/versions/restore-folder`,
+    atInput,
+    plan,
+    changes: plan ? plan.documents.filter((row) => row.action === 'restore' || row.action === 'recreate').length : 0
+  });
+  res.setHeader('Content-Type', 'text/html');
+  res.send(html);
+}
+
+// The trash page: each batch of deletes, newest first, with its entries and
+// a restore button for the batch and for each one.
+function serveTrashPage(res, base, batches) {
+  const html = eta.render('trash', {
+    rootUrl: `${base}/`,
+    filesUrl: `${base}/_/files`,
+    days: TRASH_DAYS,
+    batches: batches.map((batch) => ({
+      ...batch,
+      entries: batch.entries.map((entry) => ({ ...entry, sizeLabel: entry.isFolder ? 'folder' : formatBytes(entry.size) }))
+    }))
+  });
+  res.setHeader('Content-Type', 'text/html');
+  res.send(html);
+}
+
+// The new-page gallery: every template with a preview, and the form that
+// makes a page from the chosen one in `folder`.
+function serveNewPagePage(res, base, folder, templates) {
+  const html = eta.render('new-page', {
+    folder,
+    folderUrl: `${base}/${folder ? encodePathSegments(folder) : ''}`,
+    newUrl: `${base}/_/new`,
+    templates: templates.map((template) => ({ ...template, previewUrl: `${base}/_/new/template/${encodeURIComponent(template.id)}` }))
+  });
+  res.setHeader('Content-Type', 'text/html');
+  res.send(html);
+}
+
+// `text` cut into the runs that match one of `terms` and those between, for
+// the template to mark up without trusting the text as HTML.
+function highlightParts(text, terms) {
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!escaped.length) return [{ text, match: false }];
+  return text.split(new RegExp(`(${escaped.join('|')})`, 'i'))
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}
+
+// The search results page. `results` arrive best first with their URLs.
+function serveSearchPage(res, base, query, total, results) {
+  const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+  const html = eta.render('search', {
+    query,
+    total,
+    rootUrl: `${base}/`,
+    searchUrl: `${base}/_/search`,
+    results: results.map((result) => ({ ...result, parts: highlightParts(result.snippet, terms) }))
+  });
+  res.setHeader('Content-Type', 'text/html');
+  res.send(html);
+}
+
+// The history page for one document. `versions` arrive in display order and
+// already carry their display time and URLs; the template only lays them out.
+function serveVersionsPage(res, base, name, versions, tagsUrl) {
+  const folder = path.dirname(name);
+  const html = eta.render('versions', {
+    name,
+    documentUrl: `${base}/${encodePathSegments(name)}`,
+    folderUrl: `${base}/${folder === '.' ? '' : encodePathSegments(folder)}`,
+    tagsUrl,
+    versions
+  });
+  res.setHeader('Content-Type', 'text/html');
+  res.send(html);
+}
+
 module.exports = {
   startServer,
   stopServer,
   getServerPort,
+  getServerOrigin,
   isServerRunning,
+  startLanSharing,
+  stopLanSharing,
+  getLanSharing,
+  issuePairingLink,
+  revokeLanDevice,
   getAndClearSnapshot,  // For sync engine to get cached snapshot HTML for platform sync
   // Exported for testing
   createApp,
+  createMountedApp,
+  resolveListenOptions,
   resolveResourceFromHref,
   validateAndResolvePath,
   stripSystemRouteMarker,
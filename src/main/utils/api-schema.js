@@ -0,0 +1,192 @@
+// The shape a page's `/_/api` data is meant to have, as a JSON Schema, and a
+// check of the data against it. A page can state its schema in a tag of its
+// own beside the rules tag:
+//
+//   <script type="application/schema+json" data-schema-for="api">
+//   { "type": "object", "required": ["price"],
+//     "properties": { "price": { "type": "number", "minimum": 0 } } }
+//   </script>
+//
+// Without one, the schema is inferred from the rules: every key they name is
+// required, a text rule (`.price`) must find its element, a list (`.tag[]`,
+// `[".row", {...}]`) may be empty, and a property rule (`a@href`) may read
+// null, since a missing attribute is a normal state. So the inferred schema
+// catches the usual breakage, an edit that removed or renamed an element the
+// rules still point at.
+//
+// Only the keywords a page's data can use are checked: type, enum, const,
+// properties, required, additionalProperties (false), items, minItems,
+// maxItems, minLength, maxLength, pattern, minimum and maximum. Data read from
+// a page is text, so `number` and `integer` also take a string that reads as
+// one, and minimum / maximum compare its value.
+
+const cheerio = require('cheerio');
+const { extractViaTag, rulesViaTag } = require('./data-extractor');
+
+const RULES_NAME = 'api';
+const ANY_SCALAR = ['string', 'number', 'boolean', 'null'];
+
+/** The JSON Schema the rules `rules` imply for the data they extract. */
+function inferSchema(rules) {
+  if (typeof rules === 'string') {
+    const list = rules.endsWith('[]');
+    const item = rules.includes('@') ? { type: ANY_SCALAR } : { type: 'string' };
+    return list ? { type: 'array', items: item } : item;
+  }
+  if (Array.isArray(rules)) {
+    return { type: 'array', items: inferSchema(rules[1]) };
+  }
+  if (rules && typeof rules === 'object') {
+    const properties = {};
+    for (const [key, rule] of Object.entries(rules)) properties[key] = inferSchema(rule);
+    return { type: 'object', properties, required: Object.keys(properties) };
+  }
+  return {};
+}
+
+const numeric = (value) => (typeof value === 'number'
+  ? value
+  : typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : null);
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'string': return typeof value === 'string';
+    case 'number': return numeric(value) !== null;
+    case 'integer': return numeric(value) !== null && Number.isInteger(numeric(value));
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+const describe = (value) => (value === null ? 'null' : Array.isArray(value) ? 'a list' : typeof value === 'object' ? 'an object' : JSON.stringify(value));
+
+function check(schema, value, at, violations) {
+  if (!schema || typeof schema !== 'object') return;
+  const fail = (message) => violations.push({ path: at || '(root)', message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => typeMatches(type, value))) {
+      return fail(value === null || value === undefined
+        ? 'is missing'
+        : `should be ${types.join(' or ')}, not ${describe(value)}`);
+    }
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`should be ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    fail(`should be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`should be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`should be at most ${schema.maxLength} characters`);
+    if (typeof schema.pattern === 'string') {
+      let pattern = null;
+      try { pattern = new RegExp(schema.pattern, 'u'); } catch {}
+      if (pattern && !pattern.test(value)) fail(`should match ${schema.pattern}`);
+    }
+  }
+  const number = numeric(value);
+  if (number !== null) {
+    if (schema.minimum !== undefined && number < schema.minimum) fail(`should be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && number > schema.maximum) fail(`should be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`should have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, i) => check(schema.items, item, `${at}[${i}]`, violations));
+    }
+  } else if (value !== null && typeof value === 'object') {
+    const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    const childPath = (key) => (at ? `${at}.${key}` : key);
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!(key in value)) violations.push({ path: childPath(key), message: 'is missing' });
+    }
+    for (const [key, sub] of Object.entries(properties)) {
+      if (key in value) check(sub, value[key], childPath(key), violations);
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in properties)) violations.push({ path: childPath(key), message: 'is not in the schema' });
+      }
+    }
+  }
+}
+
+/** Every way `data` breaks `schema`, as `{ path, message }`; [] when it fits. */
+function validateData(schema, data) {
+  const violations = [];
+  check(schema, data, '', violations);
+  return violations;
+}
+
+// The page's own schema tag, parsed. undefined when it has none; throws when
+// it is not valid JSON.
+function explicitSchema(html) {
+  // Most pages state none, and a scan is far cheaper than a parse.
+  if (!/application\/schema\+json/i.test(html)) return undefined;
+  const tag = cheerio.load(html)(`script[type="application/schema+json"][data-schema-for~="${RULES_NAME}"]`).first();
+  if (!tag.length) return undefined;
+  try {
+    return JSON.parse(tag.text());
+  } catch (error) {
+    throw new Error(`The schema tag is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * The page's schema: `{ schema, explicit }`, or null when it has no api rules
+ * tag. Throws when its rules tag or its schema tag will not parse.
+ */
+async function schemaForPage(html) {
+  const rules = await rulesViaTag(html, RULES_NAME);
+  if (!rules) return null;
+  const explicit = explicitSchema(html);
+  return explicit === undefined ? { schema: inferSchema(rules), explicit: false } : { schema: explicit, explicit: true };
+}
+
+/**
+ * Check a page's data against its schema: `{ explicit, violations }`, or null
+ * when the page has no api rules tag. A rules or schema tag that will not
+ * parse is itself the one violation. `data` is the page's data when the caller
+ * has already extracted it.
+ */
+async function checkPageData(html, data) {
+  let rules;
+  try {
+    rules = await rulesViaTag(html, RULES_NAME);
+  } catch (error) {
+    return { explicit: false, violations: [{ path: '(rules)', message: error.message }] };
+  }
+  if (!rules) return null;
+  let explicit;
+  try {
+    explicit = explicitSchema(html);
+  } catch (error) {
+    return { explicit: true, violations: [{ path: '(schema)', message: error.message }] };
+  }
+  const schema = explicit === undefined ? inferSchema(rules) : explicit;
+  if (data === undefined) data = await extractViaTag(html, RULES_NAME);
+  return { explicit: explicit !== undefined, violations: validateData(schema, data) };
+}
+
+/** One line for a person: `price is missing, title should be string (and 2 more)`. */
+function summarizeViolations(violations, shown = 3) {
+  const listed = violations.slice(0, shown).map(({ path, message }) => `${path} ${message}`).join(', ');
+  return violations.length > shown ? `${listed} (and ${violations.length - shown} more)` : listed;
+}
+
+module.exports = {
+  inferSchema,
+  validateData,
+  schemaForPage,
+  checkPageData,
+  summarizeViolations
+};
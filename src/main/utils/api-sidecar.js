@@ -129,7 +129,9 @@ async function writeApiSidecarData(baseDir, name, data) {
 
 // Extract the api rules from html, then write/refresh the bare file (or remove it).
 // A malformed / unknown-version tag can't yield valid data, so delete any stale
-// file rather than keep serving outdated data. Non-fatal.
+// file rather than keep serving outdated data. Non-fatal. Returns the extracted
+// data, so the save's other steps need not parse the page again, or undefined
+// when extraction failed.
 async function writeApiSidecar(baseDir, name, html) {
   let data;
   try {
@@ -137,9 +139,10 @@ async function writeApiSidecar(baseDir, name, html) {
   } catch (e) {
     console.error('writeApiSidecar extract failed (non-fatal):', e && e.message ? e.message : e);
     await writeApiSidecarData(baseDir, name, null);
-    return;
+    return undefined;
   }
   await writeApiSidecarData(baseDir, name, data);
+  return data;
 }
 
 // Remove the sidecar if present. Non-fatal.
@@ -168,6 +171,7 @@ async function readFreshSidecar(baseDir, name, sourceMtimeMs) {
 }
 
 module.exports = {
+  SIDECAR_DIR,
   sidecarRelPath,
   resolveSidecarPath,
   resolveSidecarWritePath,
@@ -0,0 +1,113 @@
+// One origin per app, opt-in with `"isolateOrigins": true` in settings.json.
+// Every page served from localhost:4321 shares one origin, so two unrelated
+// apps share localStorage, cookies and service workers. With isolation on,
+// each top-level folder and each top-level document of the main folder is
+// also an origin of its own:
+//
+//   blog/post.html  ->  http://blog.localhost:4321/post.html
+//   notes.html      ->  http://notes.localhost:4321/
+//
+// A top-level name has to be a DNS label (lowercase letters, digits, dashes)
+// to get one; anything else stays on the root origin. A folder takes the name
+// over a document with the same stem, and a subdomain mount over both.
+//
+// Only addressing changes. Versions, liveSync channels and the data-loss
+// guard still know a document by its path in the main folder, so the sync
+// engine sees nothing different. The dispatcher (server.createMountedApp)
+// maps an app origin's URLs back onto those paths before the main app sees
+// the request.
+
+const fs = require('fs').promises;
+const path = require('upath');
+const { LABEL } = require('./mounts');
+
+/**
+ * The app a document belongs to, and where it sits on that app's origin:
+ * `blog/post.html` -> `{ label: 'blog', kind: 'folder', rest: '/post.html' }`,
+ * `notes.html` -> `{ label: 'notes', kind: 'document', rest: '/' }`.
+ * `hasFolder(label)` says whether a top-level folder of that name exists;
+ * `taken` holds names that are not apps (reserved ones, subdomain mounts).
+ * Null when the document stays on the root origin.
+ */
+function appOfDocument(relPath, hasFolder, taken = new Set()) {
+  const slash = relPath.indexOf('/');
+  if (slash !== -1) {
+    const label = relPath.slice(0, slash);
+    if (!LABEL.test(label) || taken.has(label)) return null;
+    return { label, kind: 'folder', rest: relPath.slice(slash) };
+  }
+  const match = /^(.+)\.html$/.exec(relPath);
+  if (!match || !LABEL.test(match[1]) || taken.has(match[1]) || hasFolder(match[1])) return null;
+  return { label: match[1], kind: 'document', rest: '/' };
+}
+
+/**
+ * What `<label>.localhost` names in the main folder: a top-level folder, else
+ * a top-level `<label>.html`, else nothing (null).
+ */
+async function appAt(baseDir, label, taken = new Set()) {
+  if (!LABEL.test(label) || taken.has(label)) return null;
+  const isKind = async (name, check) => {
+    try {
+      return check(await fs.stat(path.join(baseDir, name)));
+    } catch {
+      return false;
+    }
+  };
+  if (await isKind(label, (stats) => stats.isDirectory())) return { label, kind: 'folder' };
+  if (await isKind(`${label}.html`, (stats) => stats.isFile())) return { label, kind: 'document' };
+  return null;
+}
+
+/**
+ * Every label with an app origin in the main folder right now, for naming
+ * them up front (the HTTPS certificate does).
+ */
+async function appLabels(baseDir, taken = new Set()) {
+  let entries;
+  try {
+    entries = await fs.readdir(baseDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const labels = new Set();
+  for (const entry of entries) {
+    const label = entry.isDirectory() ? entry.name : (entry.isFile() && /^(.+)\.html$/.exec(entry.name) || [])[1];
+    if (label && LABEL.test(label) && !taken.has(label)) labels.add(label);
+  }
+  return [...labels];
+}
+
+/**
+ * A path on an app's origin, as the main folder knows it: `/post.html` on
+ * blog.localhost is `/blog/post.html`, and `/` on notes.localhost is
+ * `/notes.html`. A document's origin serves the rest of the main folder as
+ * is, so its pages' relative assets keep resolving.
+ */
+function toMainPath(app, pathname) {
+  if (app.kind === 'folder') return `/${app.label}${pathname}`;
+  return pathname === '/' ? `/${app.label}.html` : pathname;
+}
+
+/**
+ * The Host for `label`'s origin on the same port as `hostHeader`; the root
+ * origin's when `label` is null.
+ */
+function hostFor(hostHeader, label) {
+  let port = '';
+  try {
+    port = new URL(`http://${hostHeader}`).port;
+  } catch {
+    // No usable Host: the default port is the best guess.
+  }
+  const hostname = label ? `${label}.localhost` : 'localhost';
+  return port ? `${hostname}:${port}` : hostname;
+}
+
+module.exports = {
+  appOfDocument,
+  appAt,
+  appLabels,
+  toMainPath,
+  hostFor
+};
@@ -16,6 +16,7 @@ const {
 } = require('./prune-versions');
 const { withFileLock } = require('./write-queue');
 const { canonicalizeBase, rebaseOntoCanonical, assertRealDirChain } = require('./real-dir-chain');
+const { compactVersion } = require('./version-store');
 
 /**
  * Generate a backup timestamp: LOCAL wall time plus the signed UTC offset in
@@ -102,9 +103,10 @@ async function planVersionName(dir, candidateDate) {
     } catch {}
   }
 
+  let newest = null;
   if (committed.length) {
     committed.sort(compareNewestFirst);
-    const newest = committed[0];
+    newest = committed[0];
     const newestInstant = sortKey(newest);
     if (candidateDate.getTime() <= newestInstant) {
       stamp = versionStamp(newest.name);
@@ -113,7 +115,7 @@ async function planVersionName(dir, candidateDate) {
     }
   }
 
-  return { stamp, suffix, reuseInstant };
+  return { stamp, suffix, reuseInstant, newest: newest && path.join(dir, newest.name) };
 }
 
 /**
@@ -131,6 +133,9 @@ async function planVersionName(dir, candidateDate) {
  *
  * H5 (never mis-ranked): planVersionName picks a name that sorts strictly after
  * every committed version even across a clock rollback.
+ *
+ * Also resolves `superseded`, the path of the version that was newest until
+ * now (null for the first), for the chunked store to compact.
  */
 async function publishVersion(dir, ext, content, encoding) {
   return await withFileLock(dir, async () => {
@@ -146,6 +151,7 @@ async function publishVersion(dir, ext, content, encoding) {
       }
 
       const plan = await planVersionName(dir, new Date());
+      const superseded = plan.newest;
       let { stamp, reuseInstant } = plan;
       let suffix = plan.suffix;
 
@@ -168,7 +174,7 @@ async function publishVersion(dir, ext, content, encoding) {
         const full = path.join(dir, filename);
         try {
           await fs.link(tempPath, full);
-          return { filename, full };
+          return { filename, full, superseded };
         } catch (error) {
           if (error.code === 'EEXIST') { suffix += 1; continue; }
           if (LINK_UNSUPPORTED.has(error.code)) {
@@ -177,7 +183,7 @@ async function publishVersion(dir, ext, content, encoding) {
             // the only property lost vs link is no-replace exclusivity, which the
             // per-history withFileLock(dir) already provides.
             await fs.rename(tempPath, full);
-            return { filename, full };
+            return { filename, full, superseded };
           }
           throw error;
         }
@@ -220,6 +226,18 @@ function maybePrune(baseDir, siteVersionsDir) {
     });
 }
 
+// With the chunked store on (version-store.js), the version a save just
+// superseded is rewritten as a manifest under the history's lock, the one the
+// publisher and the pruner take. Off the caller's critical path, and never able
+// to fail a save.
+function compactLater(baseDir, siteVersionsDir, superseded) {
+  if (!superseded) return;
+  withFileLock(siteVersionsDir, () => compactVersion(baseDir, superseded))
+    .catch((error) => {
+      console.error('[BACKUP] Compaction failed (non-fatal):', error && error.message ? error.message : error);
+    });
+}
+
 /**
  * Create a backup of a file
  * @param {string} baseDir - Base directory (sync folder or server folder)
@@ -246,10 +264,11 @@ async function createBackup(baseDir, siteName, content, emit, logger = null) {
     // Publish atomically and monotonically: a same-instant burst keeps every
     // version, a crash mid-write never leaves a partial version, and a clock
     // rollback never mis-ranks the newest.
-    const { filename: backupFilename, full: backupPath } =
+    const { filename: backupFilename, full: backupPath, superseded } =
       await publishVersion(siteVersionsDir, '.html', content, 'utf8');
     console.log(`[BACKUP] Created: sites-versions/${siteName}/${backupFilename}`);
 
+    compactLater(baseDir, siteVersionsDir, superseded);
     maybePrune(baseDir, siteVersionsDir);
 
     // Log backup creation
@@ -338,10 +357,11 @@ async function createBinaryBackup(baseDir, uploadPath, content, emit, logger = n
 
     // Same atomic + monotonic publication as the HTML path — a burst of upload
     // syncs collides on the instant just as easily as a burst of saves.
-    const { filename: backupFilename, full: backupPath } =
+    const { filename: backupFilename, full: backupPath, superseded } =
       await publishVersion(uploadVersionsDir, ext, content, null);
     console.log(`[BACKUP] Created: sites-versions/${backupSubdir}/${backupFilename}`);
 
+    compactLater(baseDir, uploadVersionsDir, superseded);
     maybePrune(baseDir, uploadVersionsDir);
 
     // Log backup creation
@@ -0,0 +1,26 @@
+// Addresses without the extension, opt-in with `"cleanUrls": true` in
+// settings.json, the way the hosted platform serves sites:
+//
+//   /blog/post  ->  blog/post.html, else blog/post.htmlclay, else
+//                   blog/post/index.html
+//
+// A path that names a file as written is served as it always was, and a
+// trailing slash still shows the folder. The server maps Page-URL and
+// Document-URL the same way before any system route reads them, so a save
+// from `/blog/post` lands in blog/post.html and both spellings share one
+// liveSync channel.
+
+const HTML_SEGMENT = /\.html(?:clay)?(?:\/|$)/;
+
+/**
+ * The documents to try, in order, for a clean `relPath` (decoded, no leading
+ * slash). Empty when the path already names a document or a folder.
+ */
+function cleanUrlCandidates(relPath) {
+  if (!relPath || relPath.endsWith('/') || HTML_SEGMENT.test(relPath)) return [];
+  return [`${relPath}.html`, `${relPath}.htmlclay`, `${relPath}/index.html`];
+}
+
+module.exports = {
+  cleanUrlCandidates
+};
@@ -11,9 +11,11 @@
 // Callers MUST pass a `name` that already passed validateAndResolvePath.
 const fs = require('fs').promises;
 const path = require('upath');
-const { extractData, extractViaTag, parseExtractionRules } = require('./data-extractor');
+const { extractData, extractViaTag, applyViaTag, parseExtractionRules } = require('./data-extractor');
 const { writeApiSidecarData, deleteApiSidecar, readFreshSidecar } = require('./api-sidecar');
 const { withFileLock } = require('./write-queue');
+const { globToRegExp } = require('./retention-policy');
+const { getLocalFiles } = require('../../sync-engine/file-operations');
 
 // Map an api-tag extraction failure to the platform's author-facing 400 bodies
 // (data-actions.js serveSiteApi). Returns null for an unmapped error → caller
@@ -95,6 +97,65 @@ async function serveSiteApiInLock(baseDir, name, sourcePath) {
   return { status: 200, headers: { 'X-Served-By': 'app-generated' }, json: data };
 }
 
+// Whether every value in `patch` reads back from `data`. Scalars compare as
+// text, since extraction reads the DOM and a number written comes back as one;
+// a cleared scalar (null) reads back as ''.
+function readsBack(patch, data) {
+  if (patch === undefined) return true;
+  if (Array.isArray(patch)) {
+    return Array.isArray(data) && data.length === patch.length && patch.every((item, i) => readsBack(item, data[i]));
+  }
+  if (patch !== null && typeof patch === 'object') {
+    return data !== null && typeof data === 'object' && Object.keys(patch).every((key) => readsBack(patch[key], data[key]));
+  }
+  return String(patch === null ? '' : patch) === String(data === null || data === undefined ? '' : data);
+}
+
+// PATCH /_/api/<name> — `patch` laid onto the page's HTML through its api
+// rules. Only the keys it names change; a list given is the whole new list.
+// Returns `{ html, data }` with the new document and its full data, or a
+// `{ status, json }` result for the caller to send when the page has no api
+// tag or the data does not fit it. The caller owns the lock and the save.
+async function patchSiteApiLocal(html, patch) {
+  if (patch === null || typeof patch !== 'object') {
+    return { status: 400, json: { error: 'Invalid data', message: 'Send the data as a JSON object or array.' } };
+  }
+  let patched;
+  try {
+    patched = await applyViaTag(html, 'api', patch);
+  } catch (err) {
+    const mapped = mapApiTagError(err);
+    if (mapped) return { status: 400, json: mapped };
+    if (err && err.name === 'ShapeMismatch') {
+      return {
+        status: 400,
+        json: { error: 'Data does not fit the api rules', message: err.message, mismatches: err.mismatches }
+      };
+    }
+    if (err && ['EmptyListInsert', 'RuleTargetReadOnly', 'MaxRuleDepthExceeded'].includes(err.name)) {
+      return { status: 400, json: { error: 'Data can not be written to this page', message: err.message } };
+    }
+    throw err; // unmapped → 500
+  }
+  if (patched === null) {
+    return {
+      status: 400,
+      json: { error: 'No api rules tag', message: 'This page has no rules tag with data-rules-name~="api".' }
+    };
+  }
+
+  // Same round-trip check as the data-loss guard's restore: a write the rules
+  // can not read back would leave the page saying something else.
+  const data = await extractViaTag(patched, 'api');
+  if (!readsBack(patch, data)) {
+    return {
+      status: 422,
+      json: { error: 'Data did not round-trip', message: 'The page does not read back the data sent; it was not saved.' }
+    };
+  }
+  return { html: patched, data };
+}
+
 // GET <name>?data={...} — query-driven extraction with relaxed-JSON rules.
 // Note the error discriminators differ from serveSiteApiLocal: this path keys on
 // message.includes('JSON') and has no version-error case (matches the platform).
@@ -154,4 +215,147 @@ async function extractSiteDataLocal(baseDir, name, dataParam, { sourcePath } = {
   }
 }
 
-module.exports = { mapApiTagError, serveSiteApiLocal, extractSiteDataLocal };
+// GET /_/api?match=<glob> — collection mode: the `/_/api` data of every
+// document the glob names, in one response, so a dashboard can list its
+// projects without fetching each page. The glob is the retention one (`*` in
+// one folder, `**` across folders, extension optional), and each document's
+// data comes through serveSiteApiLocal, so it is the same fresh sidecar a
+// single `/_/api/<name>` request would get. Parameters:
+//
+//   match=projects/*             which documents
+//   where[status]=active         keep data whose field equals the value (one
+//                                of them, when repeated; any element, when the
+//                                field is an array)
+//   where[price][lt]=100         ...or compares to it: eq ne lt lte gt gte contains
+//   sort=-price,title            order by fields, `-` for descending
+//   offset=20&limit=10           one page of the results
+//
+// Fields are dotted paths into the data (`owner.name`). Documents without an
+// api rules tag are left out; those whose tag fails go in `skipped`.
+// `resolve(name)` is the caller's phase-4 resolution for each document.
+const OPERATORS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'contains'];
+
+const badQuery = (message) => ({ status: 400, json: { error: 'Invalid collection query', message } });
+
+function valueAt(data, field) {
+  return field.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+// Numbers compare as numbers, everything else as text.
+function compareValues(a, b) {
+  const numA = Number(a);
+  const numB = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(numA) && !Number.isNaN(numB)) return numA - numB;
+  return String(a).localeCompare(String(b));
+}
+
+function testValue(value, operator, expected) {
+  if (value === undefined || value === null || typeof value === 'object') return false;
+  if (operator === 'contains') return String(value).toLowerCase().includes(String(expected).toLowerCase());
+  const order = compareValues(value, expected);
+  return { eq: order === 0, lt: order < 0, lte: order <= 0, gt: order > 0, gte: order >= 0 }[operator];
+}
+
+// An array field matches when any element does; a repeated value when any of
+// them does. `ne` is the opposite of `eq` over both.
+function testCondition(value, operator, expected) {
+  const values = Array.isArray(value) ? value : [value];
+  const wanted = Array.isArray(expected) ? expected : [expected];
+  const any = (op) => values.some((item) => wanted.some((one) => testValue(item, op, one)));
+  return operator === 'ne' ? !any('eq') : any(operator);
+}
+
+// `where` as qs parses it, as a list of { field, operator, expected }.
+function parseWhere(where) {
+  if (where === undefined) return [];
+  if (!where || typeof where !== 'object' || Array.isArray(where)) throw new Error('where must name a field, as where[field]=value');
+  const conditions = [];
+  for (const [field, condition] of Object.entries(where)) {
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      for (const [operator, expected] of Object.entries(condition)) {
+        if (!OPERATORS.includes(operator)) throw new Error(`Unknown operator "${operator}" (use ${OPERATORS.join(', ')})`);
+        conditions.push({ field, operator, expected });
+      }
+    } else {
+      conditions.push({ field, operator: 'eq', expected: condition });
+    }
+  }
+  return conditions;
+}
+
+function parseCount(value, name) {
+  if (value === undefined || value === '') return null;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) throw new Error(`${name} must be a whole number`);
+  return count;
+}
+
+async function serveCollectionApiLocal(baseDir, query, { resolve } = {}) {
+  const { match, where, sort, offset, limit } = query;
+  if (typeof match !== 'string' || !match.trim()) return badQuery('match must be a glob, e.g. match=projects/*');
+  let conditions;
+  let start;
+  let count;
+  try {
+    conditions = parseWhere(where);
+    start = parseCount(offset, 'offset') || 0;
+    count = parseCount(limit, 'limit');
+  } catch (error) {
+    return badQuery(error.message);
+  }
+  if (sort !== undefined && typeof sort !== 'string') return badQuery('sort must be a list of fields, e.g. sort=-price,title');
+  const order = (sort || '').split(',').map((field) => field.trim()).filter(Boolean)
+    .map((field) => (field.startsWith('-') ? { field: field.slice(1), direction: -1 } : { field, direction: 1 }));
+
+  const test = globToRegExp(match);
+  const names = [...(await getLocalFiles(baseDir)).keys()]
+    .filter((name) => test.test(name.replace(/\.(html|htmlclay)$/, '')))
+    .sort((a, b) => a.localeCompare(b));
+
+  const documents = [];
+  const skipped = [];
+  for (const name of names) {
+    let result;
+    try {
+      const sourcePath = resolve ? await resolve(name) : undefined;
+      result = await serveSiteApiLocal(baseDir, name, { sourcePath });
+    } catch (error) {
+      skipped.push({ path: name, error: error.message });
+      continue;
+    }
+    if (result.status === 200) {
+      documents.push({ path: name, data: result.raw !== undefined ? JSON.parse(result.raw) : result.json });
+    } else if (result.json.error !== 'No api rules tag') {
+      skipped.push({ path: name, error: result.json.error });
+    }
+  }
+
+  const kept = documents.filter((document) =>
+    conditions.every(({ field, operator, expected }) => testCondition(valueAt(document.data, field), operator, expected)));
+  if (order.length) {
+    // Stable, so documents that tie keep their path order. Missing values last.
+    kept.sort((a, b) => {
+      for (const { field, direction } of order) {
+        const valueA = valueAt(a.data, field);
+        const valueB = valueAt(b.data, field);
+        if (valueA === valueB) continue;
+        if (valueA === undefined || valueA === null) return 1;
+        if (valueB === undefined || valueB === null) return -1;
+        const compared = compareValues(valueA, valueB);
+        if (compared) return compared * direction;
+      }
+      return 0;
+    });
+  }
+
+  return {
+    status: 200,
+    json: {
+      total: kept.length,
+      documents: kept.slice(start, count === null ? undefined : start + count),
+      skipped
+    }
+  };
+}
+
+module.exports = { mapApiTagError, serveSiteApiLocal, patchSiteApiLocal, extractSiteDataLocal, serveCollectionApiLocal, valueAt };
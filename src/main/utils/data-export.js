@@ -0,0 +1,130 @@
+// A page's `/_/api` data as a table, for spreadsheets and line-by-line tools:
+//
+//   /_/api/tracker.html?format=csv                  the page's rows as CSV
+//   /_/api/tracker.html?format=ndjson               ...or one JSON row per line
+//   /_/api/tracker.html?format=csv&rows=done&columns=title,owner.name
+//
+// The rows are the data itself when it is a list, the list `rows` names
+// (a dotted path), or else the first list in the data; data with no list is
+// one row. Each row is flattened: nested objects become dotted columns
+// (`owner.name`), a list of plain values becomes one `a; b` cell, and a list of
+// objects stays JSON. `columns` picks and orders the columns; by default they
+// are every column in the order the rows first use them.
+//
+// exportFolderCsv writes one CSV per document with data, for the desktop
+// app's bulk export. It resolves each document the way the routes do, so its
+// reads share the file lock a save takes even when the folder is reached
+// through a symlink.
+
+const path = require('upath');
+const { PathError, getConsentRegistry, resolveWritePath, validateSegments } = require('./path-resolver');
+const { atomicWriteFile } = require('./write-queue');
+const { getLocalFiles } = require('../../sync-engine/file-operations');
+const { serveSiteApiLocal, valueAt } = require('./data-api');
+
+const FORMATS = ['csv', 'ndjson'];
+// How a spreadsheet knows a CSV file is UTF-8.
+const CSV_BOM = '\ufeff';
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function flatten(value, prefix, row) {
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (!keys.length && prefix) row[prefix] = '';
+    for (const key of keys) flatten(value[key], prefix ? `${prefix}.${key}` : key, row);
+  } else if (Array.isArray(value)) {
+    row[prefix || 'value'] = value.every((item) => item === null || typeof item !== 'object')
+      ? value.map((item) => (item === null ? '' : String(item))).join('; ')
+      : JSON.stringify(value);
+  } else {
+    row[prefix || 'value'] = value === undefined ? null : value;
+  }
+  return row;
+}
+
+/**
+ * `data` as `{ columns, rows }`, each row a flat object. 400 when `rows` does
+ * not name a list in it.
+ */
+function tableFromData(data, { rows: rowsPath, columns } = {}) {
+  let rows;
+  if (Array.isArray(data)) {
+    rows = data;
+  } else if (rowsPath) {
+    rows = valueAt(data, rowsPath);
+    if (!Array.isArray(rows)) throw new PathError(400, `"${rowsPath}" is not a list in this page's data.`);
+  } else {
+    const firstList = isPlainObject(data) ? Object.values(data).find(Array.isArray) : undefined;
+    rows = firstList || [data];
+  }
+
+  const flat = rows.map((row) => flatten(row, '', {}));
+  const wanted = typeof columns === 'string' ? columns.split(',').map((column) => column.trim()).filter(Boolean) : [];
+  const seen = wanted.length ? wanted : [...new Set(flat.flatMap((row) => Object.keys(row)))];
+  return { columns: seen, rows: flat.map((row) => Object.fromEntries(seen.map((column) => [column, row[column] ?? null]))) };
+}
+
+// A spreadsheet runs a cell that starts like a formula, so text that does is
+// kept as text. A plain negative number is still a number.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** A table as CSV: a header row, then one line per row, CRLF-ended. */
+function toCsv({ columns, rows }) {
+  const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))];
+  return lines.map((cells) => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/** A table as NDJSON: one JSON object per line. */
+function toNdjson({ rows }) {
+  return rows.map((row) => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+}
+
+/**
+ * One CSV for each document in `folder` of the served folder (all of it by
+ * default) that has `/_/api` data, written under `destDir` at the document's
+ * own path: `blog/tracker.html` -> `{destDir}/blog/tracker.csv`.
+ * Returns `{ written, skipped }`, paths relative to `destDir` and the served
+ * folder.
+ */
+async function exportFolderCsv(baseDir, destDir, { folder = '' } = {}) {
+  const prefix = folder ? `${folder.replace(/^\/+|\/+$/g, '')}/` : '';
+  const names = [...(await getLocalFiles(baseDir)).keys()]
+    .filter((name) => name.startsWith(prefix))
+    .sort((a, b) => a.localeCompare(b));
+
+  const written = [];
+  const skipped = [];
+  for (const name of names) {
+    try {
+      validateSegments(name);
+      const sourcePath = await resolveWritePath(getConsentRegistry(baseDir), name);
+      const result = await serveSiteApiLocal(baseDir, name, { sourcePath });
+      if (result.status !== 200) {
+        // A page with no api tag simply has nothing to export.
+        if (result.json.error !== 'No api rules tag') skipped.push({ path: name, error: result.json.error });
+        continue;
+      }
+      const data = result.raw !== undefined ? JSON.parse(result.raw) : result.json;
+      const file = `${name.replace(/\.(html|htmlclay)$/, '')}.csv`;
+      await atomicWriteFile(path.join(destDir, file), CSV_BOM + toCsv(tableFromData(data)));
+      written.push(file);
+    } catch (error) {
+      skipped.push({ path: name, error: error.message });
+    }
+  }
+  return { written, skipped };
+}
+
+module.exports = {
+  FORMATS,
+  CSV_BOM,
+  tableFromData,
+  toCsv,
+  toNdjson,
+  exportFolderCsv
+};
@@ -17,6 +17,7 @@ function loadEngine() {
       import('hyper-html-api/cheerio')
     ]).then(([engine, cheerioAdapterMod]) => ({
       extract: engine.extract,
+      apply: engine.apply,
       findRulesIn: engine.findRulesIn,
       parseRelaxed: engine.parseRelaxed,
       cheerioAdapter: cheerioAdapterMod.default
@@ -38,9 +39,28 @@ async function extractViaTag(html, token) {
   return extract(cheerioAdapter, $.root(), found.rules);
 }
 
+// The rules of the tag carrying `token`, or null when there is none.
+async function rulesViaTag(html, token) {
+  const { findRulesIn, cheerioAdapter } = await loadEngine();
+  const found = findRulesIn(cheerioAdapter, cheerio.load(html).root(), token);
+  return found ? found.rules : null;
+}
+
+// The write half of extractViaTag: `data` laid onto the page through the same
+// tag's rules. Keys left out of `data` are left alone. null when no tag carries
+// the token; the engine's errors (ShapeMismatch, EmptyListInsert, ...) throw.
+async function applyViaTag(html, token, data) {
+  const { apply, findRulesIn, cheerioAdapter } = await loadEngine();
+  const $ = cheerio.load(html);
+  const found = findRulesIn(cheerioAdapter, $.root(), token);
+  if (!found) return null;
+  apply(cheerioAdapter, $.root(), found.rules, data);
+  return $.html();
+}
+
 async function parseExtractionRules(str) {
   const { parseRelaxed } = await loadEngine();
   return parseRelaxed(str);
 }
 
-module.exports = { extractData, extractViaTag, parseExtractionRules };
+module.exports = { extractData, extractViaTag, rulesViaTag, applyViaTag, parseExtractionRules };
@@ -0,0 +1,129 @@
+// Pages a site serves in place of the server's bare error strings, the way
+// the hosted platform lets a site own its error experience.
+//
+// For a failed GET the server looks for a page in the requested folder, then
+// in each parent up to the root: `404.html` for a missing file, and
+// `_error.html` for any error (a missing file included, when no 404.html is
+// found). The page is served with the real status, and these placeholders
+// filled in, HTML-escaped:
+//
+//   {{status}}   404
+//   {{path}}     /blog/missing.html
+//   {{message}}  File not found
+//
+// SPA fallbacks come from `spaFallbacks` in settings.json: a folder, and the
+// document that answers for any path under it that names no file, so a
+// client-side router can take `/blog/dashboard` as well as
+// `/blog/app.htmlclay/dashboard`:
+//
+//   "spaFallbacks": { "blog": "blog/app.htmlclay", "": "index.html" }
+//
+// Mounted folders (mounts.js) follow them by URL: a fallback for a folder at
+// or under a prefix mount's `/<prefix>/` is that mount's, for the same folder
+// of it.
+
+const MESSAGES = {
+  400: 'Bad request',
+  403: 'Access denied',
+  404: 'File not found',
+  500: 'Internal server error'
+};
+
+const HTML_DOCUMENT = /\.html(?:clay)?$/;
+
+/** The plain-text body for a status, as the server has always sent it. */
+function errorMessage(status) {
+  return MESSAGES[status] || MESSAGES[500];
+}
+
+/**
+ * The pages to try for an error at `relPath` (decoded, no leading slash), in
+ * order: nearest folder first, `404.html` before `_error.html` in each.
+ */
+function errorPageCandidates(relPath, status) {
+  const names = status === 404 ? ['404.html', '_error.html'] : ['_error.html'];
+  const segments = relPath.split('/').filter(Boolean);
+  // The last segment is the missing file, unless the path names a folder.
+  if (!relPath.endsWith('/')) segments.pop();
+
+  const candidates = [];
+  for (let depth = segments.length; depth >= 0; depth--) {
+    const folder = segments.slice(0, depth).join('/');
+    for (const name of names) candidates.push(folder ? `${folder}/${name}` : name);
+  }
+  return candidates;
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/** An error page's HTML with its placeholders filled in. */
+function renderErrorPage(html, { status, path, message }) {
+  const values = { status, path, message };
+  return html.replace(/\{\{\s*(status|path|message)\s*\}\}/g, (match, key) => escapeHtml(values[key]));
+}
+
+/**
+ * The usable SPA fallbacks from settings: folder (no slashes at either end,
+ * '' for the whole site) -> document path. An entry whose document is not an
+ * HTML document inside that folder is skipped with a log line.
+ */
+function normalizeSpaFallbacks(config) {
+  if (config === undefined || config === null) return new Map();
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    console.warn('[SERVER] Ignoring spaFallbacks: expected an object of folder to document');
+    return new Map();
+  }
+  const fallbacks = new Map();
+  for (const [rawFolder, rawDocument] of Object.entries(config)) {
+    const folder = rawFolder.replace(/^\/+|\/+$/g, '');
+    const document = typeof rawDocument === 'string' ? rawDocument.replace(/^\/+/, '') : '';
+    const inside = folder === '' || document.startsWith(`${folder}/`);
+    if (!HTML_DOCUMENT.test(document) || !inside || document.split('/').includes('..')) {
+      console.warn(`[SERVER] Ignoring SPA fallback ${JSON.stringify(rawFolder)}: ${JSON.stringify(rawDocument)} must be an HTML document in that folder`);
+      continue;
+    }
+    fallbacks.set(folder, document);
+  }
+  return fallbacks;
+}
+
+/**
+ * The fallback document for a missing `relPath`, from the deepest folder
+ * that has one, or null. Only a path whose last segment has no extension is
+ * a route: a missing `logo.png` stays a 404.
+ */
+function spaFallbackFor(fallbacks, relPath) {
+  if (!fallbacks.size) return null;
+  const segments = relPath.split('/').filter(Boolean);
+  if (segments.length && segments[segments.length - 1].includes('.')) return null;
+  for (let depth = segments.length; depth >= 0; depth--) {
+    const document = fallbacks.get(segments.slice(0, depth).join('/'));
+    if (document) return document;
+  }
+  return null;
+}
+
+/** The fallbacks from `fallbacks` (the main app's) that fall inside `mount`, keyed as the mount sees them. */
+function spaFallbacksForMount(fallbacks, mount) {
+  const own = new Map();
+  if (!mount.prefix) return own;
+  for (const [folder, document] of fallbacks) {
+    if (folder !== mount.prefix && !folder.startsWith(`${mount.prefix}/`)) continue;
+    own.set(folder.slice(mount.prefix.length + 1), document.slice(mount.prefix.length + 1));
+  }
+  return own;
+}
+
+module.exports = {
+  errorMessage,
+  errorPageCandidates,
+  renderErrorPage,
+  normalizeSpaFallbacks,
+  spaFallbackFor,
+  spaFallbacksForMount
+};
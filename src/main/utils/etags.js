@@ -0,0 +1,57 @@
+// Validators for what this server sends, so a client that already has the
+// bytes gets a 304 instead of them again: documents, uploads and other static
+// files, Tailwind CSS and `/_/api` responses.
+//
+// The ETag is strong, and it is the checksum the sync engine computes for a
+// file (calculateChecksum), so the same bytes carry the same tag whether they
+// were served, synced or saved. A file also carries its Last-Modified.
+//
+// Routes only set the headers. Express's res.send and res.sendFile compare
+// them against If-None-Match / If-Modified-Since themselves (req.fresh) and
+// answer 304 on a match, and sendFile keeps If-Range and Range requests right.
+// `Cache-Control: no-cache` lets a browser keep a copy while still asking
+// every time, since a file here can change at any moment under editing.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { calculateChecksum } = require('../../sync-engine/utils');
+
+// Checksums of files served by path, keyed on size and mtime, so a large
+// upload is hashed once per change rather than once per request.
+const MAX_CACHED_FILES = 500;
+const fileChecksums = new Map();
+
+// calculateChecksum over a stream, so a large video is never held in memory
+// (nor refused past the 2 GiB a single read allows).
+async function checksumFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex').substring(0, 16);
+}
+
+/** Set ETag, Cache-Control and, when given, Last-Modified for `body`. */
+async function setValidators(res, body, { lastModified = null } = {}) {
+  res.setHeader('ETag', `"${await calculateChecksum(body)}"`);
+  if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+  res.setHeader('Cache-Control', 'no-cache');
+}
+
+/**
+ * setValidators for the file at `filePath` (its `stats` already in hand),
+ * streaming it through the hash, and not again while it is unchanged.
+ */
+async function setFileValidators(res, filePath, stats) {
+  const key = `${stats.size}:${stats.mtimeMs}`;
+  let cached = fileChecksums.get(filePath);
+  if (!cached || cached.key !== key) {
+    cached = { key, checksum: await checksumFile(filePath) };
+    fileChecksums.delete(filePath);
+    fileChecksums.set(filePath, cached);
+    if (fileChecksums.size > MAX_CACHED_FILES) fileChecksums.delete(fileChecksums.keys().next().value);
+  }
+  res.setHeader('ETag', `"${cached.checksum}"`);
+  res.setHeader('Last-Modified', stats.mtime.toUTCString());
+  res.setHeader('Cache-Control', 'no-cache');
+}
+
+module.exports = { setValidators, setFileValidators };
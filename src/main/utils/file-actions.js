@@ -0,0 +1,212 @@
+// File management behind the directory listing: a new page, duplicate,
+// rename, move to another folder, and delete to the trash. The routes live in
+// server.js under `/_/files/`; this module does the work.
+//
+// Every path goes through the same phases as a save (path-resolver.js), and
+// must name something inside the served folder itself. A symlink is neither
+// followed nor moved: renaming through one would move whatever it points at.
+//
+// With sync on, a rename or move is told to the platform as one (see the
+// engine's relocateLocalNode), and a new name has to be one the platform
+// accepts. A delete is left to the watcher, which sees the file go and
+// deletes the node as it would for any other delete.
+
+const fs = require('fs').promises;
+const path = require('upath');
+const {
+  PathError,
+  RESERVED_ROOT_SEGMENTS,
+  isContained,
+  validateSegments,
+  resolveWritePath
+} = require('./path-resolver');
+const { withFileLock } = require('./write-queue');
+const { siteVersionsDirFor } = require('./version-history');
+const { assertRealDirChain } = require('./real-dir-chain');
+const { TAGS_DIR } = require('./version-tags');
+const { SIDECAR_DIR, sidecarRelPath } = require('./api-sidecar');
+const { moveToTrash } = require('./trash');
+const { validateSiteName, validateFolderName, validateUploadName } = require('../../sync-engine/validation');
+
+const DOCUMENT = /\.html(?:clay)?$/;
+
+const isSyncing = (engine) => Boolean(engine && engine.isRunning);
+
+/**
+ * A name for one entry in a folder: a single path segment that the server
+ * could serve, and with sync on, one the platform accepts.
+ */
+function checkName(name, { isFolder, engine }) {
+  if (typeof name !== 'string' || !name.trim() || name.includes('/') || name.includes('\\')) {
+    throw new PathError(400, 'A name is one file or folder name, without slashes.');
+  }
+  // Phase 2 says 404 for a dot name, meaning "hidden"; here it is a bad name.
+  try {
+    validateSegments(name);
+  } catch {
+    throw new PathError(400, `"${name}" can not be used as a name.`);
+  }
+  if (!isSyncing(engine)) return;
+  const check = isFolder ? validateFolderName : DOCUMENT.test(name) ? validateSiteName : validateUploadName;
+  const result = check(name);
+  if (!result.valid) throw new PathError(400, result.error);
+}
+
+// A folder path from a request: '' for the root, else checked like any path.
+function checkFolder(folder) {
+  const relPath = typeof folder === 'string' ? folder.replace(/^\/+|\/+$/g, '') : '';
+  if (relPath) validateSegments(relPath);
+  return relPath;
+}
+
+/**
+ * `relPath` resolved for a write, required to stay inside the folder and not
+ * to be a symlink. `mustExist` says whether it should be there already (404
+ * when not) or must not be (409 when it is).
+ */
+async function resolveEntry(paths, relPath, { mustExist }) {
+  validateSegments(relPath);
+  const real = await resolveWritePath(paths, relPath);
+  if (!isContained(paths.baseReal, real)) throw new PathError(403, 'Access denied');
+  let stats = null;
+  try {
+    stats = await fs.lstat(path.join(paths.baseReal, relPath));
+  } catch {}
+  if (stats && stats.isSymbolicLink()) throw new PathError(403, 'A linked file or folder can not be changed here.');
+  if (mustExist && !stats) throw new PathError(404, 'File not found');
+  if (!mustExist && stats) throw new PathError(409, `"${relPath}" already exists.`);
+  return { real, stats };
+}
+
+async function resolveFolder(paths, folder) {
+  if (!folder) return paths.baseReal;
+  const { real, stats } = await resolveEntry(paths, folder, { mustExist: true });
+  if (!stats.isDirectory()) throw new PathError(400, `"${folder}" is not a folder.`);
+  return real;
+}
+
+const join = (folder, name) => (folder ? `${folder}/${name}` : name);
+
+/**
+ * A new document `name` in `folder`, holding `html`. Created exclusively, so
+ * it never replaces a file that got there first. Returns its path.
+ */
+async function createPage(paths, folder, name, html, { engine = null } = {}) {
+  const parent = checkFolder(folder);
+  if (!DOCUMENT.test(name || '')) throw new PathError(400, 'A page name ends in .html or .htmlclay.');
+  checkName(name, { isFolder: false, engine });
+  await resolveFolder(paths, parent);
+  const relPath = join(parent, name);
+  const { real } = await resolveEntry(paths, relPath, { mustExist: false });
+  try {
+    await fs.writeFile(real, html, { flag: 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') throw new PathError(409, `"${relPath}" already exists.`);
+    throw error;
+  }
+  return relPath;
+}
+
+// `post.html` -> `post-copy.html`, then `post-copy-2.html`, ...
+function copyNames(name) {
+  const ext = DOCUMENT.test(name) ? name.match(DOCUMENT)[0] : path.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  return (n) => `${stem}-copy${n === 1 ? '' : `-${n}`}${ext}`;
+}
+
+/**
+ * A copy of the file at `relPath` beside it, named `name` or, without one,
+ * the first free `<stem>-copy<ext>`. Folders are not copied. Returns the
+ * copy's path.
+ */
+async function duplicateFile(paths, relPath, name = null, { engine = null } = {}) {
+  const { real, stats } = await resolveEntry(paths, relPath, { mustExist: true });
+  if (!stats.isFile()) throw new PathError(400, 'Only files can be duplicated.');
+  const folder = path.dirname(relPath) === '.' ? '' : path.dirname(relPath);
+  const candidates = name ? [name] : Array.from({ length: 50 }, (_, i) => copyNames(path.basename(relPath))(i + 1));
+
+  for (const candidate of candidates) {
+    checkName(candidate, { isFolder: false, engine });
+    const target = join(folder, candidate);
+    let resolved;
+    try {
+      resolved = await resolveEntry(paths, target, { mustExist: false });
+    } catch (error) {
+      if (error.status === 409 && !name) continue;
+      throw error;
+    }
+    await withFileLock(real, () => fs.copyFile(real, resolved.real, fs.constants.COPYFILE_EXCL));
+    return target;
+  }
+  throw new PathError(409, 'Could not find a free name for the copy.');
+}
+
+// A document's history follows it, so its versions page still has them, and
+// so do its version tags and api sidecar, which are filed under the same path.
+// Each only when nothing is already kept under the new name, and never at the
+// cost of the move itself.
+function keptAlong(relPath, isDocument) {
+  const site = relPath.replace(DOCUMENT, '');
+  return isDocument
+    ? [path.join('sites-versions', site), path.join(TAGS_DIR, `${site}.json`), sidecarRelPath(relPath)]
+    : [path.join('sites-versions', relPath), path.join(TAGS_DIR, relPath), path.join(SIDECAR_DIR, relPath)];
+}
+
+async function moveHistory(baseReal, from, to) {
+  const targets = keptAlong(to, from.isDocument);
+  for (const [i, source] of keptAlong(from.relPath, from.isDocument).entries()) {
+    const fromPath = path.join(baseReal, source);
+    const toPath = path.join(baseReal, targets[i]);
+    try {
+      await assertRealDirChain(baseReal, path.dirname(fromPath));
+      await assertRealDirChain(baseReal, path.dirname(toPath));
+      const stats = await fs.lstat(fromPath);
+      if (stats.isSymbolicLink()) continue;
+      if (await fs.lstat(toPath).then(() => true, () => false)) continue;
+      await fs.mkdir(path.dirname(toPath), { recursive: true });
+      await fs.rename(fromPath, toPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[SERVER] Could not move ${source} along with ${from.relPath} (non-fatal):`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Move the file or folder at `from` to `to` (both relative paths), which
+ * covers both rename and move. Returns `to`.
+ */
+async function relocate(paths, from, to, { engine = null } = {}) {
+  if (from === to) return to;
+  if (to.startsWith(`${from}/`)) throw new PathError(400, 'A folder can not be moved into itself.');
+  const source = await resolveEntry(paths, from, { mustExist: true });
+  const isFolder = source.stats.isDirectory();
+  const isDocument = !isFolder && DOCUMENT.test(from);
+  if (isDocument && !DOCUMENT.test(to)) throw new PathError(400, 'A page keeps its .html or .htmlclay extension.');
+  checkName(path.basename(to), { isFolder, engine });
+  const folder = path.dirname(to) === '.' ? '' : path.dirname(to);
+  if (!folder && RESERVED_ROOT_SEGMENTS.has(to)) throw new PathError(400, `"${to}" is reserved.`);
+  await resolveFolder(paths, folder);
+  const target = await resolveEntry(paths, to, { mustExist: false });
+
+  const move = () => fs.rename(source.real, target.real);
+  const apply = () => (isSyncing(engine) ? engine.relocateLocalNode(from, to, move) : move());
+  await (isFolder ? apply() : withFileLock(source.real, apply));
+  await moveHistory(paths.baseReal, { relPath: from, isDocument }, to);
+  return to;
+}
+
+/** Move the file or folder at `relPath` to the trash. Returns where it went. */
+async function trashEntry(paths, relPath) {
+  const { real, stats } = await resolveEntry(paths, relPath, { mustExist: true });
+  const trash = () => moveToTrash(paths.baseReal, relPath);
+  return stats.isDirectory() ? await trash() : await withFileLock(real, trash);
+}
+
+module.exports = {
+  createPage,
+  duplicateFile,
+  relocate,
+  trashEntry
+};
@@ -0,0 +1,71 @@
+// Folders that answer with their own index page instead of the directory
+// listing, so a multi-page site previews the way it will be hosted. Opt-in
+// with `indexPages` in settings.json: `true` for every folder, or a list of
+// folders, each covering the folders below it ('' is the whole site):
+//
+//   "indexPages": ["blog", "docs"]
+//
+// The folder's `index.html` answers, else its `index.htmlclay`; a folder with
+// neither still shows the listing, and `?listing` on a folder's URL shows it
+// regardless.
+//
+// Mounted folders (mounts.js) follow the same setting by URL: `true` covers
+// them too, and a listed folder under a prefix mount's `/<prefix>/` covers
+// that folder of the mount.
+
+const INDEX_DOCUMENTS = ['index.html', 'index.htmlclay'];
+
+/**
+ * The folders with index pages on, from settings (no slashes at either end,
+ * '' for the whole site). An entry that is not a folder path is skipped with
+ * a log line.
+ */
+function normalizeIndexPages(config) {
+  if (config === undefined || config === null || config === false) return new Set();
+  if (config === true) return new Set(['']);
+  if (!Array.isArray(config)) {
+    console.warn('[SERVER] Ignoring indexPages: expected true or a list of folders');
+    return new Set();
+  }
+  const folders = new Set();
+  for (const entry of config) {
+    if (typeof entry !== 'string' || entry.split('/').includes('..')) {
+      console.warn(`[SERVER] Ignoring index page folder ${JSON.stringify(entry)}: expected a folder path`);
+      continue;
+    }
+    folders.add(entry.replace(/^\/+|\/+$/g, ''));
+  }
+  return folders;
+}
+
+/**
+ * The documents to try, in order, for the folder at `relDir` (decoded, no
+ * leading slash). Empty when index pages are off for it.
+ */
+function indexPageCandidates(folders, relDir) {
+  const segments = relDir.split('/').filter(Boolean);
+  let covered = false;
+  for (let depth = segments.length; depth >= 0 && !covered; depth--) {
+    covered = folders.has(segments.slice(0, depth).join('/'));
+  }
+  if (!covered) return [];
+  const prefix = segments.length ? `${segments.join('/')}/` : '';
+  return INDEX_DOCUMENTS.map((name) => `${prefix}${name}`);
+}
+
+/** The folders of `mount` that `folders` (the main app's) turn index pages on for. */
+function indexPagesForMount(folders, mount) {
+  const own = new Set();
+  for (const folder of folders) {
+    if (folder === '') own.add('');
+    else if (mount.prefix && folder === mount.prefix) own.add('');
+    else if (mount.prefix && folder.startsWith(`${mount.prefix}/`)) own.add(folder.slice(mount.prefix.length + 1));
+  }
+  return own;
+}
+
+module.exports = {
+  normalizeIndexPages,
+  indexPageCandidates,
+  indexPagesForMount
+};
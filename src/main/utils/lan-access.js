@@ -0,0 +1,232 @@
+// Sharing the server on the local network, for opening an app on a phone or
+// tablet on the same Wi-Fi. Off unless turned on from the popover, and even
+// then nothing on the network gets in without pairing first:
+//
+//   1. The popover shows a pairing link as a QR code. The code in it is good
+//      for one device, for ten minutes.
+//   2. Opening it trades the code for a device cookie, and from then on that
+//      cookie is checked on every request, reads included.
+//   3. A device paired view-only can read but never save, upload, sync or
+//      send: every unsafe method is refused.
+//
+// The loopback server is untouched. Sharing is a second listener on the LAN
+// address, speaking HTTPS when the loopback server does, and only its
+// requests pass through lanGate, which marks them (`req.lanDevice`,
+// `req.lanHost`, `req.lanOrigin`) so createApp's Host and Origin checks can
+// tell a paired device from a rebound hostname.
+//
+// Device secrets are stored hashed, in a JSON file beside settings.json, so a
+// paired phone stays paired across restarts until it is revoked.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+
+const PAIRING_TTL_MS = 10 * 60 * 1000;
+const COOKIE_NAME = 'hyperclay_lan_device';
+const ACCESS_LEVELS = new Set(['edit', 'view']);
+const UNSAFE_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const randomToken = (bytes) => crypto.randomBytes(bytes).toString('base64url');
+
+// Interfaces no phone on the Wi-Fi is on: container bridges, VM networks and
+// VPN tunnels, by the names Linux, macOS and Windows give them.
+const VIRTUAL_INTERFACE = /^(docker|br-|veth|virbr|vmnet|vboxnet|vnic|bridge|lxc|lxd|cni|flannel|podman|vEthernet|utun|tun|tap|wg|zt|tailscale|ppp|ipsec|awdl|llw)/i;
+
+// 10/8, 172.16/12 and 192.168/16: the addresses a home or office network hands out.
+function isPrivateIPv4(address) {
+  const [a, b] = address.split('.').map(Number);
+  return a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+}
+
+/**
+ * The address to share on: an IPv4 address of a non-internal interface,
+ * preferring a private (RFC 1918) one on a physical interface over a
+ * container bridge or a VPN, which the first one found often is. null when
+ * this machine has none (no network).
+ */
+function lanAddress(interfaces = os.networkInterfaces()) {
+  let best = null;
+  let bestRank = -1;
+  for (const [name, entries] of Object.entries(interfaces)) {
+    for (const entry of entries || []) {
+      if (entry.internal || !(entry.family === 'IPv4' || entry.family === 4)) continue;
+      const rank = (VIRTUAL_INTERFACE.test(name) ? 0 : 2) + (isPrivateIPv4(entry.address) ? 1 : 0);
+      if (rank > bestRank) {
+        best = entry.address;
+        bestRank = rank;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * The paired devices and the pairing codes not yet used. `storePath` is
+ * where devices persist; null keeps them in memory only.
+ */
+function createLanAccess(storePath = null) {
+  const pairingCodes = new Map();
+  let devices = [];
+
+  if (storePath) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      if (Array.isArray(stored.devices)) devices = stored.devices;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('[LAN] Could not read paired devices:', error.message);
+    }
+  }
+
+  const persist = () => {
+    if (!storePath) return;
+    try {
+      fs.writeFileSync(storePath, JSON.stringify({ devices }, null, 2));
+    } catch (error) {
+      console.error('[LAN] Could not save paired devices:', error.message);
+    }
+  };
+
+  const sweep = (now) => {
+    for (const [code, pending] of pairingCodes) {
+      if (pending.expiresAt <= now) pairingCodes.delete(code);
+    }
+  };
+
+  return {
+    /** A one-time code that pairs one device with `access` ('edit' or 'view'). */
+    issuePairingCode(access = 'edit', now = Date.now()) {
+      if (!ACCESS_LEVELS.has(access)) throw new Error(`Unknown access level: ${access}`);
+      sweep(now);
+      const code = randomToken(18);
+      pairingCodes.set(code, { access, expiresAt: now + PAIRING_TTL_MS });
+      return { code, access, expiresAt: now + PAIRING_TTL_MS };
+    },
+
+    /**
+     * Trade a pairing code for a device. The secret is returned once, for
+     * the cookie, and only its hash is kept. Null for an unknown, used or
+     * expired code.
+     */
+    redeem(code, name = 'Device', now = Date.now()) {
+      sweep(now);
+      const pending = typeof code === 'string' ? pairingCodes.get(code) : undefined;
+      if (!pending) return null;
+      pairingCodes.delete(code);
+
+      const secret = randomToken(32);
+      const device = {
+        id: randomToken(9),
+        name: String(name).slice(0, 100),
+        access: pending.access,
+        secretHash: hash(secret),
+        pairedAt: now
+      };
+      devices.push(device);
+      persist();
+      return { device: publicDevice(device), secret };
+    },
+
+    /** The paired device a cookie secret belongs to, or null. */
+    deviceFor(secret) {
+      if (typeof secret !== 'string' || !secret) return null;
+      const wanted = Buffer.from(hash(secret), 'hex');
+      const device = devices.find((candidate) =>
+        crypto.timingSafeEqual(Buffer.from(candidate.secretHash, 'hex'), wanted));
+      return device ? publicDevice(device) : null;
+    },
+
+    revoke(id) {
+      const before = devices.length;
+      devices = devices.filter((device) => device.id !== id);
+      if (devices.length !== before) persist();
+      return devices.length !== before;
+    },
+
+    devices() {
+      return devices.map(publicDevice);
+    }
+  };
+}
+
+function publicDevice({ id, name, access, pairedAt }) {
+  return { id, name, access, pairedAt };
+}
+
+function readCookie(header, name) {
+  if (typeof header !== 'string') return null;
+  for (const part of header.split(';')) {
+    const at = part.indexOf('=');
+    if (at !== -1 && part.slice(0, at).trim() === name) return part.slice(at + 1).trim();
+  }
+  return null;
+}
+
+// A short name for the device list, from the browser's User-Agent.
+function deviceName(userAgent = '') {
+  if (/iPad/.test(userAgent)) return 'iPad';
+  if (/iPhone/.test(userAgent)) return 'iPhone';
+  if (/Android/.test(userAgent)) return /Mobile/.test(userAgent) ? 'Android phone' : 'Android tablet';
+  if (/Macintosh/.test(userAgent)) return 'Mac';
+  if (/Windows/.test(userAgent)) return 'Windows PC';
+  if (/Linux/.test(userAgent)) return 'Linux PC';
+  return 'Device';
+}
+
+function refuse(res, status, message) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end(message);
+}
+
+/**
+ * The request handler for the LAN listener: pairing at `/_/pair?code=...`,
+ * then `handler` for paired devices only. `lanHost` is the exact Host a
+ * device addresses us by (`192.168.1.20:4321`); any other Host is refused,
+ * which is what keeps a rebound hostname out. `secure` is set when the
+ * listener speaks HTTPS, so the device cookie is never sent in the clear.
+ */
+function lanGate(access, lanHost, handler, { secure = false } = {}) {
+  const origin = `${secure ? 'https' : 'http'}://${lanHost}`;
+  return (req, res) => {
+    if (req.headers.host !== lanHost) return refuse(res, 403, 'Invalid Host header');
+
+    const url = new URL(req.url, origin);
+    if (url.pathname === '/_/pair') {
+      if (req.method !== 'GET') return refuse(res, 405, 'Method not allowed');
+      const paired = access.redeem(url.searchParams.get('code'), deviceName(req.headers['user-agent']));
+      if (!paired) {
+        return refuse(res, 403, 'This pairing link is invalid or has expired. Show a new one from Hyperclay Local.');
+      }
+      console.log(`[LAN] Paired ${paired.device.name} (${paired.device.access})`);
+      res.statusCode = 302;
+      res.setHeader('Set-Cookie',
+        `${COOKIE_NAME}=${paired.secret}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${60 * 60 * 24 * 365}${secure ? '; Secure' : ''}`);
+      res.setHeader('Location', '/');
+      return res.end();
+    }
+
+    const device = access.deviceFor(readCookie(req.headers.cookie, COOKIE_NAME));
+    if (!device) {
+      return refuse(res, 401, 'This device is not paired. Scan the pairing code in Hyperclay Local first.');
+    }
+    if (device.access === 'view' && UNSAFE_METHODS.has(req.method)) {
+      res.statusCode = 403;
+      res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify({ msg: 'This device is paired view-only.', msgType: 'error' }));
+    }
+
+    req.lanDevice = device;
+    req.lanHost = lanHost;
+    req.lanOrigin = origin;
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  lanAddress,
+  createLanAccess,
+  lanGate,
+  PAIRING_TTL_MS
+};
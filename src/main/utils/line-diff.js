@@ -0,0 +1,212 @@
+// Line-level diff for comparing saved versions. Myers' O(ND) algorithm over
+// lines, after trimming the common head and tail, which is where almost all of
+// a document's lines sit between two neighbouring saves.
+//
+// Saves are run through format-html.js, so two versions of the same document
+// share their line breaks and a one-attribute edit shows up as a one-line
+// change rather than a rewrite. A document that opted out of formatting may
+// still differ almost everywhere; past MAX_EDITS the search gives up and the
+// diff degrades to "every old line removed, every new line added", flagged as
+// `approximate`, instead of spending unbounded time and memory on it.
+
+const MAX_EDITS = 2000;
+const DEFAULT_CONTEXT = 3;
+
+function splitLines(text) {
+  const lines = String(text).split(/\r?\n/);
+  // A trailing newline ends the last line; it does not start an empty one.
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Shortest edit script between `a` and `b` as a list of 'equal' | 'remove' |
+// 'add' steps in document order, or null once the distance passes `maxEdits`.
+// Only the live diagonal band [-d, d] of V is kept per round, so memory is
+// O(D²) rather than O(D·(N+M)).
+function shortestEdit(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, maxEdits); d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, n, m) {
+  const steps = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      steps.push({ type: 'equal', a: x - 1, b: y - 1 });
+      x--; y--;
+    }
+    if (x === prevX) steps.push({ type: 'add', b: y - 1 });
+    else steps.push({ type: 'remove', a: x - 1 });
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    steps.push({ type: 'equal', a: x - 1, b: y - 1 });
+    x--; y--;
+  }
+  return steps.reverse();
+}
+
+/**
+ * Diff two texts line by line.
+ * @returns {{ops: Array<{type: string, text: string, oldNo: (number|null), newNo: (number|null)}>,
+ *            added: number, removed: number, approximate: boolean}}
+ *   Line numbers are 1-based; `oldNo` is null on an added line and `newNo` on a
+ *   removed one.
+ */
+function diffLines(oldText, newText, { maxEdits = MAX_EDITS } = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head &&
+         a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+  let steps = shortestEdit(midA, midB, maxEdits);
+  const approximate = steps === null;
+  if (approximate) {
+    steps = [
+      ...midA.map((_, i) => ({ type: 'remove', a: i })),
+      ...midB.map((_, i) => ({ type: 'add', b: i }))
+    ];
+  }
+
+  const ops = [];
+  for (let i = 0; i < head; i++) {
+    ops.push({ type: 'equal', text: a[i], oldNo: i + 1, newNo: i + 1 });
+  }
+  let added = 0;
+  let removed = 0;
+  for (const step of steps) {
+    if (step.type === 'equal') {
+      ops.push({ type: 'equal', text: midA[step.a], oldNo: head + step.a + 1, newNo: head + step.b + 1 });
+    } else if (step.type === 'remove') {
+      removed++;
+      ops.push({ type: 'remove', text: midA[step.a], oldNo: head + step.a + 1, newNo: null });
+    } else {
+      added++;
+      ops.push({ type: 'add', text: midB[step.b], oldNo: null, newNo: head + step.b + 1 });
+    }
+  }
+  for (let i = tail; i > 0; i--) {
+    ops.push({ type: 'equal', text: a[a.length - i], oldNo: a.length - i + 1, newNo: b.length - i + 1 });
+  }
+
+  return { ops, added, removed, approximate };
+}
+
+/**
+ * Group ops into hunks: each change plus up to `context` unchanged lines either
+ * side, with hunks whose context would touch merged into one. Unchanged runs
+ * between hunks are dropped.
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: object[]}>}
+ */
+function toHunks(ops, context = DEFAULT_CONTEXT) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') return;
+    const from = Math.max(0, index - context);
+    if (current && from <= lastChange + context + 1) {
+      current.end = index;
+    } else {
+      if (current) hunks.push(current);
+      current = { start: from, end: index };
+    }
+    lastChange = index;
+  });
+  if (current) hunks.push(current);
+
+  return hunks.map(({ start, end }) => {
+    const lines = ops.slice(start, Math.min(ops.length, end + context + 1));
+    const oldLines = lines.filter((op) => op.type !== 'add').length;
+    const newLines = lines.filter((op) => op.type !== 'remove').length;
+    const firstOld = lines.find((op) => op.oldNo !== null);
+    const firstNew = lines.find((op) => op.newNo !== null);
+    return {
+      oldStart: firstOld ? firstOld.oldNo : 0,
+      oldLines,
+      newStart: firstNew ? firstNew.newNo : 0,
+      newLines,
+      lines
+    };
+  });
+}
+
+/**
+ * Side-by-side rows for one hunk. Unchanged lines sit on both sides; within a
+ * run of changes the removed and added lines are paired up in order, and the
+ * longer side continues against blanks.
+ * @returns {Array<{left: (object|null), right: (object|null)}>}
+ */
+function toSplitRows(hunk) {
+  const rows = [];
+  let removes = [];
+  let adds = [];
+  const flush = () => {
+    for (let i = 0; i < Math.max(removes.length, adds.length); i++) {
+      rows.push({ left: removes[i] || null, right: adds[i] || null });
+    }
+    removes = [];
+    adds = [];
+  };
+  for (const op of hunk.lines) {
+    if (op.type === 'remove') removes.push(op);
+    else if (op.type === 'add') adds.push(op);
+    else { flush(); rows.push({ left: op, right: op }); }
+  }
+  flush();
+  return rows;
+}
+
+/** A plain unified diff (`--- a` / `+++ b` / `@@`), readable by patch tools. */
+function formatUnified(hunks, fromLabel, toLabel) {
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    out.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    for (const op of hunk.lines) {
+      out.push((op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ') + op.text);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+module.exports = {
+  MAX_EDITS,
+  diffLines,
+  toHunks,
+  toSplitRows,
+  formatUnified
+};
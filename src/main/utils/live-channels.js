@@ -0,0 +1,48 @@
+// liveSync channel names per served folder. livesync-hyperclay is one process-
+// wide registry keyed by the document's relative path, which was fine while
+// one folder was served: with mounts, `index.html` in two folders would share
+// a channel, and a save in one would reload tabs of the other.
+//
+// The main folder keeps bare names, because the sync engine's watcher and
+// uploader publish on those and know nothing about mounts. Every other folder
+// gets `/<namespace>/<name>`; a relative path never starts with `/`, so the
+// two can not collide.
+
+const path = require('upath');
+const { liveSync } = require('livesync-hyperclay');
+
+const namespaces = new Map();
+
+/** Give `baseDir`'s documents their own channels; '' restores bare names. */
+function setChannelNamespace(baseDir, namespace) {
+  if (namespace) namespaces.set(path.resolve(baseDir), namespace);
+  else namespaces.delete(path.resolve(baseDir));
+}
+
+/** The liveSync channel for document `name` in `baseDir`. */
+function channelFor(baseDir, name) {
+  const namespace = namespaces.get(path.resolve(baseDir));
+  return namespace ? `/${namespace}/${name}` : name;
+}
+
+/**
+ * liveSync with every channel argument mapped through channelFor, so a route
+ * can keep passing the document's relative path.
+ */
+function liveSyncFor(baseDir) {
+  const channel = (name) => channelFor(baseDir, name);
+  return {
+    subscribe: (name, ...rest) => liveSync.subscribe(channel(name), ...rest),
+    unsubscribe: (name, ...rest) => liveSync.unsubscribe(channel(name), ...rest),
+    broadcast: (name, ...rest) => liveSync.broadcast(channel(name), ...rest),
+    notify: (name, ...rest) => liveSync.notify(channel(name), ...rest),
+    markBrowserSave: (name) => liveSync.markBrowserSave(channel(name)),
+    wasBrowserSave: (name) => liveSync.wasBrowserSave(channel(name))
+  };
+}
+
+module.exports = {
+  setChannelNamespace,
+  channelFor,
+  liveSyncFor
+};
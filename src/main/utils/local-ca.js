@@ -0,0 +1,226 @@
+// Certificates for serving over HTTPS, opt-in with `"https": true` in
+// settings.json. Clipboard writes, Web Share and service workers want a
+// secure context, and an app that only ever ran on plain http breaks in
+// subtle ways once it is on hyperclay.com.
+//
+// Two certificates live in userData/certificates:
+//
+//   hyperclay-local-ca.pem   a CA made on this machine, on first use. This
+//                            is the one to trust, once, in the system or
+//                            browser certificate store.
+//   localhost.pem            the server's certificate, signed by that CA,
+//                            for localhost, its loopback addresses and each
+//                            `*.localhost` name being served. Reissued when
+//                            a name is missing or it is close to expiry,
+//                            which needs no new trust.
+//
+// The CA key never leaves that folder. Trusting the CA trusts anything it
+// signs, which is why it is made here, per machine, and not shipped, and why
+// its name constraints let it sign only for localhost names and loopback
+// addresses: a copy of the key can not vouch for a real site.
+
+const crypto = require('crypto');
+const tls = require('tls');
+const fs = require('fs').promises;
+const path = require('upath');
+const forge = require('node-forge');
+
+const CA_CERT = 'hyperclay-local-ca.pem';
+const CA_KEY = 'hyperclay-local-ca-key.pem';
+const SERVER_CERT = 'localhost.pem';
+const SERVER_KEY = 'localhost-key.pem';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CA_DAYS = 10 * 365;
+// Browsers refuse a leaf certificate valid for more than 398 days.
+const SERVER_DAYS = 397;
+const RENEW_WITHIN_DAYS = 30;
+
+const BASE_NAMES = ['localhost', '*.localhost'];
+const BASE_IPS = ['127.0.0.1', '::1'];
+
+// What the CA may sign for, as RFC 5280 name constraints: `localhost` and
+// the names under it, 127.0.0.0/8 and ::1. Addresses are address then mask.
+const NAME_CONSTRAINTS_OID = '2.5.29.30';
+const PERMITTED_NAMES = ['localhost', '.localhost'];
+const PERMITTED_IPS = [
+  [127, 0, 0, 0, 255, 0, 0, 0],
+  [...new Array(15).fill(0), 1, ...new Array(16).fill(255)]
+];
+
+function newKeyPair() {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  const key = forge.pki.privateKeyFromPem(privateKey);
+  return { key, publicKey: forge.pki.setRsaPublicKey(key.n, key.e), pem: privateKey };
+}
+
+function newCertificate(publicKey, days, now) {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = publicKey;
+  // Positive and random, as RFC 5280 asks, so a reissue never repeats one.
+  cert.serialNumber = `01${crypto.randomBytes(15).toString('hex')}`;
+  cert.validity.notBefore = new Date(now - DAY_MS);
+  cert.validity.notAfter = new Date(now + days * DAY_MS);
+  return cert;
+}
+
+// The nameConstraints extension's value: permittedSubtrees only, each a
+// GeneralSubtree holding a dNSName [2] or an iPAddress [7].
+function nameConstraints() {
+  const { asn1 } = forge;
+  const subtree = (tag, bytes) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, false, bytes)
+  ]);
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      ...PERMITTED_NAMES.map((name) => subtree(2, name)),
+      ...PERMITTED_IPS.map((octets) => subtree(7, String.fromCharCode(...octets)))
+    ])
+  ]);
+}
+
+function createCa(now) {
+  const pair = newKeyPair();
+  const cert = newCertificate(pair.publicKey, CA_DAYS, now);
+  const subject = [
+    { name: 'commonName', value: 'Hyperclay Local CA' },
+    { name: 'organizationName', value: 'Hyperclay Local' }
+  ];
+  cert.setSubject(subject);
+  cert.setIssuer(subject);
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: true, pathLenConstraint: 0, critical: true },
+    { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+    { id: NAME_CONSTRAINTS_OID, critical: true, value: nameConstraints() },
+    { name: 'subjectKeyIdentifier' }
+  ]);
+  cert.sign(pair.key, forge.md.sha256.create());
+  return { cert, key: pair.key, certPem: forge.pki.certificateToPem(cert), keyPem: pair.pem };
+}
+
+function createServerCertificate(ca, names, ips, now) {
+  const pair = newKeyPair();
+  const cert = newCertificate(pair.publicKey, SERVER_DAYS, now);
+  cert.setSubject([{ name: 'commonName', value: 'localhost' }]);
+  cert.setIssuer(ca.cert.subject.attributes);
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+    { name: 'extKeyUsage', serverAuth: true },
+    {
+      name: 'subjectAltName',
+      altNames: [
+        ...names.map((value) => ({ type: 2, value })),
+        ...ips.map((ip) => ({ type: 7, ip }))
+      ]
+    }
+  ]);
+  cert.sign(ca.key, forge.md.sha256.create());
+  return { certPem: forge.pki.certificateToPem(cert), keyPem: pair.pem };
+}
+
+async function readPair(dir, certFile, keyFile) {
+  try {
+    const [certPem, keyPem] = await Promise.all([
+      fs.readFile(path.join(dir, certFile), 'utf8'),
+      fs.readFile(path.join(dir, keyFile), 'utf8')
+    ]);
+    return { certPem, keyPem, cert: forge.pki.certificateFromPem(certPem), key: forge.pki.privateKeyFromPem(keyPem) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`[HTTPS] Replacing unreadable ${certFile}:`, error.message);
+    return null;
+  }
+}
+
+async function writePair(dir, certFile, keyFile, { certPem, keyPem }) {
+  await fs.writeFile(path.join(dir, keyFile), keyPem, { mode: 0o600 });
+  await fs.writeFile(path.join(dir, certFile), certPem);
+}
+
+const lastsPast = (cert, now) => cert.validity.notAfter.getTime() - now > RENEW_WITHIN_DAYS * DAY_MS;
+
+// Whether `cert` is still the one to serve: signed by this CA, not near
+// expiry, and naming everything asked for.
+function isCurrent(cert, ca, names, ips, now) {
+  try {
+    if (!ca.cert.verify(cert) || !lastsPast(cert, now)) return false;
+  } catch {
+    return false;
+  }
+  const altNames = (cert.getExtension('subjectAltName') || { altNames: [] }).altNames;
+  const has = (type, value) => altNames.some((alt) => alt.type === type && (alt.value === value || alt.ip === value));
+  return names.every((name) => has(2, name)) && ips.every((ip) => has(7, ip));
+}
+
+/**
+ * The key and certificate to serve HTTPS with, from `dir`, making or
+ * reissuing what is missing or stale. `hostnames` are the `*.localhost`
+ * names being served: browsers do not all accept the `*.localhost` wildcard,
+ * so each is named too.
+ * @returns {Promise<{key: string, cert: string, caPath: string}>}
+ */
+async function ensureCertificates(dir, hostnames = [], now = Date.now()) {
+  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+  const names = [...new Set([...BASE_NAMES, ...hostnames])];
+
+  let ca = await readPair(dir, CA_CERT, CA_KEY);
+  // A CA made before it carried name constraints is replaced, not kept.
+  if (!ca || !lastsPast(ca.cert, now) || !ca.cert.getExtension({ id: NAME_CONSTRAINTS_OID })) {
+    console.log('[HTTPS] Creating a local certificate authority');
+    ca = createCa(now);
+    await writePair(dir, CA_CERT, CA_KEY, ca);
+  }
+
+  let server = await readPair(dir, SERVER_CERT, SERVER_KEY);
+  if (!server || !isCurrent(server.cert, ca, names, BASE_IPS, now)) {
+    server = createServerCertificate(ca, names, BASE_IPS, now);
+    await writePair(dir, SERVER_CERT, SERVER_KEY, server);
+  }
+
+  return { key: server.keyPem, cert: server.certPem, caPath: path.join(dir, CA_CERT) };
+}
+
+/**
+ * ensureCertificates, kept current while the server runs, as
+ * `https.createServer` options. `hostnames()` lists the `*.localhost` names
+ * served right now; a handshake for one of them that the certificate lacks
+ * (an app folder made since the server started) reissues it first.
+ * @param {string} dir
+ * @param {function(): Promise<string[]>} hostnames
+ */
+async function liveCertificates(dir, hostnames) {
+  const initial = await hostnames();
+  const current = await ensureCertificates(dir, initial);
+  let named = new Set(initial);
+  let context = tls.createSecureContext(current);
+  let reissuing = null;
+
+  async function reissue(servername) {
+    const names = await hostnames();
+    if (!names.includes(servername)) return;
+    const next = await ensureCertificates(dir, names);
+    context = tls.createSecureContext(next);
+    named = new Set(names);
+  }
+
+  return {
+    ...current,
+    SNICallback(servername, done) {
+      const name = String(servername).toLowerCase();
+      if (!name.endsWith('.localhost') || named.has(name)) return done(null, context);
+      reissuing = (reissuing || Promise.resolve()).then(() => (named.has(name) ? null : reissue(name)))
+        .catch((error) => console.error(`[HTTPS] Could not reissue the certificate for ${name} (non-fatal):`, error && error.message ? error.message : error));
+      reissuing.then(() => done(null, context));
+    }
+  };
+}
+
+module.exports = {
+  ensureCertificates,
+  liveCertificates,
+  CA_CERT
+};
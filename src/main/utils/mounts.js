@@ -0,0 +1,128 @@
+// Extra folders served beside the main one, from `mounts` in settings.json:
+//
+//   "mounts": [
+//     { "folder": "/Users/me/tools", "prefix": "tools" },
+//     { "folder": "/Users/me/docs", "subdomain": "docs" }
+//   ]
+//
+// A prefix mount answers at http://localhost:4321/tools/ and shadows any
+// top-level `tools/` in the main folder. A subdomain mount answers at
+// http://docs.localhost:4321/, its own origin, so its pages' root-absolute
+// URLs and storage stay its own. Each mount is a whole app of its own
+// (server.createApp): its own consent registry, its own sites-versions and
+// its own liveSync namespace (live-channels.js).
+//
+// Pages under a prefix still call the root-absolute system routes (`/_/save`,
+// `/live-sync/stream`, ...). Those carry the page's address in Page-URL or
+// Document-URL, so the dispatcher routes them by that address and rewrites it
+// to the mount-relative one. Requests with no such address go to the main
+// folder, which is why a subdomain is the better choice for a real app.
+
+const path = require('upath');
+
+// One DNS label: also the shape a prefix must have, so the two are
+// interchangeable and a prefix never needs encoding.
+const LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+/**
+ * The usable mounts from settings. An entry that cannot be served as written
+ * is skipped with a log line rather than failing the start. `reserved` holds
+ * top-level names the server itself answers on, which no prefix may take.
+ * @returns {Array<{folder: string, prefix: (string|null), subdomain: (string|null), namespace: string}>}
+ */
+function normalizeMounts(config, mainFolder, reserved = new Set()) {
+  if (config === undefined || config === null) return [];
+  if (!Array.isArray(config)) {
+    console.warn('[SERVER] Ignoring mounts: expected a list');
+    return [];
+  }
+
+  const mounts = [];
+  const folders = new Set(mainFolder ? [path.resolve(mainFolder)] : []);
+  const names = new Set();
+  for (const entry of config) {
+    const skip = (why) => console.warn(`[SERVER] Ignoring mount ${JSON.stringify(entry)}: ${why}`);
+    if (!entry || typeof entry !== 'object') { skip('not an object'); continue; }
+    const { folder } = entry;
+    if (typeof folder !== 'string' || !path.isAbsolute(folder)) { skip('folder must be an absolute path'); continue; }
+    if (folders.has(path.resolve(folder))) { skip('that folder is already served'); continue; }
+
+    const prefix = typeof entry.prefix === 'string' ? entry.prefix.replace(/^\/+|\/+$/g, '').toLowerCase() : null;
+    const subdomain = typeof entry.subdomain === 'string' ? entry.subdomain.toLowerCase() : null;
+    if (!prefix === !subdomain) { skip('give exactly one of prefix or subdomain'); continue; }
+    const name = prefix || subdomain;
+    if (!LABEL.test(name)) { skip(`"${name}" must be letters, digits and dashes`); continue; }
+    if (prefix && reserved.has(prefix)) { skip(`"${prefix}" is used by the server itself`); continue; }
+    if (names.has(name)) { skip(`"${name}" is already taken by another mount`); continue; }
+
+    folders.add(path.resolve(folder));
+    names.add(name);
+    mounts.push({ folder: path.resolve(folder), prefix, subdomain, namespace: name });
+  }
+  return mounts;
+}
+
+/**
+ * `docs` for a Host of `docs.localhost:4321`; null for any other host,
+ * including bare localhost. Only one label is recognised.
+ */
+function subdomainOf(hostHeader) {
+  if (typeof hostHeader !== 'string') return null;
+  let hostname;
+  try {
+    hostname = new URL(`http://${hostHeader}`).hostname;
+  } catch {
+    return null;
+  }
+  const match = /^([^.]+)\.localhost$/.exec(hostname);
+  return match ? match[1] : null;
+}
+
+/**
+ * The prefix mount a path falls under, and the rest of the path below it:
+ * `/tools/a/b.html` -> `{ mount, rest: '/a/b.html' }`. `/tools` alone has an
+ * empty rest. Null when no prefix matches.
+ */
+function splitPrefix(mounts, pathname) {
+  for (const mount of mounts) {
+    if (!mount.prefix) continue;
+    const head = `/${mount.prefix}`;
+    if (pathname === head || pathname.startsWith(`${head}/`)) {
+      return { mount, rest: pathname.slice(head.length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * A page address under a prefix mount, rewritten to what the mount itself
+ * would see: `http://localhost:4321/tools/a.html` -> `http://localhost:4321/a.html`.
+ * Null when the address is not under any prefix.
+ */
+function rewriteDocumentUrl(mounts, href) {
+  let url;
+  let absolute = true;
+  try {
+    url = new URL(href);
+  } catch {
+    try {
+      url = new URL(href, 'http://localhost');
+      absolute = false;
+    } catch {
+      return null;
+    }
+  }
+  // Matched on the raw path, so an encoded prefix (`/%74ools/`) is not one.
+  const split = splitPrefix(mounts, url.pathname);
+  if (!split) return null;
+  url.pathname = split.rest || '/';
+  return { mount: split.mount, href: absolute ? url.href : `${url.pathname}${url.search}${url.hash}` };
+}
+
+module.exports = {
+  normalizeMounts,
+  subdomainOf,
+  splitPrefix,
+  rewriteDocumentUrl,
+  LABEL
+};
@@ -0,0 +1,123 @@
+// Starting points for new documents. The built-ins ship in
+// src/main/page-templates; a folder adds its own, or replaces a built-in of
+// the same name, as documents in `.hyperclay/templates/`:
+//
+//   .hyperclay/templates/invoice.html   ->  the "invoice" template
+//
+// A new page is a copy of its template with these placeholders filled in,
+// HTML-escaped:
+//
+//   {{title}}  My Invoice
+//   {{slug}}   my-invoice
+//
+// Its name is held to the platform's rules for site names whether or not sync
+// is on, so the page can be synced later as it is. The copy is kept as the
+// page's first version, the way the first save of any document is.
+
+const fs = require('fs').promises;
+const path = require('upath');
+const { PathError } = require('./path-resolver');
+const { createBackup } = require('./backup');
+const { createPage } = require('./file-actions');
+const { validateSiteName } = require('../../sync-engine/validation');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'page-templates');
+const USER_TEMPLATES_DIR = path.join('.hyperclay', 'templates');
+const DOCUMENT = /\.html(?:clay)?$/;
+
+// `my-invoice` -> `My invoice`.
+const titleFor = (slug) => {
+  const words = slug.replace(/[-_]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+async function templatesIn(dir, builtIn) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  return entries
+    .filter((entry) => entry.isFile() && DOCUMENT.test(entry.name) && !entry.name.startsWith('.'))
+    .map((entry) => {
+      const id = entry.name.replace(DOCUMENT, '');
+      return { id, name: titleFor(id), file: path.join(dir, entry.name), builtIn };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Every template for the folder at `baseDir`: `{ id, name, file, builtIn }`,
+ * the blank page first, then the other built-ins, then the folder's own.
+ */
+async function listTemplates(baseDir) {
+  const own = await templatesIn(path.join(baseDir, USER_TEMPLATES_DIR), false);
+  const ownIds = new Set(own.map((template) => template.id));
+  const builtIns = (await templatesIn(BUILT_IN_DIR, true)).filter((template) => !ownIds.has(template.id));
+  const blankFirst = (a, b) => (b.id === 'blank') - (a.id === 'blank');
+  return [...builtIns.sort(blankFirst), ...own];
+}
+
+/** The template `id` and its HTML. 404 when there is none by that name. */
+async function readTemplate(baseDir, id) {
+  const template = (await listTemplates(baseDir)).find((candidate) => candidate.id === id);
+  if (!template) throw new PathError(404, `No template named "${id}".`);
+  return { template, html: await fs.readFile(template.file, 'utf8') };
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/** A template's HTML with its placeholders filled in. */
+function fillTemplate(html, { title, slug }) {
+  const values = { title, slug };
+  return html.replace(/\{\{\s*(title|slug)\s*\}\}/g, (match, key) => escapeHtml(values[key]));
+}
+
+/**
+ * The HTML for a new page `pageName` from the template `id`. `title`
+ * defaults to one made from the name.
+ */
+async function renderTemplate(baseDir, id, pageName, title = null) {
+  const slug = path.basename(pageName).replace(DOCUMENT, '');
+  const { html } = await readTemplate(baseDir, id);
+  return fillTemplate(html, { title: typeof title === 'string' && title.trim() ? title.trim() : titleFor(slug), slug });
+}
+
+/**
+ * The document name for what someone typed: `my-page` becomes
+ * `my-page.html`. 400 unless the platform would take it as a site name.
+ */
+function pageNameFor(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  const pageName = DOCUMENT.test(trimmed) ? trimmed : `${trimmed}.html`;
+  const result = validateSiteName(pageName);
+  if (!result.valid) throw new PathError(400, result.error);
+  return pageName;
+}
+
+/**
+ * A new document from `template` in `folder` of the folder served from
+ * `baseDir` (`paths` is its consent registry). Returns the new page's path.
+ */
+async function createFromTemplate(paths, baseDir, { template = 'blank', name, folder = '', title } = {}, { engine = null } = {}) {
+  const pageName = pageNameFor(name);
+  const content = await renderTemplate(baseDir, template, pageName, title);
+
+  const relPath = await createPage(paths, folder, pageName, content, { engine });
+  try {
+    await createBackup(baseDir, relPath.replace(DOCUMENT, ''), content);
+  } catch (error) {
+    console.error(`[SERVER] Could not back up the new page ${relPath} (non-fatal):`, error.message);
+  }
+  return relPath;
+}
+
+module.exports = {
+  USER_TEMPLATES_DIR,
+  listTemplates,
+  readTemplate,
+  fillTemplate,
+  renderTemplate,
+  createFromTemplate
+};
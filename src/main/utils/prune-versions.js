@@ -1,5 +1,6 @@
-// Retention for sites-versions/. Delete anything older than 60 days, always keep
-// the newest 20 per site, and retain the UNION of those two sets.
+// Retention for sites-versions/. By default, delete anything older than 60
+// days, always keep the newest 20 per site, and retain the UNION of those two
+// sets. settings.json can change that per site; see retention-policy.js.
 //
 // ORDERING IS A CORRECTNESS REQUIREMENT, NOT A NICETY. This is a delete path, so
 // ranking the newest version as oldest destroys the one copy the user wants back.
@@ -22,9 +23,10 @@
 const fs = require('fs').promises;
 const path = require('upath');
 const { canonicalizeBase, rebaseOntoCanonical, assertRealDirChain } = require('./real-dir-chain');
-
-const MAX_AGE_MS = 60 * 24 * 60 * 60 * 1000;
-const KEEP_NEWEST = 20;
+const { MAX_AGE_MS, KEEP_NEWEST, resolveRetention, selectKept } = require('./retention-policy');
+const { collectBlobs } = require('./version-store');
+const { readTags } = require('./version-tags');
+const { withFileLock } = require('./write-queue');
 
 // `YYYY-MM-DD-HH-MM-SS-mmm`, an optional zone (a signed four-digit UTC offset,
 // or the older bare `Z`), and an optional zero-padded collision suffix
@@ -96,6 +98,13 @@ function compareNewestFirst(a, b) {
   return (sortKey(b) - sortKey(a)) || (collisionSuffix(b.name) - collisionSuffix(a.name));
 }
 
+// `blog/post` for <baseDir>/sites-versions/blog/post: the name a retention
+// override is matched against. Null for a directory outside sites-versions.
+function siteNameFor(baseDir, siteVersionsDir) {
+  const rel = path.relative(path.resolve(baseDir, 'sites-versions'), path.resolve(siteVersionsDir));
+  return rel && !rel.startsWith('..') && !path.isAbsolute(rel) ? rel : null;
+}
+
 /**
  * Prune one site's versions directory.
  *
@@ -105,9 +114,19 @@ function compareNewestFirst(a, b) {
  * every unlink, so a directory symlink planted under sites-versions can never
  * redirect a delete out of tree. A symlinked prefix refuses the prune (no-op
  * with a log line) — the accepted break.
+ *
+ * `rule` defaults to the configured retention for this site. Whatever it says,
+ * a version a tag points at is kept (version-tags.js); a tags file that cannot
+ * be read refuses the prune rather than guessing. The whole pass holds the
+ * history's lock, the one tagging takes, so a tag cannot land on a version
+ * between this reading the tags and unlinking it.
  * @returns {{kept: number, deleted: string[]}}
  */
-async function pruneSiteVersions(baseDir, siteVersionsDir, now = Date.now()) {
+async function pruneSiteVersions(baseDir, siteVersionsDir, now = Date.now(), rule = resolveRetention(siteNameFor(baseDir, siteVersionsDir))) {
+  return await withFileLock(siteVersionsDir, () => pruneLocked(baseDir, siteVersionsDir, now, rule));
+}
+
+async function pruneLocked(baseDir, siteVersionsDir, now, rule) {
   let canonicalBase;
   let chainDir;
   try {
@@ -142,12 +161,19 @@ async function pruneSiteVersions(baseDir, siteVersionsDir, now = Date.now()) {
   // Newest first, by instant then collision suffix.
   entries.sort(compareNewestFirst);
 
-  const keep = new Set();
-  // Rule 1: always keep the newest 20, however old they are.
-  entries.slice(0, KEEP_NEWEST).forEach((entry) => keep.add(entry.name));
-  // Rule 2: keep everything inside the 60-day window. The union of the two.
-  for (const entry of entries) {
-    if (now - sortKey(entry) <= MAX_AGE_MS) keep.add(entry.name);
+  const keep = selectKept(entries, rule, now, sortKey);
+  const site = siteNameFor(baseDir, siteVersionsDir);
+  if (site) {
+    let tags;
+    try {
+      tags = await readTags(baseDir, site);
+    } catch (error) {
+      console.warn(`[BACKUP] Refusing to prune ${siteVersionsDir}, its tags are unreadable (non-fatal): ${error && error.message ? error.message : error}`);
+      return { kept: entries.length, deleted: [] };
+    }
+    for (const tag of Object.values(tags)) {
+      if (tag && typeof tag.version === 'string') keep.add(tag.version);
+    }
   }
 
   const deleted = [];
@@ -166,7 +192,10 @@ async function pruneSiteVersions(baseDir, siteVersionsDir, now = Date.now()) {
   return { kept: keep.size, deleted };
 }
 
-/** Walk sites-versions/ and prune every site directory beneath it. */
+/**
+ * Walk sites-versions/ and prune every site directory beneath it, then drop the
+ * version-store chunks no version names any more.
+ */
 async function pruneAllVersions(baseDir, now = Date.now()) {
   const results = { sites: 0, deleted: 0 };
 
@@ -204,6 +233,9 @@ async function pruneAllVersions(baseDir, now = Date.now()) {
   }
 
   await walk(root);
+
+  const blobs = await collectBlobs(baseDir, now);
+  if (blobs) console.log(`[BACKUP] Removed ${blobs} unreferenced chunk(s) from the version store`);
   return results;
 }
 
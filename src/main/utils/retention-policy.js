@@ -0,0 +1,181 @@
+// Which versions the pruner keeps, per site. Read from the `versionRetention`
+// key of settings.json:
+//
+//   "versionRetention": {
+//     "keepNewest": 20,
+//     "maxAgeDays": 60,
+//     "overrides": [
+//       { "match": "invoices/**", "keepAll": true },
+//       { "match": "scratch-*", "keepNewest": 5, "maxAgeDays": 0 },
+//       { "match": "kanban.html",
+//         "thinning": { "hourlyForHours": 48, "dailyForDays": 30, "weeklyForWeeks": 52 } }
+//     ]
+//   }
+//
+// Every key is optional; an absent or malformed setting falls back to the
+// defaults below, which are the retention this app has always had. The first
+// override whose `match` fits the site wins, and its keys are laid over the
+// top-level ones, so an override only has to name what it changes.
+//
+// `match` is a glob over the site's path inside the served folder, without its
+// extension, exactly as it appears under sites-versions/: `*` and `?` stay
+// inside one folder, `**` crosses folders. A trailing `.html` or `.htmlclay` on
+// the pattern is ignored, so naming the file the way it appears on disk works.
+//
+// Thinning replaces the age window rather than adding to it: inside each
+// horizon only the newest version per hour, per day or per week survives, and
+// past the last horizon nothing does. `keepNewest` still applies on top, and is
+// never allowed below 1 — the newest version is what the data-loss guard
+// restores from.
+
+const MAX_AGE_MS = 60 * 24 * 60 * 60 * 1000;
+const KEEP_NEWEST = 20;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+let policy = { base: {}, overrides: [] };
+
+function nonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+// Strip everything a rule can carry down to the keys the pruner understands,
+// dropping anything of the wrong type instead of failing the whole setting.
+function normalizeRule(raw) {
+  const rule = {};
+  if (!raw || typeof raw !== 'object') return rule;
+  if (raw.keepAll === true) rule.keepAll = true;
+  if (nonNegative(raw.keepNewest) !== undefined) rule.keepNewest = Math.max(1, Math.floor(raw.keepNewest));
+  if (nonNegative(raw.maxAgeDays) !== undefined) rule.maxAgeMs = raw.maxAgeDays * DAY;
+  if (raw.thinning && typeof raw.thinning === 'object') {
+    rule.thinning = {
+      hourlyMs: (nonNegative(raw.thinning.hourlyForHours) || 0) * HOUR,
+      dailyMs: (nonNegative(raw.thinning.dailyForDays) || 0) * DAY,
+      weeklyMs: (nonNegative(raw.thinning.weeklyForWeeks) || 0) * WEEK
+    };
+  }
+  return rule;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Compile a retention glob to a RegExp over extensionless site paths. */
+function globToRegExp(glob) {
+  const pattern = String(glob).trim().replace(/^\/+/, '').replace(/\.(html|htmlclay)$/, '');
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `a/**` also matches `a` itself; `**/b` also matches a top-level `b`.
+      if (pattern[i + 2] === '/') { source += '(?:.*/)?'; i += 2; } else { source += '.*'; i += 1; }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  source = source.replace(/\/\.\*$/, '(?:/.*)?');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Install the retention setting (the raw `versionRetention` value from
+ * settings.json, or undefined). Never throws: anything unusable is logged and
+ * replaced by the defaults.
+ */
+function setRetentionPolicy(config) {
+  const base = normalizeRule(config);
+  const overrides = [];
+  if (config && Array.isArray(config.overrides)) {
+    for (const raw of config.overrides) {
+      if (!raw || typeof raw.match !== 'string' || !raw.match.trim()) {
+        console.warn('[BACKUP] Ignoring a retention override with no `match` glob');
+        continue;
+      }
+      overrides.push({ match: raw.match, test: globToRegExp(raw.match), rule: normalizeRule(raw) });
+    }
+  }
+  policy = { base, overrides };
+}
+
+/**
+ * The effective rule for one site, e.g. `blog/post` (no extension).
+ * @returns {{keepAll: boolean, keepNewest: number, maxAgeMs: number, thinning: (object|null)}}
+ */
+function resolveRetention(site) {
+  const base = policy.base || {};
+  const override = typeof site === 'string'
+    ? policy.overrides.find((entry) => entry.test.test(site))
+    : null;
+  const rule = { ...base, ...(override ? override.rule : {}) };
+  return {
+    keepAll: rule.keepAll === true,
+    keepNewest: rule.keepNewest !== undefined ? rule.keepNewest : KEEP_NEWEST,
+    maxAgeMs: rule.maxAgeMs !== undefined ? rule.maxAgeMs : MAX_AGE_MS,
+    thinning: rule.thinning || null
+  };
+}
+
+// Local calendar buckets, so "one per day" means one per day on the user's
+// clock. Weeks start on Monday (epoch day 0 was a Thursday).
+function localMs(instant) {
+  return instant - new Date(instant).getTimezoneOffset() * 60 * 1000;
+}
+
+function thinningBucket(thinning, instant, now) {
+  const age = now - instant;
+  const local = localMs(instant);
+  if (age < thinning.hourlyMs) return `h${Math.floor(local / HOUR)}`;
+  if (age < thinning.dailyMs) return `d${Math.floor(local / DAY)}`;
+  if (age < thinning.weeklyMs) return `w${Math.floor((Math.floor(local / DAY) + 3) / 7)}`;
+  return null;
+}
+
+/**
+ * Names to keep from `entries`, which must already be sorted newest first.
+ * `instantOf` maps an entry to its instant (the pruner passes sortKey).
+ * @returns {Set<string>}
+ */
+function selectKept(entries, rule, now, instantOf) {
+  const keep = new Set();
+  if (rule.keepAll) {
+    entries.forEach((entry) => keep.add(entry.name));
+    return keep;
+  }
+
+  // Always keep the newest N, however old they are.
+  entries.slice(0, rule.keepNewest).forEach((entry) => keep.add(entry.name));
+
+  if (rule.thinning) {
+    // Newest first, so the first entry seen in a bucket is the one it keeps.
+    const seen = new Set();
+    for (const entry of entries) {
+      const bucket = thinningBucket(rule.thinning, instantOf(entry), now);
+      if (bucket === null || seen.has(bucket)) continue;
+      seen.add(bucket);
+      keep.add(entry.name);
+    }
+    return keep;
+  }
+
+  // Plus everything inside the age window. The union of the two.
+  for (const entry of entries) {
+    if (now - instantOf(entry) <= rule.maxAgeMs) keep.add(entry.name);
+  }
+  return keep;
+}
+
+module.exports = {
+  MAX_AGE_MS,
+  KEEP_NEWEST,
+  globToRegExp,
+  setRetentionPolicy,
+  resolveRetention,
+  selectKept
+};
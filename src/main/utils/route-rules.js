@@ -0,0 +1,166 @@
+// Redirect and rewrite rules a folder declares for itself, so a renamed page
+// keeps its old links and `/about` can answer with `about.html`. Two files,
+// either or both, at the folder's root:
+//
+//   .hyperclay/routes.json
+//     {
+//       "redirects": [{ "from": "/old-name.html", "to": "/new-name.html" }],
+//       "rewrites":  [{ "from": "/about", "to": "/about.html" }]
+//     }
+//
+//   _redirects (the format Netlify and others use)
+//     /old-name.html  /new-name.html
+//     /blog/:year/*   /archive/:year/:splat  302
+//     /about          /about.html            200
+//
+// A redirect answers with its status (301 unless given: 301, 302, 303, 307
+// or 308) and may point anywhere, another site included. A rewrite (status
+// 200) serves a path in this folder without changing the address bar.
+//
+// `:name` matches one path segment and a trailing `*` the rest, as `:splat`;
+// both can be used in `to`. The first matching rule wins, routes.json's before
+// _redirects'. A rule only applies where no file or folder exists, so a stale
+// rule can not hide a real page; `"force": true`, or `!` after the status in
+// _redirects, applies it regardless.
+
+const fs = require('fs').promises;
+const path = require('upath');
+
+const ROUTES_JSON = path.join('.hyperclay', 'routes.json');
+const REDIRECTS_FILE = '_redirects';
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * A rule ready to match, or null (with the reason in `problems`) when it
+ * can not be used as written.
+ */
+function compileRule({ from, to, status = 301, force = false }, problems) {
+  const skip = (why) => {
+    problems.push(`${JSON.stringify(from)} -> ${JSON.stringify(to)}: ${why}`);
+    return null;
+  };
+  if (typeof from !== 'string' || !from.startsWith('/')) return skip('"from" must be a path starting with /');
+  if (typeof to !== 'string' || !to) return skip('"to" is required');
+  if (status !== 200 && !REDIRECT_STATUSES.has(status)) return skip(`unsupported status ${status}`);
+  if (status === 200 && (!to.startsWith('/') || to.startsWith('/_/'))) {
+    return skip('a rewrite must point at a path in this folder');
+  }
+
+  const segments = from.replace(/\/+$/, '').split('/').slice(1);
+  const splatAt = segments.indexOf('*');
+  if (splatAt !== -1 && splatAt !== segments.length - 1) return skip('"*" must come last');
+  return { segments, to, status, force: force === true };
+}
+
+// `{ name: value, splat: rest }` when `pathname` matches, or null.
+function matchRule(rule, pathname) {
+  const parts = pathname.replace(/\/+$/, '').split('/').slice(1);
+  const params = {};
+  for (let i = 0; i < rule.segments.length; i++) {
+    const segment = rule.segments[i];
+    if (segment === '*') {
+      params.splat = parts.slice(i).join('/');
+      return params;
+    }
+    if (i >= parts.length) return null;
+    if (segment.startsWith(':')) params[segment.slice(1)] = parts[i];
+    else if (segment !== parts[i]) return null;
+  }
+  return parts.length === rule.segments.length ? params : null;
+}
+
+function fillParams(to, params) {
+  return to.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/** Rules from routes.json's text. `problems` collects what was skipped. */
+function parseRoutesJson(text, problems = []) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    problems.push(`routes.json is not valid JSON: ${error.message}`);
+    return [];
+  }
+  const list = (key) => (Array.isArray(config && config[key]) ? config[key] : []);
+  return [
+    ...list('redirects').map((rule) => compileRule({ ...rule, status: rule && rule.status !== undefined ? rule.status : 301 }, problems)),
+    ...list('rewrites').map((rule) => compileRule({ ...rule, status: 200 }, problems))
+  ].filter(Boolean);
+}
+
+/** Rules from _redirects' text: `from to [status][!]` per line, # comments. */
+function parseRedirectsFile(text, problems = []) {
+  const rules = [];
+  for (const line of text.split(/\r?\n/)) {
+    const fields = line.replace(/#.*$/, '').trim().split(/\s+/).filter(Boolean);
+    if (!fields.length) continue;
+    const [from, to, statusField = '301'] = fields;
+    const status = Number.parseInt(statusField, 10);
+    const rule = compileRule({ from, to, status, force: statusField.endsWith('!') }, problems);
+    if (rule) rules.push(rule);
+  }
+  return rules;
+}
+
+/**
+ * The first rule matching `pathname` (decoded, leading slash), as
+ * `{ status, to, force }` with its parameters filled in, or null.
+ */
+function findRoute(rules, pathname) {
+  for (const rule of rules) {
+    const params = matchRule(rule, pathname);
+    if (params) return { status: rule.status, to: fillParams(rule.to, params), force: rule.force };
+  }
+  return null;
+}
+
+/**
+ * A folder's rules, re-read whenever either file changes. `lookup` resolves
+ * a path against them.
+ */
+function createRouteRules(baseDir) {
+  let cached = { key: null, rules: [] };
+
+  const stamp = async (name) => {
+    try {
+      return (await fs.stat(path.join(baseDir, name))).mtimeMs;
+    } catch {
+      return null;
+    }
+  };
+
+  const load = async () => {
+    const stamps = await Promise.all([stamp(ROUTES_JSON), stamp(REDIRECTS_FILE)]);
+    const key = stamps.join('|');
+    if (key === cached.key) return cached.rules;
+
+    const problems = [];
+    const rules = [];
+    for (const [name, parse, at] of [[ROUTES_JSON, parseRoutesJson, stamps[0]], [REDIRECTS_FILE, parseRedirectsFile, stamps[1]]]) {
+      if (at === null) continue;
+      try {
+        rules.push(...parse(await fs.readFile(path.join(baseDir, name), 'utf8'), problems));
+      } catch (error) {
+        problems.push(`${name} could not be read: ${error.message}`);
+      }
+    }
+    for (const problem of problems) console.warn(`[SERVER] Ignoring route rule ${problem}`);
+    cached = { key, rules };
+    return rules;
+  };
+
+  return {
+    async lookup(pathname) {
+      const rules = await load();
+      return rules.length ? findRoute(rules, pathname) : null;
+    }
+  };
+}
+
+module.exports = {
+  parseRoutesJson,
+  parseRedirectsFile,
+  findRoute,
+  createRouteRules
+};
@@ -0,0 +1,222 @@
+// Full-text search over every document in the served folder. The index keeps,
+// per `.html` / `.htmlclay` file, its title, its visible text and the text of
+// its `/_/api` data, and lives beside the API sidecars:
+//
+//   {baseDir}/.hyperclay/search-index.json
+//
+// It is kept current two ways. Every writer that publishes HTML (the save
+// route, and the sync engine's downloads through refreshDerivedArtifacts)
+// indexes the bytes it just wrote. And each search first checks every
+// document's mtime against the index, so a file edited by hand, renamed,
+// trashed or deleted is picked up before the results go out.
+//
+// All of it is non-fatal: an index failure must never fail the write that
+// caused it, and at worst a search misses a page until the next one.
+
+const fs = require('fs').promises;
+const path = require('upath');
+const cheerio = require('cheerio');
+const { extractViaTag } = require('./data-extractor');
+const { getLocalFiles } = require('../../sync-engine/file-operations');
+const { atomicWriteFile } = require('./write-queue');
+const { canonicalizeBase, assertRealDirChain } = require('./real-dir-chain');
+
+const INDEX_FILE = path.join('.hyperclay', 'search-index.json');
+const INDEX_VERSION = 1;
+// Past this, a document's text is cut, so one huge page can not swell the
+// index for every search.
+const MAX_TEXT = 100000;
+const PERSIST_DELAY_MS = 2000;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 200;
+
+// One index per served folder, keyed by its canonical path.
+const indexes = new Map();
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Elements that end a run of words, so `<p>one</p><p>two</p>` reads as two.
+const BLOCKS = 'address, article, aside, blockquote, br, dd, div, dl, dt, figcaption, footer, form, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, option, p, pre, section, table, td, th, tr, ul';
+
+/** A document's title and visible text. */
+function extractText(html) {
+  const $ = cheerio.load(html);
+  const title = collapse($('title').first().text());
+  $('head, script, style, noscript, template, svg').remove();
+  $(BLOCKS).after(' ');
+  return { title, text: collapse($.root().text()).slice(0, MAX_TEXT) };
+}
+
+// The strings and numbers in a document's `/_/api` data, as one line.
+function dataText(data) {
+  const values = [];
+  const visit = (value) => {
+    if (value === null || value === undefined) return;
+    if (typeof value === 'object') Object.values(value).forEach(visit);
+    else values.push(String(value));
+  };
+  visit(data);
+  return collapse(values.join(' ')).slice(0, MAX_TEXT);
+}
+
+async function entryFor(html, mtimeMs, extracted) {
+  let data = '';
+  try {
+    data = dataText(extracted !== undefined ? extracted : await extractViaTag(html, 'api'));
+  } catch (error) {
+    console.error('[search] api data extraction failed (non-fatal):', error && error.message ? error.message : error);
+  }
+  return { mtimeMs, ...extractText(html), data };
+}
+
+async function indexFor(baseDir) {
+  const baseReal = await canonicalizeBase(baseDir);
+  let index = indexes.get(baseReal);
+  if (!index) {
+    index = { baseReal, documents: new Map(), timer: null, loaded: null };
+    index.loaded = fs.readFile(path.join(baseReal, INDEX_FILE), 'utf8')
+      .then((text) => {
+        const saved = JSON.parse(text);
+        if (saved.version !== INDEX_VERSION) return;
+        for (const [name, entry] of Object.entries(saved.documents || {})) {
+          if (!index.documents.has(name)) index.documents.set(name, entry);
+        }
+      })
+      .catch(() => {});
+    indexes.set(baseReal, index);
+  }
+  await index.loaded;
+  return index;
+}
+
+async function persist(index) {
+  index.timer = null;
+  try {
+    // The folder may have gone while the write waited; never make it again.
+    if (!(await fs.stat(index.baseReal).then(() => true, () => false))) return;
+    const target = path.join(index.baseReal, INDEX_FILE);
+    await assertRealDirChain(index.baseReal, path.dirname(target));
+    const documents = Object.fromEntries(index.documents);
+    await atomicWriteFile(target, JSON.stringify({ version: INDEX_VERSION, documents }));
+  } catch (error) {
+    console.error('[search] index write failed (non-fatal):', error && error.message ? error.message : error);
+  }
+}
+
+// Writes are batched: a burst of saves or downloads is one write.
+function schedulePersist(index) {
+  if (index.timer) return;
+  index.timer = setTimeout(() => persist(index), PERSIST_DELAY_MS);
+  if (index.timer.unref) index.timer.unref();
+}
+
+/** Write every index with changes still waiting, now. For shutdown. */
+async function flushSearchIndexes() {
+  const pending = [...indexes.values()].filter((index) => index.timer);
+  for (const index of pending) clearTimeout(index.timer);
+  await Promise.all(pending.map(persist));
+}
+
+/**
+ * Index `name` (e.g. "blog/post.html") from the HTML just written to it.
+ * `data` is its `/_/api` data when the caller has already extracted it.
+ * Non-fatal.
+ */
+async function indexDocument(baseDir, name, html, data) {
+  try {
+    const index = await indexFor(baseDir);
+    let mtimeMs = Date.now();
+    try {
+      // Whole milliseconds, as getLocalFiles reports them to reconcile.
+      mtimeMs = (await fs.stat(path.join(index.baseReal, name))).mtime.getTime();
+    } catch {}
+    index.documents.set(name, await entryFor(html, mtimeMs, data));
+    schedulePersist(index);
+  } catch (error) {
+    console.error(`[search] indexing ${name} failed (non-fatal):`, error && error.message ? error.message : error);
+  }
+}
+
+// Bring the index in line with the disk: new and changed documents are read
+// again, and those no longer there are dropped.
+async function reconcile(index) {
+  const files = await getLocalFiles(index.baseReal);
+  let changed = false;
+  for (const name of index.documents.keys()) {
+    if (!files.has(name)) {
+      index.documents.delete(name);
+      changed = true;
+    }
+  }
+  for (const [name, file] of files) {
+    const entry = index.documents.get(name);
+    if (entry && entry.mtimeMs === file.mtime.getTime()) continue;
+    try {
+      index.documents.set(name, await entryFor(await fs.readFile(file.path, 'utf8'), file.mtime.getTime()));
+      changed = true;
+    } catch (error) {
+      console.error(`[search] indexing ${name} failed (non-fatal):`, error && error.message ? error.message : error);
+    }
+  }
+  if (changed) schedulePersist(index);
+}
+
+const countOf = (haystack, term) => {
+  let count = 0;
+  for (let at = haystack.indexOf(term); at !== -1 && count < 20; at = haystack.indexOf(term, at + term.length)) count++;
+  return count;
+};
+
+// About SNIPPET_LENGTH characters of `text` around the first term found in
+// it, cut at word boundaries.
+function snippetOf(text, terms) {
+  const lower = text.toLowerCase();
+  const at = Math.min(...terms.map((term) => lower.indexOf(term)).filter((i) => i !== -1));
+  if (!Number.isFinite(at)) return text.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '') + (text.length > SNIPPET_LENGTH ? '…' : '');
+  let start = Math.max(0, at - SNIPPET_BEFORE);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const wordStart = text.indexOf(' ', start);
+  if (start > 0 && wordStart !== -1 && wordStart < at) start = wordStart + 1;
+  const wordEnd = text.lastIndexOf(' ', end);
+  if (end < text.length && wordEnd > at) end = wordEnd;
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * The documents matching every word of `query`, best first:
+ * `{ path, title, snippet, matchedIn }`, `matchedIn` naming where the words
+ * were found ('name', 'title', 'text', 'data').
+ */
+async function searchDocuments(baseDir, query, { limit = 50 } = {}) {
+  const terms = [...new Set(String(query || '').toLowerCase().split(/\s+/).filter(Boolean))].slice(0, 10);
+  if (!terms.length) return { total: 0, results: [] };
+  const index = await indexFor(baseDir);
+  await reconcile(index);
+
+  const matches = [];
+  for (const [name, entry] of index.documents) {
+    const fields = { name: name.toLowerCase(), title: entry.title.toLowerCase(), text: entry.text.toLowerCase(), data: entry.data.toLowerCase() };
+    if (!terms.every((term) => Object.values(fields).some((field) => field.includes(term)))) continue;
+    const score = terms.reduce((sum, term) =>
+      sum + countOf(fields.title, term) * 10 + countOf(fields.name, term) * 5 + countOf(fields.text, term) + countOf(fields.data, term), 0);
+    const matchedIn = Object.keys(fields).filter((field) => terms.some((term) => fields[field].includes(term)));
+    const inText = terms.some((term) => fields.text.includes(term));
+    matches.push({
+      path: name,
+      title: entry.title || path.basename(name),
+      snippet: snippetOf(inText || !entry.data ? entry.text : entry.data, terms),
+      matchedIn,
+      score
+    });
+  }
+  matches.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+  return { total: matches.length, results: matches.slice(0, limit).map(({ score, ...result }) => result) };
+}
+
+module.exports = {
+  INDEX_FILE,
+  extractText,
+  indexDocument,
+  searchDocuments,
+  flushSearchIndexes
+};
@@ -0,0 +1,24 @@
+// Where a file stands with the platform, for the directory listing. Built
+// from the sync engine the same way makeIsKnownPath is, so the server never
+// holds the engine itself. The answer is one of:
+//   - 'failed': uploads kept failing and the engine stopped retrying
+//   - 'pending': queued or waiting for a retry
+//   - 'synced': the node repository has it and nothing is queued
+//   - 'local': not on the platform yet
+// or null while sync is off, when there is nothing to say.
+function makeSyncStatusOf(syncEngine) {
+  return (relPath) => {
+    if (!syncEngine || !syncEngine.isRunning) return null;
+    const queue = syncEngine.syncQueue;
+    if (queue) {
+      if (queue.hasFailedPermanently(relPath)) return 'failed';
+      if (queue.getRetryInfo(relPath) || queue.getQueuedItems().some((item) => item.filename === relPath)) {
+        return 'pending';
+      }
+    }
+    if (syncEngine.repo && syncEngine.repo.getByPath(relPath)) return 'synced';
+    return 'local';
+  };
+}
+
+module.exports = { makeSyncStatusOf };
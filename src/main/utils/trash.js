@@ -0,0 +1,194 @@
+// Deleted files and folders, kept. Every delete, from the listing, from the
+// platform over SSE, or found at initial sync, moves the entry into a dated
+// batch under `.trash/`, at its own path, instead of removing it:
+//
+//   blog/post.html  ->  .trash/2026-10-19/14-03-22-123/blog/post.html
+//
+// `.trash` is a dot folder, so the server never serves it and the listing
+// never shows it, and the sync engine's watcher ignores it: to the platform
+// the file is gone, while its bytes stay on this machine. A batch can be put
+// back from the trash page, and a day's batches expire TRASH_DAYS later.
+//
+// Only the dated folders are the trash's own. Anything else under `.trash/`,
+// such as entries trashed flat by older versions, is left alone.
+
+const fs = require('fs').promises;
+const path = require('upath');
+const { PathError, validateSegments } = require('./path-resolver');
+const { assertRealDirChain } = require('./real-dir-chain');
+
+const TRASH_DIR = '.trash';
+const TRASH_DAYS = 30;
+
+const DAY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME = /^(\d{2})-(\d{2})-(\d{2})-(\d{3})(?:-\d+)?$/;
+
+const pad = (value, width = 2) => String(value).padStart(width, '0');
+
+// `2026-10-19` and `14-03-22-123`, in local time like version names.
+function batchNameFor(now) {
+  return {
+    day: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}-${pad(now.getMilliseconds(), 3)}`
+  };
+}
+
+/**
+ * The batch folder for a delete at `now`, relative to the served folder. For
+ * callers that move files themselves, like the sync engine.
+ */
+function trashBatchFor(now = new Date()) {
+  const { day, time } = batchNameFor(now);
+  return path.join(TRASH_DIR, day, time);
+}
+
+/**
+ * Move `relPath` (inside the canonical folder `baseReal`) into a new trash
+ * batch. Returns where it went, relative to `baseReal`. The trash's own
+ * directories must be real ones, so a planted symlink can not carry a delete
+ * out of the folder.
+ */
+async function moveToTrash(baseReal, relPath, now = new Date()) {
+  const { day, time } = batchNameFor(now);
+  const dayDir = path.join(baseReal, TRASH_DIR, day);
+  await assertRealDirChain(baseReal, dayDir);
+  await fs.mkdir(dayDir, { recursive: true });
+
+  // Two deletes in the same millisecond get a batch each.
+  let batch = null;
+  for (let n = 1; !batch; n++) {
+    const name = n === 1 ? time : `${time}-${n}`;
+    try {
+      await fs.mkdir(path.join(dayDir, name));
+      batch = path.join(TRASH_DIR, day, name);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+
+  const trashed = path.join(batch, relPath);
+  await fs.mkdir(path.dirname(path.join(baseReal, trashed)), { recursive: true });
+  await fs.rename(path.join(baseReal, relPath), path.join(baseReal, trashed));
+  return trashed;
+}
+
+const readDirOrEmpty = (dir) => fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+// What a batch holds, as the paths they came from: files, links and empty
+// folders. Links are not followed.
+async function batchEntries(batchDir, prefix = '') {
+  const entries = [];
+  const dirents = (await readDirOrEmpty(path.join(batchDir, prefix))).sort((a, b) => (a.name < b.name ? -1 : 1));
+  for (const dirent of dirents) {
+    const relPath = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+    if (dirent.isDirectory()) {
+      const inner = await batchEntries(batchDir, relPath);
+      entries.push(...(inner.length ? inner : [{ path: relPath, isFolder: true, size: 0 }]));
+    } else {
+      const stats = await fs.lstat(path.join(batchDir, relPath));
+      entries.push({ path: relPath, isFolder: false, size: stats.size });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Every batch in the trash, newest first: `{ batch, deletedAt, entries }`,
+ * where `batch` is `<day>/<time>` and each entry is `{ path, isFolder, size }`.
+ */
+async function listTrash(baseReal) {
+  const trashDir = path.join(baseReal, TRASH_DIR);
+  await assertRealDirChain(baseReal, trashDir);
+  const batches = [];
+  for (const day of await readDirOrEmpty(trashDir)) {
+    const d = day.isDirectory() && day.name.match(DAY);
+    if (!d) continue;
+    for (const time of await readDirOrEmpty(path.join(trashDir, day.name))) {
+      const t = time.isDirectory() && time.name.match(TIME);
+      if (!t) continue;
+      const batch = `${day.name}/${time.name}`;
+      const entries = await batchEntries(path.join(trashDir, batch));
+      if (!entries.length) continue;
+      batches.push({
+        batch,
+        deletedAt: new Date(+d[1], +d[2] - 1, +d[3], +t[1], +t[2], +t[3], +t[4]).toISOString(),
+        entries
+      });
+    }
+  }
+  return batches.sort((a, b) => (a.batch < b.batch ? 1 : -1));
+}
+
+// The folders a restore emptied, from `dir` up to, not including, `stopAt`:
+// those inside the batch, then the batch and its day.
+async function removeEmptyDirs(dir, stopAt) {
+  for (let current = dir; current !== stopAt && current.startsWith(`${stopAt}/`); current = path.dirname(current)) {
+    try {
+      await fs.rmdir(current);
+    } catch {
+      return;
+    }
+  }
+}
+
+/**
+ * Put the entries of `batch` back where they were deleted from: all of them,
+ * or with `only`, the one path and anything below it. Nothing is replaced:
+ * if any of them is back in the folder already, none are restored (409).
+ * Returns the restored paths.
+ */
+async function restoreFromTrash(baseReal, batch, only = null) {
+  const [day, time, ...rest] = typeof batch === 'string' ? batch.split('/') : [];
+  if (!DAY.test(day || '') || !TIME.test(time || '') || rest.length) {
+    throw new PathError(400, 'Not a trash batch');
+  }
+  if (only !== null) validateSegments(only);
+  const trashDir = path.join(baseReal, TRASH_DIR);
+  const batchDir = path.join(trashDir, day, time);
+  await assertRealDirChain(baseReal, batchDir);
+
+  const entries = (await batchEntries(batchDir))
+    .filter((entry) => only === null || entry.path === only || entry.path.startsWith(`${only}/`));
+  if (!entries.length) throw new PathError(404, 'Not in the trash');
+
+  for (const entry of entries) {
+    await assertRealDirChain(baseReal, path.dirname(path.join(baseReal, entry.path)));
+    const taken = await fs.lstat(path.join(baseReal, entry.path)).then(() => true, () => false);
+    if (taken) throw new PathError(409, `"${entry.path}" already exists.`);
+  }
+
+  for (const entry of entries) {
+    const target = path.join(baseReal, entry.path);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(path.join(batchDir, entry.path), target);
+    await removeEmptyDirs(path.dirname(path.join(batchDir, entry.path)), trashDir);
+  }
+  return entries.map((entry) => entry.path);
+}
+
+/**
+ * Remove the trash's days older than `days`. Returns how many days went.
+ */
+async function purgeExpiredTrash(baseReal, { days = TRASH_DAYS, now = new Date() } = {}) {
+  const trashDir = path.join(baseReal, TRASH_DIR);
+  await assertRealDirChain(baseReal, trashDir);
+  const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+  const { day: oldestKept } = batchNameFor(cutoff);
+  let removed = 0;
+  for (const dirent of await readDirOrEmpty(trashDir)) {
+    if (!dirent.isDirectory() || !DAY.test(dirent.name) || dirent.name >= oldestKept) continue;
+    await fs.rm(path.join(trashDir, dirent.name), { recursive: true, force: true });
+    removed++;
+  }
+  return removed;
+}
+
+module.exports = {
+  TRASH_DIR,
+  TRASH_DAYS,
+  trashBatchFor,
+  moveToTrash,
+  listTrash,
+  restoreFromTrash,
+  purgeExpiredTrash
+};
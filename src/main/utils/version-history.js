@@ -0,0 +1,309 @@
+// Read side of sites-versions/: what a document's saved versions are, and the
+// bytes of any one of them. backup.js owns the write side and prune-versions.js
+// owns deletion; this module only ever lists and reads. An older version may be
+// a manifest over the chunked store, so bytes and sizes come through
+// version-store.js, never straight off the disk.
+//
+// Everything here goes through the same two rules as those writers:
+//
+//   - Ordering is compareNewestFirst, never the filename. Names carry a local
+//     wall time plus offset, so they do not sort lexically (see prune-versions).
+//   - The directory chain from the served folder down to the site's versions
+//     directory must be symlink-free. A version read here can be restored over
+//     the live file, so a planted directory symlink must not be able to feed it
+//     bytes from outside the tree.
+
+const fs = require('fs').promises;
+const path = require('upath');
+const { PathError } = require('./path-resolver');
+const { VERSION_NAME, sortKey, compareNewestFirst } = require('./prune-versions');
+const { canonicalizeBase, rebaseOntoCanonical, assertRealDirChain } = require('./real-dir-chain');
+const { withFileLock } = require('./write-queue');
+const { normalizeLabel, readTags, writeTags } = require('./version-tags');
+const { createBackup } = require('./backup');
+const { getLocalFiles } = require('../../sync-engine/file-operations');
+const { readVersionFile, versionBytes } = require('./version-store');
+const { listTrash } = require('./trash');
+
+const siteFor = (name) => name.replace(/\.(html|htmlclay)$/, '');
+
+/**
+ * The versions directory for a document, e.g. `blog/post.html` ->
+ * `<baseDir>/sites-versions/blog/post`. Both extensions share one history,
+ * matching the name the save path backs up under.
+ */
+function siteVersionsDirFor(baseDir, name) {
+  return path.join(baseDir, 'sites-versions', siteFor(name));
+}
+
+// A chain violation is reported as a missing history rather than an error, so
+// the answer never says whether anything sits behind the symlink.
+async function assertHistoryChain(baseDir, dir) {
+  const canonicalBase = await canonicalizeBase(baseDir);
+  try {
+    await assertRealDirChain(canonicalBase, rebaseOntoCanonical(canonicalBase, baseDir, dir));
+  } catch {
+    throw new PathError(404, 'No versions for that document');
+  }
+}
+
+/**
+ * Every version of `name`, newest first. An absent history is an empty list.
+ * @returns {Promise<Array<{name: string, full: string, mtimeMs: number, bytes: number, at: number}>>}
+ */
+async function listVersions(baseDir, name) {
+  const dir = siteVersionsDirFor(baseDir, name);
+  await assertHistoryChain(baseDir, dir);
+
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const file of names) {
+    // Only names the publisher wrote; its dot-prefixed temps never match.
+    if (!VERSION_NAME.test(file)) continue;
+    const full = path.join(dir, file);
+    try {
+      const stat = await fs.lstat(full);
+      if (!stat.isFile()) continue;
+      entries.push({ name: file, full, mtimeMs: stat.mtimeMs, bytes: await versionBytes(full, stat) });
+    } catch {}
+  }
+
+  entries.sort(compareNewestFirst);
+  for (const entry of entries) entry.at = sortKey(entry);
+  return entries;
+}
+
+/**
+ * How many versions `name` has, without stat-ing each one: the listing asks
+ * for every document in a folder at once. A history behind a symlink counts
+ * as none.
+ */
+async function countVersions(baseDir, name) {
+  const dir = siteVersionsDirFor(baseDir, name);
+  try {
+    await assertHistoryChain(baseDir, dir);
+    return (await fs.readdir(dir)).filter((file) => VERSION_NAME.test(file)).length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * The bytes of one version. `version` is a bare filename from listVersions; a
+ * name with any other shape is a 404 before the disk is touched, so it can
+ * never address a file outside the history.
+ * @returns {Promise<Buffer>}
+ */
+async function readVersion(baseDir, name, version) {
+  return await readVersionFile(baseDir, await checkedVersionPath(baseDir, name, version));
+}
+
+// The checked path of one version, or a 404.
+async function checkedVersionPath(baseDir, name, version) {
+  if (typeof version !== 'string' || !VERSION_NAME.test(version)) {
+    throw new PathError(404, 'Version not found');
+  }
+  const dir = siteVersionsDirFor(baseDir, name);
+  await assertHistoryChain(baseDir, dir);
+
+  const full = path.join(dir, version);
+  let stat;
+  try {
+    stat = await fs.lstat(full);
+  } catch {
+    throw new PathError(404, 'Version not found');
+  }
+  if (!stat.isFile()) throw new PathError(404, 'Version not found');
+  return full;
+}
+
+/**
+ * Every tag on `name`'s history, newest tag first. Labels whose version has
+ * since gone (deleted by hand; the pruner never removes one) are left out.
+ * @returns {Promise<Array<{label: string, version: string, taggedAt: string}>>}
+ */
+async function listTags(baseDir, name) {
+  const versions = new Set((await listVersions(baseDir, name)).map((entry) => entry.name));
+  return Object.entries(await readTags(baseDir, siteFor(name)))
+    .filter(([, tag]) => tag && versions.has(tag.version))
+    .map(([label, tag]) => ({ label, version: tag.version, taggedAt: tag.taggedAt }))
+    .sort((a, b) => String(b.taggedAt).localeCompare(String(a.taggedAt)));
+}
+
+/**
+ * Point `label` at one version of `name`, moving it if it already names
+ * another. Runs under the history's lock, which the pruner also takes, so a
+ * version is never deleted between being checked here and being pinned.
+ * @returns {Promise<{label: string, version: string, taggedAt: string}>}
+ */
+async function tagVersion(baseDir, name, version, label) {
+  const clean = normalizeLabel(label);
+  return await withFileLock(siteVersionsDirFor(baseDir, name), async () => {
+    await checkedVersionPath(baseDir, name, version);
+    const tags = new Map(Object.entries(await readTags(baseDir, siteFor(name))));
+    const tag = { version, taggedAt: new Date().toISOString() };
+    tags.set(clean, tag);
+    await writeTags(baseDir, siteFor(name), Object.fromEntries(tags));
+    return { label: clean, ...tag };
+  });
+}
+
+/** Remove `label` from `name`'s history. Resolves false if it was not there. */
+async function untagVersion(baseDir, name, label) {
+  return await withFileLock(siteVersionsDirFor(baseDir, name), async () => {
+    const tags = new Map(Object.entries(await readTags(baseDir, siteFor(name))));
+    if (!tags.delete(label)) return false;
+    await writeTags(baseDir, siteFor(name), Object.fromEntries(tags));
+    return true;
+  });
+}
+
+/**
+ * Tag the current state of every document in the folder with one label: the
+ * newest version where it already matches the live file, otherwise a fresh
+ * version made from the live file first. Each document is read under its own
+ * file lock, so a save in flight lands wholly before or after the snapshot.
+ * Non-fatal per document.
+ * @returns {Promise<{tagged: Array<{file: string, version: string}>, failed: string[]}>}
+ */
+async function snapshotAll(baseDir, label) {
+  const clean = normalizeLabel(label);
+  const tagged = [];
+  const failed = [];
+  for (const [file, info] of await getLocalFiles(baseDir)) {
+    try {
+      const version = await withFileLock(await fs.realpath(info.path), async () => {
+        const content = await fs.readFile(info.path);
+        const [newest] = await listVersions(baseDir, file);
+        let chosen;
+        if (newest && newest.bytes === content.length && (await readVersionFile(baseDir, newest.full)).equals(content)) {
+          chosen = newest.name;
+        } else {
+          const created = await createBackup(baseDir, siteFor(file), content.toString('utf8'));
+          if (!created) throw new Error('backup failed');
+          chosen = path.basename(created);
+        }
+        // Still inside the file lock, so no later save can make this version
+        // prunable before the tag pins it.
+        await tagVersion(baseDir, file, chosen, clean);
+        return chosen;
+      });
+      tagged.push({ file, version });
+    } catch (error) {
+      console.error(`[BACKUP] Could not snapshot ${file} (non-fatal):`, error && error.message ? error.message : error);
+      failed.push(file);
+    }
+  }
+  return { tagged, failed };
+}
+
+/** The newest version of `name` saved at or before `at` (epoch ms), or null. */
+async function versionAt(baseDir, name, at) {
+  return (await listVersions(baseDir, name)).find((entry) => entry.at <= at) || null;
+}
+
+// The name each deleted document had, by history, from its newest trip to the
+// trash. A history does not record its document's extension (every version is
+// `.html`), so a document deleted outside the app, or whose trash expired,
+// comes back as `.html`.
+async function trashedDocuments(baseDir) {
+  const names = new Map();
+  let batches = [];
+  try {
+    batches = await listTrash(await canonicalizeBase(baseDir));
+  } catch {}
+  for (const { entries } of batches) {
+    for (const entry of entries) {
+      if (entry.isFolder || !/\.(html|htmlclay)$/.test(entry.path)) continue;
+      if (!names.has(siteFor(entry.path))) names.set(siteFor(entry.path), entry.path);
+    }
+  }
+  return names;
+}
+
+// Every document under `folder` ('' for the whole tree): the live ones, plus
+// any that only survive in sites-versions because they were deleted since.
+async function documentsUnder(baseDir, folder) {
+  const inFolder = (file) => !folder || file.startsWith(`${folder}/`);
+  const names = new Set([...(await getLocalFiles(baseDir)).keys()].filter(inFolder));
+  const histories = new Set([...names].map(siteFor));
+  let trashed = null;
+
+  const root = path.join(baseDir, 'sites-versions');
+  async function walk(dir, rel) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    // A document's history holds `.html` versions whatever its extension; a
+    // directory of upload backups holds the upload's own extension instead.
+    if (rel && entries.some((entry) => entry.isFile() && VERSION_NAME.test(entry.name) && entry.name.endsWith('.html'))) {
+      if (!histories.has(rel) && inFolder(`${rel}.html`)) {
+        trashed = trashed || await trashedDocuments(baseDir);
+        names.add(trashed.get(rel) || `${rel}.html`);
+      }
+    }
+    for (const entry of entries) {
+      // Dirent.isDirectory() is false for a symlink, so none is followed.
+      if (entry.isDirectory()) await walk(path.join(dir, entry.name), rel ? `${rel}/${entry.name}` : entry.name);
+    }
+  }
+  await walk(folder ? path.join(root, folder) : root, folder);
+  return [...names].sort();
+}
+
+/**
+ * What rolling `folder` back to `at` would do, without doing it. One row per
+ * document: the version it would get (the newest saved at or before `at`, by
+ * parsed instant, never by filename) and the action, one of
+ *
+ *   restore   — the live file differs from that version
+ *   recreate  — the document was deleted since; the version brings it back
+ *   unchanged — the live file already holds those bytes
+ *   none      — nothing was saved that early; the document is left alone
+ *
+ * @returns {Promise<Array<{file: string, version: (string|null), versionAt: (number|null), action: string}>>}
+ */
+async function planFolderRestore(baseDir, folder, at) {
+  const plan = [];
+  for (const file of await documentsUnder(baseDir, folder)) {
+    let entry;
+    try {
+      entry = await versionAt(baseDir, file, at);
+    } catch {
+      entry = null; // a refused (symlinked) history restores nothing
+    }
+    if (!entry) {
+      plan.push({ file, version: null, versionAt: null, action: 'none' });
+      continue;
+    }
+    let live = null;
+    try { live = await fs.readFile(path.join(baseDir, file)); } catch {}
+    const action = live === null
+      ? 'recreate'
+      : live.equals(await readVersionFile(baseDir, entry.full)) ? 'unchanged' : 'restore';
+    plan.push({ file, version: entry.name, versionAt: entry.at, action });
+  }
+  return plan;
+}
+
+module.exports = {
+  siteVersionsDirFor,
+  listVersions,
+  countVersions,
+  readVersion,
+  listTags,
+  tagVersion,
+  untagVersion,
+  snapshotAll,
+  versionAt,
+  planFolderRestore
+};
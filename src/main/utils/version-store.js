@@ -0,0 +1,421 @@
+// Optional chunked store behind sites-versions/. Off unless settings.json has
+// `"versionStore": "dedup"`.
+//
+// The newest version of every history stays an ordinary, whole file. When a
+// save supersedes it, that file is rewritten as a small MANIFEST listing the
+// chunks its bytes are made of, and the chunks are kept once each, by SHA-256,
+// under
+//
+//   {baseDir}/.hyperclay/version-store/<first two hex>/<sha256>
+//
+// Chunk boundaries are content-defined (a rolling gear hash, averaging 8 KiB),
+// so an edit only moves the boundaries next to it. Two multi-MB saves of a
+// kanban page that differ by one attribute share every chunk but one or two,
+// and the older of them costs its manifest (about 1% of the page) plus those
+// chunks instead of a second full copy. Identical saves share every chunk.
+//
+// sites-versions stays the compatibility view. Every version keeps its name,
+// so compareNewestFirst, the data-loss guard's newestVersionPath, the pruner
+// and the tags read the listing exactly as before. Only the BYTES of an older
+// version need this module: readVersionFile returns them whole, manifest or
+// not, checked against the SHA-256 recorded for the version, and
+// versionBytes is its real size. A manifest keeps the mtime of the file it
+// replaced, since legacy names are ordered by it. A person browsing the folder
+// gets readableVersionsDir instead: a copy of it with every version whole.
+//
+// Lifetime is reachability. collectBlobs reads every manifest under
+// sites-versions and deletes the chunks none of them names. Chunks are stored
+// and deleted under one lock, and a compaction holds its chunks from before
+// the first is stored until its manifest is in place, so a sweep that read the
+// manifests in between never deletes them. A sweep that cannot read every
+// manifest deletes nothing.
+//
+// A version that cannot be compacted (a full disk, an unusable store) simply
+// stays a whole file. Every failure here is non-fatal.
+
+const fs = require('fs').promises;
+const path = require('upath');
+const crypto = require('crypto');
+const { canonicalizeBase, rebaseOntoCanonical, assertRealDirChain } = require('./real-dir-chain');
+const { withFileLock } = require('./write-queue');
+
+const STORE_DIR = '.hyperclay/version-store';
+const VIEW_DIR = '.hyperclay/version-view';
+const CHUNK_NAME = /^[0-9a-f]{64}$/;
+// Temps older than this are left over from a crash, not an in-flight write.
+const STALE_TEMP_MS = 60 * 60 * 1000;
+
+// The first line of every manifest. Nothing a user saves starts with it, and
+// a file that does but fails to parse is read as ordinary bytes.
+const MANIFEST_HEADER = Buffer.from('#hyperclay-version-manifest 1\n');
+// Smaller versions are left whole: their manifest would save next to nothing.
+const MIN_COMPACT_BYTES = 16 * 1024;
+
+const MIN_CHUNK = 2 * 1024;
+const MAX_CHUNK = 64 * 1024;
+const CHUNK_MASK = 0x1fff; // 13 bits: a boundary every 8 KiB on average, past MIN_CHUNK
+// Fixed forever: a different table cuts different chunks, and nothing would
+// dedup against what is already stored.
+const GEAR = Array.from({ length: 256 }, (_, i) => crypto.createHash('sha256').update(`hyperclay-gear-${i}`).digest().readUInt32BE(0));
+
+let enabled = false;
+// The chunk hashes each compaction in progress holds, and for each running
+// sweep, the hashes held since it started.
+const inFlight = new Set();
+const sweeps = new Set();
+
+/** Install the `versionStore` setting from settings.json. */
+function setVersionStore(mode) {
+  enabled = mode === 'dedup';
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+const storeRoot = (baseDir) => path.join(baseDir, STORE_DIR);
+const chunkPath = (baseDir, hash) => path.join(storeRoot(baseDir), hash.slice(0, 2), hash);
+
+async function assertChain(baseDir, dir) {
+  const canonicalBase = await canonicalizeBase(baseDir);
+  await assertRealDirChain(canonicalBase, rebaseOntoCanonical(canonicalBase, baseDir, dir));
+}
+
+// `buffer` cut at content-defined boundaries.
+function chunksOf(buffer) {
+  const chunks = [];
+  let start = 0;
+  let hash = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    hash = ((hash << 1) + GEAR[buffer[i]]) >>> 0;
+    const length = i + 1 - start;
+    if ((length >= MIN_CHUNK && (hash & CHUNK_MASK) === 0) || length >= MAX_CHUNK) {
+      chunks.push(buffer.subarray(start, i + 1));
+      start = i + 1;
+      hash = 0;
+    }
+  }
+  if (start < buffer.length) chunks.push(buffer.subarray(start));
+  return chunks;
+}
+
+// Is the chunk at `file` a regular file holding exactly `hash`? A missing,
+// symlinked or edited chunk is not reused.
+async function chunkIntact(file, hash) {
+  try {
+    const stat = await fs.lstat(file);
+    if (!stat.isFile()) return false;
+    return sha256(await fs.readFile(file)) === hash;
+  } catch {
+    return false;
+  }
+}
+
+// A durable temp in `dir` holding `data`, for the caller to rename into place.
+async function writeDurably(dir, prefix, data) {
+  const temp = path.join(dir, `${prefix}${crypto.randomBytes(8).toString('hex')}.tmp`);
+  try {
+    const handle = await fs.open(temp, 'wx', 0o644);
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+      await handle.chmod(0o644);
+    } finally {
+      await handle.close();
+    }
+    return temp;
+  } catch (error) {
+    await fs.unlink(temp).catch(() => {});
+    throw error;
+  }
+}
+
+// Hold `hashes` against every sweep until the manifest naming them is written.
+function holdChunks(hashes) {
+  inFlight.add(hashes);
+  for (const sweep of sweeps) for (const hash of hashes) sweep.add(hash);
+}
+
+// Put every one of `chunks` ({ data, hash }) in the store.
+async function storeChunks(baseDir, chunks) {
+  await withFileLock(storeRoot(baseDir), async () => {
+    const checked = new Set();
+    for (const { data, hash } of chunks) {
+      if (checked.has(hash)) continue;
+      checked.add(hash);
+      const file = chunkPath(baseDir, hash);
+      const dir = path.dirname(file);
+      await fs.mkdir(dir, { recursive: true });
+      await assertChain(baseDir, dir);
+      if (await chunkIntact(file, hash)) continue;
+      const temp = await writeDurably(dir, '.blob-', data);
+      // Rename, not link: a chunk that failed chunkIntact is replaced outright.
+      try {
+        await fs.rename(temp, file);
+      } finally {
+        await fs.unlink(temp).catch(() => {});
+      }
+    }
+  });
+}
+
+// The manifest in `buffer`, or null when it holds ordinary bytes.
+function parseManifest(buffer) {
+  if (buffer.length < MANIFEST_HEADER.length || !buffer.subarray(0, MANIFEST_HEADER.length).equals(MANIFEST_HEADER)) return null;
+  try {
+    const manifest = JSON.parse(buffer.subarray(MANIFEST_HEADER.length).toString('utf8'));
+    const valid = manifest && Number.isInteger(manifest.bytes) && CHUNK_NAME.test(manifest.sha256) &&
+      Array.isArray(manifest.chunks) && manifest.chunks.every((hash) => CHUNK_NAME.test(hash));
+    return valid ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rewrite the whole version file `file` as a manifest over stored chunks.
+ * The caller holds the history's lock. Resolves false when the store is off or
+ * the file is small, already a manifest or gone. Never throws.
+ */
+async function compactVersion(baseDir, file) {
+  if (!enabled) return false;
+  try {
+    const stat = await fs.lstat(file);
+    if (!stat.isFile() || stat.size < MIN_COMPACT_BYTES) return false;
+    const buffer = await fs.readFile(file);
+    if (parseManifest(buffer)) return false;
+
+    const chunks = chunksOf(buffer).map((data) => ({ data, hash: sha256(data) }));
+    const hashes = chunks.map((chunk) => chunk.hash);
+    holdChunks(hashes);
+    try {
+      await storeChunks(baseDir, chunks);
+      const manifest = Buffer.concat([
+        MANIFEST_HEADER,
+        Buffer.from(JSON.stringify({ bytes: buffer.length, sha256: sha256(buffer), chunks: hashes }))
+      ]);
+      const dir = path.dirname(file);
+      await assertChain(baseDir, dir);
+      // The publisher's own temp prefix, which every reader of the history skips.
+      const temp = await writeDurably(dir, '.hyperclay-ver-', manifest);
+      try {
+        await fs.utimes(temp, stat.atime, stat.mtime);
+        await fs.rename(temp, file);
+      } finally {
+        await fs.unlink(temp).catch(() => {});
+      }
+    } finally {
+      inFlight.delete(hashes);
+    }
+    return true;
+  } catch (error) {
+    if (error && error.code !== 'ENOENT') {
+      console.error('[BACKUP] Could not compact a version, keeping it whole (non-fatal):', error && error.message ? error.message : error);
+    }
+    return false;
+  }
+}
+
+/**
+ * The bytes of the version at `file`, whole or from its manifest. Throws when
+ * a chunk is missing or the bytes do not match the recorded checksum.
+ * @returns {Promise<Buffer>}
+ */
+async function readVersionFile(baseDir, file) {
+  const buffer = await fs.readFile(file);
+  const manifest = parseManifest(buffer);
+  if (!manifest) return buffer;
+
+  await assertChain(baseDir, storeRoot(baseDir));
+  const parts = [];
+  for (const hash of manifest.chunks) parts.push(await fs.readFile(chunkPath(baseDir, hash)));
+  const bytes = Buffer.concat(parts);
+  if (bytes.length !== manifest.bytes || sha256(bytes) !== manifest.sha256) {
+    throw new Error(`The stored chunks of ${path.basename(file)} are damaged`);
+  }
+  return bytes;
+}
+
+// The manifest at `file` (a stat of it in hand), or null when it holds the
+// bytes themselves. Only the header of a whole version is read, so a large
+// upload backup costs one small read.
+async function manifestAt(file, stat) {
+  if (stat.size < MANIFEST_HEADER.length) return null;
+  const handle = await fs.open(file, 'r');
+  try {
+    const head = Buffer.alloc(MANIFEST_HEADER.length);
+    await handle.read(head, 0, head.length, 0);
+    return head.equals(MANIFEST_HEADER) ? parseManifest(await handle.readFile()) : null;
+  } finally {
+    await handle.close().catch(() => {});
+  }
+}
+
+/** The size of the version at `file` (a stat of it in hand), manifest or not. */
+async function versionBytes(file, stat) {
+  const manifest = await manifestAt(file, stat).catch(() => null);
+  return manifest ? manifest.bytes : stat.size;
+}
+
+// Every chunk a manifest under sites-versions names. Throws when any part of
+// the tree cannot be read, since a chunk it would have named would look unused.
+async function referencedChunks(baseDir) {
+  const referenced = new Set();
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' && dir === path.join(baseDir, 'sites-versions')) return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      // Dirent.isDirectory() is false for a symlink, so none is followed.
+      if (entry.isDirectory()) {
+        await walk(full);
+      } else if (entry.isFile()) {
+        const stat = await fs.lstat(full).catch(() => null);
+        if (!stat) continue;
+        const manifest = await manifestAt(full, stat).catch(() => null);
+        if (manifest) for (const hash of manifest.chunks) referenced.add(hash);
+      }
+    }
+  }
+  await walk(path.join(baseDir, 'sites-versions'));
+  return referenced;
+}
+
+/**
+ * Delete chunks no manifest names any more, and temps a crash left behind.
+ * Runs whether or not the store is enabled, so turning it off still lets old
+ * chunks drain away as their versions are pruned.
+ * @returns {Promise<number>} chunks deleted
+ */
+async function collectBlobs(baseDir, now = Date.now()) {
+  const root = storeRoot(baseDir);
+  let deleted = 0;
+  let canonicalBase;
+  try {
+    canonicalBase = await canonicalizeBase(baseDir);
+    await assertRealDirChain(canonicalBase, rebaseOntoCanonical(canonicalBase, baseDir, root));
+  } catch (error) {
+    console.warn(`[BACKUP] Refusing to sweep the version store under ${baseDir} (non-fatal): ${error && error.message ? error.message : error}`);
+    return deleted;
+  }
+
+  let shards;
+  try {
+    shards = await fs.readdir(root, { withFileTypes: true });
+  } catch {
+    return deleted;
+  }
+
+  const storedDuringSweep = new Set([...inFlight].flat());
+  sweeps.add(storedDuringSweep);
+  try {
+    let referenced;
+    try {
+      referenced = await referencedChunks(baseDir);
+    } catch (error) {
+      console.warn(`[BACKUP] Not sweeping the version store, a version could not be read (non-fatal): ${error && error.message ? error.message : error}`);
+      return deleted;
+    }
+
+    await withFileLock(root, async () => {
+      for (const shard of shards) {
+        if (!shard.isDirectory() || !/^[0-9a-f]{2}$/.test(shard.name)) continue;
+        const dir = path.join(root, shard.name);
+        let names;
+        try {
+          names = await fs.readdir(dir);
+        } catch {
+          continue;
+        }
+        for (const name of names) {
+          const full = path.join(dir, name);
+          try {
+            const stat = await fs.lstat(full);
+            if (!stat.isFile()) continue;
+            const unused = CHUNK_NAME.test(name) && !referenced.has(name) && !storedDuringSweep.has(name);
+            const staleTemp = name.endsWith('.tmp') && now - stat.mtimeMs > STALE_TEMP_MS;
+            if (!unused && !staleTemp) continue;
+            await assertRealDirChain(canonicalBase, rebaseOntoCanonical(canonicalBase, baseDir, dir));
+            await fs.unlink(full);
+            if (unused) deleted += 1;
+          } catch {}
+        }
+      }
+    });
+  } finally {
+    sweeps.delete(storedDuringSweep);
+  }
+  return deleted;
+}
+
+/**
+ * The folder to show a person as their backups: sites-versions itself while
+ * every version in it is whole, otherwise a copy of it under
+ * .hyperclay/version-view where each manifest is replaced by the bytes it
+ * stands for. The copy is rebuilt on every call. Its whole versions are hard
+ * links, so only the rebuilt ones take space again, and only until the next
+ * call. A version that cannot be rebuilt is left out of the copy.
+ * @returns {Promise<string>}
+ */
+async function readableVersionsDir(baseDir) {
+  const source = path.join(baseDir, 'sites-versions');
+  const view = path.join(baseDir, VIEW_DIR);
+  await assertChain(baseDir, source);
+  const files = [];
+  async function walk(dir, rel) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      const entryRel = rel ? `${rel}/${entry.name}` : entry.name;
+      // Dirent.isDirectory() is false for a symlink, so none is followed.
+      if (entry.isDirectory()) {
+        await walk(full, entryRel);
+      } else if (entry.isFile()) {
+        const stat = await fs.lstat(full).catch(() => null);
+        if (stat) files.push({ full, rel: entryRel, stat, manifest: await manifestAt(full, stat).catch(() => null) });
+      }
+    }
+  }
+  await walk(source, '');
+
+  await assertChain(baseDir, path.dirname(view));
+  await fs.rm(view, { recursive: true, force: true });
+  if (!files.some((file) => file.manifest)) return source;
+
+  for (const file of files) {
+    const target = path.join(view, file.rel);
+    try {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await assertChain(baseDir, path.dirname(target));
+      if (file.manifest) {
+        await fs.writeFile(target, await readVersionFile(baseDir, file.full));
+        await fs.utimes(target, file.stat.atime, file.stat.mtime);
+      } else {
+        await fs.link(file.full, target).catch(() => fs.copyFile(file.full, target));
+      }
+    } catch (error) {
+      console.error(`[BACKUP] Could not show ${file.rel} in the backups folder (non-fatal):`, error && error.message ? error.message : error);
+    }
+  }
+  return view;
+}
+
+module.exports = {
+  STORE_DIR,
+  setVersionStore,
+  compactVersion,
+  readVersionFile,
+  versionBytes,
+  collectBlobs,
+  readableVersionsDir
+};
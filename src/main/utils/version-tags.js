@@ -0,0 +1,86 @@
+// Named tags on saved versions ("shipped to client", "before refactor"). One
+// JSON file per history, beside the other per-document state:
+//
+//   {baseDir}/.hyperclay/version-tags/<site>.json
+//   { "<label>": { "version": "<file in sites-versions/<site>/>", "taggedAt": "<ISO>" } }
+//
+// where <site> is the document's path without its extension, exactly as under
+// sites-versions/. A label names one version per document, the way a git tag
+// names one commit: tagging again moves it. A version can carry any number of
+// labels. The pruner keeps every version a label points at.
+//
+// This module only stores tags. version-history.js owns tagging (it validates
+// the version and holds the history's lock), and prune-versions.js reads them.
+
+const fs = require('fs').promises;
+const path = require('upath');
+const { PathError } = require('./path-resolver');
+const { atomicWriteFile } = require('./write-queue');
+const { canonicalizeBase, rebaseOntoCanonical, assertRealDirChain } = require('./real-dir-chain');
+
+const TAGS_DIR = '.hyperclay/version-tags';
+const MAX_LABEL_LENGTH = 100;
+
+function tagsPathFor(baseDir, site) {
+  return path.join(baseDir, TAGS_DIR, `${site}.json`);
+}
+
+async function assertTagsChain(baseDir, file) {
+  const canonicalBase = await canonicalizeBase(baseDir);
+  await assertRealDirChain(canonicalBase, rebaseOntoCanonical(canonicalBase, baseDir, path.dirname(file)));
+}
+
+/**
+ * A trimmed label, or a 400. Labels show up in URLs and the history page, so
+ * they are kept to one short line of printable text.
+ */
+function normalizeLabel(label) {
+  const trimmed = typeof label === 'string' ? label.trim() : '';
+  if (!trimmed) throw new PathError(400, 'A tag needs a label');
+  if (trimmed.length > MAX_LABEL_LENGTH) throw new PathError(400, `Tag labels are at most ${MAX_LABEL_LENGTH} characters`);
+  if (/[\x00-\x1f\x7f]/.test(trimmed)) throw new PathError(400, 'Tag labels must be a single line');
+  return trimmed;
+}
+
+/**
+ * The tags for one history; `{}` when it has none. Unlike the sidecars this is
+ * NOT forgiving: an unreadable or corrupt file throws, because the pruner must
+ * not read "no tags" and delete versions someone pinned.
+ * @returns {Promise<Object<string, {version: string, taggedAt: string}>>}
+ */
+async function readTags(baseDir, site) {
+  const file = tagsPathFor(baseDir, site);
+  await assertTagsChain(baseDir, file);
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  const parsed = JSON.parse(raw);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Malformed version tags in ${file}`);
+  }
+  return parsed;
+}
+
+/** Replace the tags for one history. Callers hold the history's lock. */
+async function writeTags(baseDir, site, tags) {
+  const file = tagsPathFor(baseDir, site);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await assertTagsChain(baseDir, file);
+  if (Object.keys(tags).length === 0) {
+    await fs.unlink(file).catch((error) => { if (error.code !== 'ENOENT') throw error; });
+    return;
+  }
+  await atomicWriteFile(file, JSON.stringify(tags, null, 2));
+}
+
+module.exports = {
+  TAGS_DIR,
+  MAX_LABEL_LENGTH,
+  normalizeLabel,
+  readTags,
+  writeTags
+};
@@ -157,6 +157,7 @@ const DEFAULT_STATE = {
   selectedFolder: null,
   serverRunning: false,
   serverPort: 4321,
+  lanSharing: null,
   syncEnabled: false,
   syncStatus: { isRunning: false, username: null, stats: { lastSync: null } },
   appVersion: null,
@@ -209,6 +210,27 @@ const PopoverApp = () => {
   const [credError, setCredError] = useState('');
   const [credLoading, setCredLoading] = useState(false);
 
+  // Snapshot tag form
+  const [snapshotLabel, setSnapshotLabel] = useState('');
+  const [snapshotError, setSnapshotError] = useState('');
+  const [snapshotResult, setSnapshotResult] = useState('');
+  const [snapshotLoading, setSnapshotLoading] = useState(false);
+
+  // New page from a template
+  const [templates, setTemplates] = useState([]);
+  const [newPageTemplate, setNewPageTemplate] = useState('blank');
+  const [newPageName, setNewPageName] = useState('');
+  const [newPageTitle, setNewPageTitle] = useState('');
+  const [newPageError, setNewPageError] = useState('');
+  const [newPageResult, setNewPageResult] = useState('');
+  const [newPageLoading, setNewPageLoading] = useState(false);
+
+  // LAN sharing and its pairing code
+  const [lanLoading, setLanLoading] = useState(false);
+  const [lanError, setLanError] = useState('');
+  const [pairing, setPairing] = useState(null);
+  const [pairingAccess, setPairingAccess] = useState('edit');
+
   // Button loading states
   const [serverLoading, setServerLoading] = useState(false);
   const [syncLoading, setSyncLoading] = useState(false);
@@ -218,6 +240,7 @@ const PopoverApp = () => {
   // rockers — these refs make the flips single-flight.
   const serverBusy = useRef(false);
   const syncBusy = useRef(false);
+  const lanBusy = useRef(false);
 
   const addError = (errorData) => {
     const errorId = errorIdCounter.current++;
@@ -343,6 +366,19 @@ const PopoverApp = () => {
       setCurrentView('credentials');
     });
 
+    window.electronAPI.onShowSnapshot(() => {
+      setSnapshotError('');
+      setSnapshotResult('');
+      setCurrentView('snapshot');
+    });
+
+    window.electronAPI.onShowNewPage(async () => {
+      setNewPageError('');
+      setNewPageResult('');
+      setCurrentView('new-page');
+      setTemplates(await window.electronAPI.listTemplates());
+    });
+
     window.electronAPI.onFileSynced((data) => {
       const entry = { file: data.file, timestamp: Date.now() };
       if (data.action === 'download') {
@@ -361,7 +397,7 @@ const PopoverApp = () => {
       const channels = [
         'update-state', 'sync-update', 'sync-stats', 'file-synced',
         'sync-retry', 'sync-failed', 'popover-arrow-x', 'popover-arrow-position',
-        'show-credentials', 'update-available'
+        'show-credentials', 'show-snapshot', 'show-new-page', 'update-available'
       ];
       channels.forEach(ch => window.electronAPI.removeAllListeners(ch));
     };
@@ -394,6 +430,40 @@ const PopoverApp = () => {
     }
   };
 
+  const handleLanFlip = async () => {
+    if (lanBusy.current) return;
+    lanBusy.current = true;
+    setLanLoading(true);
+    setLanError('');
+    try {
+      const result = state.lanSharing
+        ? await window.electronAPI?.lanStop()
+        : await window.electronAPI?.lanStart();
+      if (result?.error) setLanError(result.error);
+      setPairing(null);
+    } finally {
+      lanBusy.current = false;
+      setLanLoading(false);
+    }
+  };
+
+  const handleShowPairing = async (access = pairingAccess) => {
+    setPairingAccess(access);
+    setLanError('');
+    setCurrentView('lan');
+    const result = await window.electronAPI?.lanPairingLink(access);
+    if (!result?.success) {
+      setPairing(null);
+      setLanError(result?.error || 'Could not create a pairing code');
+      return;
+    }
+    setPairing(result);
+  };
+
+  const handleRevokeDevice = async (id) => {
+    await window.electronAPI?.lanRevoke(id);
+  };
+
   const handleSyncFlip = async () => {
     if (syncBusy.current) return;
 
@@ -512,8 +582,62 @@ const PopoverApp = () => {
     }
   };
 
+  const handleSnapshotSubmit = async () => {
+    if (!snapshotLabel.trim()) {
+      setSnapshotError('A label is required');
+      return;
+    }
+
+    setSnapshotLoading(true);
+    setSnapshotError('');
+    setSnapshotResult('');
+
+    try {
+      const result = await window.electronAPI?.tagSnapshot(snapshotLabel.trim());
+      if (!result?.success) {
+        setSnapshotError(result?.error || 'Could not tag the current versions');
+        return;
+      }
+      const count = `${result.tagged} document${result.tagged === 1 ? '' : 's'}`;
+      setSnapshotResult(result.failed
+        ? `Tagged ${count}; ${result.failed} could not be tagged`
+        : `Tagged ${count}`);
+      setSnapshotLabel('');
+    } catch (err) {
+      setSnapshotError('Could not tag the current versions');
+    } finally {
+      setSnapshotLoading(false);
+    }
+  };
+
+  const handleNewPageSubmit = async () => {
+    if (!newPageName.trim()) {
+      setNewPageError('A name is required');
+      return;
+    }
+
+    setNewPageLoading(true);
+    setNewPageError('');
+    setNewPageResult('');
+
+    try {
+      const result = await window.electronAPI?.createPage(newPageTemplate, newPageName.trim(), newPageTitle.trim());
+      if (!result?.success) {
+        setNewPageError(result?.error || 'Could not create the page');
+        return;
+      }
+      setNewPageResult(`Created ${result.path}`);
+      setNewPageName('');
+      setNewPageTitle('');
+    } catch (err) {
+      setNewPageError('Could not create the page');
+    } finally {
+      setNewPageLoading(false);
+    }
+  };
+
   const handleCopyUrl = async () => {
-    const url = `http://localhost:${state.serverPort || 4321}`;
+    const url = state.serverUrl || `http://localhost:${state.serverPort || 4321}`;
     await window.electronAPI?.copyText(url);
     setCopied(true);
     clearTimeout(copiedTimer.current);
@@ -639,7 +763,12 @@ const PopoverApp = () => {
                 </svg>
               </button>
               <span className="text-[#E8EAF6] text-[15px] font-semibold tracking-wide font-['Berkeley_Mono',monospace]">
-                {currentView === 'notices' ? 'Notices' : currentView === 'activity' ? 'Activity' : 'Connect'}
+                {currentView === 'notices' ? 'Notices'
+                  : currentView === 'activity' ? 'Activity'
+                  : currentView === 'snapshot' ? 'Tag Versions'
+                  : currentView === 'new-page' ? 'New Page'
+                  : currentView === 'lan' ? 'Pair a Device'
+                  : 'Connect'}
               </span>
               <div className="ml-auto flex gap-1">
                 {currentView === 'notices' && (
@@ -678,11 +807,15 @@ const PopoverApp = () => {
               syncUsername={syncUsername}
               lastSync={lastSync}
               serverLoading={serverLoading}
+              lanLoading={lanLoading}
+              lanError={lanError}
               syncLoading={syncLoading}
               copied={copied}
               activity={activity}
               criticalNotice={criticalNotice}
               onServerFlip={handleServerFlip}
+              onLanFlip={handleLanFlip}
+              onPairDevice={() => handleShowPairing()}
               onSyncFlip={handleSyncFlip}
               onChooseFolder={handleChooseFolder}
               onChangeFolder={handleChangeFolder}
@@ -722,6 +855,48 @@ const PopoverApp = () => {
               onCancel={navigateHome}
             />
           )}
+
+          {currentView === 'lan' && (
+            <LanView
+              sharing={state.lanSharing}
+              pairing={pairing}
+              access={pairingAccess}
+              error={lanError}
+              onAccessChange={handleShowPairing}
+              onRevoke={handleRevokeDevice}
+              onDone={navigateHome}
+            />
+          )}
+
+          {currentView === 'snapshot' && (
+            <SnapshotView
+              label={snapshotLabel}
+              error={snapshotError}
+              result={snapshotResult}
+              loading={snapshotLoading}
+              folderLabel={folderName(state.selectedFolder)}
+              onLabelChange={setSnapshotLabel}
+              onSubmit={handleSnapshotSubmit}
+              onCancel={navigateHome}
+            />
+          )}
+
+          {currentView === 'new-page' && (
+            <NewPageView
+              templates={templates}
+              template={newPageTemplate}
+              name={newPageName}
+              title={newPageTitle}
+              error={newPageError}
+              result={newPageResult}
+              loading={newPageLoading}
+              onTemplateChange={setNewPageTemplate}
+              onNameChange={setNewPageName}
+              onTitleChange={setNewPageTitle}
+              onSubmit={handleNewPageSubmit}
+              onCancel={navigateHome}
+            />
+          )}
         </div>
 
         {/* Footer */}
@@ -742,9 +917,9 @@ const PopoverApp = () => {
 // =============================================================================
 
 const HomeView = ({
-  state, hasStoredApiKey, syncUsername, lastSync, serverLoading, syncLoading,
+  state, hasStoredApiKey, syncUsername, lastSync, serverLoading, lanLoading, lanError, syncLoading,
   copied, activity, criticalNotice,
-  onServerFlip, onSyncFlip, onChooseFolder, onChangeFolder, onOpenFolder,
+  onServerFlip, onLanFlip, onPairDevice, onSyncFlip, onChooseFolder, onChangeFolder, onOpenFolder,
   onOpenBrowser, onCopyUrl, onConnect, onShowActivity, onShowNotices,
 }) => {
   const hasFolder = !!state.selectedFolder;
@@ -773,6 +948,24 @@ const HomeView = ({
       )
       : `starts at localhost:${port}`;
 
+  const lanSub = lanLoading
+    ? (state.lanSharing ? 'stopping…' : 'starting…')
+    : lanError
+      ? <span className="text-[#FE5F58]">{lanError}</span>
+      : state.lanSharing
+        ? (
+          <>
+            <span>{state.lanSharing.url.replace(/^http:\/\//, '')}</span>
+            <button
+              onClick={onPairDevice}
+              className="ml-auto bg-transparent border-none p-0 cursor-pointer text-[#69AEFE] text-[11.5px] font-['Berkeley_Mono',monospace] hover:underline"
+            >
+              pair device →
+            </button>
+          </>
+        )
+        : 'share with devices on your Wi-Fi';
+
   const syncSub = syncLoading
     ? (state.syncEnabled ? 'stopping…' : 'enabling…')
     : !hasStoredApiKey
@@ -850,6 +1043,25 @@ const HomeView = ({
         {serverSub}
       </div>
 
+      {/* LAN row — only while the server runs, since sharing rides on it */}
+      {state.serverRunning && (
+        <>
+          <div className="flex items-center gap-[9px] px-3.5 pt-[7px]">
+            <Led on={!!state.lanSharing} />
+            <span className="text-[12px] tracking-[0.14em] text-[#B8BFE5]">LAN</span>
+            <Rocker
+              on={!!state.lanSharing}
+              disabled={lanLoading}
+              onFlip={onLanFlip}
+              label={state.lanSharing ? 'Stop sharing on LAN' : 'Share on LAN'}
+            />
+          </div>
+          <div className="flex items-center gap-1.5 pl-[30px] pr-3.5 pt-[2px] pb-1.5 text-[11.5px] text-[#6B7194]">
+            {lanSub}
+          </div>
+        </>
+      )}
+
       {/* Sync row */}
       <div className="flex items-center gap-[9px] px-3.5 pt-[7px]">
         <Led on={state.syncEnabled} />
@@ -1111,6 +1323,215 @@ const CredentialsView = ({ username, apiKey, error, loading, folderLabel, onUser
   );
 };
 
+// =============================================================================
+// LAN VIEW
+// =============================================================================
+
+const LanView = ({ sharing, pairing, access, error, onAccessChange, onRevoke, onDone }) => {
+  const devices = sharing?.devices || [];
+
+  return (
+    <div className="flex-1 overflow-y-auto px-3.5 pt-3 pb-2.5">
+      <div className="text-[11.5px] text-[#6B7194] leading-[1.5] mb-2">
+        Scan with a phone or tablet on the same network. Each code pairs one device and expires in 10 minutes.
+      </div>
+
+      <div className="flex gap-1 mb-2.5">
+        <BevelButton label="can edit" onClick={() => onAccessChange('edit')} variant={access === 'edit' ? 'success' : 'neutral'} tiny />
+        <BevelButton label="view only" onClick={() => onAccessChange('view')} variant={access === 'view' ? 'success' : 'neutral'} tiny />
+      </div>
+
+      {error && (
+        <div className="mb-2 text-[12px] text-[#FE5F58] text-center">
+          {error}
+        </div>
+      )}
+
+      {pairing && pairing.access === access && (
+        <div className="flex flex-col items-center mb-2.5">
+          <img src={pairing.qr} alt="Pairing code" width={150} height={150} style={{ imageRendering: 'pixelated' }} />
+          <div className="mt-1 text-[10.5px] text-[#454A68] break-all text-center">
+            {pairing.url.replace(/\?code=.*$/, '')}
+          </div>
+        </div>
+      )}
+
+      {devices.length > 0 && (
+        <>
+          <div className="flex items-center gap-2 mt-1 mb-0.5">
+            <span className="text-[10px] tracking-[0.22em] text-[#6B7194]">PAIRED</span>
+            <span className="flex-1 h-px bg-[#292F52]" />
+          </div>
+          {devices.map((device) => (
+            <div key={device.id} className="flex items-baseline gap-2 py-[4px] border-b border-[#1D1F2F] last:border-b-0">
+              <span className="text-[12px] text-[#B8BFE5] whitespace-nowrap overflow-hidden text-ellipsis">
+                {device.name}
+              </span>
+              <span className="text-[11px] text-[#6B7194]">{device.access === 'view' ? 'view only' : 'can edit'}</span>
+              <button
+                onClick={() => onRevoke(device.id)}
+                className="ml-auto bg-transparent border-none p-0 cursor-pointer text-[11px] text-[#6B7194] font-['Berkeley_Mono',monospace] hover:text-[#FE5F58]"
+              >
+                revoke
+              </button>
+            </div>
+          ))}
+        </>
+      )}
+
+      <div className="mt-2.5">
+        <button
+          onClick={onDone}
+          className="bg-transparent border-none text-[#6B7194] text-[12px] cursor-pointer py-0.5 font-['Berkeley_Mono',monospace]"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// =============================================================================
+// SNAPSHOT VIEW
+// =============================================================================
+
+const SnapshotView = ({ label, error, result, loading, folderLabel, onLabelChange, onSubmit, onCancel }) => {
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !loading) onSubmit();
+  };
+
+  return (
+    <div className="flex-1 px-3.5 pt-3.5 pb-2.5">
+      <div className="text-[11.5px] text-[#6B7194] leading-[1.5] mb-3">
+        Tags the current version of every document in {folderLabel ? `"${folderLabel}"` : 'your folder'}. Tagged versions are never pruned.
+      </div>
+
+      <div className="mb-3">
+        <label className="block mb-[3px] text-[12px] text-[#8A92BB]">Label</label>
+        <input
+          type="text"
+          value={label}
+          onChange={(e) => onLabelChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="shipped to client"
+          maxLength={100}
+          className="w-full px-2 py-1.5 text-[13px] font-['Berkeley_Mono',monospace] bg-[#111220] border-2 border-[#4F5A97] text-white outline-none"
+        />
+      </div>
+
+      {error && (
+        <div className="mb-2 text-[12px] text-[#FE5F58] text-center">
+          {error}
+        </div>
+      )}
+      {result && (
+        <div className="mb-2 text-[12px] text-[#12B886] text-center">
+          {result}
+        </div>
+      )}
+
+      <BevelButton
+        label={loading ? 'Tagging...' : 'Tag Current Versions'}
+        onClick={onSubmit}
+        variant="neutral"
+        disabled={loading}
+        style={{ width: '100%' }}
+      />
+
+      <div className="mt-2.5">
+        <button
+          onClick={onCancel}
+          className="bg-transparent border-none text-[#6B7194] text-[12px] cursor-pointer py-0.5 font-['Berkeley_Mono',monospace]"
+        >
+          {result ? 'Done' : 'Cancel'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// =============================================================================
+// NEW PAGE VIEW
+// =============================================================================
+
+const NewPageView = ({ templates, template, name, title, error, result, loading, onTemplateChange, onNameChange, onTitleChange, onSubmit, onCancel }) => {
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !loading) onSubmit();
+  };
+  const inputClass = "w-full px-2 py-1.5 text-[13px] font-['Berkeley_Mono',monospace] bg-[#111220] border-2 border-[#4F5A97] text-white outline-none";
+
+  return (
+    <div className="flex-1 px-3.5 pt-3.5 pb-2.5">
+      <div className="text-[11.5px] text-[#6B7194] leading-[1.5] mb-3">
+        Makes a page in your folder from a template. Add your own as documents in .hyperclay/templates.
+      </div>
+
+      <div className="mb-3">
+        <label className="block mb-[3px] text-[12px] text-[#8A92BB]">Template</label>
+        <select value={template} onChange={(e) => onTemplateChange(e.target.value)} className={inputClass}>
+          {templates.map((t) => (
+            <option key={t.id} value={t.id}>{t.builtIn ? t.name : `${t.name} (yours)`}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="mb-3">
+        <label className="block mb-[3px] text-[12px] text-[#8A92BB]">Name</label>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => onNameChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="my-page"
+          maxLength={255}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="mb-3">
+        <label className="block mb-[3px] text-[12px] text-[#8A92BB]">Title</label>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => onTitleChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="From the name"
+          maxLength={200}
+          className={inputClass}
+        />
+      </div>
+
+      {error && (
+        <div className="mb-2 text-[12px] text-[#FE5F58] text-center">
+          {error}
+        </div>
+      )}
+      {result && (
+        <div className="mb-2 text-[12px] text-[#12B886] text-center">
+          {result}
+        </div>
+      )}
+
+      <BevelButton
+        label={loading ? 'Creating...' : 'Create Page'}
+        onClick={onSubmit}
+        variant="neutral"
+        disabled={loading}
+        style={{ width: '100%' }}
+      />
+
+      <div className="mt-2.5">
+        <button
+          onClick={onCancel}
+          className="bg-transparent border-none text-[#6B7194] text-[12px] cursor-pointer py-0.5 font-['Berkeley_Mono',monospace]"
+        >
+          {result ? 'Done' : 'Cancel'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
 // =============================================================================
 // FOOTER BUTTON
 // =============================================================================
@@ -25,6 +25,7 @@ const {
 const { calculateChecksum, isLocalNewer, isFutureFile } = require('./utils');
 const { ERROR_PRIORITY } = require('./constants');
 const nodeMap = require('./node-map');
+const { trashBatchFor } = require('../main/utils/trash');
 
 module.exports = {
   /**
@@ -59,6 +60,9 @@ module.exports = {
       // Skip entirely on first-ever sync (no baseline to compare against).
       if (this.lastSyncedAt) {
         const serverNodeIds = new Set(allServerNodes.map(n => String(n.id)));
+        // Everything deleted while offline goes into one trash batch, so it
+        // can be restored together.
+        const trashBatch = trashBatchFor();
         await this.repo.apply(async (map) => {
           for (const [nid, entry] of map) {
             if (serverNodeIds.has(nid)) continue;
@@ -88,7 +92,7 @@ module.exports = {
                 continue;
               }
 
-              const trashPath = path.join(this.syncFolder, '.trash', localRelPath);
+              const trashPath = path.join(this.syncFolder, trashBatch, localRelPath);
               await ensureDirectory(path.dirname(trashPath));
               // Full path + extension — matches wasBrowserSave in engine-watcher.
               liveSync.markBrowserSave(localRelPath);
@@ -7,11 +7,13 @@
  * Methods are installed onto SyncEngine.prototype.
  */
 
+const path = require('upath');
 const {
   renameNode,
   moveNode,
   deleteNode
 } = require('./api-client');
+const nodeMap = require('./node-map');
 
 module.exports = {
   async _apiRenameNode(nodeId, newName) {
@@ -31,5 +33,67 @@ module.exports = {
     this.outbox.markInFlight('delete', parseInt(nodeId));
     await deleteNode(this.serverUrl, this.apiKey, parseInt(nodeId), { cascade });
     this.invalidateServerNodesCache();
+  },
+
+  /**
+   * A rename or move the app makes itself (the directory listing's file
+   * actions), told to the platform as one rename or move instead of leaving
+   * the watcher to correlate an unlink with an add. `move()` makes the change
+   * on disk; the watcher events it causes are consumed the way an SSE
+   * relocation's are.
+   *
+   * The platform hears first, so a refused rename leaves the disk as it was.
+   * If the disk change then fails, the platform is put back (best-effort). A
+   * path the repository does not know is simply moved, and the watcher treats
+   * it like any other new file.
+   */
+  async relocateLocalNode(oldPath, newPath, move) {
+    const found = this.isRunning ? this.repo.getByPath(oldPath) : null;
+    if (!found) return move();
+
+    const { nodeId, entry } = found;
+    const descendants = entry.type === 'folder' ? this.repo.walkDescendants(oldPath) : [];
+    const oldToNew = new Map(descendants.map(({ nodeId: descId, entry: descEntry }) => [
+      descId,
+      { newPath: newPath + descEntry.path.substring(oldPath.length), entry: descEntry }
+    ]));
+
+    const folderOf = (relPath) => (path.dirname(relPath) === '.' ? '' : path.dirname(relPath));
+    const tell = async (from, to) => {
+      if (folderOf(from) === folderOf(to)) {
+        await this._apiRenameNode(nodeId, path.basename(to));
+      } else {
+        const rename = path.basename(from) === path.basename(to) ? undefined : path.basename(to);
+        await this._apiMoveNode(nodeId, this.resolveParentIdByPath(folderOf(to)), rename);
+      }
+    };
+
+    await tell(oldPath, newPath);
+    this.cascade.mark([
+      oldPath,
+      newPath,
+      ...descendants.map(({ entry: descEntry }) => descEntry.path),
+      ...Array.from(oldToNew.values()).map((v) => v.newPath)
+    ]);
+    try {
+      await move();
+    } catch (err) {
+      await tell(newPath, oldPath).catch((revertErr) =>
+        console.error(`[SYNC] Could not undo the platform ${oldPath} → ${newPath} change:`, revertErr.message)
+      );
+      throw err;
+    }
+
+    // Tombstoned like any relocation, so a stale tab on an old URL gets a 409.
+    await this.repo.addTombstones([oldPath, ...descendants.map(({ entry: descEntry }) => descEntry.path)]);
+    if (entry.type === 'folder') {
+      await this.repo.apply(async (map) => {
+        this._applyFolderRelocateNodeMapUpdates(map, nodeId, newPath, oldToNew);
+      });
+    } else {
+      const inode = await nodeMap.getInode(path.join(this.syncFolder, newPath));
+      await this.repo.set(nodeId, { ...entry, path: newPath, inode, syncedAt: Date.now() });
+    }
+    console.log(`[SYNC] Local ${entry.type} relocated: ${oldPath} → ${newPath}`);
   }
 };
@@ -13,6 +13,7 @@ const { liveSync } = require('livesync-hyperclay');
 const { createBackupIfExists, createBinaryBackupIfExists } = require('../main/utils/backup');
 const dataGuard = require('../main/data-loss-guard');
 const { refreshDerivedArtifacts } = require('../main/utils/derived-artifacts');
+const { trashBatchFor } = require('../main/utils/trash');
 const { classifyError, formatErrorForLog } = require('./error-handler');
 const { dispatchControlEnvelope } = require('./control-lane');
 const {
@@ -326,7 +327,7 @@ module.exports = {
     const localFilename = entry?.path || fullPath;
     this.resolveContainedPath(localFilename);
     const localPath = path.join(this.syncFolder, localFilename);
-    const trashPath = path.join(this.syncFolder, '.trash', localFilename);
+    const trashPath = path.join(this.syncFolder, trashBatchFor(), localFilename);
 
     const exists = await fileExists(localPath);
     if (!exists) {
@@ -353,7 +354,7 @@ module.exports = {
     const localFolderPath = entry?.path || fullPath;
     this.resolveContainedPath(localFolderPath);
     const localPath = path.join(this.syncFolder, localFolderPath);
-    const trashPath = path.join(this.syncFolder, '.trash', localFolderPath);
+    const trashPath = path.join(this.syncFolder, trashBatchFor(), localFolderPath);
 
     const descendants = this.repo.walkDescendants(localFolderPath);
 
@@ -4,7 +4,9 @@
 // The filename ends in `.node-test.js` (not `.test.js`) so jest's testMatch skips it.
 const test = require('node:test');
 const assert = require('node:assert');
-const { extractData, extractViaTag, parseExtractionRules } = require('../../src/main/utils/data-extractor');
+const { extractData, extractViaTag, rulesViaTag, applyViaTag, parseExtractionRules } = require('../../src/main/utils/data-extractor');
+const { patchSiteApiLocal } = require('../../src/main/utils/data-api');
+const { checkPageData } = require('../../src/main/utils/api-schema');
 
 test('extractViaTag extracts via a single-token api tag', async () => {
   const html = `<!DOCTYPE html><html><head>
@@ -42,3 +44,35 @@ test('extractData runs query-style rules; parseExtractionRules parses relaxed JS
   const rules = await parseExtractionRules('{title:"h1",xs:".x[]"}');
   assert.deepStrictEqual(await extractData(html, rules), { title: 'Title', xs: ['one', 'two'] });
 });
+
+test('applyViaTag writes the fields given through the api tag and leaves the rest', async () => {
+  const html = `<!DOCTYPE html><html><head>
+    <script type="application/json" data-rules-name="api" data-rules-version="1">
+    { "title": "h1", "price": ".price", "items": ".item[]" }
+    </script></head><body>
+    <h1>Plans</h1><p class="price">10</p><ul><li class="item">a</li></ul>
+    </body></html>`;
+  const patched = await applyViaTag(html, 'api', { price: '12', items: ['a', 'b'] });
+  assert.deepStrictEqual(await extractViaTag(patched, 'api'), { title: 'Plans', price: '12', items: ['a', 'b'] });
+  assert.strictEqual(await applyViaTag('<html><body></body></html>', 'api', { title: 'x' }), null);
+  await assert.rejects(() => applyViaTag(html, 'api', { title: { nested: true } }), (e) => e.name === 'ShapeMismatch');
+});
+
+test('patchSiteApiLocal answers with the full data, and refuses what does not read back', async () => {
+  const html = `<html><head><script type="application/json" data-rules-name="api" data-rules-version="1">{ "title": "h1", "count": ".count" }</script></head>
+    <body><h1>Old</h1><p class="count">1</p></body></html>`;
+  const result = await patchSiteApiLocal(html, { count: 2 });
+  assert.deepStrictEqual(result.data, { title: 'Old', count: '2' });
+  assert.strictEqual((await patchSiteApiLocal(html, { unknown: 'x' })).status, 422);
+  assert.strictEqual((await patchSiteApiLocal(html, { title: ['x'] })).status, 400);
+});
+
+test('checkPageData finds a text rule whose element an edit removed', async () => {
+  const rules = '<script type="application/json" data-rules-name="api" data-rules-version="1">{ title: "h1", price: ".price", link: "a@href" }</script>';
+  assert.deepStrictEqual(await rulesViaTag(`<html><head>${rules}</head></html>`, 'api'), { title: 'h1', price: '.price', link: 'a@href' });
+  const fits = await checkPageData(`<html><head>${rules}</head><body><h1>Plans</h1><p class="price">10</p></body></html>`);
+  assert.deepStrictEqual(fits, { explicit: false, violations: [] });
+  const broken = await checkPageData(`<html><head>${rules}</head><body><h1>Plans</h1><p class="cost">10</p></body></html>`);
+  assert.deepStrictEqual(broken.violations, [{ path: 'price', message: 'is missing' }]);
+  assert.strictEqual(await checkPageData('<html><body></body></html>'), null);
+});
@@ -0,0 +1,208 @@
+// A page's `/_/api` data against its JSON Schema, stated or inferred from the
+// rules: the checker, `?schema`, the save warning and `/_/meta`.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn(),
+  rulesViaTag: jest.fn(),
+  applyViaTag: jest.fn(),
+  parseExtractionRules: jest.fn()
+}));
+
+jest.mock('livesync-hyperclay', () => ({
+  liveSync: {
+    subscribe: jest.fn(),
+    unsubscribe: jest.fn(),
+    broadcast: jest.fn(),
+    notify: jest.fn(),
+    markBrowserSave: jest.fn(),
+    wasBrowserSave: jest.fn(() => false),
+    subscribeUser: jest.fn(),
+    unsubscribeUser: jest.fn(),
+    broadcastToUser: jest.fn()
+  }
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { liveSync } = require('livesync-hyperclay');
+const { extractViaTag, rulesViaTag, applyViaTag } = require('../../src/main/utils/data-extractor');
+const { createApp } = require('../../src/main/server.js');
+const { inferSchema, validateData } = require('../../src/main/utils/api-schema');
+
+// A stand-in engine: the rules are the JSON in the rules tag, and the data is
+// the JSON in <main>.
+const RULES = { title: 'h1', price: '.price', link: 'a@href', tags: '.tag[]' };
+const page = (data, schema) => '<html><head>' +
+  `<script type="application/json" data-rules-name="api" data-rules-version="1">${JSON.stringify(RULES)}</script>` +
+  (schema ? `<script type="application/schema+json" data-schema-for="api">${schema}</script>` : '') +
+  `</head><body><main>${JSON.stringify(data)}</main></body></html>`;
+
+describe('api data schemas', () => {
+  let dir;
+  let app;
+
+  const save = (html) => request(app)
+    .post('/_/save')
+    .set('Host', 'localhost')
+    .set('Page-URL', 'http://localhost:4321/plans.html')
+    .set('Content-Type', 'text/html')
+    .send(html);
+
+  const warnings = () => liveSync.notify.mock.calls.map(([, message]) => message).filter((message) => /schema/.test(message.msg));
+
+  async function settle() {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'api-schema-')));
+    jest.clearAllMocks();
+    rulesViaTag.mockImplementation(async (html) => {
+      const match = /data-rules-name="api"[^>]*>(.*?)<\/script>/.exec(html);
+      return match ? JSON.parse(match[1]) : null;
+    });
+    extractViaTag.mockImplementation(async (html) => {
+      const match = /<main>(.*)<\/main>/.exec(html);
+      return match ? JSON.parse(match[1]) : null;
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+  });
+
+  test('infers a schema from the rules: text must be found, lists and properties may be empty', () => {
+    const schema = inferSchema({ ...RULES, rows: ['.row', { name: '.name' }] });
+    expect(schema).toEqual({
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        price: { type: 'string' },
+        link: { type: ['string', 'number', 'boolean', 'null'] },
+        tags: { type: 'array', items: { type: 'string' } },
+        rows: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] } }
+      },
+      required: ['title', 'price', 'link', 'tags', 'rows']
+    });
+    expect(validateData(schema, { title: 'A', price: '1', link: null, tags: [], rows: [{ name: 'x' }] })).toEqual([]);
+    expect(validateData(schema, { title: 'A', price: null, link: null, tags: [], rows: [{ name: null }] }))
+      .toEqual([{ path: 'price', message: 'is missing' }, { path: 'rows[0].name', message: 'is missing' }]);
+  });
+
+  test('checks the keywords a page\'s data can use, numbers read from text included', () => {
+    const schema = {
+      type: 'object',
+      required: ['price', 'status'],
+      additionalProperties: false,
+      properties: {
+        price: { type: 'number', minimum: 0 },
+        status: { enum: ['draft', 'live'] },
+        code: { type: 'string', pattern: '^[A-Z]{3}$' },
+        tags: { type: 'array', maxItems: 1 }
+      }
+    };
+    expect(validateData(schema, { price: '12.5', status: 'live', code: 'ABC', tags: ['a'] })).toEqual([]);
+    expect(validateData(schema, { price: '-1', status: 'gone', code: 'abc', tags: ['a', 'b'], extra: 1 }).map((v) => `${v.path} ${v.message}`)).toEqual([
+      'price should be at least 0',
+      'status should be one of "draft", "live"',
+      'code should match ^[A-Z]{3}$',
+      'tags should have at most 1 items',
+      'extra is not in the schema'
+    ]);
+    expect(validateData(schema, { price: 'cheap' })).toEqual([
+      { path: 'status', message: 'is missing' },
+      { path: 'price', message: 'should be number, not "cheap"' }
+    ]);
+  });
+
+  test('serves the page\'s schema, its own when it states one', async () => {
+    await fs.writeFile(path.join(dir, 'plans.html'), page({ title: 'Plans' }));
+    await fs.writeFile(path.join(dir, 'own.html'), page({ title: 'Own' }, '{"type":"object","required":["title"]}'));
+    await fs.writeFile(path.join(dir, 'plain.html'), '<html><body></body></html>');
+
+    const inferred = await request(app).get('/_/api/plans.html?schema').set('Host', 'localhost');
+    expect(inferred.status).toBe(200);
+    expect(inferred.headers['x-schema-source']).toBe('inferred');
+    expect(inferred.body).toEqual(inferSchema(RULES));
+
+    const own = await request(app).get('/_/api/own.html?schema').set('Host', 'localhost');
+    expect(own.headers['x-schema-source']).toBe('explicit');
+    expect(own.body).toEqual({ type: 'object', required: ['title'] });
+
+    expect((await request(app).get('/_/api/plain.html?schema').set('Host', 'localhost')).body.error).toBe('No api rules tag');
+    expect((await request(app).get('/_/api/missing.html?schema').set('Host', 'localhost')).status).toBe(404);
+  });
+
+  test('warns the page when a save breaks its data, once, and again when it is put right', async () => {
+    const good = { title: 'Plans', price: '10', link: null, tags: [] };
+    expect((await save(page(good))).status).toBe(200);
+    await settle();
+    expect(warnings()).toEqual([]);
+
+    await save(page({ ...good, price: null }));
+    await save(page({ ...good, price: null, tags: ['x'] }));
+    await settle();
+    expect(warnings()).toEqual([{ msgType: 'warning', msg: 'Saved, but the page\'s data does not fit its schema: price is missing' }]);
+
+    await save(page(good));
+    await settle();
+    expect(warnings()[1]).toEqual({ msgType: 'success', msg: 'The page\'s data fits its schema again' });
+  });
+
+  test('extracts a save\'s data once, and a slow check never outlives a later save\'s', async () => {
+    const good = { title: 'Plans', price: '10', link: null, tags: [] };
+    await save(page(good));
+    await settle();
+    expect(extractViaTag).toHaveBeenCalledTimes(1);
+
+    // The check of the broken save finishes after the fixed save's.
+    const rules = rulesViaTag.getMockImplementation();
+    rulesViaTag.mockImplementationOnce(async (html) => {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      return rules(html);
+    });
+    await save(page({ ...good, price: null }));
+    await save(page(good));
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(warnings()).toEqual([]);
+  });
+
+  test('warns the page when a data API write breaks its data', async () => {
+    applyViaTag.mockImplementation(async (html, token, data) => {
+      const current = JSON.parse(/<main>(.*)<\/main>/.exec(html)[1]);
+      return html.replace(/<main>.*<\/main>/, `<main>${JSON.stringify({ ...current, ...data })}</main>`);
+    });
+    await fs.writeFile(path.join(dir, 'plans.html'), page({ title: 'Plans', price: '10', link: null, tags: [] }));
+
+    const res = await request(app)
+      .patch('/_/api/plans.html')
+      .set('Host', 'localhost')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ price: null }));
+    expect(res.status).toBe(200);
+    await settle();
+    expect(warnings()).toEqual([{ msgType: 'warning', msg: 'Saved, but the page\'s data does not fit its schema: price is missing' }]);
+  });
+
+  test('reports whether a page\'s data fits through /_/meta', async () => {
+    await fs.writeFile(path.join(dir, 'plans.html'), page({ title: 'Plans', price: null, link: null, tags: [] }));
+    await fs.writeFile(path.join(dir, 'broken.html'), page({ title: 'Plans' }, '{not json'));
+    const meta = (name) => request(app).get('/_/meta').set('Host', 'localhost').set('Document-URL', `http://localhost:4321/${name}`);
+
+    expect((await meta('plans.html')).body.document.data).toEqual({
+      schema: 'inferred',
+      valid: false,
+      violations: [{ path: 'price', message: 'is missing' }]
+    });
+    const broken = (await meta('broken.html')).body.document.data;
+    expect(broken).toMatchObject({ schema: 'explicit', valid: false, violations: [{ path: '(schema)' }] });
+  });
+});
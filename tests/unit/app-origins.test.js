@@ -0,0 +1,132 @@
+// `isolateOrigins`: each top-level folder and document of the main folder on
+// its own `<name>.localhost` origin, mapped back onto the main folder's paths.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createMountedApp } = require('../../src/main/server.js');
+const { normalizeMounts } = require('../../src/main/utils/mounts');
+const { appOfDocument, toMainPath, hostFor } = require('../../src/main/utils/app-origins');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('app addressing', () => {
+  const noFolders = () => false;
+
+  test('names the app a document belongs to', () => {
+    expect(appOfDocument('blog/post.html', noFolders)).toEqual({ label: 'blog', kind: 'folder', rest: '/post.html' });
+    expect(appOfDocument('notes.html', noFolders)).toEqual({ label: 'notes', kind: 'document', rest: '/' });
+    expect(appOfDocument('notes.html', (name) => name === 'notes')).toBeNull();
+    expect(appOfDocument('My Blog/post.html', noFolders)).toBeNull();
+    expect(appOfDocument('Notes.html', noFolders)).toBeNull();
+    expect(appOfDocument('docs/a.html', noFolders, new Set(['docs']))).toBeNull();
+  });
+
+  test('maps an app path onto the main folder', () => {
+    expect(toMainPath({ label: 'blog', kind: 'folder' }, '/post.html')).toBe('/blog/post.html');
+    expect(toMainPath({ label: 'notes', kind: 'document' }, '/')).toBe('/notes.html');
+    expect(toMainPath({ label: 'notes', kind: 'document' }, '/style.css')).toBe('/style.css');
+  });
+
+  test('keeps the port when moving between origins', () => {
+    expect(hostFor('localhost:4321', 'blog')).toBe('blog.localhost:4321');
+    expect(hostFor('blog.localhost:4321', null)).toBe('localhost:4321');
+    expect(hostFor('localhost', 'blog')).toBe('blog.localhost');
+  });
+});
+
+describe('createMountedApp with isolateOrigins', () => {
+  let root;
+  let main;
+  let app;
+
+  const get = (url, host = 'localhost:4321') => request(app).get(url).set('Host', host);
+  const navigate = (url, host = 'localhost:4321') => get(url, host).set('Accept', 'text/html');
+
+  beforeEach(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'app-origins-')));
+    main = path.join(root, 'main');
+    await fs.mkdir(path.join(main, 'blog'), { recursive: true });
+    await fs.mkdir(path.join(root, 'docs'));
+    await fs.writeFile(path.join(main, 'blog', 'index.html'), '<html><body>blog home</body></html>');
+    await fs.writeFile(path.join(main, 'blog', 'post.html'), '<html><body>blog post</body></html>');
+    await fs.writeFile(path.join(main, 'notes.html'), '<html><body>notes</body></html>');
+    await fs.writeFile(path.join(main, 'Shared Page.html'), '<html><body>shared</body></html>');
+    await fs.writeFile(path.join(root, 'docs', 'index.html'), '<html><body>docs mount</body></html>');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createMountedApp(main, normalizeMounts([{ folder: path.join(root, 'docs'), subdomain: 'docs' }], main),
+      null, null, { isolateOrigins: true });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup(root);
+  });
+
+  test('serves a folder and a document from their own origins', async () => {
+    expect((await get('/post.html', 'blog.localhost:4321')).text).toContain('blog post');
+    expect((await get('/', 'notes.localhost:4321')).text).toContain('notes');
+    expect((await get('/index.html', 'docs.localhost:4321')).text).toContain('docs mount');
+    expect((await get('/', 'nope.localhost:4321')).status).toBe(404);
+  });
+
+  test('the root listing links documents on their app origins', async () => {
+    const res = await get('/');
+    expect(res.text).toContain('href="http://notes.localhost:4321/"');
+    expect(res.text).toContain('href="/Shared%20Page.html"');
+    expect(res.text).toContain('href="/_/versions/notes.html"');
+
+    const blog = await get('/blog/');
+    expect(blog.text).toContain('href="http://blog.localhost:4321/post.html"');
+    expect(blog.text).toContain('href="/_/versions/blog/post.html"');
+  });
+
+  test('a navigation on the root origin moves to the app origin', async () => {
+    const res = await navigate('/blog/post.html?x=1');
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('http://blog.localhost:4321/post.html?x=1');
+    expect((await navigate('/notes.html')).headers.location).toBe('http://notes.localhost:4321/');
+
+    // Scripts reading the raw HTML, and names with no origin, are served in place.
+    expect((await get('/blog/post.html')).text).toContain('blog post');
+    expect((await navigate('/Shared%20Page.html')).status).toBe(200);
+  });
+
+  test('a listing on an app origin goes back to the root origin', async () => {
+    const res = await get('/', 'blog.localhost:4321');
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('http://localhost:4321/blog/');
+  });
+
+  test('a save from an app origin lands at the document path in the main folder', async () => {
+    const res = await request(app)
+      .post('/_/save')
+      .set('Host', 'blog.localhost:4321')
+      .set('Origin', 'http://blog.localhost:4321')
+      .set('Page-URL', 'http://blog.localhost:4321/post.html')
+      .set('Content-Type', 'text/html')
+      .send('<html><body>edited post</body></html>');
+    expect(res.status).toBe(200);
+    expect(await fs.readFile(path.join(main, 'blog', 'post.html'), 'utf8')).toContain('edited post');
+    const kept = await fs.readdir(path.join(main, 'sites-versions', 'blog', 'post'));
+    expect(kept.length).toBeGreaterThan(0);
+  });
+
+  test('the data API on an app origin reads that app\'s documents', async () => {
+    const fromFolder = await get('/_/api/post.html', 'blog.localhost:4321');
+    const onRoot = await get('/_/api/blog/post.html');
+    expect(fromFolder.status).toBe(onRoot.status);
+    expect(fromFolder.text).toBe(onRoot.text);
+  });
+});
@@ -0,0 +1,90 @@
+// Clean URLs: `/blog/post` answering with blog/post.html, .htmlclay or
+// post/index.html, and the system routes mapping that address to the same file.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp } = require('../../src/main/server.js');
+const { cleanUrlCandidates } = require('../../src/main/utils/clean-urls');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('cleanUrlCandidates', () => {
+  test('tries .html, then .htmlclay, then the folder index', () => {
+    expect(cleanUrlCandidates('blog/post')).toEqual(['blog/post.html', 'blog/post.htmlclay', 'blog/post/index.html']);
+  });
+
+  test('leaves documents and folders alone', () => {
+    expect(cleanUrlCandidates('blog/post.html')).toEqual([]);
+    expect(cleanUrlCandidates('blog/app.htmlclay/dashboard')).toEqual([]);
+    expect(cleanUrlCandidates('blog/')).toEqual([]);
+    expect(cleanUrlCandidates('')).toEqual([]);
+  });
+});
+
+describe('createApp with clean URLs', () => {
+  let dir;
+
+  const get = (app, url) => request(app).get(url).set('Host', 'localhost');
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'clean-urls-')));
+    await fs.mkdir(path.join(dir, 'blog', 'post'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'docs'));
+    await fs.writeFile(path.join(dir, 'blog', 'post.html'), '<html><body>post</body></html>');
+    await fs.writeFile(path.join(dir, 'blog', 'post', 'index.html'), '<html><body>post folder</body></html>');
+    await fs.writeFile(path.join(dir, 'notes.htmlclay'), '<html><body>notes</body></html>');
+    await fs.writeFile(path.join(dir, 'docs', 'index.html'), '<html><body>docs</body></html>');
+    await fs.writeFile(path.join(dir, 'LICENSE'), 'plain file');
+    await fs.writeFile(path.join(dir, 'LICENSE.html'), '<html><body>license page</body></html>');
+  });
+
+  afterEach(async () => {
+    await cleanup(dir);
+  });
+
+  test('serves each document at its address without the extension', async () => {
+    const app = createApp(dir, null, null, { cleanUrls: true });
+    expect((await get(app, '/blog/post')).text).toContain('<body>post</body>');
+    expect((await get(app, '/notes')).text).toContain('notes');
+    expect((await get(app, '/docs')).text).toContain('docs');
+    expect((await get(app, '/blog/post.html')).text).toContain('<body>post</body>');
+  });
+
+  test('keeps files, folder listings and missing paths as they were', async () => {
+    const app = createApp(dir, null, null, { cleanUrls: true });
+    expect(String((await get(app, '/LICENSE')).body)).toBe('plain file');
+    expect((await get(app, '/docs/')).text).toContain('index.html');
+    expect((await get(app, '/missing')).status).toBe(404);
+  });
+
+  test('is off unless asked for', async () => {
+    expect((await get(createApp(dir), '/notes')).status).toBe(404);
+  });
+
+  test('a save from a clean URL writes the document behind it', async () => {
+    const app = createApp(dir, null, null, { cleanUrls: true });
+    for (const route of ['/save', '/_/save']) {
+      const res = await request(app)
+        .post(route)
+        .set('Host', 'localhost')
+        .set('Page-URL', 'http://localhost:4321/blog/post')
+        .set('Content-Type', 'text/html')
+        .send(`<html><body>saved through ${route}</body></html>`);
+      expect(res.status).toBe(200);
+      expect(await fs.readFile(path.join(dir, 'blog', 'post.html'), 'utf8')).toContain(`saved through ${route}`);
+    }
+    expect(await fs.readFile(path.join(dir, 'blog', 'post', 'index.html'), 'utf8')).toContain('post folder');
+  });
+});
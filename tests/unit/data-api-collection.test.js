@@ -0,0 +1,103 @@
+// `/_/api?match=<glob>`: the `/_/api` data of many documents in one response,
+// filtered and sorted.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn(),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { extractViaTag } = require('../../src/main/utils/data-extractor');
+const { createApp } = require('../../src/main/server.js');
+
+// Each page's data is the JSON in its body; a `null` page has no api tag.
+const PAGES = {
+  'projects/alpha.html': { name: 'Alpha', status: 'active', budget: 900, tags: ['web', 'design'], owner: { name: 'Kim' } },
+  'projects/beta.html': { name: 'Beta', status: 'done', budget: 40, tags: ['print'], owner: { name: 'Ada' } },
+  'projects/gamma.html': { name: 'Gamma', status: 'active', budget: 120, tags: ['web'] },
+  'projects/notes.html': null,
+  'projects/archive/delta.html': { name: 'Delta', status: 'done', budget: 5 },
+  'index.html': { name: 'Home' }
+};
+
+describe('/_/api collection mode', () => {
+  let dir;
+  let app;
+
+  const collection = (query) => request(app).get(`/_/api?${query}`).set('Host', 'localhost');
+  const names = (res) => res.body.documents.map((document) => document.data.name);
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'api-collection-')));
+    for (const [name, data] of Object.entries(PAGES)) {
+      await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await fs.writeFile(path.join(dir, name), `<html><body>${JSON.stringify(data)}</body></html>`);
+    }
+    extractViaTag.mockReset();
+    extractViaTag.mockImplementation(async (html) => JSON.parse(html.replace(/<[^>]+>/g, '')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true, maxRetries: 5, retryDelay: 20 });
+  });
+
+  test('merges the data of every document the glob names, in path order', async () => {
+    const res = await collection('match=projects/*');
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(3);
+    expect(res.body.documents[0]).toEqual({ path: 'projects/alpha.html', href: '/projects/alpha.html', data: PAGES['projects/alpha.html'] });
+    expect(names(res)).toEqual(['Alpha', 'Beta', 'Gamma']);
+    expect(res.body.skipped).toEqual([]);
+
+    // The sidecars are written as a single request would write them.
+    expect(JSON.parse(await fs.readFile(path.join(dir, '.hyperclay/api/projects/beta.json'), 'utf8')).name).toBe('Beta');
+    expect(names(await collection('match=projects/**'))).toEqual(['Alpha', 'Delta', 'Beta', 'Gamma']);
+    // Without `match` it is still index.html's data.
+    expect((await request(app).get('/_/api').set('Host', 'localhost')).body).toEqual({ name: 'Home' });
+  });
+
+  test('filters on fields, arrays and comparisons', async () => {
+    expect(names(await collection('match=projects/**&where[status]=done'))).toEqual(['Delta', 'Beta']);
+    expect(names(await collection('match=projects/*&where[tags]=web'))).toEqual(['Alpha', 'Gamma']);
+    expect(names(await collection('match=projects/*&where[budget][lt]=200&where[budget][gte]=100'))).toEqual(['Gamma']);
+    expect(names(await collection('match=projects/*&where[owner.name]=Ada'))).toEqual(['Beta']);
+    expect(names(await collection('match=projects/*&where[name][contains]=ET'))).toEqual(['Beta']);
+    expect(names(await collection('match=projects/*&where[status][ne]=active'))).toEqual(['Beta']);
+    expect(names(await collection('match=projects/*&where[name]=Alpha&where[name]=Gamma'))).toEqual(['Alpha', 'Gamma']);
+  });
+
+  test('sorts, numbers as numbers, and pages through the results', async () => {
+    expect(names(await collection('match=projects/**&sort=budget'))).toEqual(['Delta', 'Beta', 'Gamma', 'Alpha']);
+    expect(names(await collection('match=projects/**&sort=status,-budget'))).toEqual(['Alpha', 'Gamma', 'Beta', 'Delta']);
+    // Missing values go last.
+    expect(names(await collection('match=projects/**&sort=owner.name'))).toEqual(['Beta', 'Alpha', 'Delta', 'Gamma']);
+
+    const page = await collection('match=projects/**&sort=budget&offset=1&limit=2');
+    expect(page.body.total).toBe(4);
+    expect(names(page)).toEqual(['Beta', 'Gamma']);
+  });
+
+  test('reports documents whose rules fail, and rejects a bad query', async () => {
+    extractViaTag.mockImplementation(async (html) => {
+      if (html.includes('Gamma')) throw Object.assign(new Error('bad'), { name: 'RulesParseError' });
+      return JSON.parse(html.replace(/<[^>]+>/g, ''));
+    });
+    const res = await collection('match=projects/*');
+    expect(names(res)).toEqual(['Alpha', 'Beta']);
+    expect(res.body.skipped).toEqual([{ path: 'projects/gamma.html', error: 'Malformed api rules tag' }]);
+
+    expect((await collection('match=')).status).toBe(400);
+    expect((await collection('match=*&where[budget][near]=1')).body.message).toMatch(/Unknown operator/);
+    expect((await collection('match=*&limit=-1')).status).toBe(400);
+    expect((await request(app).get('/api?match=*').set('Host', 'localhost')).status).toBe(404);
+  });
+});
@@ -0,0 +1,113 @@
+// PATCH /_/api/<name>.html: a page's data written back through its api rules,
+// saved the way /save saves. The engine itself is covered by
+// tests/node/data-extractor.node-test.js; here it is mocked.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn(),
+  applyViaTag: jest.fn(),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { liveSync } = require('livesync-hyperclay');
+const { extractViaTag, applyViaTag } = require('../../src/main/utils/data-extractor');
+const { createApp } = require('../../src/main/server.js');
+
+// A stand-in engine: the page's data is the JSON in its <main>.
+const dataOf = (html) => {
+  const match = /<main>(.*)<\/main>/.exec(html);
+  return match ? JSON.parse(match[1]) : null;
+};
+const page = (data) => `<html><head></head><body><main>${JSON.stringify(data)}</main></body></html>`;
+
+describe('PATCH /_/api/<name>.html', () => {
+  let dir;
+  let app;
+
+  const patch = (name, body) => request(app)
+    .patch(`/_/api/${name}`)
+    .set('Host', 'localhost')
+    .set('Content-Type', 'application/json')
+    .send(JSON.stringify(body));
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'api-patch-')));
+    await fs.writeFile(path.join(dir, 'plans.html'), page({ title: 'Plans', price: '10' }));
+    await fs.writeFile(path.join(dir, 'plain.html'), '<html><body><p>No data here.</p></body></html>');
+    extractViaTag.mockReset().mockImplementation(async (html) => dataOf(html));
+    applyViaTag.mockReset().mockImplementation(async (html, token, data) => {
+      const current = dataOf(html);
+      return current === null ? null : html.replace(/<main>.*<\/main>/, `<main>${JSON.stringify({ ...current, ...data })}</main>`);
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+  });
+
+  test('writes the fields sent, keeps the rest, and answers with the new data', async () => {
+    const res = await patch('plans.html', { price: 12 });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ title: 'Plans', price: 12 });
+    expect(applyViaTag).toHaveBeenCalledWith(expect.stringContaining('"price":"10"'), 'api', { price: 12 });
+
+    const html = await fs.readFile(path.join(dir, 'plans.html'), 'utf8');
+    expect(dataOf(html)).toEqual({ title: 'Plans', price: 12 });
+    // The same steps as /save: the page before and after are both versions,
+    // and the sidecar follows.
+    expect(await fs.readdir(path.join(dir, 'sites-versions', 'plans'))).toHaveLength(2);
+    expect(JSON.parse(await fs.readFile(path.join(dir, '.hyperclay/api/plans.json'), 'utf8'))).toEqual({ title: 'Plans', price: 12 });
+    expect((await request(app).get('/_/api/plans.html').set('Host', 'localhost')).body).toEqual({ title: 'Plans', price: 12 });
+  });
+
+  test('tells open tabs to reload only when the page changed', async () => {
+    const notify = jest.spyOn(liveSync, 'notify').mockImplementation(() => {});
+    const reloads = () => notify.mock.calls.filter(([, message]) => message.action === 'reload');
+
+    expect((await patch('plans.html', { price: 12 })).status).toBe(200);
+    expect(reloads()).toHaveLength(1);
+    const html = await fs.readFile(path.join(dir, 'plans.html'), 'utf8');
+
+    expect((await patch('plans.html', { price: 12 })).status).toBe(200);
+    expect(await fs.readFile(path.join(dir, 'plans.html'), 'utf8')).toBe(html);
+    expect(reloads()).toHaveLength(1);
+  });
+
+  test('refuses data that does not fit, and never writes the page', async () => {
+    const before = await fs.readFile(path.join(dir, 'plans.html'), 'utf8');
+    applyViaTag.mockRejectedValueOnce(Object.assign(new Error('shape mismatch: 1 field(s) failed validation'), {
+      name: 'ShapeMismatch',
+      mismatches: [{ path: 'price', expected: 'scalar', got: 'object' }]
+    }));
+    const misfit = await patch('plans.html', { price: { amount: 1 } });
+    expect(misfit.status).toBe(400);
+    expect(misfit.body).toMatchObject({ error: 'Data does not fit the api rules', mismatches: [{ path: 'price' }] });
+
+    // The rules ignore a field they do not name, so it can not read back.
+    applyViaTag.mockImplementationOnce(async (html) => html);
+    expect((await patch('plans.html', { colour: 'red' })).status).toBe(422);
+
+    expect((await patch('plain.html', { title: 'x' })).body.error).toBe('No api rules tag');
+    expect((await patch('plans.html', 'text')).status).toBe(400);
+    expect(await fs.readFile(path.join(dir, 'plans.html'), 'utf8')).toBe(before);
+  });
+
+  test('answers only for a page that exists, as JSON, under /_/', async () => {
+    expect((await patch('missing.html', { title: 'x' })).status).toBe(404);
+    expect((await patch('../outside.html', { title: 'x' })).status).toBe(400);
+    const text = await request(app).patch('/_/api/plans.html').set('Host', 'localhost').set('Content-Type', 'text/plain').send('title=x');
+    expect(text.status).toBe(415);
+    const bare = await request(app).patch('/api/plans.html').set('Host', 'localhost').set('Content-Type', 'application/json').send('{}');
+    expect(bare.status).toBe(404);
+    expect(applyViaTag).not.toHaveBeenCalled();
+  });
+});
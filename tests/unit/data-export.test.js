@@ -0,0 +1,127 @@
+// A page's `/_/api` data as CSV or NDJSON, and the bulk export that writes
+// one CSV per document.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn(),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { extractViaTag } = require('../../src/main/utils/data-extractor');
+const { createApp } = require('../../src/main/server.js');
+const { tableFromData, toCsv, exportFolderCsv } = require('../../src/main/utils/data-export');
+const { withFileLock } = require('../../src/main/utils/write-queue');
+
+const TRACKER = {
+  title: 'Launch',
+  todo: [
+    { task: 'Write copy', owner: { name: 'Kim' }, tags: ['web', 'copy'] },
+    { task: '=SUM(A1)', owner: { name: 'Ada, PhD' }, tags: [] }
+  ],
+  done: [{ task: 'Pick a date', estimate: '-2' }]
+};
+
+describe('data export', () => {
+  let dir;
+  let app;
+
+  const get = (query) => request(app).get(`/_/api/tracker.html?${query}`).set('Host', 'localhost');
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'data-export-')));
+    await fs.mkdir(path.join(dir, 'boards'));
+    await fs.writeFile(path.join(dir, 'tracker.html'), `<html><body>${JSON.stringify(TRACKER)}</body></html>`);
+    await fs.writeFile(path.join(dir, 'boards', 'team.html'), `<html><body>${JSON.stringify([{ name: 'Kim' }])}</body></html>`);
+    await fs.writeFile(path.join(dir, 'notes.html'), '<html><body>null</body></html>');
+    extractViaTag.mockReset().mockImplementation(async (html) => JSON.parse(html.replace(/<[^>]+>/g, '')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true, maxRetries: 5, retryDelay: 20 });
+  });
+
+  test('flattens the first list into rows, nested fields as dotted columns', () => {
+    expect(tableFromData(TRACKER)).toEqual({
+      columns: ['task', 'owner.name', 'tags'],
+      rows: [
+        { task: 'Write copy', 'owner.name': 'Kim', tags: 'web; copy' },
+        { task: '=SUM(A1)', 'owner.name': 'Ada, PhD', tags: '' }
+      ]
+    });
+    expect(tableFromData(TRACKER, { rows: 'done', columns: 'estimate,task,missing' }).rows)
+      .toEqual([{ estimate: '-2', task: 'Pick a date', missing: null }]);
+    // No list at all is one row.
+    expect(tableFromData({ a: 1, b: { c: 2 } })).toEqual({ columns: ['a', 'b.c'], rows: [{ a: 1, 'b.c': 2 }] });
+    expect(() => tableFromData(TRACKER, { rows: 'title' })).toThrow(/not a list/);
+  });
+
+  test('writes CSV a spreadsheet reads as text', () => {
+    expect(toCsv(tableFromData(TRACKER))).toBe(
+      'task,owner.name,tags\r\n' +
+      'Write copy,Kim,web; copy\r\n' +
+      '\'=SUM(A1),"Ada, PhD",\r\n'
+    );
+    expect(toCsv(tableFromData(TRACKER, { rows: 'done' }))).toBe('task,estimate\r\nPick a date,-2\r\n');
+  });
+
+  test('serves the data as a CSV download or as NDJSON', async () => {
+    const csv = await get('format=csv&columns=task');
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(csv.headers['content-disposition']).toBe('attachment; filename="tracker.csv"');
+    expect(csv.text).toBe('\ufefftask\r\nWrite copy\r\n\'=SUM(A1)\r\n');
+
+    const ndjson = await get('format=ndjson&rows=done');
+    expect(ndjson.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(ndjson.text).toBe('{"task":"Pick a date","estimate":"-2"}\n');
+
+    expect((await get('format=json')).body).toEqual(TRACKER);
+    expect((await get('format=xlsx')).status).toBe(400);
+    expect((await get('format=csv&rows=title')).status).toBe(400);
+    expect((await request(app).get('/_/api/notes.html?format=csv').set('Host', 'localhost')).body.error).toBe('No api rules tag');
+  });
+
+  test('exports one CSV per document with data, at the document\'s own path', async () => {
+    const dest = await fs.mkdtemp(path.join(os.tmpdir(), 'data-export-dest-'));
+    try {
+      const result = await exportFolderCsv(dir, dest);
+      expect(result).toEqual({ written: ['boards/team.csv', 'tracker.csv'], skipped: [] });
+      expect(await fs.readFile(path.join(dest, 'boards', 'team.csv'), 'utf8')).toBe('\ufeffname\r\nKim\r\n');
+
+      expect((await exportFolderCsv(dir, dest, { folder: 'boards' })).written).toEqual(['boards/team.csv']);
+    } finally {
+      await fs.rm(dest, { recursive: true, force: true });
+    }
+  });
+
+  test('reads each document under the lock a save takes, through a symlinked folder too', async () => {
+    const dest = await fs.mkdtemp(path.join(os.tmpdir(), 'data-export-dest-'));
+    const link = path.join(os.tmpdir(), `data-export-link-${process.pid}-${Date.now()}`);
+    await fs.symlink(dir, link);
+    let release;
+    const saving = withFileLock(path.join(dir, 'tracker.html'), () => new Promise((resolve) => { release = resolve; }));
+    try {
+      let done = false;
+      const exporting = exportFolderCsv(link, dest).then((result) => { done = true; return result; });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(done).toBe(false);
+
+      release();
+      await saving;
+      expect((await exporting).written).toEqual(['boards/team.csv', 'tracker.csv']);
+    } finally {
+      if (release) release();
+      await fs.rm(link, { force: true });
+      await fs.rm(dest, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,107 @@
+// The rich directory listing: sizes, save times, version counts and sync
+// status per entry, served as a page and as JSON from the same data.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp } = require('../../src/main/server.js');
+const { makeSyncStatusOf } = require('../../src/main/utils/sync-status');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('makeSyncStatusOf', () => {
+  const engine = (overrides = {}) => ({
+    isRunning: true,
+    syncQueue: {
+      hasFailedPermanently: (name) => name === 'broken.html',
+      getRetryInfo: (name) => (name === 'retrying.html' ? { attempts: 1 } : undefined),
+      getQueuedItems: () => [{ type: 'change', filename: 'queued.html' }]
+    },
+    repo: { getByPath: (name) => (name === 'synced.html' ? { nodeId: '1' } : null) },
+    ...overrides
+  });
+
+  test('reads each state from the engine', () => {
+    const statusOf = makeSyncStatusOf(engine());
+    expect(statusOf('broken.html')).toBe('failed');
+    expect(statusOf('retrying.html')).toBe('pending');
+    expect(statusOf('queued.html')).toBe('pending');
+    expect(statusOf('synced.html')).toBe('synced');
+    expect(statusOf('new.html')).toBe('local');
+  });
+
+  test('says nothing while sync is off', () => {
+    expect(makeSyncStatusOf(engine({ isRunning: false }))('synced.html')).toBeNull();
+    expect(makeSyncStatusOf(null)('synced.html')).toBeNull();
+  });
+});
+
+describe('createApp directory listing', () => {
+  let dir;
+  let app;
+
+  const get = (url) => request(app).get(url).set('Host', 'localhost');
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'listing-')));
+    await fs.mkdir(path.join(dir, 'blog'));
+    await fs.mkdir(path.join(dir, 'sites-versions', 'notes'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'notes.html'), '<html><body>notes</body></html>');
+    await fs.writeFile(path.join(dir, 'logo.png'), Buffer.alloc(2048));
+    await fs.writeFile(path.join(dir, 'sites-versions', 'notes', '2024-01-02-03-04-05-000+0000.html'), 'v1');
+    await fs.writeFile(path.join(dir, 'sites-versions', 'notes', '2024-01-03-03-04-05-000+0000.html'), 'v2');
+    const saved = new Date('2024-05-01T12:00:00Z');
+    await fs.utimes(path.join(dir, 'notes.html'), saved, saved);
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    await cleanup(dir);
+  });
+
+  test('returns the listing as JSON with ?format=json', async () => {
+    const res = await get('/?format=json');
+    expect(res.status).toBe(200);
+    expect(res.body.path).toBe('');
+    expect(res.body.folders.map((folder) => folder.name)).toEqual(['blog']);
+    expect(res.body.files).toEqual([
+      expect.objectContaining({ name: 'logo.png', size: 2048, isHtml: false, versions: null, href: '/logo.png' }),
+      expect.objectContaining({
+        name: 'notes.html',
+        size: 31,
+        isHtml: true,
+        versions: 2,
+        versionsUrl: '/_/versions/notes.html',
+        modifiedAt: '2024-05-01T12:00:00.000Z',
+        syncStatus: null
+      })
+    ]);
+  });
+
+  test('renders the same data as the page, with search and sorting', async () => {
+    const res = await get('/');
+    expect(res.text).toContain('class="listing-search"');
+    expect(res.text).toContain('class="listing-sort"');
+    expect(res.text).toContain('2.0 KB');
+    expect(res.text).toContain('2 versions');
+    expect(res.text).toContain('data-src="/notes.html"');
+  });
+
+  test('describes a subfolder too', async () => {
+    await fs.writeFile(path.join(dir, 'blog', 'post.html'), '<p>post</p>');
+    const res = await get('/blog/?format=json');
+    expect(res.body.path).toBe('blog');
+    expect(res.body.files.map((file) => [file.path, file.versions])).toEqual([['blog/post.html', 0]]);
+  });
+});
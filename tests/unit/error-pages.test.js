@@ -0,0 +1,164 @@
+// A site's own 404.html and _error.html, found from the requested folder up
+// to the root, and SPA fallback documents for client-side routes.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp, createMountedApp } = require('../../src/main/server.js');
+const {
+  errorPageCandidates,
+  renderErrorPage,
+  normalizeSpaFallbacks,
+  spaFallbackFor,
+  spaFallbacksForMount
+} = require('../../src/main/utils/error-pages');
+const { normalizeMounts } = require('../../src/main/utils/mounts');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('error page lookup', () => {
+  test('tries the nearest folder first, then each parent', () => {
+    expect(errorPageCandidates('blog/posts/missing.html', 404)).toEqual([
+      'blog/posts/404.html', 'blog/posts/_error.html',
+      'blog/404.html', 'blog/_error.html',
+      '404.html', '_error.html'
+    ]);
+    expect(errorPageCandidates('blog/', 403)).toEqual(['blog/_error.html', '_error.html']);
+    expect(errorPageCandidates('', 400)).toEqual(['_error.html']);
+  });
+
+  test('fills in the placeholders, escaped', () => {
+    expect(renderErrorPage('<h1>{{status}}</h1><p>{{ path }}</p><p>{{message}}</p>', {
+      status: 404, path: '/<script>.html', message: 'File not found'
+    })).toBe('<h1>404</h1><p>/&lt;script&gt;.html</p><p>File not found</p>');
+  });
+});
+
+describe('SPA fallbacks', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps only HTML documents inside their folder', () => {
+    const fallbacks = normalizeSpaFallbacks({
+      '/blog/': 'blog/app.htmlclay',
+      '': 'index.html',
+      docs: 'other/index.html',
+      notes: 'notes/readme.txt',
+      up: 'up/../../secret.html'
+    });
+    expect([...fallbacks]).toEqual([['blog', 'blog/app.htmlclay'], ['', 'index.html']]);
+    expect(console.warn).toHaveBeenCalledTimes(3);
+    expect(normalizeSpaFallbacks(['index.html']).size).toBe(0);
+  });
+
+  test('answers routes from the deepest folder, never missing files', () => {
+    const fallbacks = normalizeSpaFallbacks({ blog: 'blog/app.htmlclay', '': 'index.html' });
+    expect(spaFallbackFor(fallbacks, 'blog/dashboard/settings')).toBe('blog/app.htmlclay');
+    expect(spaFallbackFor(fallbacks, 'about')).toBe('index.html');
+    expect(spaFallbackFor(fallbacks, 'blog/logo.png')).toBeNull();
+    expect(spaFallbackFor(new Map(), 'about')).toBeNull();
+  });
+
+  test('a prefix mount takes the fallbacks for its own folders', () => {
+    const fallbacks = normalizeSpaFallbacks({ tools: 'tools/app.html', 'tools/admin': 'tools/admin/panel.html', toolsy: 'toolsy/x.html', '': 'index.html' });
+    expect([...spaFallbacksForMount(fallbacks, { prefix: 'tools', subdomain: null })]).toEqual([
+      ['', 'app.html'],
+      ['admin', 'admin/panel.html']
+    ]);
+    expect(spaFallbacksForMount(fallbacks, { prefix: null, subdomain: 'tools' }).size).toBe(0);
+  });
+});
+
+describe('createApp error pages', () => {
+  let dir;
+
+  const get = (app, url) => request(app).get(url).set('Host', 'localhost');
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'error-pages-')));
+    await fs.mkdir(path.join(dir, 'blog', 'posts'), { recursive: true });
+    await fs.writeFile(path.join(dir, '_error.html'), '<p>root error {{status}} at {{path}}</p>');
+    await fs.writeFile(path.join(dir, 'blog', '404.html'), '<p>blog lost {{path}}</p>');
+    await fs.writeFile(path.join(dir, 'blog', 'app.htmlclay'), '<p>blog app</p>');
+  });
+
+  afterEach(async () => {
+    await cleanup(dir);
+  });
+
+  test('serves the nearest 404.html with the real status', async () => {
+    const res = await get(createApp(dir), '/blog/posts/missing.html');
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.text).toBe('<p>blog lost /blog/posts/missing.html</p>');
+  });
+
+  test('falls back to _error.html for a 404 with no 404.html, and for other errors', async () => {
+    const missing = await get(createApp(dir), '/elsewhere/missing.html');
+    expect(missing.status).toBe(404);
+    expect(missing.text).toBe('<p>root error 404 at /elsewhere/missing.html</p>');
+
+    const hidden = await get(createApp(dir), '/blog/%2e%2e%2f%2e%2e%2fsecret.html');
+    expect(hidden.status).toBe(400);
+    expect(hidden.text).toContain('root error 400');
+  });
+
+  test('keeps plain answers for system routes and writes', async () => {
+    const app = createApp(dir);
+    expect((await get(app, '/_/nope')).text).toBe('File not found');
+    const write = await request(app).delete('/missing.html').set('Host', 'localhost');
+    expect(write.status).toBe(404);
+    expect(write.text).toBe('File not found');
+  });
+
+  test('keeps the plain answer when the site has no error page', async () => {
+    await fs.rm(path.join(dir, '_error.html'));
+    const res = await get(createApp(dir), '/missing.html');
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('File not found');
+  });
+
+  test('a missing route under a SPA folder serves its fallback document', async () => {
+    const app = createApp(dir, null, null, { spaFallbacks: normalizeSpaFallbacks({ blog: 'blog/app.htmlclay' }) });
+    const route = await get(app, '/blog/dashboard/settings');
+    expect(route.status).toBe(200);
+    expect(route.text).toBe('<p>blog app</p>');
+
+    const asset = await get(app, '/blog/logo.png');
+    expect(asset.status).toBe(404);
+    expect(asset.text).toBe('<p>blog lost /blog/logo.png</p>');
+  });
+
+  test('a missing route under a mounted SPA folder serves the mount\'s fallback', async () => {
+    const tools = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'error-pages-mount-')));
+    try {
+      await fs.writeFile(path.join(tools, 'app.html'), '<p>tools app</p>');
+      const mounts = normalizeMounts([{ folder: tools, prefix: 'tools' }], dir);
+      const app = createMountedApp(dir, mounts, null, null, {
+        spaFallbacks: normalizeSpaFallbacks({ tools: 'tools/app.html', blog: 'blog/app.htmlclay' })
+      });
+      const route = await get(app, '/tools/dashboard/settings');
+      expect(route.status).toBe(200);
+      expect(route.text).toBe('<p>tools app</p>');
+      expect((await get(app, '/blog/dashboard')).text).toBe('<p>blog app</p>');
+    } finally {
+      await cleanup(tools);
+    }
+  });
+});
@@ -0,0 +1,110 @@
+// Validators and conditional GETs: documents, static files, Tailwind CSS and
+// `/_/api` answer a matching If-None-Match with 304.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn(),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { extractViaTag } = require('../../src/main/utils/data-extractor');
+const { createApp } = require('../../src/main/server.js');
+const { calculateChecksum } = require('../../src/sync-engine/utils');
+
+describe('conditional GET', () => {
+  let dir;
+  let app;
+
+  const get = (url, etag) => {
+    const req = request(app).get(url).set('Host', 'localhost');
+    return etag ? req.set('If-None-Match', etag) : req;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'etags-')));
+    await fs.mkdir(path.join(dir, 'tailwindcss'));
+    await fs.writeFile(path.join(dir, 'page.html'), '<html><body>One</body></html>');
+    await fs.writeFile(path.join(dir, 'photo.png'), Buffer.from([1, 2, 3, 4]));
+    await fs.writeFile(path.join(dir, 'tailwindcss', 'page.css'), 'body{color:red}');
+    extractViaTag.mockReset().mockResolvedValue({ count: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true, maxRetries: 5, retryDelay: 20 });
+  });
+
+  test('a document\'s ETag is the sync checksum of its bytes, and changes with them', async () => {
+    const first = await get('/page.html');
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toBe(`"${await calculateChecksum(Buffer.from('<html><body>One</body></html>'))}"`);
+    expect(first.headers['last-modified']).toBeDefined();
+    expect(first.headers['cache-control']).toBe('no-cache');
+
+    const again = await get('/page.html', first.headers.etag);
+    expect(again.status).toBe(304);
+    expect(again.text).toBe('');
+    expect((await get('/page.html').set('If-Modified-Since', first.headers['last-modified'])).status).toBe(304);
+
+    await fs.writeFile(path.join(dir, 'page.html'), '<html><body>Two</body></html>');
+    const changed = await get('/page.html', first.headers.etag);
+    expect(changed.status).toBe(200);
+    expect(changed.text).toContain('Two');
+    expect(changed.headers.etag).not.toBe(first.headers.etag);
+  });
+
+  test('static files and Tailwind CSS carry the checksum too', async () => {
+    const photo = await get('/photo.png');
+    expect(photo.headers.etag).toBe(`"${await calculateChecksum(Buffer.from([1, 2, 3, 4]))}"`);
+    expect((await get('/photo.png', photo.headers.etag)).status).toBe(304);
+    expect((await get('/photo.png', '"other"')).status).toBe(200);
+
+    // Still streamed, so ranges work, and If-Range honours the checksum.
+    const range = await get('/photo.png').set('Range', 'bytes=1-2');
+    expect(range.status).toBe(206);
+    expect(range.headers['content-range']).toBe('bytes 1-2/4');
+    expect([...range.body]).toEqual([2, 3]);
+    expect((await get('/photo.png').set('Range', 'bytes=1-2').set('If-Range', photo.headers.etag)).status).toBe(206);
+    expect((await get('/photo.png').set('Range', 'bytes=1-2').set('If-Range', '"stale"')).status).toBe(200);
+
+    // Hashed chunk by chunk, to the same checksum as the whole file at once.
+    const video = Buffer.alloc(300 * 1024, 7);
+    await fs.writeFile(path.join(dir, 'clip.mp4'), video);
+    const clip = await get('/clip.mp4').set('Range', 'bytes=0-9');
+    expect(clip.status).toBe(206);
+    expect(clip.headers.etag).toBe(`"${await calculateChecksum(video)}"`);
+
+    const css = await get('/tailwindcss/page.css');
+    expect(css.headers.etag).toBe(`"${await calculateChecksum('body{color:red}')}"`);
+    expect((await get('/tailwindcss/page.css', css.headers.etag)).status).toBe(304);
+  });
+
+  test('a dashboard polling /_/api gets 304 until the data changes', async () => {
+    const first = await get('/_/api/page.html');
+    expect(first.body).toEqual({ count: 1 });
+    expect(first.headers.etag).toBe(`"${await calculateChecksum('{"count":1}')}"`);
+    // Served next from the sidecar, with the same tag.
+    expect((await get('/_/api/page.html', first.headers.etag)).status).toBe(304);
+
+    extractViaTag.mockResolvedValue({ count: 2 });
+    await fs.writeFile(path.join(dir, 'page.html'), '<html><body>Two</body></html>');
+    const changed = await get('/_/api/page.html', first.headers.etag);
+    expect(changed.status).toBe(200);
+    expect(changed.body).toEqual({ count: 2 });
+
+    const collection = await get('/_/api?match=*');
+    expect((await get('/_/api?match=*', collection.headers.etag)).status).toBe(304);
+    // Errors keep Express's own weak tag, never a checksum.
+    const missing = await get('/_/api/missing.html');
+    expect(missing.status).toBe(404);
+    expect(missing.headers.etag).not.toMatch(/^"[0-9a-f]{16}"$/);
+  });
+});
@@ -0,0 +1,143 @@
+// File management from the directory listing: new page, duplicate, rename,
+// move and delete to the trash, under `/_/files/`.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp } = require('../../src/main/server.js');
+const { relocate } = require('../../src/main/utils/file-actions');
+const { getConsentRegistry } = require('../../src/main/utils/path-resolver');
+const { listTags, tagVersion } = require('../../src/main/utils/version-history');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+describe('/_/files actions', () => {
+  let dir;
+  let app;
+
+  const act = (action, body) => request(app)
+    .post(`/_/files/${action}`)
+    .set('Host', 'localhost')
+    .send(body);
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'file-actions-')));
+    await fs.mkdir(path.join(dir, 'blog'));
+    await fs.mkdir(path.join(dir, 'archive'));
+    await fs.mkdir(path.join(dir, 'sites-versions', 'notes'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'notes.html'), '<p>notes</p>');
+    await fs.writeFile(path.join(dir, 'blog', 'post.html'), '<p>post</p>');
+    await fs.writeFile(path.join(dir, 'sites-versions', 'notes', '2024-01-02-03-04-05-000+0000.html'), 'v1');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup(dir);
+  });
+
+  test('creates a new page from the starter template', async () => {
+    const res = await act('new', { folder: 'blog', name: 'ideas.html' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ path: 'blog/ideas.html', href: '/blog/ideas.html' });
+    expect(await fs.readFile(path.join(dir, 'blog', 'ideas.html'), 'utf8')).toContain('hyperclay.js');
+
+    expect((await act('new', { folder: 'blog', name: 'ideas.html' })).status).toBe(409);
+    expect((await act('new', { folder: '', name: 'ideas.txt' })).status).toBe(400);
+    expect((await act('new', { folder: 'missing', name: 'a.html' })).status).toBe(404);
+  });
+
+  test('duplicates a file beside itself under a free name', async () => {
+    expect((await act('duplicate', { path: 'notes.html' })).body.path).toBe('notes-copy.html');
+    expect((await act('duplicate', { path: 'notes.html' })).body.path).toBe('notes-copy-2.html');
+    expect(await fs.readFile(path.join(dir, 'notes-copy-2.html'), 'utf8')).toBe('<p>notes</p>');
+    expect((await act('duplicate', { path: 'blog' })).status).toBe(400);
+  });
+
+  test('renames a page and carries its versions along', async () => {
+    const res = await act('rename', { path: 'notes.html', name: 'journal.html' });
+    expect(res.body).toMatchObject({ path: 'journal.html', href: '/journal.html' });
+    expect(await exists(path.join(dir, 'notes.html'))).toBe(false);
+    expect(await exists(path.join(dir, 'sites-versions', 'journal', '2024-01-02-03-04-05-000+0000.html'))).toBe(true);
+
+    expect((await act('rename', { path: 'journal.html', name: 'journal' })).status).toBe(400);
+    expect((await act('rename', { path: 'journal.html', name: '../x.html' })).status).toBe(400);
+    expect((await act('rename', { path: 'journal.html', name: '.hidden.html' })).status).toBe(400);
+    expect((await act('rename', { path: 'blog/post.html', name: 'journal.html' })).status).toBe(200);
+    expect((await act('rename', { path: 'journal.html', name: 'notes.html' })).status).toBe(200);
+  });
+
+  test('a renamed page keeps its version tags and api sidecar', async () => {
+    await tagVersion(dir, 'notes.html', '2024-01-02-03-04-05-000+0000.html', 'first draft');
+    await fs.mkdir(path.join(dir, '.hyperclay', 'api'), { recursive: true });
+    await fs.writeFile(path.join(dir, '.hyperclay', 'api', 'notes.json'), '{"n":1}');
+
+    expect((await act('rename', { path: 'notes.html', name: 'journal.html' })).status).toBe(200);
+    expect(await listTags(dir, 'journal.html')).toEqual([
+      expect.objectContaining({ label: 'first draft', version: '2024-01-02-03-04-05-000+0000.html' })
+    ]);
+    expect(await listTags(dir, 'notes.html')).toEqual([]);
+    expect(await fs.readFile(path.join(dir, '.hyperclay', 'api', 'journal.json'), 'utf8')).toBe('{"n":1}');
+
+    expect((await act('move', { path: 'journal.html', folder: 'archive' })).status).toBe(200);
+    expect(await listTags(dir, 'archive/journal.html')).toHaveLength(1);
+    expect((await act('move', { path: 'archive', folder: 'blog' })).status).toBe(200);
+    expect(await listTags(dir, 'blog/archive/journal.html')).toHaveLength(1);
+    expect(await exists(path.join(dir, '.hyperclay', 'api', 'blog', 'archive', 'journal.json'))).toBe(true);
+  });
+
+  test('moves a file or folder into another folder, but not a folder into itself', async () => {
+    expect((await act('move', { path: 'notes.html', folder: 'archive' })).body.path).toBe('archive/notes.html');
+    expect(await exists(path.join(dir, 'archive', 'notes.html'))).toBe(true);
+
+    expect((await act('move', { path: 'blog', folder: 'archive' })).body.path).toBe('archive/blog');
+    expect(await exists(path.join(dir, 'archive', 'blog', 'post.html'))).toBe(true);
+
+    expect((await act('move', { path: 'archive', folder: 'archive/blog' })).status).toBe(400);
+    expect((await act('move', { path: 'archive/notes.html', folder: 'sites-versions' })).status).toBe(404);
+  });
+
+  test('moves a deleted entry into a dated trash batch', async () => {
+    const res = await act('delete', { path: 'blog' });
+    expect(res.status).toBe(200);
+    expect(await exists(path.join(dir, 'blog'))).toBe(false);
+
+    const [day] = await fs.readdir(path.join(dir, '.trash'));
+    const [batch] = await fs.readdir(path.join(dir, '.trash', day));
+    expect(await fs.readFile(path.join(dir, '.trash', day, batch, 'blog', 'post.html'), 'utf8')).toBe('<p>post</p>');
+    expect((await act('delete', { path: 'blog' })).status).toBe(404);
+  });
+
+  test('answers only under /_/ and only to the app\'s own pages', async () => {
+    const bare = await request(app).post('/files/delete').set('Host', 'localhost').send({ path: 'notes.html' });
+    expect(bare.status).toBe(404);
+    const foreign = await act('delete', { path: 'notes.html' }).set('Origin', 'https://evil.example');
+    expect(foreign.status).toBe(403);
+    expect(await exists(path.join(dir, 'notes.html'))).toBe(true);
+  });
+
+  test('hands a rename to the sync engine when it is running', async () => {
+    const engine = {
+      isRunning: true,
+      relocateLocalNode: jest.fn((from, to, move) => move())
+    };
+    await expect(relocate(getConsentRegistry(dir), 'notes.html', 'Journal.html', { engine })).rejects.toThrow(/Invalid site name/);
+    await relocate(getConsentRegistry(dir), 'notes.html', 'journal.html', { engine });
+    expect(engine.relocateLocalNode).toHaveBeenCalledWith('notes.html', 'journal.html', expect.any(Function));
+    expect(await exists(path.join(dir, 'journal.html'))).toBe(true);
+  });
+});
@@ -0,0 +1,190 @@
+// HTTPS: a local CA and a server certificate it signs, and the server
+// speaking TLS with the streams working unchanged over it.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const https = require('https');
+const { X509Certificate } = require('crypto');
+const forge = require('node-forge');
+
+const { startServer, stopServer, getServerOrigin, startLanSharing, stopLanSharing, issuePairingLink } = require('../../src/main/server.js');
+const { ensureCertificates } = require('../../src/main/utils/local-ca');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('ensureCertificates', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-ca-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup(dir);
+  });
+
+  test('makes a CA and a localhost certificate it signs', async () => {
+    const { cert, caPath } = await ensureCertificates(dir, ['blog.localhost']);
+    const ca = new X509Certificate(await fs.readFile(caPath));
+    const leaf = new X509Certificate(cert);
+    expect(ca.ca).toBe(true);
+    expect(leaf.verify(ca.publicKey)).toBe(true);
+    expect(leaf.subjectAltName).toContain('DNS:localhost');
+    expect(leaf.subjectAltName).toContain('DNS:blog.localhost');
+    expect(leaf.subjectAltName).toContain('IP Address:127.0.0.1');
+  });
+
+  test('reuses what is current and reissues only the server certificate for a new name', async () => {
+    const first = await ensureCertificates(dir, ['blog.localhost']);
+    const ca = await fs.readFile(first.caPath, 'utf8');
+    expect((await ensureCertificates(dir, ['blog.localhost'])).cert).toBe(first.cert);
+
+    const renamed = await ensureCertificates(dir, ['notes.localhost']);
+    expect(renamed.cert).not.toBe(first.cert);
+    expect(await fs.readFile(first.caPath, 'utf8')).toBe(ca);
+  });
+
+  test('limits the CA to localhost names and loopback addresses', async () => {
+    const { caPath } = await ensureCertificates(dir);
+    const extension = forge.pki.certificateFromPem(await fs.readFile(caPath, 'utf8')).getExtension('nameConstraints');
+    expect(extension.critical).toBe(true);
+
+    const [permitted, ...excluded] = forge.asn1.fromDer(extension.value).value;
+    expect(permitted.tagClass).toBe(forge.asn1.Class.CONTEXT_SPECIFIC);
+    expect(permitted.type).toBe(0);
+    expect(excluded).toEqual([]);
+    const bases = permitted.value.map(({ value: [base] }) => (base.type === 2
+      ? `DNS:${base.value}`
+      : `IP:${Buffer.from(base.value, 'binary').toString('hex')}`));
+    expect(bases).toEqual([
+      'DNS:localhost',
+      'DNS:.localhost',
+      'IP:7f000000ff000000',
+      `IP:${'00'.repeat(15)}01${'ff'.repeat(16)}`
+    ]);
+  });
+
+  test('replaces a CA made without name constraints', async () => {
+    const { caPath } = await ensureCertificates(dir);
+    const keyPem = await fs.readFile(path.join(dir, 'hyperclay-local-ca-key.pem'), 'utf8');
+    const key = forge.pki.privateKeyFromPem(keyPem);
+    const old = forge.pki.createCertificate();
+    old.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+    old.serialNumber = '01';
+    old.validity.notBefore = new Date(Date.now() - 1000);
+    old.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+    old.setSubject([{ name: 'commonName', value: 'Hyperclay Local CA' }]);
+    old.setIssuer([{ name: 'commonName', value: 'Hyperclay Local CA' }]);
+    old.setExtensions([{ name: 'basicConstraints', cA: true, critical: true }]);
+    old.sign(key, forge.md.sha256.create());
+    await fs.writeFile(caPath, forge.pki.certificateToPem(old));
+
+    const { cert } = await ensureCertificates(dir);
+    const ca = forge.pki.certificateFromPem(await fs.readFile(caPath, 'utf8'));
+    expect(ca.getExtension('nameConstraints')).toBeTruthy();
+    expect(new X509Certificate(cert).verify(new X509Certificate(forge.pki.certificateToPem(ca)).publicKey)).toBe(true);
+  });
+
+  test('reissues a server certificate close to expiry', async () => {
+    const first = await ensureCertificates(dir);
+    const later = await ensureCertificates(dir, [], Date.now() + 380 * 24 * 60 * 60 * 1000);
+    expect(later.cert).not.toBe(first.cert);
+  });
+});
+
+describe('startServer over HTTPS', () => {
+  let dir;
+  let certs;
+  let ca;
+
+  const get = (port, urlPath, onResponse) => https.get({
+    host: '127.0.0.1', port, path: urlPath, ca, servername: 'localhost', headers: { Host: `localhost:${port}` }
+  }, onResponse);
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'https-')));
+    certs = path.join(dir, 'certificates');
+    await fs.mkdir(path.join(dir, 'site'));
+    await fs.writeFile(path.join(dir, 'site', 'index.html'), '<html>secure</html>');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await stopLanSharing();
+    await stopServer();
+    await cleanup(dir);
+    jest.restoreAllMocks();
+  });
+
+  test('serves pages and the bus stream over TLS', async () => {
+    const port = await startServer(path.join(dir, 'site'), null, null, { port: 0, host: '127.0.0.1', https: certs });
+    ca = await fs.readFile(path.join(certs, 'hyperclay-local-ca.pem'));
+    expect(getServerOrigin()).toBe(`https://localhost:${port}`);
+
+    const page = await new Promise((resolve, reject) => {
+      get(port, '/index.html', (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+      }).on('error', reject);
+    });
+    expect(page.status).toBe(200);
+    expect(page.body).toContain('secure');
+
+    const firstEvent = await new Promise((resolve, reject) => {
+      const req = get(port, '/_/bus/subscribe?channel=test', (res) => {
+        expect(res.headers['content-type']).toBe('text/event-stream');
+        res.once('data', (chunk) => {
+          req.destroy();
+          resolve(String(chunk));
+        });
+      });
+      req.on('error', reject);
+    });
+    expect(firstEvent).toContain(': connected');
+  });
+
+  test('shares on the LAN over the same TLS, with a Secure device cookie', async () => {
+    // Loopback stands in for the LAN address, beside a server on ::1.
+    jest.spyOn(os, 'networkInterfaces').mockReturnValue({ en0: [{ address: '127.0.0.1', family: 'IPv4', internal: false }] });
+    const port = await startServer(path.join(dir, 'site'), null, null, { port: 0, host: '::1', https: certs });
+    ca = await fs.readFile(path.join(certs, 'hyperclay-local-ca.pem'));
+    expect((await startLanSharing()).url).toBe(`https://127.0.0.1:${port}`);
+
+    const { url } = issuePairingLink('view');
+    const paired = await new Promise((resolve, reject) => {
+      https.get(url, { ca, headers: { Host: `127.0.0.1:${port}` } }, (res) => {
+        resolve({ status: res.statusCode, cookie: res.headers['set-cookie'][0] });
+        res.resume();
+      }).on('error', reject);
+    });
+    expect(paired.status).toBe(302);
+    expect(paired.cookie).toMatch(/; Secure$/);
+  });
+
+  test('names an app folder made while it runs on the certificate', async () => {
+    const port = await startServer(path.join(dir, 'site'), null, null, { port: 0, host: '127.0.0.1', https: certs, isolateOrigins: true });
+    ca = await fs.readFile(path.join(certs, 'hyperclay-local-ca.pem'));
+    await fs.mkdir(path.join(dir, 'site', 'notes'));
+
+    const altNames = await new Promise((resolve, reject) => {
+      https.get({ host: '127.0.0.1', port, path: '/', ca, servername: 'notes.localhost', headers: { Host: `notes.localhost:${port}` } }, (res) => {
+        resolve(res.socket.getPeerCertificate().subjectaltname);
+        res.resume();
+      }).on('error', reject);
+    });
+    expect(altNames).toContain('DNS:notes.localhost');
+  });
+});
@@ -0,0 +1,114 @@
+// Index pages: a folder answering with its index.html or index.htmlclay in
+// place of the directory listing, which `?listing` still shows.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp, createMountedApp } = require('../../src/main/server.js');
+const { normalizeIndexPages, indexPageCandidates, indexPagesForMount } = require('../../src/main/utils/index-pages');
+const { normalizeMounts } = require('../../src/main/utils/mounts');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('index page settings', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('true covers every folder, a list its folders and those below', () => {
+    expect(indexPageCandidates(normalizeIndexPages(true), '')).toEqual(['index.html', 'index.htmlclay']);
+    const folders = normalizeIndexPages(['/blog/', 'docs']);
+    expect(indexPageCandidates(folders, 'blog/2024/')).toEqual(['blog/2024/index.html', 'blog/2024/index.htmlclay']);
+    expect(indexPageCandidates(folders, 'notes/')).toEqual([]);
+    expect(indexPageCandidates(normalizeIndexPages(undefined), '')).toEqual([]);
+  });
+
+  test('a mount follows the setting by its URL', () => {
+    const prefix = { prefix: 'tools', subdomain: null };
+    const subdomain = { prefix: null, subdomain: 'docs' };
+    expect([...indexPagesForMount(normalizeIndexPages(true), prefix)]).toEqual(['']);
+    expect([...indexPagesForMount(normalizeIndexPages(true), subdomain)]).toEqual(['']);
+    expect([...indexPagesForMount(normalizeIndexPages(['tools/guide', 'toolsy', 'blog']), prefix)]).toEqual(['guide']);
+    expect([...indexPagesForMount(normalizeIndexPages(['tools']), subdomain)]).toEqual([]);
+  });
+
+  test('skips entries that are not folder paths', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect([...normalizeIndexPages(['blog', '../up', 3])]).toEqual(['blog']);
+    expect(normalizeIndexPages('yes').size).toBe(0);
+    expect(console.warn).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('createApp with index pages', () => {
+  let dir;
+
+  const get = (app, url) => request(app).get(url).set('Host', 'localhost');
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'index-pages-')));
+    await fs.mkdir(path.join(dir, 'site'));
+    await fs.mkdir(path.join(dir, 'app'));
+    await fs.mkdir(path.join(dir, 'empty'));
+    await fs.writeFile(path.join(dir, 'index.html'), '<html><body>home</body></html>');
+    await fs.writeFile(path.join(dir, 'site', 'index.html'), '<html><body>site home</body></html>');
+    await fs.writeFile(path.join(dir, 'app', 'index.htmlclay'), '<html><body>app home</body></html>');
+  });
+
+  afterEach(async () => {
+    await cleanup(dir);
+  });
+
+  test('serves a folder\'s index page in place of its listing', async () => {
+    const app = createApp(dir, null, null, { indexPages: normalizeIndexPages(true) });
+    expect((await get(app, '/')).text).toContain('<body>home</body>');
+    expect((await get(app, '/site/')).text).toContain('site home');
+    expect((await get(app, '/app/')).text).toContain('app home');
+    expect((await get(app, '/empty/')).text).toContain('empty');
+  });
+
+  test('moves a folder address without its slash onto it', async () => {
+    const app = createApp(dir, null, null, { indexPages: normalizeIndexPages(true) });
+    const res = await get(app, '/site?tab=1');
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('site/?tab=1');
+  });
+
+  test('keeps the listing behind ?listing and in folders left out', async () => {
+    const app = createApp(dir, null, null, { indexPages: normalizeIndexPages(['site']) });
+    expect((await get(app, '/site/?listing')).text).toContain('href="/site/index.html"');
+    expect((await get(app, '/site/')).text).toContain('site home');
+    expect((await get(app, '/')).text).not.toContain('<body>home</body>');
+  });
+
+  test('is off unless asked for', async () => {
+    expect((await get(createApp(dir), '/site/')).text).not.toContain('site home');
+  });
+
+  test('covers mounted folders too', async () => {
+    const tools = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'index-pages-mount-')));
+    try {
+      await fs.writeFile(path.join(tools, 'index.html'), '<html><body>tools home</body></html>');
+      const mounts = normalizeMounts([{ folder: tools, prefix: 'tools' }], dir);
+      const app = createMountedApp(dir, mounts, null, null, { indexPages: normalizeIndexPages(true) });
+      expect((await get(app, '/tools/')).text).toContain('tools home');
+      expect((await get(app, '/tools/?listing')).text).not.toContain('tools home');
+
+      const off = createMountedApp(dir, mounts, null, null, { indexPages: normalizeIndexPages(['site']) });
+      expect((await get(off, '/tools/')).text).not.toContain('tools home');
+    } finally {
+      await cleanup(tools);
+    }
+  });
+});
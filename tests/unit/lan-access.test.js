@@ -0,0 +1,190 @@
+// LAN sharing: per-device pairing codes traded for a cookie, and the gate in
+// front of the app that checks that cookie on every request.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp } = require('../../src/main/server.js');
+const { lanAddress, createLanAccess, lanGate, PAIRING_TTL_MS } = require('../../src/main/utils/lan-access');
+
+const LAN_HOST = '192.168.1.20:4321';
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('lanAddress', () => {
+  test('picks the first external IPv4 address', () => {
+    expect(lanAddress({
+      lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+      en0: [
+        { address: 'fe80::1', family: 'IPv6', internal: false },
+        { address: '192.168.1.20', family: 'IPv4', internal: false }
+      ]
+    })).toBe('192.168.1.20');
+    expect(lanAddress({ lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }] })).toBeNull();
+  });
+
+  test('prefers a private address on a physical interface to a bridge or a VPN', () => {
+    expect(lanAddress({
+      docker0: [{ address: '172.17.0.1', family: 'IPv4', internal: false }],
+      utun3: [{ address: '100.64.0.7', family: 'IPv4', internal: false }],
+      en0: [{ address: '192.168.1.20', family: 'IPv4', internal: false }]
+    })).toBe('192.168.1.20');
+    expect(lanAddress({
+      tailscale0: [{ address: '100.64.0.7', family: 'IPv4', internal: false }],
+      eth0: [{ address: '203.0.113.5', family: 'IPv4', internal: false }]
+    })).toBe('203.0.113.5');
+  });
+});
+
+describe('createLanAccess', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lan-access-'));
+  });
+
+  afterEach(async () => {
+    await cleanup(dir);
+  });
+
+  test('a pairing code pairs exactly one device', () => {
+    const access = createLanAccess();
+    const { code } = access.issuePairingCode('view');
+    const paired = access.redeem(code, 'iPhone');
+    expect(paired.device).toMatchObject({ name: 'iPhone', access: 'view' });
+    expect(access.deviceFor(paired.secret)).toEqual(paired.device);
+    expect(access.redeem(code, 'iPad')).toBeNull();
+    expect(access.deviceFor('not-a-secret')).toBeNull();
+  });
+
+  test('a pairing code expires', () => {
+    const access = createLanAccess();
+    const { code } = access.issuePairingCode('edit', 1000);
+    expect(access.redeem(code, 'Mac', 1000 + PAIRING_TTL_MS)).toBeNull();
+    expect(() => access.issuePairingCode('admin')).toThrow();
+  });
+
+  test('devices persist hashed, and revoking one forgets it', async () => {
+    const storePath = path.join(dir, 'lan-devices.json');
+    const access = createLanAccess(storePath);
+    const { secret, device } = access.redeem(access.issuePairingCode().code, 'iPad');
+
+    const stored = await fs.readFile(storePath, 'utf8');
+    expect(stored).not.toContain(secret);
+
+    const reloaded = createLanAccess(storePath);
+    expect(reloaded.deviceFor(secret)).toEqual(device);
+    expect(reloaded.revoke(device.id)).toBe(true);
+    expect(reloaded.deviceFor(secret)).toBeNull();
+    expect(createLanAccess(storePath).devices()).toEqual([]);
+  });
+});
+
+describe('lanGate', () => {
+  let dir;
+  let access;
+  let handler;
+
+  const pair = async (level = 'edit') => {
+    const { code } = access.issuePairingCode(level);
+    const res = await request(handler).get(`/_/pair?code=${code}`).set('Host', LAN_HOST);
+    expect(res.status).toBe(302);
+    return res.headers['set-cookie'][0].split(';')[0];
+  };
+  const save = (cookie) => request(handler)
+    .post('/_/save')
+    .set('Host', LAN_HOST)
+    .set('Cookie', cookie)
+    .set('Origin', `http://${LAN_HOST}`)
+    .set('Page-URL', `http://${LAN_HOST}/index.html`)
+    .set('Content-Type', 'text/html')
+    .send('<html><body>from the phone</body></html>');
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'lan-gate-')));
+    await fs.writeFile(path.join(dir, 'index.html'), '<html><body>hello</body></html>');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    access = createLanAccess();
+    handler = lanGate(access, LAN_HOST, createApp(dir));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup(dir);
+  });
+
+  test('refuses every request until the device pairs', async () => {
+    expect((await request(handler).get('/index.html').set('Host', LAN_HOST)).status).toBe(401);
+    expect((await request(handler).get('/_/pair?code=nope').set('Host', LAN_HOST)).status).toBe(403);
+
+    const cookie = await pair();
+    expect(cookie).toMatch(/^hyperclay_lan_device=/);
+    const res = await request(handler).get('/index.html').set('Host', LAN_HOST).set('Cookie', cookie);
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('hello');
+  });
+
+  test('refuses any Host but the shared address, paired or not', async () => {
+    const cookie = await pair();
+    const res = await request(handler).get('/index.html').set('Host', 'evil.example:4321').set('Cookie', cookie);
+    expect(res.status).toBe(403);
+  });
+
+  test('an editing device saves from its own origin', async () => {
+    const res = await save(await pair('edit'));
+    expect(res.status).toBe(200);
+    expect(await fs.readFile(path.join(dir, 'index.html'), 'utf8')).toContain('from the phone');
+  });
+
+  test('over HTTPS the cookie is Secure and only the https origin may write', async () => {
+    handler = lanGate(access, LAN_HOST, createApp(dir), { secure: true });
+    const { code } = access.issuePairingCode('edit');
+    const paired = await request(handler).get(`/_/pair?code=${code}`).set('Host', LAN_HOST);
+    expect(paired.headers['set-cookie'][0]).toMatch(/; Secure$/);
+    const cookie = paired.headers['set-cookie'][0].split(';')[0];
+
+    const saveFrom = (origin) => request(handler)
+      .post('/_/save')
+      .set('Host', LAN_HOST)
+      .set('Cookie', cookie)
+      .set('Origin', origin)
+      .set('Page-URL', `${origin}/index.html`)
+      .set('Content-Type', 'text/html')
+      .send('<html><body>from the phone</body></html>');
+    expect((await saveFrom(`http://${LAN_HOST}`)).status).toBe(403);
+    expect((await saveFrom(`https://${LAN_HOST}`)).status).toBe(200);
+  });
+
+  test('a view-only device reads but never writes', async () => {
+    const cookie = await pair('view');
+    const page = await request(handler).get('/index.html').set('Host', LAN_HOST).set('Cookie', cookie);
+    expect(page.status).toBe(200);
+    expect(page.headers['set-cookie'].join(';')).toContain('isAdminOfCurrentResource=false');
+
+    expect((await save(cookie)).status).toBe(403);
+    const bus = await request(handler)
+      .post('/_/bus/send')
+      .set('Host', LAN_HOST)
+      .set('Cookie', cookie)
+      .send({ channel: 'test', type: 'ping' });
+    expect(bus.status).toBe(403);
+    expect(await fs.readFile(path.join(dir, 'index.html'), 'utf8')).toContain('hello');
+  });
+
+  test('a revoked device is refused again', async () => {
+    const cookie = await pair();
+    access.revoke(access.devices()[0].id);
+    expect((await request(handler).get('/index.html').set('Host', LAN_HOST).set('Cookie', cookie)).status).toBe(401);
+  });
+});
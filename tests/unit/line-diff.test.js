@@ -0,0 +1,97 @@
+const { diffLines, toHunks, toSplitRows, formatUnified } = require('../../src/main/utils/line-diff');
+
+// Rebuild each side from the ops; any correct edit script must reproduce both.
+const sides = (ops) => ({
+  before: ops.filter((op) => op.type !== 'add').map((op) => op.text),
+  after: ops.filter((op) => op.type !== 'remove').map((op) => op.text)
+});
+
+describe('diffLines', () => {
+  test('identical texts produce only equal lines', () => {
+    const { ops, added, removed } = diffLines('a\nb\n', 'a\nb\n');
+    expect(added).toBe(0);
+    expect(removed).toBe(0);
+    expect(ops.every((op) => op.type === 'equal')).toBe(true);
+  });
+
+  test('a one-line edit is one removal and one addition, with line numbers', () => {
+    const { ops, added, removed } = diffLines('a\nb\nc', 'a\nB\nc');
+    expect(added).toBe(1);
+    expect(removed).toBe(1);
+    expect(ops.find((op) => op.type === 'remove')).toEqual({ type: 'remove', text: 'b', oldNo: 2, newNo: null });
+    expect(ops.find((op) => op.type === 'add')).toEqual({ type: 'add', text: 'B', oldNo: null, newNo: 2 });
+  });
+
+  test('a trailing newline does not count as an extra empty line', () => {
+    expect(diffLines('a\n', 'a').ops).toHaveLength(1);
+  });
+
+  test('CRLF and LF line endings compare equal', () => {
+    expect(diffLines('a\r\nb\r\n', 'a\nb\n').added).toBe(0);
+  });
+
+  test('every edit script reproduces both inputs', () => {
+    // Deterministic pseudo-random inputs over a small alphabet, so lines repeat
+    // and the search has real choices to make.
+    let seed = 7;
+    const next = () => (seed = (seed * 1103515245 + 12345) % 2147483648);
+    const text = () => Array.from({ length: next() % 25 }, () => 'abcd'[next() % 4]);
+    for (let i = 0; i < 200; i++) {
+      const a = text();
+      const b = text();
+      const { ops } = diffLines(a.join('\n'), b.join('\n'));
+      const rebuilt = sides(ops);
+      expect(rebuilt.before).toEqual(a.length ? a : ['']);
+      expect(rebuilt.after).toEqual(b.length ? b : ['']);
+    }
+  });
+
+  test('gives up past the edit budget and reports the diff as approximate', () => {
+    const a = Array.from({ length: 50 }, (_, i) => `old ${i}`).join('\n');
+    const b = Array.from({ length: 50 }, (_, i) => `new ${i}`).join('\n');
+    const result = diffLines(`same\n${a}\nsame`, `same\n${b}\nsame`, { maxEdits: 10 });
+    expect(result.approximate).toBe(true);
+    expect(result.removed).toBe(50);
+    expect(result.added).toBe(50);
+    // The shared head and tail are still matched.
+    expect(result.ops[0]).toMatchObject({ type: 'equal', text: 'same' });
+    expect(result.ops[result.ops.length - 1]).toMatchObject({ type: 'equal', text: 'same' });
+  });
+});
+
+describe('toHunks', () => {
+  const lines = (n, change) => Array.from({ length: n }, (_, i) => (change.includes(i) ? `x${i}` : `l${i}`)).join('\n');
+
+  test('keeps three lines of context and drops unchanged runs between hunks', () => {
+    const { ops } = diffLines(lines(30, []), lines(30, [5, 25]));
+    const hunks = toHunks(ops);
+    expect(hunks).toHaveLength(2);
+    expect(hunks[0]).toMatchObject({ oldStart: 3, oldLines: 7, newStart: 3, newLines: 7 });
+  });
+
+  test('merges hunks whose context would touch', () => {
+    const { ops } = diffLines(lines(30, []), lines(30, [5, 11]));
+    expect(toHunks(ops)).toHaveLength(1);
+  });
+
+  test('no changes means no hunks', () => {
+    expect(toHunks(diffLines('a', 'a').ops)).toEqual([]);
+  });
+});
+
+describe('toSplitRows', () => {
+  test('pairs removals with additions and pads the longer side', () => {
+    const [hunk] = toHunks(diffLines('a\nb\nc', 'a\nB\nB2\nc').ops);
+    const rows = toSplitRows(hunk).map((row) => [row.left && row.left.text, row.right && row.right.text]);
+    expect(rows).toEqual([['a', 'a'], ['b', 'B'], [null, 'B2'], ['c', 'c']]);
+  });
+});
+
+describe('formatUnified', () => {
+  test('renders a patch-tool readable unified diff', () => {
+    const hunks = toHunks(diffLines('a\nb\nc\n', 'a\nB\nc\n').ops);
+    expect(formatUnified(hunks, 'old', 'new')).toBe(
+      '--- old\n+++ new\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n'
+    );
+  });
+});
@@ -0,0 +1,186 @@
+// Extra folders served beside the main one: under a path prefix or on their own
+// `*.localhost` subdomain, each with its own versions and liveSync channels.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createMountedApp, isLoopbackHostHeader } = require('../../src/main/server.js');
+const { normalizeMounts, subdomainOf, splitPrefix, rewriteDocumentUrl } = require('../../src/main/utils/mounts');
+const { channelFor } = require('../../src/main/utils/live-channels');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('normalizeMounts', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps well-formed prefix and subdomain mounts', () => {
+    const mounts = normalizeMounts([
+      { folder: '/srv/tools', prefix: '/Tools/' },
+      { folder: '/srv/docs', subdomain: 'docs' }
+    ], '/srv/main');
+    expect(mounts).toEqual([
+      { folder: '/srv/tools', prefix: 'tools', subdomain: null, namespace: 'tools' },
+      { folder: '/srv/docs', prefix: null, subdomain: 'docs', namespace: 'docs' }
+    ]);
+  });
+
+  test('skips entries that cannot be served as written', () => {
+    expect(normalizeMounts({ folder: '/srv/x', prefix: 'x' }, '/srv/main')).toEqual([]);
+    const mounts = normalizeMounts([
+      null,
+      { folder: 'relative/path', prefix: 'a' },
+      { folder: '/srv/main', prefix: 'b' },
+      { folder: '/srv/c', prefix: 'c', subdomain: 'c' },
+      { folder: '/srv/d' },
+      { folder: '/srv/e', prefix: 'has space' },
+      { folder: '/srv/f', prefix: 'save' },
+      { folder: '/srv/g', prefix: 'g' },
+      { folder: '/srv/g2', subdomain: 'g' },
+      { folder: '/srv/g', prefix: 'h' }
+    ], '/srv/main', new Set(['save']));
+    expect(mounts.map((mount) => mount.namespace)).toEqual(['g']);
+    expect(console.warn).toHaveBeenCalledTimes(10);
+  });
+});
+
+describe('mount addressing', () => {
+  const mounts = [
+    { folder: '/srv/tools', prefix: 'tools', subdomain: null, namespace: 'tools' },
+    { folder: '/srv/docs', prefix: null, subdomain: 'docs', namespace: 'docs' }
+  ];
+
+  test('reads the subdomain off a Host header', () => {
+    expect(subdomainOf('docs.localhost:4321')).toBe('docs');
+    expect(subdomainOf('DOCS.localhost')).toBe('docs');
+    expect(subdomainOf('localhost:4321')).toBeNull();
+    expect(subdomainOf('docs.example.com')).toBeNull();
+    expect(subdomainOf(undefined)).toBeNull();
+  });
+
+  test('splits a path under a prefix', () => {
+    expect(splitPrefix(mounts, '/tools/a/b.html')).toEqual({ mount: mounts[0], rest: '/a/b.html' });
+    expect(splitPrefix(mounts, '/tools')).toEqual({ mount: mounts[0], rest: '' });
+    expect(splitPrefix(mounts, '/toolshed/a.html')).toBeNull();
+    expect(splitPrefix(mounts, '/docs/a.html')).toBeNull();
+  });
+
+  test('rewrites a page address to the mount-relative one', () => {
+    expect(rewriteDocumentUrl(mounts, 'http://localhost:4321/tools/a.html?x=1'))
+      .toEqual({ mount: mounts[0], href: 'http://localhost:4321/a.html?x=1' });
+    expect(rewriteDocumentUrl(mounts, '/tools/')).toEqual({ mount: mounts[0], href: '/' });
+    expect(rewriteDocumentUrl(mounts, 'http://localhost:4321/a.html')).toBeNull();
+  });
+
+  test('subdomains of localhost pass the Host check', () => {
+    expect(isLoopbackHostHeader('docs.localhost:4321')).toBe(true);
+    expect(isLoopbackHostHeader('a.b.localhost')).toBe(true);
+    expect(isLoopbackHostHeader('localhost.evil.com')).toBe(false);
+    expect(isLoopbackHostHeader('docs.localhost.evil.com')).toBe(false);
+  });
+});
+
+describe('createMountedApp', () => {
+  let root;
+  let main;
+  let tools;
+  let docs;
+  let app;
+
+  const get = (url, host = 'localhost') => request(app).get(url).set('Host', host);
+  const save = (pageUrl, body, host = 'localhost') => request(app)
+    .post('/_/save')
+    .set('Host', host)
+    .set('Page-URL', pageUrl)
+    .set('Content-Type', 'text/html')
+    .send(body);
+
+  beforeEach(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'mounts-')));
+    main = path.join(root, 'main');
+    tools = path.join(root, 'tools');
+    docs = path.join(root, 'docs');
+    for (const dir of [main, tools, docs]) await fs.mkdir(dir);
+    await fs.writeFile(path.join(main, 'index.html'), '<html><body>main</body></html>');
+    await fs.writeFile(path.join(tools, 'index.html'), '<html><body>tools</body></html>');
+    await fs.mkdir(path.join(tools, 'sub'));
+    await fs.writeFile(path.join(tools, 'sub', 'page.html'), '<html><body>tools page</body></html>');
+    await fs.writeFile(path.join(docs, 'index.html'), '<html><body>docs</body></html>');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createMountedApp(main, normalizeMounts([
+      { folder: tools, prefix: 'tools' },
+      { folder: docs, subdomain: 'docs' }
+    ], main));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup(root);
+  });
+
+  test('serves each folder at its own address', async () => {
+    expect((await get('/index.html')).text).toContain('main');
+    expect((await get('/tools/index.html')).text).toContain('tools');
+    expect((await get('/tools/sub/page.html')).text).toContain('tools page');
+    expect((await get('/index.html', 'docs.localhost:4321')).text).toContain('docs');
+    expect((await get('/index.html', 'nope.localhost:4321')).status).toBe(404);
+  });
+
+  test('redirects the bare prefix to its folder', async () => {
+    const res = await get('/tools?x=1');
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('/tools/?x=1');
+  });
+
+  test('a prefix listing links under the prefix', async () => {
+    const res = await get('/tools/');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('href="/tools/sub"');
+    expect(res.text).toContain('href="/tools/_/versions/index.html"');
+    expect(res.text).toContain('/tools/_/versions/restore-folder?folder=');
+  });
+
+  test('a root-absolute save from a prefixed page lands in that folder', async () => {
+    const res = await save('http://localhost:4321/tools/sub/page.html', '<html><body>edited</body></html>');
+    expect(res.status).toBe(200);
+    expect(await fs.readFile(path.join(tools, 'sub', 'page.html'), 'utf8')).toContain('edited');
+    await expect(fs.access(path.join(main, 'sub'))).rejects.toThrow();
+
+    // Versions are kept in the mount's own folder, and listed under its prefix.
+    const kept = await fs.readdir(path.join(tools, 'sites-versions', 'sub', 'page'));
+    expect(kept.length).toBeGreaterThan(0);
+    await expect(fs.access(path.join(main, 'sites-versions'))).rejects.toThrow();
+    const history = await get('/tools/_/versions/sub/page.html?format=json');
+    expect(history.body.versions).toHaveLength(kept.length);
+    expect(history.body.versions[0].url).toMatch(/^\/tools\/_\/versions\/sub\/page\.html\//);
+  });
+
+  test('a subdomain save lands in that folder', async () => {
+    const res = await save('http://docs.localhost:4321/index.html', '<html><body>docs edited</body></html>', 'docs.localhost:4321');
+    expect(res.status).toBe(200);
+    expect(await fs.readFile(path.join(docs, 'index.html'), 'utf8')).toContain('docs edited');
+    expect(await fs.readFile(path.join(main, 'index.html'), 'utf8')).toContain('main');
+  });
+
+  test('the main folder keeps bare liveSync channels; mounts get their own', () => {
+    expect(channelFor(main, 'index.html')).toBe('index.html');
+    expect(channelFor(tools, 'index.html')).toBe('/tools/index.html');
+    expect(channelFor(docs, 'index.html')).toBe('/docs/index.html');
+  });
+});
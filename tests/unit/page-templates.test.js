@@ -0,0 +1,103 @@
+// New pages from templates: the built-ins plus a folder's own in
+// `.hyperclay/templates/`, under `/_/new`.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp } = require('../../src/main/server.js');
+const { fillTemplate } = require('../../src/main/utils/page-templates');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('/_/new', () => {
+  let dir;
+  let app;
+
+  const create = (body) => request(app)
+    .post('/_/new')
+    .set('Host', 'localhost')
+    .send(body);
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'page-templates-')));
+    await fs.mkdir(path.join(dir, '.hyperclay', 'templates'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'blog'));
+    await fs.writeFile(path.join(dir, '.hyperclay', 'templates', 'invoice.html'), '<title>{{title}}</title><p>Invoice {{ slug }}</p>');
+    await fs.writeFile(path.join(dir, '.hyperclay', 'templates', 'article.html'), '<h1>{{title}}</h1><p>my article</p>');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup(dir);
+  });
+
+  test('lists the built-ins, blank first, then the folder\'s own', async () => {
+    const res = await request(app).get('/_/new?format=json').set('Host', 'localhost');
+    expect(res.status).toBe(200);
+    expect(res.body.templates).toEqual([
+      { id: 'blank', name: 'Blank', builtIn: true },
+      { id: 'landing', name: 'Landing', builtIn: true },
+      { id: 'article', name: 'Article', builtIn: false },
+      { id: 'invoice', name: 'Invoice', builtIn: false }
+    ]);
+
+    const page = await request(app).get('/_/new?folder=blog').set('Host', 'localhost');
+    expect(page.text).toContain('value="blog"');
+    expect(page.text).toContain('/_/new/template/invoice');
+    expect((await request(app).get('/new').set('Host', 'localhost')).status).toBe(404);
+  });
+
+  test('creates a page with its placeholders filled in and keeps it as the first version', async () => {
+    const res = await create({ template: 'invoice', name: 'acme-march', folder: 'blog' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ path: 'blog/acme-march.html', href: '/blog/acme-march.html' });
+    expect(await fs.readFile(path.join(dir, 'blog', 'acme-march.html'), 'utf8'))
+      .toBe('<title>Acme march</title><p>Invoice acme-march</p>');
+
+    const versions = await fs.readdir(path.join(dir, 'sites-versions', 'blog', 'acme-march'));
+    expect(versions).toHaveLength(1);
+
+    const titled = await create({ template: 'blank', name: 'about.htmlclay', title: 'About <us>' });
+    expect(titled.body.path).toBe('about.htmlclay');
+    const html = await fs.readFile(path.join(dir, 'about.htmlclay'), 'utf8');
+    expect(html).toContain('<title>About &lt;us&gt;</title>');
+    expect(html).toContain('hyperclay.js');
+  });
+
+  test('holds the name to the platform\'s rules and never replaces a page', async () => {
+    expect((await create({ name: 'My Page' })).status).toBe(400);
+    expect((await create({ name: 'notes.txt' })).status).toBe(400);
+    expect((await create({ name: '' })).status).toBe(400);
+    expect((await create({ name: 'ok', template: 'missing' })).status).toBe(404);
+    expect((await create({ name: 'ok', folder: 'missing' })).status).toBe(404);
+
+    expect((await create({ name: 'ok' })).status).toBe(200);
+    expect((await create({ name: 'ok', template: 'invoice' })).status).toBe(409);
+    expect(await fs.readFile(path.join(dir, 'ok.html'), 'utf8')).toContain('<h1 editmode:contenteditable>Ok</h1>');
+  });
+
+  test('previews a template sandboxed', async () => {
+    const res = await request(app).get('/_/new/template/landing').set('Host', 'localhost');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-security-policy']).toBe('sandbox');
+    expect(res.text).toContain('<title>Landing</title>');
+    expect((await request(app).get('/_/new/template/..%2F..%2Fsecret').set('Host', 'localhost')).status).toBe(404);
+  });
+
+  test('fills only the known placeholders', () => {
+    expect(fillTemplate('{{title}} {{ slug }} {{other}}', { title: 'A & B', slug: 'a-b' })).toBe('A &amp; B a-b {{other}}');
+  });
+});
@@ -0,0 +1,205 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const {
+  MAX_AGE_MS,
+  KEEP_NEWEST,
+  globToRegExp,
+  setRetentionPolicy,
+  resolveRetention,
+  selectKept
+} = require('../../src/main/utils/retention-policy');
+const { pruneSiteVersions, pruneAllVersions } = require('../../src/main/utils/prune-versions');
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const DAY = 24 * HOUR;
+
+afterEach(() => {
+  setRetentionPolicy(undefined);
+  jest.restoreAllMocks();
+});
+
+describe('globToRegExp', () => {
+  test('`*` stays inside one folder', () => {
+    const re = globToRegExp('scratch-*');
+    expect(re.test('scratch-1')).toBe(true);
+    expect(re.test('scratch-')).toBe(true);
+    expect(re.test('notes/scratch-1')).toBe(false);
+    expect(re.test('scratch-1/inner')).toBe(false);
+  });
+
+  test('`folder/**` matches the folder itself and everything under it', () => {
+    const re = globToRegExp('invoices/**');
+    expect(re.test('invoices')).toBe(true);
+    expect(re.test('invoices/2026/jan')).toBe(true);
+    expect(re.test('invoices-old')).toBe(false);
+  });
+
+  test('`**/name` matches at any depth, including the top', () => {
+    const re = globToRegExp('**/draft');
+    expect(re.test('draft')).toBe(true);
+    expect(re.test('a/b/draft')).toBe(true);
+    expect(re.test('a/b/draft2')).toBe(false);
+  });
+
+  test('an extension on the pattern is ignored', () => {
+    expect(globToRegExp('kanban.html').test('kanban')).toBe(true);
+    expect(globToRegExp('app.htmlclay').test('app')).toBe(true);
+  });
+
+  test('regex metacharacters in a name are literal', () => {
+    const re = globToRegExp('a+b (1)');
+    expect(re.test('a+b (1)')).toBe(true);
+    expect(re.test('aab 1')).toBe(false);
+  });
+});
+
+describe('resolveRetention', () => {
+  test('defaults to the historical retention', () => {
+    expect(resolveRetention('anything')).toEqual({
+      keepAll: false, keepNewest: KEEP_NEWEST, maxAgeMs: MAX_AGE_MS, thinning: null
+    });
+    expect(resolveRetention(null)).toEqual(resolveRetention('anything'));
+  });
+
+  test('top-level keys change every site', () => {
+    setRetentionPolicy({ keepNewest: 50, maxAgeDays: 7 });
+    expect(resolveRetention('page')).toMatchObject({ keepNewest: 50, maxAgeMs: 7 * DAY });
+  });
+
+  test('the first matching override wins and inherits what it does not name', () => {
+    setRetentionPolicy({
+      keepNewest: 30,
+      overrides: [
+        { match: 'scratch-*', maxAgeDays: 0 },
+        { match: '*', keepAll: true }
+      ]
+    });
+    expect(resolveRetention('scratch-1')).toMatchObject({ keepAll: false, keepNewest: 30, maxAgeMs: 0 });
+    expect(resolveRetention('other')).toMatchObject({ keepAll: true });
+    // `*` does not cross folders, so nested sites fall through to the top level.
+    expect(resolveRetention('blog/post')).toMatchObject({ keepAll: false, keepNewest: 30, maxAgeMs: MAX_AGE_MS });
+  });
+
+  test('malformed values fall back instead of throwing', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(() => setRetentionPolicy({
+      keepNewest: 'lots',
+      maxAgeDays: -3,
+      overrides: [null, { keepAll: true }, { match: 'x', keepNewest: 0 }]
+    })).not.toThrow();
+    expect(resolveRetention('page')).toMatchObject({ keepNewest: KEEP_NEWEST, maxAgeMs: MAX_AGE_MS });
+    // keepNewest never drops below 1: the guard restores from the newest version.
+    expect(resolveRetention('x').keepNewest).toBe(1);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+
+    expect(() => setRetentionPolicy('nonsense')).not.toThrow();
+    expect(resolveRetention('page').keepNewest).toBe(KEEP_NEWEST);
+  });
+});
+
+describe('selectKept', () => {
+  // Sunday 2026-07-19, 12:00 in New York (jest runs with TZ=America/New_York).
+  const now = new Date(2026, 6, 19, 12, 0, 0, 0).getTime();
+  const at = (age) => ({ name: `v${age}`, at: now - age });
+  const instantOf = (entry) => entry.at;
+  const kept = (ages, rule) => [...selectKept(ages.map(at), rule, now, instantOf)];
+
+  test('keepAll keeps everything', () => {
+    const ages = [0, DAY, 400 * DAY];
+    expect(kept(ages, { keepAll: true })).toHaveLength(3);
+  });
+
+  test('keepNewest with a zero age window keeps exactly the newest N', () => {
+    const ages = Array.from({ length: 10 }, (_, i) => i * MIN);
+    expect(kept(ages, { keepNewest: 5, maxAgeMs: 0 })).toEqual(['v0', 'v60000', 'v120000', 'v180000', 'v240000']);
+  });
+
+  test('hourly then daily thinning keeps the newest save per local bucket', () => {
+    const ages = [];
+    for (let m = 0; m <= 165; m += 15) ages.push(m * MIN);
+    ages.push(DAY, DAY + 6 * HOUR, 2 * DAY, 2 * DAY + 6 * HOUR, 4 * DAY, 10 * DAY);
+    const rule = { keepNewest: 1, thinning: { hourlyMs: 2 * HOUR, dailyMs: 3 * DAY, weeklyMs: 0 } };
+
+    expect(kept(ages, rule).sort()).toEqual([
+      'v0', // 12:00 hour
+      `v${15 * MIN}`, // newest of the 11:00 hour
+      `v${75 * MIN}`, // newest of the 10:00 hour
+      `v${120 * MIN}`, // two hours old: newest left on the 19th
+      `v${DAY}`, // newest on the 18th
+      `v${2 * DAY}` // newest on the 17th
+    ].sort());
+  });
+
+  test('weekly buckets start on Monday', () => {
+    // Sunday, Thursday, Monday of this week; Sunday and Saturday of the last.
+    const ages = [0, 3 * DAY, 6 * DAY, 7 * DAY, 8 * DAY];
+    const rule = { keepNewest: 1, thinning: { hourlyMs: 0, dailyMs: 0, weeklyMs: 4 * 7 * DAY } };
+    expect(kept(ages, rule)).toEqual(['v0', `v${7 * DAY}`]);
+  });
+
+  test('keepNewest still applies on top of thinning', () => {
+    const ages = [0, MIN, 2 * MIN, 100 * DAY];
+    const rule = { keepNewest: 3, thinning: { hourlyMs: HOUR, dailyMs: 0, weeklyMs: 0 } };
+    expect(kept(ages, rule)).toEqual(['v0', `v${MIN}`, `v${2 * MIN}`]);
+  });
+});
+
+describe('pruning with a configured policy', () => {
+  let base;
+  const now = Date.UTC(2026, 6, 19, 12, 0, 0, 0);
+
+  beforeEach(async () => {
+    base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'retention-')));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await fs.rm(base, { recursive: true, force: true });
+  });
+
+  async function seed(relDir, age) {
+    const dir = path.join(base, 'sites-versions', relDir);
+    await fs.mkdir(dir, { recursive: true });
+    const d = new Date(now - age);
+    const p = (n, w = 2) => String(n).padStart(w, '0');
+    const name = `${d.getUTCFullYear()}-${p(d.getUTCMonth() + 1)}-${p(d.getUTCDate())}-` +
+      `${p(d.getUTCHours())}-${p(d.getUTCMinutes())}-${p(d.getUTCSeconds())}-${p(d.getUTCMilliseconds(), 3)}Z.html`;
+    await fs.writeFile(path.join(dir, name), 'x');
+    await fs.utimes(path.join(dir, name), d, d);
+    return dir;
+  }
+
+  test('overrides are matched against the site path under sites-versions', async () => {
+    setRetentionPolicy({
+      overrides: [
+        { match: 'invoices/**', keepAll: true },
+        { match: 'scratch-*', keepNewest: 5, maxAgeDays: 0 }
+      ]
+    });
+    for (let i = 0; i < 30; i++) {
+      await seed('invoices/2026/jan', 200 * DAY + i * MIN);
+      await seed('scratch-a', i * MIN);
+      await seed('page', 200 * DAY + i * MIN);
+    }
+
+    await pruneAllVersions(base, now);
+
+    const count = async (rel) => (await fs.readdir(path.join(base, 'sites-versions', rel))).length;
+    expect(await count('invoices/2026/jan')).toBe(30);
+    expect(await count('scratch-a')).toBe(5);
+    expect(await count('page')).toBe(KEEP_NEWEST);
+  });
+
+  test('an explicit rule overrides the configured one', async () => {
+    setRetentionPolicy({ keepAll: true });
+    let dir;
+    for (let i = 0; i < 4; i++) dir = await seed('page', 200 * DAY + i * MIN);
+
+    const { deleted } = await pruneSiteVersions(base, dir, now, { keepNewest: 1, maxAgeMs: 0, thinning: null });
+
+    expect(deleted).toHaveLength(3);
+  });
+});
@@ -0,0 +1,127 @@
+// Redirect and rewrite rules from a folder's .hyperclay/routes.json and
+// _redirects, applied in front of the static catch-all.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp } = require('../../src/main/server.js');
+const { parseRoutesJson, parseRedirectsFile, findRoute } = require('../../src/main/utils/route-rules');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('parsing rules', () => {
+  test('reads routes.json redirects and rewrites', () => {
+    const rules = parseRoutesJson(JSON.stringify({
+      redirects: [{ from: '/old.html', to: '/new.html' }, { from: '/go', to: 'https://example.com/', status: 302 }],
+      rewrites: [{ from: '/about', to: '/about.html' }]
+    }));
+    expect(findRoute(rules, '/old.html')).toEqual({ status: 301, to: '/new.html', force: false });
+    expect(findRoute(rules, '/go')).toEqual({ status: 302, to: 'https://example.com/', force: false });
+    expect(findRoute(rules, '/about/')).toEqual({ status: 200, to: '/about.html', force: false });
+    expect(findRoute(rules, '/about/team')).toBeNull();
+  });
+
+  test('reads _redirects lines with parameters, splats and force', () => {
+    const rules = parseRedirectsFile([
+      '# moved sections',
+      '/blog/:year/*   /archive/:year/:splat   302',
+      '/home           /index.html             200!',
+      '',
+      '/legacy         /                       # default status'
+    ].join('\n'));
+    expect(findRoute(rules, '/blog/2024/a/b.html')).toEqual({ status: 302, to: '/archive/2024/a/b.html', force: false });
+    expect(findRoute(rules, '/home')).toEqual({ status: 200, to: '/index.html', force: true });
+    expect(findRoute(rules, '/legacy').status).toBe(301);
+  });
+
+  test('skips rules that can not be used, saying why', () => {
+    const problems = [];
+    const rules = parseRedirectsFile([
+      'nope /x',
+      '/a /b 404',
+      '/c https://example.com 200',
+      '/d /_/save 200',
+      '/e/*/f /g'
+    ].join('\n'), problems);
+    expect(rules).toEqual([]);
+    expect(problems).toHaveLength(5);
+    expect(parseRoutesJson('{', problems)).toEqual([]);
+    expect(problems).toHaveLength(6);
+  });
+});
+
+describe('createApp with route rules', () => {
+  let dir;
+  let app;
+
+  const get = (url) => request(app).get(url).set('Host', 'localhost');
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'route-rules-')));
+    await fs.mkdir(path.join(dir, '.hyperclay'));
+    await fs.writeFile(path.join(dir, 'about.html'), '<html><body>about</body></html>');
+    await fs.writeFile(path.join(dir, 'new name.html'), '<html><body>renamed</body></html>');
+    await fs.writeFile(path.join(dir, 'kept.html'), '<html><body>kept</body></html>');
+    await fs.writeFile(path.join(dir, '.hyperclay', 'routes.json'), JSON.stringify({
+      redirects: [{ from: '/old.html', to: '/new name.html' }, { from: '/kept.html', to: '/about.html' }],
+      rewrites: [{ from: '/about', to: '/about.html' }]
+    }));
+    await fs.writeFile(path.join(dir, '_redirects'), '/docs/*  https://docs.example.com/:splat  302\n');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup(dir);
+  });
+
+  test('redirects a renamed page, keeping the query', async () => {
+    const res = await get('/old.html?tab=2');
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/new%20name.html?tab=2');
+    expect((await get('/docs/guide')).headers.location).toBe('https://docs.example.com/guide');
+  });
+
+  test('rewrites without changing the address', async () => {
+    const res = await get('/about');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('about');
+  });
+
+  test('a file that exists wins over a rule', async () => {
+    const res = await get('/kept.html');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('kept');
+  });
+
+  test('a save from a rewritten address lands in the real file', async () => {
+    const res = await request(app)
+      .post('/_/save')
+      .set('Host', 'localhost')
+      .set('Page-URL', 'http://localhost:4321/about')
+      .set('Content-Type', 'text/html')
+      .send('<html><body>about, edited</body></html>');
+    expect(res.status).toBe(200);
+    expect(await fs.readFile(path.join(dir, 'about.html'), 'utf8')).toContain('about, edited');
+    await expect(fs.access(path.join(dir, 'about'))).rejects.toThrow();
+  });
+
+  test('picks up edits to the rules file', async () => {
+    await fs.writeFile(path.join(dir, '_redirects'), '/elsewhere  /about.html  302\n');
+    const later = new Date(Date.now() + 5000);
+    await fs.utimes(path.join(dir, '_redirects'), later, later);
+    expect((await get('/elsewhere')).headers.location).toBe('/about.html');
+  });
+});
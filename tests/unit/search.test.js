@@ -0,0 +1,105 @@
+// Full-text search over the folder's documents under `/_/search`, and the
+// index behind it in `.hyperclay/search-index.json`.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { extractViaTag } = require('../../src/main/utils/data-extractor');
+const { createApp } = require('../../src/main/server.js');
+const { refreshDerivedArtifacts } = require('../../src/main/utils/derived-artifacts');
+const { extractText, flushSearchIndexes } = require('../../src/main/utils/search-index');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+describe('/_/search', () => {
+  let dir;
+  let app;
+
+  const search = (q, format = 'json') => request(app)
+    .get(`/_/search?q=${encodeURIComponent(q)}${format ? `&format=${format}` : ''}`)
+    .set('Host', 'localhost');
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'search-')));
+    await fs.mkdir(path.join(dir, 'blog'));
+    await fs.writeFile(path.join(dir, 'notes.html'), '<html><head><title>Notes</title></head><body><p>Pricing notes for the spring launch.</p><script>const pricing = 1;</script></body></html>');
+    await fs.writeFile(path.join(dir, 'blog', 'pricing.html'), '<html><head><title>Pricing</title></head><body><h1>Pricing</h1><p>Three tiers.</p></body></html>');
+    await fs.writeFile(path.join(dir, 'blog', 'other.html'), '<html><body><p>Nothing to see here.</p></body></html>');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    extractViaTag.mockReset().mockResolvedValue(null);
+    await cleanup(dir);
+  });
+
+  test('finds the pages that mention every word, best first, with snippets', async () => {
+    const res = await search('pricing');
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.results.map((r) => r.path)).toEqual(['blog/pricing.html', 'notes.html']);
+    expect(res.body.results[0]).toMatchObject({ title: 'Pricing', href: '/blog/pricing.html', matchedIn: ['name', 'title', 'text'] });
+    expect(res.body.results[1].snippet).toBe('Pricing notes for the spring launch.');
+
+    expect((await search('pricing spring')).body.results.map((r) => r.path)).toEqual(['notes.html']);
+    // Script bodies are not visible text.
+    expect((await search('const')).body.total).toBe(0);
+    expect((await search('')).body).toEqual({ query: '', total: 0, results: [] });
+  });
+
+  test('renders results with the words marked, and answers only under /_/', async () => {
+    const res = await search('spring', null);
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<mark>spring</mark>');
+    expect(res.text).toContain('href="/notes.html"');
+    expect((await request(app).get('/search?q=spring').set('Host', 'localhost')).status).toBe(404);
+
+    const listing = await request(app).get('/').set('Host', 'localhost');
+    expect(listing.text).toContain('action="/_/search"');
+  });
+
+  test('indexes each save, and catches up with files changed on disk', async () => {
+    await search('anything');
+    const saved = await request(app)
+      .post('/_/save')
+      .set('Host', 'localhost')
+      .set('Page-URL', 'http://localhost:4321/blog/other.html')
+      .set('Content-Type', 'text/html')
+      .send('<html><body><p>Now about quarterly invoices.</p></body></html>');
+    expect(saved.status).toBe(200);
+    await flushSearchIndexes();
+    const index = JSON.parse(await fs.readFile(path.join(dir, '.hyperclay', 'search-index.json'), 'utf8'));
+    expect(index.documents['blog/other.html'].text).toContain('quarterly invoices');
+
+    await fs.rm(path.join(dir, 'notes.html'));
+    await fs.writeFile(path.join(dir, 'blog', 'pricing.html'), '<p>Renamed the plans.</p>');
+    expect((await search('pricing')).body.results.map((r) => r.path)).toEqual(['blog/pricing.html']);
+    expect((await search('quarterly')).body.results.map((r) => r.path)).toEqual(['blog/other.html']);
+  });
+
+  test('searches a document\'s /_/api data, as a download writes it', async () => {
+    extractViaTag.mockImplementation(async (html) => (html.includes('Plans') ? { plans: [{ name: 'Pro', price: 'ninety-nine' }] } : null));
+    await refreshDerivedArtifacts(dir, 'blog/other.html', '<html><body><p>Plans</p></body></html>');
+
+    const res = await search('ninety-nine');
+    expect(res.body.results).toEqual([expect.objectContaining({ path: 'blog/other.html', matchedIn: ['data'], snippet: 'Pro ninety-nine' })]);
+  });
+
+  test('takes a document\'s title and visible text', () => {
+    expect(extractText('<title> A  page </title><style>p{}</style><p>One</p><template><p>Two</p></template><p>Three</p>'))
+      .toEqual({ title: 'A page', text: 'One Three' });
+  });
+});
@@ -0,0 +1,109 @@
+// Where the server listens: the port and address from settings, and the step
+// to the next free port when the configured one is taken.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const net = require('net');
+const http = require('http');
+
+const { startServer, stopServer, getServerPort, resolveListenOptions } = require('../../src/main/server.js');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+function occupy(host) {
+  return new Promise((resolve, reject) => {
+    const blocker = net.createServer();
+    blocker.once('error', reject);
+    blocker.listen(0, host, () => resolve(blocker));
+  });
+}
+
+function fetchStatus(port, host) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: '/index.html', headers: { Host: host } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+}
+
+describe('resolveListenOptions', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('defaults to localhost:4321', () => {
+    expect(resolveListenOptions()).toEqual({ port: 4321, host: 'localhost' });
+    expect(resolveListenOptions({ port: undefined, host: undefined })).toEqual({ port: 4321, host: 'localhost' });
+  });
+
+  test('takes a configured port and loopback address', () => {
+    expect(resolveListenOptions({ port: 8080, host: '127.0.0.1' })).toEqual({ port: 8080, host: '127.0.0.1' });
+    expect(resolveListenOptions({ port: 0, host: '[::1]' })).toEqual({ port: 0, host: '::1' });
+  });
+
+  test('ignores a bad port or a non-loopback address', () => {
+    expect(resolveListenOptions({ port: '8080' }).port).toBe(4321);
+    expect(resolveListenOptions({ port: 70000 }).port).toBe(4321);
+    expect(resolveListenOptions({ port: 80.5 }).port).toBe(4321);
+    expect(resolveListenOptions({ host: '0.0.0.0' }).host).toBe('localhost');
+    expect(resolveListenOptions({ host: 'evil.example' }).host).toBe('localhost');
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('startServer', () => {
+  let dir;
+  let blocker;
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'listen-')));
+    await fs.writeFile(path.join(dir, 'index.html'), '<html>ok</html>');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await stopServer();
+    if (blocker) await new Promise((r) => blocker.close(r));
+    blocker = null;
+    await cleanup(dir);
+    jest.restoreAllMocks();
+  });
+
+  test('moves to the next port when the configured one is taken', async () => {
+    blocker = await occupy('127.0.0.1');
+    const taken = blocker.address().port;
+
+    const port = await startServer(dir, null, null, { port: taken, host: '127.0.0.1' });
+    expect(port).toBeGreaterThan(taken);
+    expect(getServerPort()).toBe(port);
+    expect(await fetchStatus(port, `localhost:${port}`)).toBe(200);
+  });
+
+  test('keeps the Host check on whatever port it got', async () => {
+    const port = await startServer(dir, null, null, { port: 0, host: '127.0.0.1' });
+    expect(port).not.toBe(0);
+    expect(await fetchStatus(port, `127.0.0.1:${port}`)).toBe(200);
+    expect(await fetchStatus(port, `evil.example:${port}`)).toBe(403);
+  });
+
+  test('refuses a second start while running', async () => {
+    await startServer(dir, null, null, { port: 0, host: '127.0.0.1' });
+    await expect(startServer(dir, null, null, { port: 0, host: '127.0.0.1' })).rejects.toThrow('already running');
+  });
+});
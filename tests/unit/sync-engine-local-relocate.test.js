@@ -0,0 +1,121 @@
+jest.mock('electron', () => ({
+  safeStorage: { isEncryptionAvailable: () => false, encryptString: (s) => s }
+}));
+
+jest.mock('eventsource', () => ({
+  EventSource: jest.fn()
+}));
+
+jest.mock('livesync-hyperclay', () => ({
+  liveSync: {
+    markBrowserSave: jest.fn(),
+    wasBrowserSave: jest.fn(() => false),
+    notify: jest.fn(),
+    broadcast: jest.fn(),
+    subscribeUser: jest.fn(),
+    unsubscribeUser: jest.fn(),
+    broadcastFileSaved: jest.fn(),
+    broadcastToUser: jest.fn()
+  }
+}));
+
+jest.mock('../../src/main/utils/backup', () => ({
+  createBackupIfExists: jest.fn(),
+  createBinaryBackupIfExists: jest.fn()
+}));
+
+jest.mock('../../src/main/utils/utils', () => ({
+  getServerBaseUrl: (url) => url || 'http://localhyperclay.com'
+}));
+
+jest.mock('../../src/sync-engine/file-operations');
+jest.mock('../../src/sync-engine/node-map');
+
+const nodeMapModule = require('../../src/sync-engine/node-map');
+const Outbox = require('../../src/sync-engine/state/outbox');
+const CascadeSuppression = require('../../src/sync-engine/state/cascade-suppression');
+const { renameNode, moveNode } = require('../../src/sync-engine/api-client');
+
+jest.mock('../../src/sync-engine/api-client');
+
+let syncEngine;
+
+// relocateLocalNode: a rename or move made by the app itself (the listing's
+// file actions) is told to the platform as one, not left to the watcher.
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  jest.isolateModules(() => {
+    syncEngine = require('../../src/sync-engine/index');
+  });
+
+  syncEngine.isRunning = true;
+  syncEngine.outbox = new Outbox();
+  syncEngine.cascade = new CascadeSuppression();
+  syncEngine.serverUrl = 'http://test';
+  syncEngine.apiKey = 'test-key';
+  syncEngine.syncFolder = '/tmp/test-sync';
+  syncEngine.metaDir = '/tmp/test-meta';
+  syncEngine.repo.seed([
+    ['10', { type: 'folder', path: 'projects', parentId: 0 }],
+    ['11', { type: 'site', path: 'projects/a.html', checksum: 'a1', inode: 1 }],
+    ['12', { type: 'folder', path: 'archive', parentId: 0 }]
+  ]);
+
+  nodeMapModule.save.mockResolvedValue();
+  nodeMapModule.getInode.mockResolvedValue(7);
+  nodeMapModule.walkDescendants.mockImplementation(
+    jest.requireActual('../../src/sync-engine/node-map').walkDescendants
+  );
+});
+
+describe('relocateLocalNode', () => {
+  it('renames a file on the platform, then on disk', async () => {
+    const move = jest.fn().mockResolvedValue();
+    await syncEngine.relocateLocalNode('projects/a.html', 'projects/b.html', move);
+
+    expect(renameNode).toHaveBeenCalledWith('http://test', 'test-key', 11, 'b.html');
+    expect(move).toHaveBeenCalled();
+    expect(syncEngine.repo.get('11')).toMatchObject({ path: 'projects/b.html', checksum: 'a1', inode: 7 });
+    expect(syncEngine.repo.isTombstoned('projects/a.html')).toBe(true);
+    expect(syncEngine.cascade.consume('projects/b.html')).toBe(true);
+  });
+
+  it('moves a file into another folder, keeping or changing its name', async () => {
+    await syncEngine.relocateLocalNode('projects/a.html', 'archive/a.html', jest.fn());
+    expect(moveNode).toHaveBeenCalledWith('http://test', 'test-key', 11, 12);
+
+    await syncEngine.relocateLocalNode('archive/a.html', 'b.html', jest.fn());
+    expect(moveNode).toHaveBeenLastCalledWith('http://test', 'test-key', 11, 0, 'b.html');
+  });
+
+  it('renames a folder and every path under it', async () => {
+    await syncEngine.relocateLocalNode('projects', 'work', jest.fn());
+    expect(renameNode).toHaveBeenCalledWith('http://test', 'test-key', 10, 'work');
+    expect(syncEngine.repo.get('10').path).toBe('work');
+    expect(syncEngine.repo.get('11').path).toBe('work/a.html');
+  });
+
+  it('only moves a path the platform does not know', async () => {
+    const move = jest.fn().mockResolvedValue();
+    await syncEngine.relocateLocalNode('new.html', 'newer.html', move);
+    expect(move).toHaveBeenCalled();
+    expect(renameNode).not.toHaveBeenCalled();
+  });
+
+  it('leaves the disk alone when the platform refuses', async () => {
+    renameNode.mockRejectedValueOnce(new Error('name taken'));
+    const move = jest.fn();
+    await expect(syncEngine.relocateLocalNode('projects/a.html', 'projects/b.html', move)).rejects.toThrow('name taken');
+    expect(move).not.toHaveBeenCalled();
+    expect(syncEngine.repo.get('11').path).toBe('projects/a.html');
+  });
+
+  it('puts the platform back when the disk change fails', async () => {
+    const move = jest.fn().mockRejectedValue(new Error('EBUSY'));
+    await expect(syncEngine.relocateLocalNode('projects/a.html', 'projects/b.html', move)).rejects.toThrow('EBUSY');
+    expect(renameNode).toHaveBeenLastCalledWith('http://test', 'test-key', 11, 'a.html');
+    expect(syncEngine.repo.get('11').path).toBe('projects/a.html');
+  });
+});
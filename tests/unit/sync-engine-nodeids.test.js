@@ -306,7 +306,7 @@ describe('offline delete reconciliation', () => {
 
     expect(fileOps.moveFile).toHaveBeenCalledWith(
       '/test/sync/old-site.html',
-      '/test/sync/.trash/old-site.html'
+      expect.stringMatching(/^\/test\/sync\/\.trash\/\d{4}-\d{2}-\d{2}\/\d{2}-\d{2}-\d{2}-\d{3}\/old-site\.html$/)
     );
     expect(syncEngine.repo.has('99')).toBe(false);
   });
@@ -491,7 +491,7 @@ describe('handleNodeDeleted', () => {
 
     expect(fileOps.moveFile).toHaveBeenCalledWith(
       '/test/sync/my-site.html',
-      '/test/sync/.trash/my-site.html'
+      expect.stringMatching(/^\/test\/sync\/\.trash\/\d{4}-\d{2}-\d{2}\/\d{2}-\d{2}-\d{2}-\d{3}\/my-site\.html$/)
     );
     expect(syncEngine.repo.has('42')).toBe(false);
     expect(nodeMapModule.save).toHaveBeenCalled();
@@ -508,7 +508,7 @@ describe('handleNodeDeleted', () => {
 
     expect(fileOps.moveFile).toHaveBeenCalledWith(
       '/test/sync/blog/actual-name.html',
-      '/test/sync/.trash/blog/actual-name.html'
+      expect.stringMatching(/^\/test\/sync\/\.trash\/\d{4}-\d{2}-\d{2}\/\d{2}-\d{2}-\d{2}-\d{3}\/blog\/actual-name\.html$/)
     );
   });
 
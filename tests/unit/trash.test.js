@@ -0,0 +1,116 @@
+// The local trash: deletes kept in dated batches under `.trash/`, listed and
+// restored through `/_/files/`, and expired after TRASH_DAYS.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp } = require('../../src/main/server.js');
+const { moveToTrash, listTrash, restoreFromTrash, purgeExpiredTrash } = require('../../src/main/utils/trash');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+describe('trash', () => {
+  let dir;
+  let app;
+
+  const act = (action, body) => request(app)
+    .post(`/_/files/${action}`)
+    .set('Host', 'localhost')
+    .send(body);
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'trash-')));
+    await fs.mkdir(path.join(dir, 'blog', 'drafts'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'notes.html'), '<p>notes</p>');
+    await fs.writeFile(path.join(dir, 'blog', 'post.html'), '<p>post</p>');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cleanup(dir);
+  });
+
+  test('lists each batch with the paths its entries came from', async () => {
+    await moveToTrash(dir, 'notes.html', new Date(2026, 9, 18, 9, 0, 0, 0));
+    await moveToTrash(dir, 'blog', new Date(2026, 9, 19, 14, 3, 22, 123));
+
+    const res = await request(app).get('/_/files/trash?format=json').set('Host', 'localhost');
+    expect(res.status).toBe(200);
+    expect(res.body.days).toBe(30);
+    expect(res.body.batches.map((b) => b.batch)).toEqual(['2026-10-19/14-03-22-123', '2026-10-18/09-00-00-000']);
+    expect(res.body.batches[0].deletedAt).toBe(new Date(2026, 9, 19, 14, 3, 22, 123).toISOString());
+    expect(res.body.batches[0].entries).toEqual([
+      { path: 'blog/drafts', isFolder: true, size: 0 },
+      { path: 'blog/post.html', isFolder: false, size: 11 }
+    ]);
+
+    const page = await request(app).get('/_/files/trash').set('Host', 'localhost');
+    expect(page.text).toContain('blog/post.html');
+    expect((await request(app).get('/files/trash').set('Host', 'localhost')).status).toBe(404);
+  });
+
+  test('restores a whole batch, or one entry of it, to where it was', async () => {
+    await act('delete', { path: 'blog' });
+    const [{ batch }] = await listTrash(dir);
+
+    const one = await act('restore', { batch, path: 'blog/post.html' });
+    expect(one.status).toBe(200);
+    expect(one.body.paths).toEqual(['blog/post.html']);
+    expect(await fs.readFile(path.join(dir, 'blog', 'post.html'), 'utf8')).toBe('<p>post</p>');
+    expect(await exists(path.join(dir, 'blog', 'drafts'))).toBe(false);
+
+    expect((await act('restore', { batch })).body.paths).toEqual(['blog/drafts']);
+    expect(await exists(path.join(dir, 'blog', 'drafts'))).toBe(true);
+    // The emptied batch and its day go with the last entry.
+    expect(await fs.readdir(path.join(dir, '.trash'))).toEqual([]);
+  });
+
+  test('never restores over a file that is back in the folder', async () => {
+    await act('delete', { path: 'notes.html' });
+    await fs.writeFile(path.join(dir, 'notes.html'), '<p>new notes</p>');
+    const [{ batch }] = await listTrash(dir);
+
+    const res = await act('restore', { batch });
+    expect(res.status).toBe(409);
+    expect(await fs.readFile(path.join(dir, 'notes.html'), 'utf8')).toBe('<p>new notes</p>');
+    expect((await listTrash(dir))).toHaveLength(1);
+  });
+
+  test('rejects anything that is not a batch in this trash', async () => {
+    await act('delete', { path: 'notes.html' });
+    const [{ batch }] = await listTrash(dir);
+
+    expect((await act('restore', { batch: '../..' })).status).toBe(400);
+    expect((await act('restore', { batch: `${batch}/notes.html` })).status).toBe(400);
+    expect((await act('restore', { batch, path: '../notes.html' })).status).toBe(400);
+    expect((await act('restore', { batch, path: 'other.html' })).status).toBe(404);
+    await expect(restoreFromTrash(dir, '2020-01-01/00-00-00-000')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('expires days older than the retention, and nothing it does not own', async () => {
+    const now = new Date(2026, 9, 19, 12);
+    await moveToTrash(dir, 'notes.html', new Date(2026, 8, 18, 23, 59));
+    await moveToTrash(dir, 'blog/post.html', new Date(2026, 8, 19, 0, 1));
+    await fs.writeFile(path.join(dir, '.trash', 'old-site.html'), 'kept flat by an older version');
+
+    expect(await purgeExpiredTrash(dir, { now })).toBe(1);
+    expect((await fs.readdir(path.join(dir, '.trash'))).sort()).toEqual(['2026-09-19', 'old-site.html']);
+    expect(await purgeExpiredTrash(dir, { days: 0, now })).toBe(1);
+    expect(await fs.readdir(path.join(dir, '.trash'))).toEqual(['old-site.html']);
+  });
+});
@@ -0,0 +1,276 @@
+// The opt-in chunked version store: the newest version stays a whole file,
+// each version a save supersedes becomes a manifest over content-defined
+// chunks kept once under .hyperclay/version-store, every reader still gets the
+// whole bytes, and chunks are swept once no manifest names them.
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const { createBackup, createBinaryBackup } = require('../../src/main/utils/backup');
+const { VERSION_NAME, pruneSiteVersions, pruneAllVersions } = require('../../src/main/utils/prune-versions');
+const { STORE_DIR, setVersionStore, collectBlobs, readVersionFile, readableVersionsDir } = require('../../src/main/utils/version-store');
+const { listVersions, readVersion } = require('../../src/main/utils/version-history');
+const { withFileLock } = require('../../src/main/utils/write-queue');
+const { _newestVersionPath } = require('../../src/main/data-loss-guard');
+
+// A multi-hundred-KB page, and the same page with one attribute changed.
+const CARDS = Array.from({ length: 3000 }, (_, i) => `<li class="card" data-id="${i}">${crypto.createHash('sha256').update(String(i)).digest('hex')}</li>`);
+const BOARD = `<html><body><ul>${CARDS.join('\n')}</ul></body></html>`;
+const MOVED = BOARD.replace('data-id="1500"', 'data-id="1500" data-done');
+
+describe('version store', () => {
+  let dir;
+  let siteDir;
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'version-store-')));
+    siteDir = path.join(dir, 'sites-versions', 'notes');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    setVersionStore(undefined);
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true, maxRetries: 3, retryDelay: 50 });
+  });
+
+  // Saves compact the version they supersede after returning, on the history's lock.
+  async function backup(site, content) {
+    await createBackup(dir, site, content);
+    await withFileLock(path.join(dir, 'sites-versions', site), async () => {});
+  }
+
+  const versionsIn = async (siteDirectory) =>
+    (await fs.readdir(siteDirectory)).filter((f) => VERSION_NAME.test(f)).map((f) => path.join(siteDirectory, f));
+
+  async function chunksIn(baseDir) {
+    const root = path.join(baseDir, STORE_DIR);
+    const found = [];
+    let shards = [];
+    try { shards = await fs.readdir(root); } catch {}
+    for (const shard of shards) {
+      for (const name of await fs.readdir(path.join(root, shard))) found.push(path.join(root, shard, name));
+    }
+    return found;
+  }
+
+  async function storeBytes(baseDir) {
+    let total = 0;
+    for (const chunk of await chunksIn(baseDir)) total += (await fs.stat(chunk)).size;
+    return total;
+  }
+
+  async function diskBytes(siteDirectory) {
+    let total = 0;
+    for (const file of await versionsIn(siteDirectory)) total += (await fs.stat(file)).size;
+    return total;
+  }
+
+  test('is off by default: every version is its own copy', async () => {
+    await backup('notes', BOARD);
+    await backup('notes', MOVED);
+
+    const files = await versionsIn(siteDir);
+    expect(files).toHaveLength(2);
+    for (const file of files) expect((await fs.stat(file)).size).toBeGreaterThan(BOARD.length - 1);
+    expect(await chunksIn(dir)).toEqual([]);
+  });
+
+  test('a save that changes one attribute costs a chunk or two, not a copy', async () => {
+    setVersionStore('dedup');
+    await backup('notes', BOARD);
+    await backup('notes', MOVED);
+    await backup('notes', BOARD);
+    const stored = await storeBytes(dir);
+    // BOARD once, plus the chunks around MOVED's one change.
+    expect(stored).toBeGreaterThan(BOARD.length);
+    expect(stored).toBeLessThan(BOARD.length + 0.1 * BOARD.length);
+
+    // A save of bytes already stored adds nothing.
+    await backup('notes', MOVED);
+    expect(await storeBytes(dir)).toBe(stored);
+    // Only the newest is whole; the three before it are manifests.
+    expect(await diskBytes(siteDir)).toBeLessThan(MOVED.length + 3 * 0.05 * BOARD.length);
+  });
+
+  test('every reader still gets each version\'s whole bytes', async () => {
+    setVersionStore('dedup');
+    await backup('notes', BOARD);
+    await backup('notes', MOVED);
+    await backup('notes', '<html>newest</html>');
+
+    const versions = await listVersions(dir, 'notes.html');
+    expect(versions.map((v) => v.bytes)).toEqual([19, Buffer.byteLength(MOVED), Buffer.byteLength(BOARD)]);
+    expect((await readVersion(dir, 'notes.html', versions[1].name)).toString()).toBe(MOVED);
+    expect((await readVersion(dir, 'notes.html', versions[2].name)).toString()).toBe(BOARD);
+    // The newest stays an ordinary file for the data-loss guard and the user.
+    expect(await fs.readFile(await _newestVersionPath(dir, 'notes.html'), 'utf8')).toBe('<html>newest</html>');
+  });
+
+  test('a compacted version keeps its mtime, which orders legacy names', async () => {
+    setVersionStore('dedup');
+    await backup('notes', BOARD);
+    const [first] = await versionsIn(siteDir);
+    const old = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await fs.utimes(first, old, old);
+
+    await backup('notes', MOVED);
+
+    expect((await fs.stat(first)).size).toBeLessThan(BOARD.length / 10);
+    expect(Math.round((await fs.stat(first)).mtimeMs)).toBe(old.getTime());
+  });
+
+  test('the backups folder a person opens holds every version whole', async () => {
+    await backup('notes', BOARD);
+    expect(await readableVersionsDir(dir)).toBe(path.join(dir, 'sites-versions'));
+
+    setVersionStore('dedup');
+    const image = crypto.randomBytes(100 * 1024);
+    await backup('notes', MOVED);
+    await createBinaryBackup(dir, 'img/logo.png', image);
+    await createBinaryBackup(dir, 'img/logo.png', Buffer.from([1]));
+    await withFileLock(path.join(dir, 'sites-versions', 'img', 'logo'), async () => {});
+
+    const view = await readableVersionsDir(dir);
+    expect(view).toBe(path.join(dir, '.hyperclay', 'version-view'));
+    const read = async (site) => Promise.all((await versionsIn(path.join(view, site))).map((file) => fs.readFile(file)));
+    expect((await read('notes')).map(String).sort()).toEqual([BOARD, MOVED].sort());
+    expect((await read(path.join('img', 'logo'))).filter((bytes) => bytes.equals(image))).toHaveLength(1);
+    // The versions themselves stay compacted.
+    expect(await diskBytes(siteDir)).toBeLessThan(MOVED.length + 0.05 * BOARD.length);
+  });
+
+  test('dedup works across sites and for binary uploads', async () => {
+    setVersionStore('dedup');
+    const image = crypto.randomBytes(100 * 1024);
+    await backup('a', BOARD);
+    await backup('a', '<html>a</html>');
+    await backup('b', BOARD);
+    await backup('b', '<html>b</html>');
+    await createBinaryBackup(dir, 'img/logo.png', image);
+    await createBinaryBackup(dir, 'img/logo.png', Buffer.from([1]));
+    await withFileLock(path.join(dir, 'sites-versions', 'img', 'logo'), async () => {});
+
+    expect(await storeBytes(dir)).toBe(Buffer.byteLength(BOARD) + image.length);
+    const logos = await versionsIn(path.join(dir, 'sites-versions', 'img', 'logo'));
+    const read = await Promise.all(logos.map((file) => readVersionFile(dir, file)));
+    expect(read.filter((bytes) => bytes.equals(image))).toHaveLength(1);
+  });
+
+  test('pruning drops versions and the sweep then drops their chunks', async () => {
+    setVersionStore('dedup');
+    await backup('notes', BOARD);
+    await backup('notes', '<html>unrelated</html>');
+    await backup('notes', '<html>newest</html>');
+    expect(await storeBytes(dir)).toBe(Buffer.byteLength(BOARD));
+
+    const { deleted } = await pruneSiteVersions(dir, siteDir, Date.now(), { keepNewest: 2, maxAgeMs: 0, thinning: null });
+    expect(deleted).toHaveLength(1);
+    expect(await storeBytes(dir)).toBe(Buffer.byteLength(BOARD));
+
+    await pruneAllVersions(dir, Date.now());
+
+    expect(await chunksIn(dir)).toEqual([]);
+    expect((await listVersions(dir, 'notes.html')).map((v) => v.bytes)).toEqual([19, 22]);
+  });
+
+  test('the sweep keeps chunks a manifest names and removes only stale temps', async () => {
+    setVersionStore('dedup');
+    await backup('notes', BOARD);
+    await backup('notes', MOVED);
+    const chunks = await chunksIn(dir);
+    const shard = path.dirname(chunks[0]);
+    const fresh = path.join(shard, '.blob-fresh.tmp');
+    const stale = path.join(shard, '.blob-stale.tmp');
+    await fs.writeFile(fresh, 'x');
+    await fs.writeFile(stale, 'x');
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.utimes(stale, old, old);
+
+    expect(await collectBlobs(dir)).toBe(0);
+    expect((await chunksIn(dir)).sort()).toEqual([...chunks, fresh].sort());
+  });
+
+  test('a sweep running alongside a compaction leaves it every chunk', async () => {
+    setVersionStore('dedup');
+    await backup('other', BOARD.toUpperCase());
+    await backup('other', '<html>other</html>');
+    await backup('notes', BOARD);
+    await createBackup(dir, 'notes', MOVED);
+    // The compaction of BOARD is queued, not done: the sweep reads no manifest
+    // for it, yet must not take the chunks it is storing.
+    const [swept] = await Promise.all([
+      collectBlobs(dir),
+      withFileLock(siteDir, async () => {})
+    ]);
+    expect(swept).toBe(0);
+
+    const [, older] = await listVersions(dir, 'notes.html');
+    expect((await readVersion(dir, 'notes.html', older.name)).toString()).toBe(BOARD);
+  });
+
+  test('a sweep that cannot read every version deletes nothing', async () => {
+    setVersionStore('dedup');
+    await backup('notes', BOARD);
+    await backup('notes', MOVED);
+    const chunks = await chunksIn(dir);
+    await fs.mkdir(path.join(dir, STORE_DIR, 'aa'), { recursive: true });
+    await fs.writeFile(path.join(dir, STORE_DIR, 'aa', 'a'.repeat(64)), 'orphan');
+    const readdir = fs.readdir;
+    jest.spyOn(fs, 'readdir').mockImplementation(async (target, ...rest) => {
+      if (String(target) === siteDir) throw Object.assign(new Error('EACCES'), { code: 'EACCES' });
+      return readdir(target, ...rest);
+    });
+
+    expect(await collectBlobs(dir)).toBe(0);
+    fs.readdir.mockRestore();
+    expect(await chunksIn(dir)).toHaveLength(chunks.length + 1);
+    expect(await collectBlobs(dir)).toBe(1);
+  });
+
+  test('a sweep reads only the header of a version that is not a manifest', async () => {
+    setVersionStore('dedup');
+    await backup('notes', BOARD);
+    await backup('notes', MOVED);
+    const video = path.join(dir, 'sites-versions', 'clip', '2026-01-01-00-00-00-000Z.mp4');
+    await fs.mkdir(path.dirname(video), { recursive: true });
+    await fs.writeFile(video, Buffer.alloc(1024 * 1024, 7));
+    const readFile = jest.spyOn(fs, 'readFile');
+
+    expect(await collectBlobs(dir)).toBe(0);
+    expect(readFile.mock.calls.map(([file]) => String(file))).not.toContain(video);
+    expect(await chunksIn(dir)).not.toEqual([]);
+  });
+
+  test('a chunk edited in place is replaced, and a damaged version fails loudly', async () => {
+    setVersionStore('dedup');
+    await backup('notes', BOARD);
+    await backup('notes', '<html>newer</html>');
+    const chunks = await chunksIn(dir);
+    const original = await fs.readFile(chunks[0]);
+    await fs.writeFile(chunks[0], 'tampered');
+
+    const [, older] = await listVersions(dir, 'notes.html');
+    await expect(readVersion(dir, 'notes.html', older.name)).rejects.toThrow(/damaged|ENOENT/);
+
+    await backup('notes', BOARD);
+    await backup('notes', '<html>newest</html>');
+    expect((await fs.readFile(chunks[0])).equals(original)).toBe(true);
+    expect((await readVersion(dir, 'notes.html', older.name)).toString()).toBe(BOARD);
+  });
+
+  test('an unusable store leaves versions whole', async () => {
+    setVersionStore('dedup');
+    await fs.writeFile(path.join(dir, '.hyperclay'), 'not a directory');
+
+    await backup('notes', BOARD);
+    await backup('notes', MOVED);
+
+    const contents = await Promise.all((await versionsIn(siteDir)).map((f) => fs.readFile(f, 'utf8')));
+    expect(contents.sort()).toEqual([BOARD, MOVED].sort());
+  });
+});
@@ -0,0 +1,90 @@
+// Tagged versions are pinned against the pruner, and a folder-wide snapshot
+// tags the current state of every document.
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const { pruneSiteVersions } = require('../../src/main/utils/prune-versions');
+const { listVersions, listTags, tagVersion, snapshotAll } = require('../../src/main/utils/version-history');
+const { TAGS_DIR } = require('../../src/main/utils/version-tags');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOTHING_BUT_NEWEST = { keepNewest: 1, maxAgeMs: 0, thinning: null };
+
+describe('version tags', () => {
+  let dir;
+  let siteDir;
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'version-tags-')));
+    siteDir = path.join(dir, 'sites-versions', 'notes');
+    await fs.mkdir(siteDir, { recursive: true });
+    for (const day of ['01', '02', '03']) {
+      await fs.writeFile(path.join(siteDir, `2026-01-${day}-10-00-00-000Z.html`), `<html>${day}</html>`);
+    }
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true, maxRetries: 3, retryDelay: 50 });
+  });
+
+  test('the pruner keeps a tagged version whatever the retention says', async () => {
+    await tagVersion(dir, 'notes.html', '2026-01-01-10-00-00-000Z.html', 'before refactor');
+
+    const { deleted } = await pruneSiteVersions(dir, siteDir, Date.now() + 400 * DAY, NOTHING_BUT_NEWEST);
+
+    expect(deleted).toEqual(['2026-01-02-10-00-00-000Z.html']);
+    expect((await listVersions(dir, 'notes.html')).map((v) => v.name))
+      .toEqual(['2026-01-03-10-00-00-000Z.html', '2026-01-01-10-00-00-000Z.html']);
+  });
+
+  test('an unreadable tags file refuses the prune instead of ignoring the tags', async () => {
+    await fs.mkdir(path.join(dir, TAGS_DIR), { recursive: true });
+    await fs.writeFile(path.join(dir, TAGS_DIR, 'notes.json'), '{ truncated');
+
+    const { deleted } = await pruneSiteVersions(dir, siteDir, Date.now() + 400 * DAY, NOTHING_BUT_NEWEST);
+
+    expect(deleted).toEqual([]);
+    expect(await listVersions(dir, 'notes.html')).toHaveLength(3);
+  });
+
+  test('a label named like an object key is stored as a label', async () => {
+    await tagVersion(dir, 'notes.html', '2026-01-02-10-00-00-000Z.html', '__proto__');
+    expect(await listTags(dir, 'notes.html')).toEqual([
+      expect.objectContaining({ label: '__proto__', version: '2026-01-02-10-00-00-000Z.html' })
+    ]);
+  });
+
+  test('a snapshot tags the newest version when it matches the live file', async () => {
+    await fs.writeFile(path.join(dir, 'notes.html'), '<html>03</html>');
+
+    const { tagged, failed } = await snapshotAll(dir, 'v1');
+
+    expect(failed).toEqual([]);
+    expect(tagged).toEqual([{ file: 'notes.html', version: '2026-01-03-10-00-00-000Z.html' }]);
+    expect(await listVersions(dir, 'notes.html')).toHaveLength(3);
+  });
+
+  test('a snapshot saves a fresh version of a document that changed since, in any folder', async () => {
+    await fs.writeFile(path.join(dir, 'notes.html'), '<html>edited outside the app</html>');
+    await fs.mkdir(path.join(dir, 'blog'));
+    await fs.writeFile(path.join(dir, 'blog', 'post.html'), '<html>post</html>');
+
+    const { tagged } = await snapshotAll(dir, 'v2');
+
+    expect(tagged.map((t) => t.file).sort()).toEqual(['blog/post.html', 'notes.html']);
+    const [newest] = await listVersions(dir, 'notes.html');
+    expect(await fs.readFile(newest.full, 'utf8')).toBe('<html>edited outside the app</html>');
+    expect((await listTags(dir, 'notes.html'))[0]).toMatchObject({ label: 'v2', version: newest.name });
+    expect((await listTags(dir, 'blog/post.html'))[0]).toMatchObject({ label: 'v2' });
+  });
+
+  test('a snapshot needs a label', async () => {
+    await expect(snapshotAll(dir, '')).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,489 @@
+// `/_/versions`: listing a document's saved versions, serving one read-only, and
+// restoring one over the live file.
+
+jest.mock('../../src/main/utils/data-extractor', () => ({
+  extractData: jest.fn(),
+  extractViaTag: jest.fn().mockResolvedValue(null),
+  parseExtractionRules: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const request = require('supertest');
+
+const { createApp, SYSTEM_ROUTES } = require('../../src/main/server.js');
+
+async function cleanup(dir) {
+  await new Promise((r) => setTimeout(r, 50));
+  await fs.rm(dir, { recursive: true, force: true, maxRetries: 10, retryDelay: 50 });
+}
+
+const OLDER = '2026-01-01-10-00-00-000Z.html';
+const NEWER = '2026-01-02-10-00-00-000Z.html';
+
+describe('/_/versions', () => {
+  let dir;
+  let app;
+
+  const get = (url) => request(app).get(url).set('Host', 'localhost');
+  const restore = (url, origin = 'http://localhost:4321') => request(app)
+    .post(url)
+    .set('Host', 'localhost')
+    .set('Origin', origin);
+
+  async function writeVersion(site, name, body) {
+    const versionsDir = path.join(dir, 'sites-versions', site);
+    await fs.mkdir(versionsDir, { recursive: true });
+    await fs.writeFile(path.join(versionsDir, name), body);
+  }
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'versions-')));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+    await fs.mkdir(path.join(dir, 'blog'));
+    await fs.writeFile(path.join(dir, 'blog', 'post.html'), '<html><body>live</body></html>');
+    // Written newer-first so directory order cannot be what sorts them.
+    await writeVersion('blog/post', NEWER, '<html><body>newer</body></html>');
+    await writeVersion('blog/post', OLDER, '<html><body>older</body></html>');
+  });
+
+  afterEach(async () => {
+    await cleanup(dir);
+    jest.restoreAllMocks();
+  });
+
+  test('is a reserved system route', () => {
+    expect(SYSTEM_ROUTES.has('versions')).toBe(true);
+  });
+
+  test('lists versions newest first as JSON', async () => {
+    const res = await get('/_/versions/blog/post.html?format=json');
+    expect(res.status).toBe(200);
+    expect(res.body.file).toBe('blog/post.html');
+    expect(res.body.versions.map((v) => v.name)).toEqual([NEWER, OLDER]);
+    expect(res.body.versions[0].at).toBe('2026-01-02T10:00:00.000Z');
+    expect(res.body.versions[0].url).toBe(`/_/versions/blog/post.html/${NEWER}`);
+  });
+
+  test('ignores files in the history that the publisher did not write', async () => {
+    await writeVersion('blog/post', '.hyperclay-ver-abc.tmp', 'partial');
+    await writeVersion('blog/post', 'notes.txt', 'foreign');
+    const res = await get('/_/versions/blog/post.html?format=json');
+    expect(res.body.versions).toHaveLength(2);
+  });
+
+  test('a document with no history lists nothing rather than failing', async () => {
+    const res = await get('/_/versions/blog/other.html?format=json');
+    expect(res.status).toBe(200);
+    expect(res.body.versions).toEqual([]);
+  });
+
+  test('renders an HTML page with a restore action per version', async () => {
+    const res = await get('/_/versions/blog/post.html');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.text).toContain(`/_/versions/blog/post.html/${NEWER}/restore`);
+    expect(res.text).toContain(`/_/versions/blog/post.html/${OLDER}/restore`);
+  });
+
+  test('the directory listing links each document to its versions page', async () => {
+    const res = await get('/blog');
+    expect(res.text).toContain('href="/_/versions/blog/post.html"');
+  });
+
+  test('serves one version read-only, sandboxed so none of its code runs', async () => {
+    const res = await get(`/_/versions/blog/post.html/${OLDER}`);
+    expect(res.status).toBe(200);
+    expect(res.text).toBe('<html><body>older</body></html>');
+    expect(res.headers['content-security-policy']).toBe('sandbox');
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+  });
+
+  test('a name that is not a version name is a 404, never a path', async () => {
+    expect((await get('/_/versions/blog/post.html/notes.txt')).status).toBe(404);
+    expect((await get('/_/versions/blog/post.html/..%2F..%2Fpost.html')).status).toBe(404);
+  });
+
+  test('a traversal in the document name is refused like any other path', async () => {
+    expect((await get('/_/versions/../blog/post.html?format=json')).status).toBe(400);
+  });
+
+  test('refuses a history reached through a symlinked directory', async () => {
+    const outside = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'versions-out-')));
+    try {
+      await fs.writeFile(path.join(outside, OLDER), '<html>outside</html>');
+      await fs.mkdir(path.join(dir, 'sites-versions', 'evil'), { recursive: true });
+      await fs.symlink(outside, path.join(dir, 'sites-versions', 'evil', 'doc'));
+      expect((await get(`/_/versions/evil/doc.html/${OLDER}`)).status).toBe(404);
+    } finally {
+      await cleanup(outside);
+    }
+  });
+
+  test('restore puts the chosen bytes back and records them as the newest version', async () => {
+    const res = await restore(`/_/versions/blog/post.html/${OLDER}/restore`);
+    expect(res.status).toBe(200);
+    expect(res.body.msgType).toBe('success');
+    expect(await fs.readFile(path.join(dir, 'blog', 'post.html'), 'utf8')).toBe('<html><body>older</body></html>');
+
+    const listed = await get('/_/versions/blog/post.html?format=json');
+    expect(listed.body.versions).toHaveLength(3);
+    const newest = await get(listed.body.versions[0].url);
+    expect(newest.text).toBe('<html><body>older</body></html>');
+  });
+
+  test('restore brings back a document that was deleted', async () => {
+    await fs.unlink(path.join(dir, 'blog', 'post.html'));
+    const res = await restore(`/_/versions/blog/post.html/${NEWER}/restore`);
+    expect(res.status).toBe(200);
+    expect(await fs.readFile(path.join(dir, 'blog', 'post.html'), 'utf8')).toBe('<html><body>newer</body></html>');
+  });
+
+  test('restoring a version that does not exist is a 404 and leaves the file alone', async () => {
+    const res = await restore('/_/versions/blog/post.html/2020-01-01-00-00-00-000Z.html/restore');
+    expect(res.status).toBe(404);
+    expect(await fs.readFile(path.join(dir, 'blog', 'post.html'), 'utf8')).toBe('<html><body>live</body></html>');
+  });
+
+  test('restore from a sandboxed version page (Origin: null) is refused', async () => {
+    const res = await restore(`/_/versions/blog/post.html/${OLDER}/restore`, 'null');
+    expect(res.status).toBe(403);
+    expect(await fs.readFile(path.join(dir, 'blog', 'post.html'), 'utf8')).toBe('<html><body>live</body></html>');
+  });
+
+  test('restore honours the moved-or-deleted check the save path uses', async () => {
+    app = createApp(dir, null, () => false);
+    const res = await restore(`/_/versions/blog/post.html/${OLDER}/restore`);
+    expect(res.status).toBe(409);
+  });
+
+  test('a user folder named versions is still served on the bare path', async () => {
+    await fs.mkdir(path.join(dir, 'versions'));
+    await fs.writeFile(path.join(dir, 'versions', 'page.html'), '<html>mine</html>');
+    const res = await get('/versions/page.html');
+    expect(res.status).toBe(200);
+    expect(res.text).toBe('<html>mine</html>');
+  });
+});
+
+describe('/_/versions diff', () => {
+  let dir;
+  let app;
+
+  const get = (url) => request(app).get(url).set('Host', 'localhost');
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'versions-diff-')));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+    await fs.writeFile(path.join(dir, 'notes.html'), '<html>\n<p>three</p>\n</html>\n');
+    const versionsDir = path.join(dir, 'sites-versions', 'notes');
+    await fs.mkdir(versionsDir, { recursive: true });
+    await fs.writeFile(path.join(versionsDir, OLDER), '<html>\n<p>one</p>\n</html>\n');
+    await fs.writeFile(path.join(versionsDir, NEWER), '<html>\n<p>two</p>\n</html>\n');
+  });
+
+  afterEach(async () => {
+    await cleanup(dir);
+    jest.restoreAllMocks();
+  });
+
+  test('compares two named versions', async () => {
+    const res = await get(`/_/versions/notes.html/diff?from=${OLDER}&to=${NEWER}&format=json`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ from: OLDER, to: NEWER, added: 1, removed: 1, approximate: false });
+    const changed = res.body.hunks[0].lines.filter((line) => line.type !== 'equal').map((line) => line.text);
+    expect(changed).toEqual(['<p>one</p>', '<p>two</p>']);
+  });
+
+  test('compares a version with the live file', async () => {
+    const res = await get(`/_/versions/notes.html/diff?from=${OLDER}&to=current&format=json`);
+    const changed = res.body.hunks[0].lines.filter((line) => line.type !== 'equal').map((line) => line.text);
+    expect(changed).toEqual(['<p>one</p>', '<p>three</p>']);
+  });
+
+  test('with only `to`, shows what that save changed', async () => {
+    const res = await get(`/_/versions/notes.html/diff?to=${NEWER}&format=json`);
+    expect(res.body.from).toBe(OLDER);
+  });
+
+  test('with no sides, compares the newest save with the live file', async () => {
+    const res = await get('/_/versions/notes.html/diff?format=json');
+    expect(res.body).toMatchObject({ from: NEWER, to: 'current' });
+  });
+
+  test('the oldest save has nothing before it', async () => {
+    const res = await get(`/_/versions/notes.html/diff?to=${OLDER}&format=json`);
+    expect(res.status).toBe(404);
+  });
+
+  test('an unknown version is a 404', async () => {
+    const res = await get('/_/versions/notes.html/diff?from=nope.html&format=json');
+    expect(res.status).toBe(404);
+  });
+
+  test('format=patch returns a unified diff as text', async () => {
+    const res = await get(`/_/versions/notes.html/diff?from=${OLDER}&to=${NEWER}&format=patch`);
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+    expect(res.text).toContain('-<p>one</p>\n+<p>two</p>');
+  });
+
+  test('renders the viewer unified by default and side by side on request, escaping the document', async () => {
+    const unified = await get(`/_/versions/notes.html/diff?from=${OLDER}&to=${NEWER}`);
+    expect(unified.status).toBe(200);
+    expect(unified.text).toContain('&lt;p&gt;two&lt;/p&gt;');
+    expect(unified.text).not.toContain('<p>two</p>');
+    expect(unified.text).not.toContain('diff-split');
+
+    const split = await get(`/_/versions/notes.html/diff?from=${OLDER}&to=${NEWER}&view=split`);
+    expect(split.text).toContain('diff-split');
+  });
+
+  test('the history page links each save to its changes and to the live file', async () => {
+    const res = await get('/_/versions/notes.html');
+    expect(res.text).toContain(`/_/versions/notes.html/diff?to=${NEWER}`);
+    expect(res.text).not.toContain(`/_/versions/notes.html/diff?to=${OLDER}`);
+    expect(res.text).toContain(`/_/versions/notes.html/diff?from=${OLDER}&amp;to=current`);
+  });
+});
+
+describe('/_/versions tags', () => {
+  let dir;
+  let app;
+
+  const get = (url) => request(app).get(url).set('Host', 'localhost');
+  const send = (method, url, origin = 'http://localhost:4321') => request(app)[method](url)
+    .set('Host', 'localhost')
+    .set('Origin', origin);
+  const tag = (label, version) => send('post', '/_/versions/notes.html/tags').send({ label, version });
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'versions-tags-')));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+    await fs.writeFile(path.join(dir, 'notes.html'), '<html>live</html>');
+    const versionsDir = path.join(dir, 'sites-versions', 'notes');
+    await fs.mkdir(versionsDir, { recursive: true });
+    await fs.writeFile(path.join(versionsDir, OLDER), '<html>older</html>');
+    await fs.writeFile(path.join(versionsDir, NEWER), '<html>newer</html>');
+  });
+
+  afterEach(async () => {
+    await cleanup(dir);
+    jest.restoreAllMocks();
+  });
+
+  test('tags a version and lists it first, in JSON and on the page', async () => {
+    const res = await tag('shipped to client', OLDER);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ label: 'shipped to client', version: OLDER });
+
+    const list = await get('/_/versions/notes.html?format=json');
+    expect(list.body.versions.map((v) => v.name)).toEqual([OLDER, NEWER]);
+    expect(list.body.versions[0].tags).toEqual(['shipped to client']);
+    expect(list.body.versions[1].tags).toEqual([]);
+
+    const page = await get('/_/versions/notes.html');
+    expect(page.text).toContain('shipped to client ×');
+    expect(page.text.indexOf(OLDER)).toBeLessThan(page.text.indexOf(NEWER));
+    // Still the newest save, even though it is no longer listed first.
+    expect(page.text).toContain('newest ·');
+
+    const tags = await get('/_/versions/notes.html/tags');
+    expect(tags.body.tags).toEqual([
+      expect.objectContaining({ label: 'shipped to client', version: OLDER, url: `/_/versions/notes.html/${OLDER}` })
+    ]);
+  });
+
+  test('finds a version by its label', async () => {
+    await tag('before refactor', NEWER);
+    const res = await get(`/_/versions/notes.html/tags/${encodeURIComponent('before refactor')}`);
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(`/_/versions/notes.html/${NEWER}`);
+    expect((await get('/_/versions/notes.html/tags/nope')).status).toBe(404);
+  });
+
+  test('tagging again moves the label', async () => {
+    await tag('current', OLDER);
+    await tag('current', NEWER);
+    const res = await get('/_/versions/notes.html/tags');
+    expect(res.body.tags.map((t) => [t.label, t.version])).toEqual([['current', NEWER]]);
+  });
+
+  test('removes a label', async () => {
+    await tag('temp', OLDER);
+    const res = await send('delete', '/_/versions/notes.html/tags/temp');
+    expect(res.status).toBe(200);
+    expect((await get('/_/versions/notes.html/tags')).body.tags).toEqual([]);
+    expect((await send('delete', '/_/versions/notes.html/tags/temp')).status).toBe(404);
+  });
+
+  test('refuses an empty label, a missing version and a sandboxed page', async () => {
+    expect((await tag('   ', OLDER)).status).toBe(400);
+    expect((await tag('x'.repeat(101), OLDER)).status).toBe(400);
+    expect((await tag('ok', '2020-01-01-00-00-00-000Z.html')).status).toBe(404);
+    expect((await tag('ok', '../notes.html')).status).toBe(404);
+    const sandboxed = await send('post', '/_/versions/notes.html/tags', 'null').send({ label: 'ok', version: OLDER });
+    expect(sandboxed.status).toBe(403);
+    expect((await get('/_/versions/notes.html/tags')).body.tags).toEqual([]);
+  });
+});
+
+describe('/_/versions restore-folder', () => {
+  let dir;
+  let app;
+
+  const AT = '2026-01-01T12:00:00.000Z';
+  const get = (url) => request(app).get(url).set('Host', 'localhost');
+  const post = (body, origin = 'http://localhost:4321') => request(app)
+    .post('/_/versions/restore-folder')
+    .set('Host', 'localhost')
+    .set('Origin', origin)
+    .send(body);
+
+  async function writeVersion(site, name, body) {
+    const versionsDir = path.join(dir, 'sites-versions', site);
+    await fs.mkdir(versionsDir, { recursive: true });
+    await fs.writeFile(path.join(versionsDir, name), body);
+  }
+
+  beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'versions-restore-folder-')));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    app = createApp(dir);
+    await fs.mkdir(path.join(dir, 'blog'));
+    // Edited after AT: restore.
+    await fs.writeFile(path.join(dir, 'blog', 'post.html'), '<html>trashed</html>');
+    await writeVersion('blog/post', OLDER, '<html>post before</html>');
+    await writeVersion('blog/post', NEWER, '<html>trashed</html>');
+    // Untouched since AT: unchanged.
+    await fs.writeFile(path.join(dir, 'blog', 'about.html'), '<html>about</html>');
+    await writeVersion('blog/about', OLDER, '<html>about</html>');
+    // Deleted since AT: recreate.
+    await writeVersion('blog/gone', OLDER, '<html>gone before</html>');
+    // Created after AT: left alone.
+    await fs.writeFile(path.join(dir, 'blog', 'new.html'), '<html>new</html>');
+    await writeVersion('blog/new', NEWER, '<html>new</html>');
+    // Outside the folder.
+    await fs.writeFile(path.join(dir, 'index.html'), '<html>root now</html>');
+    await writeVersion('index', OLDER, '<html>root before</html>');
+  });
+
+  afterEach(async () => {
+    await cleanup(dir);
+    jest.restoreAllMocks();
+  });
+
+  test('previews what each document under the folder would get', async () => {
+    const res = await get(`/_/versions/restore-folder?folder=blog&at=${encodeURIComponent(AT)}&format=json`);
+    expect(res.status).toBe(200);
+    expect(res.body.folder).toBe('blog');
+    expect(res.body.at).toBe(AT);
+    const actions = Object.fromEntries(res.body.documents.map((row) => [row.file, row.action]));
+    expect(actions).toEqual({
+      'blog/about.html': 'unchanged',
+      'blog/gone.html': 'recreate',
+      'blog/new.html': 'none',
+      'blog/post.html': 'restore'
+    });
+    const post = res.body.documents.find((row) => row.file === 'blog/post.html');
+    expect(post.version).toBe(OLDER);
+    expect(post.url).toBe(`/_/versions/blog/post.html/${OLDER}`);
+  });
+
+  test('POST is a dry run unless told otherwise, and writes nothing', async () => {
+    const res = await post({ folder: 'blog', at: AT });
+    expect(res.status).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.documents).toHaveLength(4);
+    expect(await fs.readFile(path.join(dir, 'blog', 'post.html'), 'utf8')).toBe('<html>trashed</html>');
+    await expect(fs.access(path.join(dir, 'blog', 'gone.html'))).rejects.toThrow();
+  });
+
+  test('dryRun: false restores the folder and only the folder', async () => {
+    const res = await post({ folder: 'blog', at: AT, dryRun: false });
+    expect(res.status).toBe(200);
+    expect(res.body.msgType).toBe('success');
+    expect(res.body.restored.map((row) => row.file).sort()).toEqual(['blog/gone.html', 'blog/post.html']);
+    expect(res.body.unchanged.map((row) => row.file)).toEqual(['blog/about.html']);
+    expect(res.body.failed).toEqual([]);
+
+    expect(await fs.readFile(path.join(dir, 'blog', 'post.html'), 'utf8')).toBe('<html>post before</html>');
+    expect(await fs.readFile(path.join(dir, 'blog', 'gone.html'), 'utf8')).toBe('<html>gone before</html>');
+    expect(await fs.readFile(path.join(dir, 'blog', 'new.html'), 'utf8')).toBe('<html>new</html>');
+    expect(await fs.readFile(path.join(dir, 'index.html'), 'utf8')).toBe('<html>root now</html>');
+
+    // The restore is itself a version, so it can be undone.
+    const versions = (await get('/_/versions/blog/post.html?format=json')).body.versions;
+    expect(versions).toHaveLength(3);
+    expect((await get(versions[0].url)).text).toContain('post before');
+  });
+
+  test('a deleted .htmlclay page comes back under its own extension', async () => {
+    await writeVersion('blog/card', OLDER, '<html>card before</html>');
+    const trashed = path.join(dir, '.trash', '2026-01-03', '10-00-00-000', 'blog');
+    await fs.mkdir(trashed, { recursive: true });
+    await fs.writeFile(path.join(trashed, 'card.htmlclay'), '<html>card deleted</html>');
+
+    const preview = await get(`/_/versions/restore-folder?folder=blog&at=${encodeURIComponent(AT)}&format=json`);
+    expect(preview.body.documents.find((row) => row.file.startsWith('blog/card'))).toMatchObject({
+      file: 'blog/card.htmlclay',
+      action: 'recreate'
+    });
+
+    expect((await post({ folder: 'blog', at: AT, dryRun: false })).body.restored.map((row) => row.file)).toContain('blog/card.htmlclay');
+    expect(await fs.readFile(path.join(dir, 'blog', 'card.htmlclay'), 'utf8')).toBe('<html>card before</html>');
+    await expect(fs.access(path.join(dir, 'blog', 'card.html'))).rejects.toThrow();
+  });
+
+  test('the preview leaves out what the restore would refuse', async () => {
+    // With sync on, a document the platform has as deleted is not recreated.
+    app = createApp(dir, null, (name) => name !== 'blog/gone.html');
+
+    const preview = await post({ folder: 'blog', at: AT });
+    expect(preview.body.documents.find((row) => row.file === 'blog/gone.html')).toMatchObject({
+      action: 'blocked',
+      reason: 'This file has been moved or deleted'
+    });
+    const page = await get(`/_/versions/restore-folder?folder=blog&at=${encodeURIComponent(AT)}`);
+    expect(page.text).toContain('restore 1 document<');
+
+    const res = await post({ folder: 'blog', at: AT, dryRun: false });
+    expect(res.body.restored.map((row) => row.file)).toEqual(['blog/post.html']);
+    expect(res.body.failed).toEqual([{ file: 'blog/gone.html', error: 'This file has been moved or deleted' }]);
+    await expect(fs.access(path.join(dir, 'blog', 'gone.html'))).rejects.toThrow();
+  });
+
+  test('an empty folder means the whole tree', async () => {
+    const res = await get(`/_/versions/restore-folder?at=${encodeURIComponent(AT)}&format=json`);
+    expect(res.body.documents.map((row) => row.file)).toContain('index.html');
+  });
+
+  test('refuses a bad instant, a traversal and a sandboxed page', async () => {
+    expect((await get('/_/versions/restore-folder?folder=blog&at=nope&format=json')).status).toBe(400);
+    expect((await get('/_/versions/restore-folder?folder=blog&format=json')).status).toBe(400);
+    expect((await post({ folder: 'blog' })).status).toBe(400);
+    expect((await post({ folder: '../outside', at: AT, dryRun: false })).status).toBe(400);
+    expect((await post({ folder: 'blog', at: AT, dryRun: false }, 'null')).status).toBe(403);
+    expect(await fs.readFile(path.join(dir, 'blog', 'post.html'), 'utf8')).toBe('<html>trashed</html>');
+  });
+
+  test('the page asks for an instant, then previews', async () => {
+    const empty = await get('/_/versions/restore-folder?folder=blog');
+    expect(empty.status).toBe(200);
+    expect(empty.text).toContain('type="datetime-local"');
+    expect(empty.text).not.toContain('id="restore-apply"');
+
+    const preview = await get(`/_/versions/restore-folder?folder=blog&at=${encodeURIComponent(AT)}`);
+    expect(preview.text).toContain('will restore');
+    expect(preview.text).toContain('will recreate');
+    expect(preview.text).toContain('restore 2 documents');
+  });
+
+  test('the folder listing links to it', async () => {
+    const res = await get('/blog/');
+    expect(res.text).toContain('/_/versions/restore-folder?folder=blog');
+  });
+});